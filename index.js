@@ -1,17 +1,40 @@
 import path from "node:path";
 import { randomUUID } from "node:crypto";
 import { createHash } from "node:crypto";
-import { resolveDbPath, ensureTables, sqliteQuery, sqliteExec, sanitizeValue, closeAllConnections, runMigrations } from "./lib/sqlite.js";
+import { resolveDbPath, ensureTables, sqliteQuery, sqliteExec, sanitizeValue, closeAllConnections, runMigrations, inspectDatabaseFile } from "./lib/sqlite.js";
 import { registerPipelineTools } from "./lib/pipeline.js";
-import { checkOllamaHealth, storeEmbedding, vectorSearch, backfillEmbeddings } from "./lib/embeddings.js";
+import { storeEmbedding, storeEmbeddings, vectorSearch, backfillEmbeddings, cosineSimilarity, loadVectorIndex, closeVectorIndexes, getVectorModels, deleteVectors } from "./lib/embeddings.js";
+import { startReembed, pauseReembed, runReembedJob, getReembedJob, countPendingReembed } from "./lib/reembed.js";
+import { createEmbeddingProvider } from "./lib/embedding-providers.js";
+import { createCachedProvider, resolveEmbeddingCacheConfig, formatEmbeddingStats, pruneEmbeddingCache, hitRate } from "./lib/embedding-cache.js";
 import { loadEntitiesFromDb, addEntityToDb, mergeConfigEntities } from "./lib/entities.js";
 import { consolidateMemories } from "./lib/consolidation.js";
-import { buildFtsContext, buildRecallContext } from "./lib/recall.js";
-import { captureFromMessages } from "./lib/capture.js";
+import { buildFtsContext, buildHybridContext, buildRecallContext } from "./lib/recall.js";
+import { resolveVaultConfig, syncVault, formatVaultReport } from "./lib/vault.js";
+import { runDoctor, repairDatabase, formatDoctorReport, summarizeDoctorReport, DOCTOR_REPAIRS } from "./lib/doctor.js";
+import { resolveBackupConfig, listBackups, isBackupDue, createBackup, pruneBackups, findBackup, restoreBackup, formatSize } from "./lib/backup.js";
+import { resolveExportPath, readExportFile, exportMemories, importMemories, formatImportReport, parseDateFilter, isExportText, MERGE_STRATEGIES, DEFAULT_EXPORT_DIR } from "./lib/transfer.js";
+import { resolveDocumentConfig, readDocumentFile, ingestDocument, embedDocumentChunks, searchDocumentChunks } from "./lib/documents.js";
+import { hybridRank, buildKeywordQuery, DEFAULT_RANK_WEIGHTS } from "./lib/ranking.js";
+import { captureFromMessages, collectCaptureTexts } from "./lib/capture.js";
+import { matchPatterns } from "./lib/extraction.js";
+import { buildPatternRegistry } from "./lib/patterns.js";
+import { resolveLanguages, detectLanguage, getLanguagePack } from "./lib/languages.js";
+import { extractFactsWithLlm, checkExtractionModel, EXTRACTION_MODES, DEFAULT_EXTRACTION_MODEL } from "./lib/llm-extraction.js";
 import { extractTopicSignature, saveTopicHistory, checkStuck } from "./lib/stuck-detection.js";
 import { checkSessionHealth, getContextPressure } from "./lib/session-guard.js";
-import { DEFAULT_BUDGET } from "./lib/budget.js";
-import { DEFAULT_PROTECTED_ENTITIES, getSecurityEvents } from "./lib/security.js";
+import { resolveBudgetConfig, formatBudgetReport } from "./lib/budget.js";
+import { createTokenEstimator } from "./lib/tokens.js";
+import { recordHits, runReinforcement, resolveReinforcementRules } from "./lib/reinforcement.js";
+import { resolveQuotas, enforceQuotas, searchArchive, getEvictionLog } from "./lib/quotas.js";
+import { DEFAULT_PROTECTED_ENTITIES, getSecurityEvents, checkInjection, isUntrustedContent, resolveRiskThresholds, explainRisk, getQuarantine, reviewQuarantine } from "./lib/security.js";
+import { forgetFacts, undoForget, clearTombstones, DEFAULT_UNDO_WINDOW_MS } from "./lib/forget.js";
+import { commitRevision, getFactHistory, revertToRevision } from "./lib/history.js";
+import { getConflicts, resolveConflict, refineConflict, supersedeConflicts, DEFAULT_CONFLICT_THRESHOLD, DEFAULT_SOURCE_TRUST } from "./lib/conflicts.js";
+import { DEFAULT_NAMESPACE, resolveNamespaceConfig, namespaceScope, namespaceFilter, isAdminScope } from "./lib/namespaces.js";
+import { resolveRedactionConfig, redactAndLog } from "./lib/redaction.js";
+import { resolveAccessConfig, classifySensitivity, sensitivityFilter, setSensitivity, recordReads, getReadLog, pruneReadLog, SENSITIVITY_LEVELS } from "./lib/access.js";
+import { resolveEncryptionConfig, enableEncryption, encryptionStatus, rotateKey, sealDecision, searchQuery } from "./lib/encryption.js";
 
 // ============================================================================
 // Lily-Memory v5 — budget-aware context injection
@@ -29,6 +52,13 @@ const INJECTION_CACHE_SIZE = 3;
 /** Runtime health check frequency: every Nth agent_end event. */
 const HEALTH_CHECK_INTERVAL = 10;
 
+/** How often the backup schedule is checked. */
+const BACKUP_CHECK_INTERVAL_MS = 3600000;
+
+/** Backoff before re-probing an unavailable extraction model; doubles per failed probe. */
+const LLM_RETRY_MIN_MS = 60000;
+const LLM_RETRY_MAX_MS = 1800000;
+
 export default function register(api) {
   const cfg = api.pluginConfig || {};
   const dbPath = resolveDbPath(cfg.dbPath);
@@ -38,13 +68,27 @@ export default function register(api) {
   const maxCapturePerTurn = cfg.maxCapturePerTurn || 5;
   const stuckEnabled = cfg.stuckDetection !== false;
   const vecEnabled = cfg.vectorSearch !== false;
+  const vecIndexEnabled = cfg.vectorIndex !== false;
   const ollamaUrl = cfg.ollamaUrl || "http://localhost:11434";
-  const embModel = cfg.embeddingModel || "nomic-embed-text";
+  const embeddingCache = resolveEmbeddingCacheConfig(cfg.embeddingCache);
+  const embedder = createCachedProvider(dbPath, createEmbeddingProvider(cfg), { querySize: embeddingCache.querySize });
+  const extractionMode = EXTRACTION_MODES.includes(cfg.extractionMode) ? cfg.extractionMode : "regex";
+  const extractionModel = cfg.extractionModel || DEFAULT_EXTRACTION_MODEL;
   const vecThreshold = cfg.vectorSimilarityThreshold || 0.5;
   const histPath = cfg.topicHistoryPath || path.join(path.dirname(dbPath), "topic-history.json");
-  const baseBudget = cfg.injectionBudget || DEFAULT_BUDGET;
-  const contextCap = cfg.contextTokenCap || 120000;
+  const { total: baseBudget, unit: budgetUnit, weights: sectionWeights } = resolveBudgetConfig(cfg.injectionBudget);
+  const estimator = createTokenEstimator(cfg.tokenProfile ? { model: cfg.tokenModel, ...cfg.tokenProfile } : cfg.tokenModel);
+  const budgetEstimator = budgetUnit === "tokens" ? estimator : null;
+  const contextCap = cfg.contextTokenCap || estimator.contextWindow;
   const capturePolicy = cfg.capturePolicy || "all";
+  const recallRanking = cfg.recallRanking === "hybrid" ? "hybrid" : "sections";
+  const rankWeights = { ...DEFAULT_RANK_WEIGHTS, ...(cfg.rankWeights || {}) };
+  const documentCfg = resolveDocumentConfig(cfg.documents);
+  const memoryDir = path.dirname(dbPath);
+  const vault = resolveVaultConfig(cfg.vault, memoryDir);
+  const backupCfg = resolveBackupConfig(cfg.backup, memoryDir);
+  const undoWindowMs = cfg.forgetUndoWindowHours ? cfg.forgetUndoWindowHours * 3600000 : DEFAULT_UNDO_WINDOW_MS;
+  const namespaceCfg = resolveNamespaceConfig(cfg.namespaces);
   const log = api.logger || { info: (m) => console.log("[lily-memory]", m), warn: (m) => console.warn("[lily-memory]", m) };
 
   // Build protected entities set from config + defaults
@@ -55,10 +99,48 @@ export default function register(api) {
     }
   }
 
-  const securityOpts = { protectedEntities, capturePolicy };
+  // Facts scoring at or above these injection-risk thresholds are quarantined or blocked
+  const riskThresholds = resolveRiskThresholds(cfg.injectionRisk);
+
+  const conflictThreshold = cfg.conflictThreshold ?? DEFAULT_CONFLICT_THRESHOLD;
+  const conflictOpts = cfg.conflictDetection !== false
+    ? { threshold: conflictThreshold, sourceTrust: { ...DEFAULT_SOURCE_TRUST, ...(cfg.sourceTrust || {}) } }
+    : null;
+
+  const quotas = resolveQuotas(cfg.quotas);
+
+  // User-defined extraction patterns are validated once; bad ones are skipped
+  const languages = resolveLanguages(cfg.languages);
+  const patternRegistry = buildPatternRegistry(cfg.extractionPatterns, languages);
+  for (const { name, error } of patternRegistry.errors) log.warn(`lily-memory: extraction pattern "${name}" rejected — ${error}`);
+
+  // Sensitivity labels: secret facts are never recalled, and tool reads are audited
+  const accessCfg = resolveAccessConfig(cfg.access);
+  // API keys, tokens and personal data are masked, hashed or refused before they are stored
+  const redactionCfg = resolveRedactionConfig(cfg.redaction);
+  // Fact values, descriptions, step outputs, security snippets, conflict values and document chunks are sealed with AES-256-GCM
+  const encryptionCfg = resolveEncryptionConfig(cfg.encryption, memoryDir);
+  // Tools reading or writing files in the memory directory must never touch these
+  const protectedPaths = [dbPath, encryptionCfg.keyFile, backupCfg.dir];
+  // Exports hold facts outside their sensitivity labels, so they are never ingested as documents
+  const ingestRefusedPaths = [...protectedPaths, path.join(memoryDir, DEFAULT_EXPORT_DIR)];
+
+  const securityOpts = { protectedEntities, capturePolicy, conflicts: conflictOpts, quotas, languages, patternsByLanguage: patternRegistry.byLanguage, access: accessCfg, redaction: redactionCfg, riskThresholds };
+
+  const reinforcementRules = cfg.reinforcement?.enabled === false ? null : resolveReinforcementRules(cfg.reinforcement);
 
   let vectorsAvailable = false;
-  let runtimeEntities = new Set();
+  let providerDims = null;
+  let reembedRun = null;
+  let vaultChangesToEmbed = [];
+  let backupRun = null;
+  let backupTimer = null;
+  const reembedAbort = new AbortController();
+  let llmExtractionAvailable = false;
+  let llmRetryAt = 0;
+  let llmBackoffMs = LLM_RETRY_MIN_MS;
+  // Known entities per namespace (config + DB), loaded on first use
+  const entityCache = new Map();
   let stuckNudge = null;
 
   // --- Injection cooldown state ---
@@ -70,107 +152,369 @@ export default function register(api) {
     return createHash("md5").update(text).digest("hex").substring(0, 12);
   }
 
+  /** Known entities (lowercase) for a namespace scope: config entities plus those in its namespaces. */
+  function entitiesFor(scope) {
+    if (!entityCache.has(scope.namespace)) {
+      entityCache.set(scope.namespace, mergeConfigEntities(cfg.entities || [], loadEntitiesFromDb(dbPath, scope.namespaces)));
+    }
+    return entityCache.get(scope.namespace);
+  }
+
+  /**
+   * Register a tool through an OpenClaw tool factory, so its execute gets
+   * the calling agent's namespace scope as a third argument.
+   */
+  function registerScopedTool(tool, opts) {
+    api.registerTool((ctx) => ({ ...tool, execute: (id, params) => tool.execute(id, params, namespaceScope(namespaceCfg, ctx)) }), opts);
+  }
+
+  /** Result for a database-wide action asked for by an agent outside the default namespace. */
+  function adminOnly(action) {
+    const text = `Only an agent in the ${DEFAULT_NAMESPACE} namespace can ${action}: it affects every namespace.`;
+    return { content: [{ type: "text", text }], details: { error: "not permitted" } };
+  }
+
+  /**
+   * Run LLM extraction over the latest turn (last user message onward).
+   * Returns a Map of text -> facts; texts the model failed on are left out
+   * so capture falls back to regex for them.
+   */
+  async function extractTurnWithLlm(messages, entities) {
+    const llmFacts = new Map();
+    const texts = collectCaptureTexts(messages, capturePolicy);
+    let start = 0;
+    for (let i = texts.length - 1; i >= 0; i--) { if (texts[i].role === "user") { start = i; break; } }
+    for (const { text } of texts.slice(start)) {
+      const facts = await extractFactsWithLlm(ollamaUrl, extractionModel, text, entities);
+      if (!facts) {
+        markLlmUnavailable("extraction call failed");
+        break;
+      }
+      llmFacts.set(text, facts);
+    }
+    return llmFacts;
+  }
+
+  /**
+   * Stop LLM extraction until the backoff passes; capture uses regex meanwhile.
+   * Each failure in a row doubles the backoff, up to LLM_RETRY_MAX_MS.
+   */
+  function markLlmUnavailable(reason) {
+    llmExtractionAvailable = false;
+    llmRetryAt = Date.now() + llmBackoffMs;
+    log.warn?.(`lily-memory: LLM extraction unavailable (${reason}), using regex; retrying in ${Math.round(llmBackoffMs / 1000)}s`);
+    llmBackoffMs = Math.min(llmBackoffMs * 2, LLM_RETRY_MAX_MS);
+  }
+
+  /**
+   * Whether this turn may use LLM extraction. Once the backoff has passed the
+   * model is probed again with checkExtractionModel.
+   */
+  async function llmExtractionReady() {
+    if (extractionMode === "regex") return false;
+    if (llmExtractionAvailable) return true;
+    if (Date.now() < llmRetryAt) return false;
+    const h = await checkExtractionModel(ollamaUrl, extractionModel);
+    if (!h.available) {
+      markLlmUnavailable(h.reason || "model unavailable");
+      return false;
+    }
+    llmExtractionAvailable = true;
+    llmBackoffMs = LLM_RETRY_MIN_MS;
+    log.info?.(`lily-memory: LLM extraction (${extractionModel}) available again`);
+    return true;
+  }
+
+  function reinforce() {
+    if (!reinforcementRules) return;
+    const r = runReinforcement(dbPath, reinforcementRules);
+    if (r.boosted + r.decayed + r.promoted + r.demoted > 0) {
+      log.info?.(`lily-memory: reinforcement — ${r.boosted} boosted, ${r.decayed} decayed, ${r.promoted} promoted, ${r.demoted} demoted`);
+    }
+  }
+
+  /** Document chunks to cite for a prompt: keyword matches, plus semantic ones when vectors are up. */
+  async function findDocumentChunks(prompt, namespaces) {
+    if (documentCfg.maxRecallChunks === 0 || prompt.length < 10) return [];
+    let queryEmbedding = null;
+    if (vectorsAvailable) {
+      try { queryEmbedding = await embedder.embedQuery(prompt); } catch {}
+    }
+    return searchDocumentChunks(dbPath, {
+      ftsQuery: buildKeywordQuery(prompt),
+      queryEmbedding,
+      model: embedder.id,
+      limit: documentCfg.maxRecallChunks,
+      threshold: vecThreshold,
+      namespaces,
+    });
+  }
+
+  /** Two-way vault sync. Facts changed from files are re-embedded now, or once vectors come up. */
+  function syncWithVault() {
+    const report = syncVault(dbPath, vault.path, { protectedEntities, quotas, undoWindowMs, access: accessCfg, riskThresholds });
+    for (const b of report.blocked) log.warn?.(`lily-memory: vault edit BLOCKED — ${b.reason}: ${b.entity}.${b.key} in ${b.file} (pattern: ${b.pattern})`);
+    for (const skipped of report.skipped) log.info?.(`lily-memory: vault skipped ${skipped}`);
+    vaultChangesToEmbed.push(...report.changed);
+    if (vectorsAvailable) embedVaultChanges();
+    return report;
+  }
+
+  function embedVaultChanges() {
+    const items = vaultChangesToEmbed;
+    vaultChangesToEmbed = [];
+    if (items.length > 0) storeEmbeddings(dbPath, embedder, items).catch((e) => log.warn?.(`lily-memory: embedding failed: ${e.message}`));
+  }
+
+  /** Take a backup when the newest is older than backup.intervalHours, then apply retention. */
+  function runScheduledBackup() {
+    if (backupRun || !isBackupDue(listBackups(dbPath, backupCfg.dir), backupCfg.intervalHours)) return;
+    backupRun = createBackup(dbPath, backupCfg.dir)
+      .then((b) => {
+        if (b.error) { log.warn?.(`lily-memory: ${b.error}`); return; }
+        const removed = pruneBackups(dbPath, backupCfg.dir, backupCfg);
+        log.info?.(`lily-memory: backed up to ${b.name} (${formatSize(b.size)}, ${b.decisions} decisions)${removed.length ? `; ${removed.length} old backups removed` : ""}`);
+      })
+      .catch((e) => log.warn?.(`lily-memory: backup failed: ${e.message}`))
+      .finally(() => { backupRun = null; });
+  }
+
+  // Refuses a wrong key: until the right one is configured, writes of encrypted fields fail instead of storing plaintext
+  function startEncryption() {
+    if (!encryptionCfg.enabled) {
+      const { sealed } = encryptionStatus(dbPath);
+      if (sealed > 0) log.warn(`lily-memory: ${sealed} values are encrypted but encryption is off; they are returned sealed until it is turned back on`);
+      return;
+    }
+    const result = enableEncryption(dbPath, encryptionCfg);
+    if (result.error) { log.warn(`lily-memory: encryption — ${result.error}; writes of encrypted fields are refused until this is fixed`); return; }
+    log.info(`lily-memory: encryption on (key ${result.keyId} from ${result.source}, ${encryptionCfg.search} search)${result.sealed ? `, sealed ${result.sealed} existing rows` : ""}`);
+  }
+
+  /** Run a re-embed job in the background; one at a time. */
+  function runReembed(jobId) {
+    if (reembedRun) return;
+    reembedRun = runReembedJob(dbPath, embedder, jobId, { logger: log, signal: reembedAbort.signal })
+      .catch((e) => log.warn?.(`lily-memory: re-embed failed: ${e.message}`))
+      .finally(() => { reembedRun = null; });
+  }
+
   // --- Service lifecycle ---
   api.registerService({ id: "lily-memory", name: "lily-memory",
     async start() {
       if (!ensureTables(dbPath)) { log.warn("lily-memory: FATAL — failed to create database tables"); return; }
       runMigrations(dbPath);
-      runtimeEntities = mergeConfigEntities(cfg.entities || [], loadEntitiesFromDb(dbPath));
-      log.info(`Entities loaded: ${runtimeEntities.size} total`);
+      startEncryption();
+      entityCache.clear();
+      log.info(`Entities loaded: ${entitiesFor(namespaceScope(namespaceCfg)).size} total`);
       sqliteExec(dbPath, `DELETE FROM decisions WHERE expires_at IS NOT NULL AND expires_at <= ?`, [Date.now()]);
+      const overQuota = enforceQuotas(dbPath, quotas);
+      if (overQuota.length > 0) log.info(`lily-memory: archived ${overQuota.length} entries over quota (see memory_evictions)`);
+      const prunedReads = pruneReadLog(dbPath, accessCfg.auditRetentionDays);
+      if (prunedReads > 0) log.info(`lily-memory: pruned ${prunedReads} read audit rows older than ${accessCfg.auditRetentionDays} days`);
       if (cfg.consolidation !== false) consolidateMemories(dbPath, (m) => log.info(m));
+      reinforce();
+      const doctor = runDoctor(dbPath);
+      if (doctor.status === "ok") log.info(`lily-memory: doctor — ${summarizeDoctorReport(doctor)}`);
+      else {
+        log.warn(`lily-memory: doctor — ${summarizeDoctorReport(doctor)}; run memory_doctor to repair`);
+        for (const c of doctor.checks) if (c.status !== "ok") log.warn(`lily-memory: doctor ${c.name} [${c.status}] — ${c.detail}`);
+      }
+      if (vault) {
+        try { log.info(`lily-memory: vault sync (${vault.path}) — ${formatVaultReport(syncWithVault())}`); }
+        catch (e) { log.warn?.(`lily-memory: vault sync failed: ${e.message}`); }
+      }
+      if (backupCfg.enabled) {
+        runScheduledBackup();
+        backupTimer = setInterval(runScheduledBackup, BACKUP_CHECK_INTERVAL_MS);
+        backupTimer.unref?.();
+      }
       // Session health guard — reset overflowing sessions
-      const guard = checkSessionHealth({ threshold: cfg.sessionOverflowThreshold || 0.8, log: (m) => log.info(m) });
+      const guard = checkSessionHealth({ threshold: cfg.sessionOverflowThreshold || 0.8, estimator, log: (m) => log.info(m) });
       if (guard.reset.length > 0) log.warn(`Session overflow: ${guard.reset.join(", ")} auto-reset`);
       if (vecEnabled) {
         (async () => {
-          const h = await checkOllamaHealth(ollamaUrl, embModel);
+          const h = await embedder.health();
           vectorsAvailable = h.available;
-          log.info(`Vectors: ${vectorsAvailable ? "available" : "unavailable"}${h.reason ? " (" + h.reason + ")" : ""}`);
-          if (vectorsAvailable) await backfillEmbeddings(dbPath, ollamaUrl, embModel, log);
+          providerDims = h.dimensions || null;
+          log.info(`Vectors (${embedder.id}): ${vectorsAvailable ? "available" : "unavailable"}${h.reason ? " (" + h.reason + ")" : ""}`);
+          if (!vectorsAvailable) return;
+          if (vecIndexEnabled) loadVectorIndex(dbPath, embedder.id, log);
+          const models = getVectorModels(dbPath);
+          const mismatched = models.find((m) => m.model === embedder.id && m.dims !== h.dimensions);
+          if (mismatched) log.warn?.(`lily-memory: ${embedder.id} vectors have ${mismatched.dims} dims but the provider returns ${h.dimensions}; new embeddings are refused until memory_reembed runs with replace_mismatched`);
+          const others = models.filter((m) => m.model !== embedder.id).reduce((n, m) => n + m.count, 0);
+          if (others > 0) log.info(`lily-memory: ${others} vectors are from other embedding models and not searched; run memory_reembed to move them to ${embedder.id}`);
+          const job = getReembedJob(dbPath);
+          if (job?.status === "running" && job.target_model === embedder.id) runReembed(job.id);
+          const prunedCache = pruneEmbeddingCache(dbPath, embeddingCache.maxEntries);
+          if (prunedCache > 0) log.info(`lily-memory: embedding cache pruned by ${prunedCache} entries`);
+          await backfillEmbeddings(dbPath, embedder, log);
+          embedVaultChanges();
+          const chunks = await embedDocumentChunks(dbPath, embedder);
+          if (chunks > 0) log.info(`lily-memory: embedded ${chunks} document chunks`);
+          log.info(`lily-memory: embeddings — ${formatEmbeddingStats(embedder.stats())}`);
         })().catch((e) => log.warn?.(`Vector init error: ${e.message}`));
       }
+      if (extractionMode !== "regex") {
+        (async () => {
+          const h = await checkExtractionModel(ollamaUrl, extractionModel);
+          llmExtractionAvailable = h.available;
+          if (!h.available) llmRetryAt = Date.now() + llmBackoffMs;
+          log.info(`LLM extraction (${extractionMode}, ${extractionModel}): ${h.available ? "available" : "unavailable, using regex"}${h.reason ? " (" + h.reason + ")" : ""}`);
+        })().catch((e) => log.warn?.(`LLM extraction init error: ${e.message}`));
+      }
     },
     stop() {
+      reembedAbort.abort();
+      clearInterval(backupTimer);
+      closeVectorIndexes();
       closeAllConnections();
       log.info("lily-memory stopped");
     },
   });
 
   // --- Tool: memory_search (output-capped) ---
-  api.registerTool({ name: "memory_search", label: "Memory Search",
-    description: "Search persistent memory using full-text search. Use to recall facts, decisions, preferences, or past context.",
+  registerScopedTool({ name: "memory_search", label: "Memory Search",
+    description: "Search persistent memory using full-text search. Use to recall facts, decisions, preferences, or past context. mode \"hybrid\" also ranks by semantic similarity, importance, recency and TTL class.",
     parameters: { type: "object", properties: {
       query: { type: "string", description: "Search query (keywords)" },
       limit: { type: "number", description: "Max results (default: 10)" },
+      mode: { type: "string", enum: ["keyword", "hybrid"], description: "keyword (default) or hybrid" },
+      include_archived: { type: "boolean", description: "Also search facts evicted to the archive by quotas (default: false)" },
+      include_secret: { type: "boolean", description: "Also return facts labelled secret; the read is audited (default: false)" },
     }, required: ["query"] },
-    async execute(_id, { query, limit = 10 }) {
+    async execute(_id, { query, limit = 10, mode = "keyword", include_archived = false, include_secret = false }, scope) {
       const now = Date.now();
       const safeLimit = Math.max(1, Math.min(100, parseInt(limit, 10) || 10));
+      const ns = namespaceFilter(scope.namespaces);
+      const dNs = namespaceFilter(scope.namespaces, "d.namespace");
+      const sec = sensitivityFilter(include_secret);
+      const dSec = sensitivityFilter(include_secret, "d.sensitivity");
+      const secretMark = (r) => r.sensitivity === "secret" ? " _(secret)_" : "";
+      const audit = (rows) => recordReads(dbPath, rows.map((r) => r.id), { source: "memory_search", readBy: scope.namespace, query });
+
+      // Archived facts are listed after live results, never mixed into the ranking
+      const archived = include_archived ? searchArchive(dbPath, mode === "hybrid" ? buildKeywordQuery(query) : query, safeLimit, scope.namespaces, include_secret) : [];
+      const archivedText = archived.length
+        ? `\n\nArchived (${archived.length}):\n\n` + archived.map((r, i) => r.entity && r.fact_key ? `${i+1}. **${r.entity}**.${r.fact_key} = ${r.fact_value} _(archived)_${secretMark(r)}` : `${i+1}. [${r.category}] ${r.description} _(archived)_${secretMark(r)}`).join("\n")
+        : "";
+
+      if (mode === "hybrid") {
+        let vec = [];
+        if (vectorsAvailable) {
+          try { vec = await vectorSearch(dbPath, embedder, query, safeLimit * 2, vecThreshold, { namespaces: scope.namespaces, includeSecret: include_secret }); } catch {}
+        }
+        const ranked = hybridRank(dbPath, { ftsQuery: buildKeywordQuery(query), vectorResults: vec, ftsLimit: safeLimit * 2, weights: rankWeights, limit: safeLimit, namespaces: scope.namespaces, includeSecret: include_secret });
+        if (!ranked.length && !archived.length) return { content: [{ type: "text", text: "No matching memories found." }], details: { count: 0, mode } };
+        if (reinforcementRules) recordHits(dbPath, ranked.map((r) => r.id), "search");
+        audit([...ranked, ...archived]);
+        const lines = ranked.map((r, i) => {
+          const body = r.entity && r.fact_key ? `**${r.entity}**.${r.fact_key} = ${r.fact_value}` : `[${r.category}] ${r.description}`;
+          return `${i+1}. ${body} _(score ${r.score.toFixed(4)})_${secretMark(r)}`;
+        });
+        let text = `Found ${ranked.length} memories (hybrid):\n\n${lines.join("\n")}${archivedText}`;
+        if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
+        return { content: [{ type: "text", text }], details: { count: ranked.length, mode, results: ranked, archived } };
+      }
 
       // FTS5 search with parameterized query
       let rows = sqliteQuery(dbPath, `
-        SELECT d.entity, d.fact_key, d.fact_value, d.description, d.category, d.importance
+        SELECT d.id, d.entity, d.fact_key, d.fact_value, d.description, d.category, d.importance, d.sensitivity
         FROM decisions d
         JOIN decisions_fts fts ON d.rowid = fts.rowid
         WHERE decisions_fts MATCH ?
           AND (d.expires_at IS NULL OR d.expires_at > ?)
+          AND ${dNs.sql}
+          AND ${dSec.sql}
         ORDER BY rank
         LIMIT ?
-      `, [query, now, safeLimit]);
+      `, [searchQuery(dbPath, query), now, ...dNs.params, ...dSec.params, safeLimit]);
 
       // Fallback to LIKE search
       if (!rows.length) {
         const likePattern = `%${query}%`;
         rows = sqliteQuery(dbPath, `
-          SELECT entity, fact_key, fact_value, description, category, importance
+          SELECT id, entity, fact_key, fact_value, description, category, importance, sensitivity
           FROM decisions
-          WHERE (description LIKE ? OR fact_value LIKE ? OR rationale LIKE ?)
+          WHERE (description LIKE ? OR fact_value LIKE ? OR rationale LIKE ? OR search_tokens LIKE ?)
             AND (expires_at IS NULL OR expires_at > ?)
+            AND ${ns.sql}
+            AND ${sec.sql}
           ORDER BY importance DESC
           LIMIT ?
-        `, [likePattern, likePattern, likePattern, now, safeLimit]);
+        `, [likePattern, likePattern, likePattern, likePattern, now, ...ns.params, ...sec.params, safeLimit]);
       }
 
-      if (!rows.length) return { content: [{ type: "text", text: "No matching memories found." }], details: { count: 0 } };
-      const lines = rows.map((r, i) => r.entity && r.fact_key ? `${i+1}. **${r.entity}**.${r.fact_key} = ${r.fact_value}` : `${i+1}. [${r.category}] ${r.description}`);
-      let text = `Found ${rows.length} memories:\n\n${lines.join("\n")}`;
+      if (!rows.length && !archived.length) return { content: [{ type: "text", text: "No matching memories found." }], details: { count: 0 } };
+      if (reinforcementRules) recordHits(dbPath, rows.map((r) => r.id), "search");
+      audit([...rows, ...archived]);
+      const lines = rows.map((r, i) => (r.entity && r.fact_key ? `${i+1}. **${r.entity}**.${r.fact_key} = ${r.fact_value}` : `${i+1}. [${r.category}] ${r.description}`) + secretMark(r));
+      let text = `Found ${rows.length} memories:\n\n${lines.join("\n")}${archivedText}`;
       if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
-      return { content: [{ type: "text", text }], details: { count: rows.length, results: rows } };
+      return { content: [{ type: "text", text }], details: { count: rows.length, results: rows, archived } };
     },
   }, { name: "memory_search" });
 
   // --- Tool: memory_entity (output-capped) ---
-  api.registerTool({ name: "memory_entity", label: "Memory Entity Lookup",
+  registerScopedTool({ name: "memory_entity", label: "Memory Entity Lookup",
     description: "Look up all known facts about a specific entity (person, config, system). Use for targeted knowledge retrieval.",
-    parameters: { type: "object", properties: { entity: { type: "string", description: "Entity name" } }, required: ["entity"] },
-    async execute(_id, { entity }) {
+    parameters: { type: "object", properties: {
+      entity: { type: "string", description: "Entity name" },
+      include_secret: { type: "boolean", description: "Also return facts labelled secret; the read is audited (default: false)" },
+    }, required: ["entity"] },
+    async execute(_id, { entity, include_secret = false }, scope) {
+      const now = Date.now();
+      const ns = namespaceFilter(scope.namespaces);
+      const sec = sensitivityFilter(include_secret);
       const rows = sqliteQuery(dbPath, `
-        SELECT fact_key, fact_value, category, importance, ttl_class
+        SELECT id, fact_key, fact_value, category, importance, ttl_class, sensitivity
         FROM decisions
         WHERE entity = ?
           AND (expires_at IS NULL OR expires_at > ?)
+          AND ${ns.sql}
+          AND ${sec.sql}
         ORDER BY importance DESC, timestamp DESC
         LIMIT 20
-      `, [entity, Date.now()]);
-      if (!rows.length) return { content: [{ type: "text", text: `No facts found for entity "${entity}".` }], details: { count: 0 } };
-      const lines = rows.map((r) => `- **${r.fact_key}** = ${r.fact_value} _(${r.ttl_class})_`);
-      let text = `Facts about **${entity}** (${rows.length}):\n\n${lines.join("\n")}`;
+      `, [entity, now, ...ns.params, ...sec.params]);
+      // Say that secret facts exist without showing them, so the caller knows to ask
+      const hidden = include_secret ? 0 : sqliteQuery(dbPath,
+        `SELECT COUNT(*) AS cnt FROM decisions WHERE entity = ? AND sensitivity = 'secret' AND (expires_at IS NULL OR expires_at > ?) AND ${ns.sql}`,
+        [entity, now, ...ns.params]
+      )[0]?.cnt ?? 0;
+      const hiddenNote = hidden > 0 ? `\n\n${hidden} secret fact(s) hidden — call again with include_secret to read them.` : "";
+      if (!rows.length) return { content: [{ type: "text", text: `No facts found for entity "${entity}".${hiddenNote}` }], details: { count: 0, hidden } };
+      if (reinforcementRules) recordHits(dbPath, rows.map((r) => r.id), "entity");
+      recordReads(dbPath, rows.map((r) => r.id), { source: "memory_entity", readBy: scope.namespace, query: entity });
+      const lines = rows.map((r) => `- **${r.fact_key}** = ${r.fact_value} _(${r.ttl_class}${r.sensitivity === "secret" ? ", secret" : ""})_`);
+      let text = `Facts about **${entity}** (${rows.length}):\n\n${lines.join("\n")}${hiddenNote}`;
       if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
-      return { content: [{ type: "text", text }], details: { count: rows.length, results: rows } };
+      return { content: [{ type: "text", text }], details: { count: rows.length, hidden, results: rows } };
     },
   }, { name: "memory_entity" });
 
   // --- Tool: memory_store (VALUE LENGTH CAPPED) ---
-  api.registerTool({ name: "memory_store", label: "Memory Store",
+  // Kept in a variable so memory_quarantine can store released facts the same way
+  const storeTool = { name: "memory_store", label: "Memory Store",
     description: `Save a fact to persistent memory. Values are capped at ${STORE_MAX_VALUE_LENGTH} chars. Use concise key=value pairs, not paragraphs. For preferences, decisions, and important information that should survive session resets.`,
     parameters: { type: "object", properties: {
       entity: { type: "string", description: "Entity name" },
       key: { type: "string", description: "Fact key" },
       value: { type: "string", description: `Fact value (max ${STORE_MAX_VALUE_LENGTH} chars — be concise)` },
       ttl: { type: "string", description: "TTL: permanent, stable (90d), active (14d), session (24h). Default: stable" },
+      shared: { type: "boolean", description: "Store in the shared namespace every agent reads, for cross-agent facts (default: false, your own namespace)" },
+      sensitivity: { type: "string", enum: SENSITIVITY_LEVELS, description: "public, internal or secret. Secret facts are never auto-recalled. Default: from the access config (credential-like keys are secret)" },
     }, required: ["entity", "key", "value"] },
-    async execute(_id, { entity, key, value, ttl = "stable" }) {
+    async execute(_id, { entity, key, value, ttl = "stable", shared = false, sensitivity }, scope) {
+      // With namespaces off everything lives in one namespace, so `shared` has nothing to do
+      const namespace = shared && scope.namespaces ? scope.shared : scope.namespace;
+      const redacted = redactAndLog(dbPath, value, redactionCfg, { sourceRole: "tool", entity, key, snippet: "memory_store", namespace });
+      const found = [...new Set(redacted.findings)].join(", ");
+      if (redacted.rejected) {
+        return { content: [{ type: "text", text: `Not stored: the value contains ${found} (redaction policy: reject).` }], details: { action: "rejected", findings: redacted.findings } };
+      }
+      value = redacted.text;
+
       // Enforce value length cap
       if (value && value.length > STORE_MAX_VALUE_LENGTH) {
         value = value.substring(0, STORE_MAX_VALUE_LENGTH - 3) + "...";
@@ -190,11 +534,11 @@ export default function register(api) {
 
       const exp = ttlMs[tc] === null ? null : now + ttlMs[tc];
 
-      // Permanent cap — max 15 permanent entries
+      // Permanent cap — max 15 permanent entries per namespace
       if (tc === "permanent") {
-        const permCount = sqliteQuery(dbPath, `SELECT COUNT(*) as cnt FROM decisions WHERE ttl_class = 'permanent'`);
+        const permCount = sqliteQuery(dbPath, `SELECT COUNT(*) as cnt FROM decisions WHERE ttl_class = 'permanent' AND namespace = ?`, [namespace]);
         if (permCount[0]?.cnt >= 15) {
-          const oldest = sqliteQuery(dbPath, `SELECT id FROM decisions WHERE ttl_class = 'permanent' ORDER BY timestamp ASC LIMIT 1`);
+          const oldest = sqliteQuery(dbPath, `SELECT id FROM decisions WHERE ttl_class = 'permanent' AND namespace = ? ORDER BY timestamp ASC LIMIT 1`, [namespace]);
           if (oldest.length > 0) {
             sqliteExec(dbPath,
               `UPDATE decisions SET ttl_class = 'stable', expires_at = ? WHERE id = ?`,
@@ -205,46 +549,534 @@ export default function register(api) {
       }
 
       const existing = sqliteQuery(dbPath,
-        `SELECT id FROM decisions WHERE entity = ? AND fact_key = ? AND (expires_at IS NULL OR expires_at > ?) LIMIT 1`,
-        [se, sk, now]
+        `SELECT id FROM decisions WHERE entity = ? AND fact_key = ? AND namespace = ? AND (expires_at IS NULL OR expires_at > ?) LIMIT 1`,
+        [se, sk, namespace, now]
       );
       let aid;
       if (existing.length > 0) {
         aid = existing[0].id;
-        sqliteExec(dbPath,
-          `UPDATE decisions SET fact_value = ?, timestamp = ?, last_accessed_at = ?, ttl_class = ?, expires_at = ? WHERE id = ?`,
-          [sv, now, now, tc, exp, aid]
-        );
+        const sealed = sealDecision(dbPath, { description: `${se}.${sk} = ${sv}`, fact_value: sv });
+        const updated = commitRevision(dbPath, aid, { entity: se, key: sk, value: sv, sourceRole: "tool", sessionId: "tool", timestamp: now }, () => sqliteExec(dbPath,
+          `UPDATE decisions SET fact_value = ?, search_tokens = ?, timestamp = ?, last_accessed_at = ?, ttl_class = ?, expires_at = ? WHERE id = ?`,
+          [sealed.fact_value, sealed.search_tokens, now, now, tc, exp, aid]
+        ));
+        if (!updated) return { content: [{ type: "text", text: `Failed to update ${entity}.${key}` }], details: { error: "write failed" } };
+        supersedeConflicts(dbPath, aid);
+        if (SENSITIVITY_LEVELS.includes(sensitivity)) setSensitivity(dbPath, { id: aid }, sensitivity);
       } else {
         aid = randomUUID();
-        const description = `${se}.${sk} = ${sv}`;
-        sqliteExec(dbPath,
-          `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, classification, importance, ttl_class, expires_at, last_accessed_at, entity, fact_key, fact_value, tags)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [aid, 'tool', now, 'manual', description, 'Stored via memory_store tool', 'ARCHIVE', 0.9, tc, exp, now, se, sk, sv, '["tool"]']
-        );
+        const sealed = sealDecision(dbPath, { description: `${se}.${sk} = ${sv}`, fact_value: sv });
+        const ok = commitRevision(dbPath, aid, { entity: se, key: sk, value: sv, sourceRole: "tool", sessionId: "tool", timestamp: now, namespace }, () => sqliteExec(dbPath,
+          `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, classification, importance, ttl_class, expires_at, last_accessed_at, entity, fact_key, fact_value, tags, namespace, sensitivity, search_tokens)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [aid, 'tool', now, 'manual', sealed.description, 'Stored via memory_store tool', 'ARCHIVE', 0.9, tc, exp, now, se, sk, sealed.fact_value, '["tool"]', namespace, classifySensitivity(accessCfg, { entity: se, key: sk, sensitivity }), sealed.search_tokens]
+        ));
+        if (!ok) return { content: [{ type: "text", text: `Failed to store ${entity}.${key}` }], details: { error: "write failed" } };
       }
-      if (vectorsAvailable) storeEmbedding(dbPath, ollamaUrl, embModel, aid, `${entity}.${key} = ${value}`).catch((e) => log.warn?.(`lily-memory: embedding failed: ${e.message}`));
+      // An explicit store overrides an earlier forget of the same value
+      clearTombstones(dbPath, se, sk, sv, namespace);
+      if (vectorsAvailable) storeEmbedding(dbPath, embedder, aid, `${entity}.${key} = ${value}`).catch((e) => log.warn?.(`lily-memory: embedding failed: ${e.message}`));
       const verb = existing.length > 0 ? "Updated" : "Stored";
-      return { content: [{ type: "text", text: `${verb}: ${entity}.${key} = ${value} (${tc})` }], details: { action: verb.toLowerCase(), id: aid } };
+      return { content: [{ type: "text", text: `${verb}: ${entity}.${key} = ${value} (${tc}${namespace === scope.namespace ? "" : `, ${namespace}`}${found ? `, redacted ${found}` : ""})` }], details: { action: verb.toLowerCase(), id: aid, namespace, redacted: redacted.findings } };
+    },
+  };
+  registerScopedTool(storeTool, { name: "memory_store" });
+
+  // --- Tool: memory_ingest ---
+  registerScopedTool({ name: "memory_ingest", label: "Memory Ingest",
+    description: "Store a long document (design notes, meeting summary, runbook) in your memory namespace. Pass the text, or the path of a file inside the memory directory. It is split into overlapping chunks that recall can cite. Ingesting the same file, or the same title, again replaces the earlier version.",
+    parameters: { type: "object", properties: {
+      text: { type: "string", description: "Document text (use this or path)" },
+      path: { type: "string", description: `File path, relative to or inside ${memoryDir}` },
+      title: { type: "string", description: "Document title (default: file name, or the first line of the text)" },
+      tags: { type: "string", description: "Comma-separated tags" },
+    } },
+    async execute(_id, { text, path: filePath, title, tags }, scope) {
+      let doc;
+      if (filePath) {
+        const file = readDocumentFile(memoryDir, filePath, ingestRefusedPaths);
+        if (file.error) return { content: [{ type: "text", text: `Cannot ingest: ${file.error}` }], details: { error: file.error } };
+        doc = { title: title || file.title, text: file.text, source: file.source };
+      } else if (text) {
+        doc = { title: title || text.trim().split("\n")[0].replace(/^#+\s*/, "").substring(0, 80), text, source: null };
+      } else {
+        return { content: [{ type: "text", text: "Provide text or path." }], details: { error: "missing input" } };
+      }
+      if (isExportText(doc.text)) return { content: [{ type: "text", text: "Cannot ingest a memory_export file; use memory_import." }], details: { error: "export file" } };
+
+      const result = ingestDocument(dbPath, { ...doc, tags: tags ? sanitizeValue(tags) : null, namespace: scope.namespace }, { chunkSize: documentCfg.chunkSize, chunkOverlap: documentCfg.chunkOverlap });
+      if (result.error) return { content: [{ type: "text", text: `Cannot ingest: ${result.error}` }], details: { error: result.error } };
+
+      const { document } = result;
+      if (!result.unchanged && vectorsAvailable) {
+        embedDocumentChunks(dbPath, embedder, { documentId: document.id }).catch((e) => log.warn?.(`lily-memory: chunk embedding failed: ${e.message}`));
+      }
+      const verb = result.unchanged ? "Unchanged" : result.replaced ? "Replaced" : "Ingested";
+      const from = document.source ? ` from ${document.source}` : "";
+      return {
+        content: [{ type: "text", text: `${verb}: "${document.title}"${from} — ${document.chars} chars in ${document.chunk_count} chunks (id ${document.id})` }],
+        details: { id: document.id, title: document.title, source: document.source, chars: document.chars, chunks: document.chunk_count, replaced: result.replaced, unchanged: result.unchanged },
+      };
+    },
+  }, { name: "memory_ingest" });
+
+  // --- Tool: memory_sync ---
+  registerScopedTool({ name: "memory_sync", label: "Memory Sync",
+    description: "Sync memory with the Markdown vault: read back edits made to the entity files, then rewrite the files from the database. Edits to protected entities or with injection patterns are blocked.",
+    parameters: { type: "object", properties: {} },
+    async execute(_id, _params, scope) {
+      if (!isAdminScope(scope)) return adminOnly("sync the vault");
+      if (!vault) return { content: [{ type: "text", text: "Vault sync is off. Set the vault config option to enable it." }], details: { enabled: false } };
+      let report;
+      try { report = syncWithVault(); }
+      catch (e) { return { content: [{ type: "text", text: `Vault sync failed: ${e.message}` }], details: { error: e.message } }; }
+      const lines = [`Vault ${vault.path}: ${formatVaultReport(report)}`];
+      for (const b of report.blocked) lines.push(`- blocked ${b.entity}.${b.key} in ${b.file}: ${b.reason} (${b.pattern})`);
+      for (const skipped of report.skipped) lines.push(`- skipped ${skipped}`);
+      return { content: [{ type: "text", text: lines.join("\n") }], details: { path: vault.path, ...report } };
+    },
+  }, { name: "memory_sync" });
+
+  // --- Tool: memory_export ---
+  registerScopedTool({ name: "memory_export", label: "Memory Export",
+    description: "Export memories (decisions, entities, vectors, security events) to a versioned JSON Lines file inside the memory directory, for backup or moving to another machine. Filter by entity, ttl class and date. Exports this agent's namespace and the shared one unless all_namespaces is set. Facts labelled secret are left out unless include_secret is set; exported facts are audited.",
+    parameters: { type: "object", properties: {
+      path: { type: "string", description: `Output file, relative to ${memoryDir} (default: exports/lily-memory-<timestamp>.jsonl)` },
+      entity: { type: "string", description: "Only this entity's facts" },
+      ttl: { type: "string", enum: ["permanent", "stable", "active", "session"], description: "Only this ttl class" },
+      since: { type: "string", description: "Only memories from this date on (ISO date or epoch ms)" },
+      until: { type: "string", description: "Only memories before this date (ISO date or epoch ms)" },
+      vectors: { type: "boolean", description: "Include embeddings (default true)" },
+      all_namespaces: { type: "boolean", description: "Export every namespace, not just this agent's and the shared one" },
+      include_secret: { type: "boolean", description: "Also export facts labelled secret; the read is audited (default: false)" },
+    } },
+    async execute(_id, { path: filePath, entity, ttl, since, until, vectors = true, all_namespaces = false, include_secret = false } = {}, scope) {
+      if (all_namespaces && !isAdminScope(scope)) return adminOnly("export every namespace");
+      const sinceMs = parseDateFilter(since), untilMs = parseDateFilter(until);
+      if (sinceMs === undefined || untilMs === undefined) return { content: [{ type: "text", text: "Invalid date: use an ISO date or epoch milliseconds." }], details: { error: "invalid date" } };
+      const target = resolveExportPath(memoryDir, filePath, Date.now(), protectedPaths);
+      if (target.error) return { content: [{ type: "text", text: `Cannot export: ${target.error}` }], details: { error: target.error } };
+      let result;
+      try { result = exportMemories(dbPath, target.path, { entity: entity ? sanitizeValue(entity) : null, ttl, since: sinceMs, until: untilMs, vectors, namespaces: all_namespaces ? null : scope.namespaces, includeSecret: include_secret }); }
+      catch (e) { return { content: [{ type: "text", text: `Export failed: ${e.message}` }], details: { error: e.message } }; }
+      recordReads(dbPath, result.decisionIds, { source: "memory_export", readBy: scope.namespace, query: path.relative(memoryDir, result.path) });
+      const c = result.counts;
+      return {
+        content: [{ type: "text", text: `Exported to ${result.path}: ${c.decisions} decisions, ${c.entities} entities, ${c.vectors} vectors, ${c.security_events} security events` }],
+        details: { path: result.path, counts: c },
+      };
+    },
+  }, { name: "memory_export" });
+
+  // --- Tool: memory_import ---
+  registerScopedTool({ name: "memory_import", label: "Memory Import",
+    description: "Import a memory_export JSON Lines file from the memory directory. Facts are matched by entity+key; choose how matches merge: skip (default), overwrite, newest-wins or keep-both. Imported facts pass the same injection checks as captured ones and land in this agent's namespace unless keep_namespaces is set.",
+    parameters: { type: "object", properties: {
+      path: { type: "string", description: `Export file, relative to or inside ${memoryDir}` },
+      strategy: { type: "string", enum: MERGE_STRATEGIES, description: "Merge strategy for facts that already exist (default: skip)" },
+      reembed: { type: "boolean", description: "Ignore the file's vectors and embed imported memories with the configured model (default false)" },
+      keep_namespaces: { type: "boolean", description: "Keep each record's namespace from the file instead of importing into this agent's (default false)" },
+    }, required: ["path"] },
+    async execute(_id, { path: filePath, strategy = "skip", reembed = false, keep_namespaces = false }, scope) {
+      if (keep_namespaces && !isAdminScope(scope)) return adminOnly("import into other namespaces");
+      const file = readExportFile(memoryDir, filePath, protectedPaths);
+      if (file.error) return { content: [{ type: "text", text: `Cannot import: ${file.error}` }], details: { error: file.error } };
+      const report = importMemories(dbPath, file.text, { strategy, reembed, model: embedder.id, quotas, access: accessCfg, riskThresholds, namespace: keep_namespaces ? undefined : scope.namespace });
+      if (report.error) return { content: [{ type: "text", text: `Cannot import: ${report.error}` }], details: report };
+
+      const lines = [`Imported ${file.path} (${strategy}): ${formatImportReport(report)}`];
+      for (const b of report.blocked.slice(0, 10)) lines.push(`- blocked ${b.entity ? `${b.entity}.${b.key}` : b.id}: ${b.reason} (${b.pattern})`);
+      if (report.blocked.length > 10) lines.push(`- ...and ${report.blocked.length - 10} more (see memory_security_log)`);
+      if (report.changed.length > 0) {
+        if (vectorsAvailable) {
+          storeEmbeddings(dbPath, embedder, report.changed).catch((e) => log.warn?.(`lily-memory: import embedding failed: ${e.message}`));
+          lines.push(`Embedding ${report.changed.length} memories with ${embedder.id}.`);
+        } else {
+          lines.push(`${report.changed.length} memories will be embedded once ${embedder.id} is available.`);
+        }
+      }
+      log.info?.(`lily-memory: import from ${file.path} — ${formatImportReport(report)}`);
+      return { content: [{ type: "text", text: lines.join("\n") }], details: { path: file.path, strategy, ...report } };
+    },
+  }, { name: "memory_import" });
+
+  // --- Tool: memory_backup_list ---
+  registerScopedTool({ name: "memory_backup_list", label: "Memory Backup List",
+    description: "List backups of the memory database, newest first, with their size and when they were taken. verify: true also runs an integrity check on each.",
+    parameters: { type: "object", properties: {
+      verify: { type: "boolean", description: "Integrity-check each backup (slower)" },
+    } },
+    async execute(_id, { verify = false } = {}, scope) {
+      if (!isAdminScope(scope)) return adminOnly("list backups");
+      const backups = listBackups(dbPath, backupCfg.dir);
+      const schedule = backupCfg.enabled ? `every ${backupCfg.intervalHours}h, keeping ${backupCfg.keepDaily} daily and ${backupCfg.keepWeekly} weekly` : "scheduled backups off";
+      if (backups.length === 0) return { content: [{ type: "text", text: `No backups in ${backupCfg.dir} (${schedule}).` }], details: { dir: backupCfg.dir, count: 0, backups: [] } };
+      const rows = backups.map((b) => {
+        const row = { name: b.name, created_at: b.created_at, label: b.label, size: b.size };
+        if (verify) Object.assign(row, inspectDatabaseFile(b.file));
+        return row;
+      });
+      const lines = rows.map((b) => {
+        const status = !verify ? "" : b.ok ? ` — ok, schema v${b.schemaVersion}, ${b.decisions} decisions` : ` — FAILED: ${b.error}`;
+        return `- ${b.name}: ${new Date(b.created_at).toISOString()}, ${formatSize(b.size)}${b.label ? ` (${b.label})` : ""}${status}`;
+      });
+      return { content: [{ type: "text", text: `Backups in ${backupCfg.dir} (${schedule}):\n\n${lines.join("\n")}` }], details: { dir: backupCfg.dir, count: rows.length, backups: rows } };
+    },
+  }, { name: "memory_backup_list" });
+
+  // --- Tool: memory_restore ---
+  registerScopedTool({ name: "memory_restore", label: "Memory Restore",
+    description: "Restore the memory database from a backup, by name or as of a point in time (the newest backup taken at or before it). The current database is backed up first, so a restore can be undone by restoring that backup.",
+    parameters: { type: "object", properties: {
+      backup: { type: "string", description: "Backup name from memory_backup_list" },
+      at: { type: "string", description: "Restore the state as of this time (ISO date or epoch ms)" },
+    } },
+    async execute(_id, { backup: name, at } = {}, scope) {
+      if (!isAdminScope(scope)) return adminOnly("restore a backup");
+      const atMs = parseDateFilter(at);
+      if (atMs === undefined) return { content: [{ type: "text", text: "Invalid date: use an ISO date or epoch milliseconds." }], details: { error: "invalid date" } };
+      if (!name && atMs === null) return { content: [{ type: "text", text: "Provide a backup name or a point in time (at)." }], details: { error: "missing target" } };
+      if (reembedRun) return { content: [{ type: "text", text: "A re-embed job is running; pause it with memory_reembed first." }], details: { error: "reembed running" } };
+      const target = findBackup(listBackups(dbPath, backupCfg.dir), { name, at: atMs });
+      if (!target) return { content: [{ type: "text", text: name ? `No backup named ${name}.` : `No backup taken at or before ${at}.` }], details: { error: "not found" } };
+
+      if (backupRun) await backupRun;
+      const result = await restoreBackup(dbPath, backupCfg.dir, target);
+      if (result.error) return { content: [{ type: "text", text: `Restore failed: ${result.error}` }], details: { error: result.error } };
+
+      entityCache.clear();
+      vaultChangesToEmbed = [];
+      // A backup may predate encryption or be sealed with another key
+      startEncryption();
+      if (vectorsAvailable && vecIndexEnabled) loadVectorIndex(dbPath, embedder.id, log);
+      // The restored database is authoritative: rewrite the vault from it instead of reading edits back
+      if (vault) {
+        try { syncVault(dbPath, vault.path, { protectedEntities, quotas, undoWindowMs, access: accessCfg, readBack: false }); }
+        catch (e) { log.warn?.(`lily-memory: vault rewrite after restore failed: ${e.message}`); }
+      }
+      const r = result.restored;
+      const undo = result.safety ? ` The previous database was saved as ${result.safety.name}; restore it to undo.` : "";
+      log.info?.(`lily-memory: restored ${r.name}${result.safety ? ` (previous database saved as ${result.safety.name})` : ""}`);
+      return {
+        content: [{ type: "text", text: `Restored ${r.name} (taken ${new Date(r.created_at).toISOString()}, ${r.decisions} decisions).${undo}` }],
+        details: { restored: r.name, created_at: r.created_at, decisions: r.decisions, safety: result.safety?.name || null, migrated: result.migrated },
+      };
+    },
+  }, { name: "memory_restore" });
+
+  // --- Tool: memory_doctor ---
+  registerScopedTool({ name: "memory_doctor", label: "Memory Doctor",
+    description: "Check the memory database: SQLite integrity, full-text indexes, orphaned vectors, vector dimensions, expired rows and memories missing an embedding. Pass repair actions to fix what the report flags.",
+    parameters: { type: "object", properties: {
+      repair: { type: "array", items: { type: "string", enum: DOCTOR_REPAIRS }, description: "Repairs to run before reporting: rebuild_fts, purge_orphans, reembed_missing" },
+    } },
+    async execute(_id, { repair = [] } = {}, scope) {
+      const actions = (Array.isArray(repair) ? repair : [repair]).filter((a) => DOCTOR_REPAIRS.includes(a));
+      if (actions.length > 0 && !isAdminScope(scope)) return adminOnly("run doctor repairs");
+      const model = vectorsAvailable ? embedder.id : undefined;
+      const repairs = repairDatabase(dbPath, actions);
+      if (actions.includes("reembed_missing")) {
+        if (!vectorsAvailable) repairs.push({ action: "reembed_missing", ok: false, detail: `embedding provider ${embedder.id} is unavailable` });
+        else {
+          const result = await startReembed(dbPath, embedder);
+          if (result.error) repairs.push({ action: "reembed_missing", ok: false, detail: result.error });
+          else {
+            runReembed(result.job.id);
+            repairs.push({ action: "reembed_missing", ok: true, detail: `re-embed job ${result.resumed ? "resumed" : "started"} for ${result.job.total - result.job.done} memories (see memory_reembed)` });
+          }
+        }
+      }
+      for (const r of repairs) log.info?.(`lily-memory: doctor repair ${r.action} — ${r.detail}`);
+
+      const report = runDoctor(dbPath, { model, dims: providerDims });
+      const lines = [`Memory doctor: ${summarizeDoctorReport(report)}`, "", ...formatDoctorReport(report)];
+      if (repairs.length > 0) lines.push("", "Repairs:", ...repairs.map((r) => `- ${r.action}: ${r.ok ? "" : "failed — "}${r.detail}`));
+      const fixes = [...new Set(report.checks.filter((c) => c.status !== "ok" && c.repair).map((c) => c.repair))];
+      if (fixes.length > 0 && repairs.length === 0) lines.push("", `Run memory_doctor with repair: ${JSON.stringify(fixes)} to fix.`);
+      return { content: [{ type: "text", text: lines.join("\n") }], details: { ...report, repairs } };
     },
-  }, { name: "memory_store" });
+  }, { name: "memory_doctor" });
+
+  // --- Tool: memory_rotate_key ---
+  registerScopedTool({ name: "memory_rotate_key", label: "Memory Rotate Key",
+    description: "Rotate the encryption key: every encrypted field is re-sealed with a new key in one transaction, and the blind search index is rebuilt. Without new_key_file a key is generated. The configured key file is replaced and the old key kept next to it, as backups taken before the rotation need it.",
+    parameters: { type: "object", properties: {
+      new_key_file: { type: "string", description: "File holding the new key (64 hex characters or 32 bytes of base64); required when the key comes from the environment" },
+    } },
+    async execute(_id, { new_key_file } = {}, scope) {
+      if (!isAdminScope(scope)) return adminOnly("rotate the encryption key");
+      if (!encryptionCfg.enabled) return { content: [{ type: "text", text: "Encryption is off. Set the encryption config option to enable it." }], details: { enabled: false } };
+      if (backupRun) await backupRun;
+      const result = rotateKey(dbPath, encryptionCfg, { newKeyFile: new_key_file });
+      if (!result.ok) return { content: [{ type: "text", text: `Key rotation failed: ${result.error}` }], details: { error: result.error } };
+      log.info?.(`lily-memory: encryption key rotated ${result.oldKeyId} -> ${result.keyId} (${result.rows} rows)`);
+      const next = result.keyFile
+        ? `${result.keyFile} now holds the new key; the old key was kept as ${result.oldKeyFile}.`
+        : `Set $${encryptionCfg.keyEnv} to the contents of ${new_key_file} (or point encryption.keyFile at it) before the next restart.`;
+      const unreadable = result.unreadable ? ` ${result.unreadable} values sealed with another key could not be opened and were left as they were.` : "";
+      return {
+        content: [{ type: "text", text: `Rotated the encryption key ${result.oldKeyId} -> ${result.keyId}: ${result.rows} rows re-sealed. ${next}${unreadable}` }],
+        details: result,
+      };
+    },
+  }, { name: "memory_rotate_key" });
+
+  // --- Tool: memory_forget ---
+  registerScopedTool({ name: "memory_forget", label: "Memory Forget",
+    description: "Retract facts from persistent memory. Target by id, by entity+key, or by a keyword query. Forgotten facts are kept as tombstones so auto-capture won't re-learn them, and can be restored with memory_undo_forget for a limited time.",
+    parameters: { type: "object", properties: {
+      id: { type: "string", description: "Decision ID to forget" },
+      entity: { type: "string", description: "Entity name (use with key)" },
+      key: { type: "string", description: "Fact key (use with entity)" },
+      query: { type: "string", description: "FTS5 keyword query matching facts to forget" },
+      limit: { type: "number", description: "Max facts to forget for a query (default: 5)" },
+      reason: { type: "string", description: "Why the fact is wrong or obsolete" },
+    } },
+    async execute(_id, params = {}, scope) {
+      const { id, entity, key, query, limit, reason } = params;
+      if (!id && !(entity && key) && !query)
+        return { content: [{ type: "text", text: "Provide an id, an entity and key, or a query to select facts to forget." }], details: { count: 0 } };
+      const { batchId, forgotten } = forgetFacts(dbPath, { id, entity, key, query, limit, namespaces: scope.namespaces }, { reason: reason ? sanitizeValue(reason) : null, undoWindowMs });
+      if (!forgotten.length) return { content: [{ type: "text", text: "No matching memories to forget." }], details: { count: 0 } };
+      log.info?.(`lily-memory: forgot ${forgotten.length} fact(s) (batch ${batchId})`);
+      const lines = forgotten.map((f, i) => f.entity && f.fact_key ? `${i+1}. **${f.entity}**.${f.fact_key} = ${f.fact_value}` : `${i+1}. ${f.description}`);
+      const hours = Math.round(undoWindowMs / 3600000);
+      let text = `Forgot ${forgotten.length} memories:\n\n${lines.join("\n")}\n\nUndo with memory_undo_forget (batch ${batchId}) within ${hours}h.`;
+      if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
+      return { content: [{ type: "text", text }], details: { count: forgotten.length, batchId, forgotten } };
+    },
+  }, { name: "memory_forget" });
+
+  // --- Tool: memory_undo_forget ---
+  registerScopedTool({ name: "memory_undo_forget", label: "Memory Undo Forget",
+    description: "Restore facts removed by memory_forget while the undo window is open. Defaults to the most recent forget.",
+    parameters: { type: "object", properties: {
+      batch_id: { type: "string", description: "Forget batch to restore (default: most recent)" },
+    } },
+    async execute(_id, { batch_id } = {}, scope) {
+      const result = undoForget(dbPath, batch_id, scope.namespaces);
+      if (result.error) return { content: [{ type: "text", text: `Undo failed: ${result.error}.` }], details: result };
+      if (vectorsAvailable && result.restored.length > 0) {
+        storeEmbeddings(dbPath, embedder, result.restored).catch((e) => log.warn?.(`lily-memory: embedding failed: ${e.message}`));
+      }
+      const lines = result.restored.map((r) => `- ${r.text}`);
+      for (const s of result.skipped) lines.push(`- skipped ${s.id}: ${s.reason}`);
+      const text = `Restored ${result.restored.length} memories (batch ${result.batchId}):\n\n${lines.join("\n")}`;
+      return { content: [{ type: "text", text }], details: result };
+    },
+  }, { name: "memory_undo_forget" });
+
+  // --- Tool: memory_history ---
+  registerScopedTool({ name: "memory_history", label: "Memory History",
+    description: "Show every value an entity.key has held, oldest first, with who wrote it and when. Use the revision ids with memory_revert.",
+    parameters: { type: "object", properties: {
+      entity: { type: "string", description: "Entity name" },
+      key: { type: "string", description: "Fact key" },
+      include_secret: { type: "boolean", description: "Also show the history of a fact labelled secret; the read is audited (default: false)" },
+    }, required: ["entity", "key"] },
+    async execute(_id, { entity, key, include_secret = false }, scope) {
+      let rows = getFactHistory(dbPath, entity, key, undefined, scope.namespaces);
+      const decisionIds = [...new Set(rows.map((r) => r.decision_id))];
+      if (!include_secret && decisionIds.length > 0) {
+        const secret = new Set(sqliteQuery(dbPath,
+          `SELECT id FROM decisions WHERE sensitivity = 'secret' AND id IN (${decisionIds.map(() => "?").join(", ")})`, decisionIds
+        ).map((r) => r.id));
+        if (secret.size > 0) {
+          rows = rows.filter((r) => !secret.has(r.decision_id));
+          if (!rows.length) return { content: [{ type: "text", text: `${entity}.${key} is labelled secret — call again with include_secret to read its history.` }], details: { count: 0, secret: true } };
+        }
+      }
+      if (!rows.length) return { content: [{ type: "text", text: `No history for ${entity}.${key}.` }], details: { count: 0 } };
+      recordReads(dbPath, rows.map((r) => r.decision_id), { source: "memory_history", readBy: scope.namespace, query: `${entity}.${key}` });
+      const lines = rows.map((r, i) => {
+        const time = new Date(r.created_at).toISOString();
+        const current = r.superseded_at === null ? " **(current)**" : "";
+        return `${i+1}. [${time}] ${r.fact_value}${current}\n   Source: ${r.source_role || "unknown"} | Session: ${r.session_id || "n/a"} | Revision: ${r.id}`;
+      });
+      let text = `History of **${entity}**.${key} (${rows.length} revisions):\n\n${lines.join("\n")}`;
+      if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
+      return { content: [{ type: "text", text }], details: { count: rows.length, revisions: rows } };
+    },
+  }, { name: "memory_history" });
+
+  // --- Tool: memory_revert ---
+  registerScopedTool({ name: "memory_revert", label: "Memory Revert",
+    description: "Restore a fact to the value of an earlier revision from memory_history. The revert is recorded as a new revision.",
+    parameters: { type: "object", properties: {
+      revision_id: { type: "string", description: "Revision ID from memory_history" },
+    }, required: ["revision_id"] },
+    async execute(_id, { revision_id }, scope) {
+      const result = revertToRevision(dbPath, revision_id, scope.namespaces);
+      if (!result.success) return { content: [{ type: "text", text: `Revert failed: ${result.error}` }], details: result };
+      if (vectorsAvailable) {
+        deleteVectors(dbPath, `decision_id = ?`, [result.decisionId]);
+        storeEmbedding(dbPath, embedder, result.decisionId, `${result.entity}.${result.key} = ${result.value}`).catch((e) => log.warn?.(`lily-memory: embedding failed: ${e.message}`));
+      }
+      log.info?.(`lily-memory: reverted ${result.entity}.${result.key} to revision ${revision_id}`);
+      return { content: [{ type: "text", text: `Reverted: ${result.entity}.${result.key} = ${result.value}` }], details: result };
+    },
+  }, { name: "memory_revert" });
+
+  // --- Tool: memory_conflicts ---
+  registerScopedTool({ name: "memory_conflicts", label: "Memory Conflicts",
+    description: "List captured updates that contradict an existing fact and were held back, or resolve one. 'accept' replaces the stored value with the new one; 'reject' keeps the stored value. Ask the user when unsure which is right.",
+    parameters: { type: "object", properties: {
+      action: { type: "string", enum: ["list", "accept", "reject"], description: "list (default), accept or reject" },
+      conflict_id: { type: "string", description: "Conflict ID (required for accept/reject)" },
+      status: { type: "string", description: "For list: pending (default), accepted, rejected, auto_accepted, superseded, or all" },
+      limit: { type: "number", description: "Max conflicts to list (default: 10)" },
+      include_secret: { type: "boolean", description: "For list: also show conflicts on facts labelled secret (default: false)" },
+    } },
+    async execute(_id, { action = "list", conflict_id, status = "pending", limit = 10, include_secret = false } = {}, scope) {
+      if (action === "accept" || action === "reject") {
+        if (!conflict_id) return { content: [{ type: "text", text: `conflict_id is required to ${action} a conflict.` }] };
+        const result = resolveConflict(dbPath, conflict_id, action, null, scope.namespaces);
+        if (!result.success) return { content: [{ type: "text", text: `Resolve failed: ${result.error}` }], details: result };
+        if (action === "accept" && vectorsAvailable) {
+          deleteVectors(dbPath, `decision_id = ?`, [result.decisionId]);
+          storeEmbedding(dbPath, embedder, result.decisionId, `${result.entity}.${result.key} = ${result.value}`).catch((e) => log.warn?.(`lily-memory: embedding failed: ${e.message}`));
+        }
+        const verb = action === "accept" ? "Accepted" : "Rejected";
+        return { content: [{ type: "text", text: `${verb}: ${result.entity}.${result.key} = ${result.value}` }], details: result };
+      }
+
+      const safeLimit = Math.max(1, Math.min(50, parseInt(limit, 10) || 10));
+      const rows = getConflicts(dbPath, status, safeLimit, scope.namespaces, include_secret);
+      if (!rows.length) return { content: [{ type: "text", text: `No ${status === "all" ? "" : status + " "}fact conflicts.` }], details: { count: 0 } };
+      const lines = rows.map((c, i) => {
+        const time = new Date(c.detected_at).toISOString();
+        return `${i+1}. **${c.entity}**.${c.fact_key} [${c.status}, score ${c.score.toFixed(2)}] [${time}]\n   Stored: ${c.old_value} (${c.old_source_role || "unknown"})\n   Incoming: ${c.new_value} (${c.new_source_role || "unknown"})\n   ID: ${c.id}`;
+      });
+      let text = `Fact conflicts (${rows.length}):\n\n${lines.join("\n\n")}`;
+      if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
+      return { content: [{ type: "text", text }], details: { count: rows.length, conflicts: rows } };
+    },
+  }, { name: "memory_conflicts" });
+
+  // --- Tool: memory_evictions ---
+  registerScopedTool({ name: "memory_evictions", label: "Memory Evictions",
+    description: "List facts archived because a ttl-class or entity quota was full, newest first. Archived facts stay searchable with memory_search include_archived.",
+    parameters: { type: "object", properties: {
+      limit: { type: "number", description: "Max entries (default: 20)" },
+    } },
+    async execute(_id, { limit = 20 } = {}, scope) {
+      const rows = getEvictionLog(dbPath, parseInt(limit, 10) || 20, scope.namespaces);
+      if (!rows.length) return { content: [{ type: "text", text: "No evictions recorded." }], details: { count: 0 } };
+      const lines = rows.map((r) => {
+        const what = r.entity && r.fact_key ? `**${r.entity}**.${r.fact_key} = ${r.fact_value}` : r.description;
+        return `- ${new Date(r.evicted_at).toISOString()} ${what} _(${r.ttl_class}, importance ${Number(r.importance).toFixed(2)}, quota ${r.quota} = ${r.quota_limit}, via ${r.source})_`;
+      });
+      let text = `Evictions (${rows.length}):\n\n${lines.join("\n")}`;
+      if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
+      return { content: [{ type: "text", text }], details: { count: rows.length, results: rows } };
+    },
+  }, { name: "memory_evictions" });
+
+  // --- Tool: memory_reembed ---
+  registerScopedTool({ name: "memory_reembed", label: "Memory Re-embed",
+    description: "Show which embedding models stored vectors come from, or start/pause the background job that re-embeds every memory with the configured model. Semantic search only compares vectors from the configured model.",
+    parameters: { type: "object", properties: {
+      action: { type: "string", enum: ["status", "start", "pause"], description: "status (default), start (or resume) or pause" },
+      replace_mismatched: { type: "boolean", description: "For start: delete vectors stored under the configured model whose size no longer matches, and re-create them" },
+    } },
+    async execute(_id, { action = "status", replace_mismatched = false } = {}, scope) {
+      if (action !== "status" && !isAdminScope(scope)) return adminOnly(`${action} the re-embed job`);
+      if (action === "start") {
+        if (!vectorsAvailable) return { content: [{ type: "text", text: `Embedding provider ${embedder.id} is unavailable; cannot re-embed.` }], details: { started: false, reason: "vectors_unavailable" } };
+        const result = await startReembed(dbPath, embedder, { replaceMismatched: replace_mismatched });
+        if (result.error) return { content: [{ type: "text", text: `Re-embed not started: ${result.error}` }], details: { started: false, error: result.error } };
+        runReembed(result.job.id);
+        const replaced = result.replaced ? ` ${result.replaced} mismatched vectors removed.` : "";
+        return { content: [{ type: "text", text: `Re-embed to ${embedder.id} ${result.resumed ? "resumed" : "started"}: ${result.job.done}/${result.job.total} done.${replaced}` }], details: { started: true, ...result } };
+      }
+      if (action === "pause") {
+        pauseReembed(dbPath);
+        return { content: [{ type: "text", text: "Re-embed paused. Start it again to resume." }], details: { paused: true } };
+      }
+
+      const job = getReembedJob(dbPath);
+      const models = getVectorModels(dbPath);
+      const pending = countPendingReembed(dbPath, embedder.id);
+      const lines = [`Embedding model: ${embedder.id}`];
+      if (job) {
+        const when = new Date(job.started_at).toISOString();
+        lines.push(`Last job: ${job.status} — ${job.target_model}, ${job.done}/${job.total} embedded, ${job.failed} failed${job.pruned ? `, ${job.pruned} old vectors removed` : ""} (started ${when})`);
+      } else {
+        lines.push("No re-embed job has run.");
+      }
+      lines.push("", "Vectors by model:");
+      lines.push(...(models.length ? models.map((m) => `- ${m.model}: ${m.count} (${m.dims} dims)${m.model === embedder.id ? " ← current" : ""}`) : ["- none"]));
+      lines.push("", `Memories without a ${embedder.id} vector: ${pending}`);
+      return { content: [{ type: "text", text: lines.join("\n") }], details: { job, models, pending } };
+    },
+  }, { name: "memory_reembed" });
+
+  // --- Tool: memory_embedding_stats ---
+  registerScopedTool({ name: "memory_embedding_stats", label: "Memory Embedding Stats",
+    description: "Show embedding cache hit rates and model server requests since startup.",
+    parameters: { type: "object", properties: {} },
+    async execute() {
+      const st = embedder.stats();
+      const text = [
+        `Embedding model: ${embedder.id}${vectorsAvailable ? "" : " (unavailable)"}`,
+        `Query LRU: ${hitRate(st.queryHits, st.queryMisses)} hit rate (${st.queryHits} hits, ${st.queryMisses} misses, ${st.queryEntries}/${embeddingCache.querySize} entries)`,
+        `Embedding cache: ${hitRate(st.cacheHits, st.cacheMisses)} hit rate (${st.cacheHits} hits, ${st.cacheMisses} misses, ${st.cacheEntries}/${embeddingCache.maxEntries} entries)`,
+        `Model server: ${st.requests} requests for ${st.embedded} texts (batches of up to ${embedder.batchSize})`,
+      ].join("\n");
+      return { content: [{ type: "text", text }], details: st };
+    },
+  }, { name: "memory_embedding_stats" });
+
+  // --- Tool: memory_test_extraction ---
+  registerScopedTool({ name: "memory_test_extraction", label: "Memory Test Extraction",
+    description: "Show which extraction patterns (built-in and from config) fire on a sample text, what fact each would capture, and why a match would be rejected. Nothing is stored.",
+    parameters: { type: "object", properties: {
+      text: { type: "string", description: "Sample message text" },
+      role: { type: "string", enum: ["user", "assistant"], description: "Message role to simulate (default: user)" },
+      language: { type: "string", description: "Language pack to use (default: detected among enabled languages)" },
+    }, required: ["text"] },
+    async execute(_id, { text: sample, role = "user", language }, scope) {
+      const untrusted = role === "user" && isUntrustedContent(sample);
+      const lang = languages.includes(language) ? language : detectLanguage(sample, languages);
+      const pack = getLanguagePack(lang);
+      const matches = matchPatterns(sample, entitiesFor(scope), patternRegistry.byLanguage[lang] || pack.patterns, pack);
+      for (const m of matches) {
+        if (!m.accepted) continue;
+        const sec = checkInjection(m.fact, role, protectedEntities, untrusted, riskThresholds);
+        m.risk = { score: sec.score, contributions: sec.contributions };
+        if (sec.blocked) { m.accepted = false; m.reason = `${sec.quarantined ? "quarantined" : `blocked: ${sec.reason}`}, risk ${sec.score}: ${explainRisk(sec.contributions).join("; ")}`; }
+      }
+      const lines = matches.map((m) => {
+        const fact = m.fact ? `${m.fact.entity}.${m.fact.key} = ${m.fact.value}` : `"${m.match.substring(0, 80)}"`;
+        const extras = [m.fact?.ttl && `ttl ${m.fact.ttl}`, typeof m.fact?.importance === "number" && `importance ${m.fact.importance}`].filter(Boolean).join(", ");
+        return `- ${m.accepted ? "captured" : `skipped (${m.reason})`} [${m.pattern}] ${fact}${extras ? ` _(${extras})_` : ""}`;
+      });
+      const rejected = patternRegistry.errors.map((e) => `- ${e.name}: ${e.error}`);
+      let text = `Language: ${pack.name} (${lang})\n\n`;
+      text += matches.length ? `Pattern matches (${matches.length}):\n\n${lines.join("\n")}` : "No patterns matched.";
+      if (rejected.length) text += `\n\nRejected config patterns:\n${rejected.join("\n")}`;
+      if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
+      return { content: [{ type: "text", text }], details: { language: lang, count: matches.length, matches, rejected: patternRegistry.errors } };
+    },
+  }, { name: "memory_test_extraction" });
 
   // --- Tool: memory_semantic_search (output-capped) ---
-  api.registerTool({ name: "memory_semantic_search", label: "Memory Semantic Search",
+  registerScopedTool({ name: "memory_semantic_search", label: "Memory Semantic Search",
     description: "Search memory using semantic similarity (vector embeddings). Finds related memories even when exact keywords don't match.",
     parameters: { type: "object", properties: {
       query: { type: "string", description: "Natural language search query" },
       limit: { type: "number", description: "Max results (default: 5)" },
       threshold: { type: "number", description: "Min similarity 0-1 (default: 0.5)" },
+      include_secret: { type: "boolean", description: "Also return facts labelled secret; the read is audited (default: false)" },
     }, required: ["query"] },
-    async execute(_id, params) {
-      if (!vectorsAvailable) return { content: [{ type: "text", text: "Semantic search is unavailable (Ollama embeddings not configured). Use memory_search for keyword search." }], details: { count: 0, reason: "vectors_unavailable" } };
-      const { query, limit = 5, threshold = vecThreshold } = params;
+    async execute(_id, params, scope) {
+      if (!vectorsAvailable) return { content: [{ type: "text", text: "Semantic search is unavailable (embedding provider not reachable). Use memory_search for keyword search." }], details: { count: 0, reason: "vectors_unavailable" } };
+      const { query, limit = 5, threshold = vecThreshold, include_secret = false } = params;
       const safeLimit = Math.max(1, Math.min(50, parseInt(limit, 10) || 5));
-      const rows = await vectorSearch(dbPath, ollamaUrl, embModel, query, safeLimit, threshold);
+      const rows = await vectorSearch(dbPath, embedder, query, safeLimit, threshold, { namespaces: scope.namespaces, includeSecret: include_secret });
       if (!rows.length) return { content: [{ type: "text", text: "No semantically similar memories found." }], details: { count: 0 } };
-      const lines = rows.map((r, i) => { const s = (r.similarity*100).toFixed(0); return r.entity && r.fact_key ? `${i+1}. **${r.entity}**.${r.fact_key} = ${r.fact_value} _(${s}% similar)_` : `${i+1}. [${r.category}] ${r.description} _(${s}% similar)_`; });
+      recordReads(dbPath, rows.map((r) => r.decision_id), { source: "memory_semantic_search", readBy: scope.namespace, query });
+      const lines = rows.map((r, i) => { const s = (r.similarity*100).toFixed(0) + "% similar" + (r.sensitivity === "secret" ? ", secret" : ""); return r.entity && r.fact_key ? `${i+1}. **${r.entity}**.${r.fact_key} = ${r.fact_value} _(${s})_` : `${i+1}. [${r.category}] ${r.description} _(${s})_`; });
       let text = `Found ${rows.length} semantically similar memories:\n\n${lines.join("\n")}`;
       if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
       return { content: [{ type: "text", text }], details: { count: rows.length, results: rows } };
@@ -252,33 +1084,35 @@ export default function register(api) {
   }, { name: "memory_semantic_search" });
 
   // --- Tool: memory_add_entity ---
-  api.registerTool({ name: "memory_add_entity", label: "Add Memory Entity",
+  registerScopedTool({ name: "memory_add_entity", label: "Add Memory Entity",
     description: "Register a new entity name so the memory system recognizes it during auto-capture.",
     parameters: { type: "object", properties: { name: { type: "string", description: "Entity name (letters, numbers, dots, underscores)" } }, required: ["name"] },
-    async execute(_id, { name }) {
+    async execute(_id, { name }, scope) {
       if (!name || typeof name !== "string" || !/^[A-Za-z][A-Za-z0-9_.]*$/.test(name) || name.length < 2 || name.length > 60)
         return { content: [{ type: "text", text: `Invalid entity name "${name}". Must start with a letter, 2-60 chars, only letters/numbers/dots/underscores.` }] };
-      if (!addEntityToDb(dbPath, name, "tool")) return { content: [{ type: "text", text: `Failed to register entity "${name}".` }] };
-      runtimeEntities.add(name.toLowerCase());
-      return { content: [{ type: "text", text: `Entity "${name}" registered (${runtimeEntities.size} total).` }] };
+      if (!addEntityToDb(dbPath, name, "tool", scope.namespace)) return { content: [{ type: "text", text: `Failed to register entity "${name}".` }] };
+      const entities = entitiesFor(scope);
+      entities.add(name.toLowerCase());
+      return { content: [{ type: "text", text: `Entity "${name}" registered (${entities.size} total).` }] };
     },
   }, { name: "memory_add_entity" });
 
   // --- Tool: memory_security_log ---
-  api.registerTool({ name: "memory_security_log", label: "Memory Security Log",
-    description: "View recent blocked injection attempts against persistent memory. Use to identify suspicious sources and potential prompt injection attacks.",
+  registerScopedTool({ name: "memory_security_log", label: "Memory Security Log",
+    description: "View recent blocked and quarantined injection attempts in your namespaces, with the risk score and what it was made of, and redactions of keys, tokens and personal data. Use to identify suspicious sources and potential prompt injection attacks.",
     parameters: { type: "object", properties: {
       limit: { type: "number", description: "Max events to return (default: 10)" },
       since_hours: { type: "number", description: "Hours to look back (default: 24)" },
     } },
-    async execute(_id, { limit = 10, since_hours = 24 } = {}) {
+    async execute(_id, { limit = 10, since_hours = 24 } = {}, scope) {
       const safeLimit = Math.max(1, Math.min(50, parseInt(limit, 10) || 10));
       const sinceMs = Date.now() - (Math.max(1, parseInt(since_hours, 10) || 24) * 3600000);
-      const rows = getSecurityEvents(dbPath, sinceMs, safeLimit);
+      const rows = getSecurityEvents(dbPath, sinceMs, safeLimit, scope.namespaces);
       if (!rows.length) return { content: [{ type: "text", text: "No security events in the specified time window." }], details: { count: 0 } };
       const lines = rows.map((r, i) => {
         const time = new Date(r.timestamp).toISOString();
-        return `${i+1}. **${r.event_type}** [${time}]\n   Source: ${r.source_role} | Entity: ${r.entity} | Key: ${r.fact_key}\n   Value: ${r.fact_value}\n   Pattern: ${r.matched_pattern}\n   Snippet: ${r.source_snippet ? r.source_snippet.substring(0, 100) + "..." : "n/a"}`;
+        const risk = r.risk_score === null ? "" : `\n   Risk: ${r.risk_score}${r.risk_breakdown?.length ? ` = ${explainRisk(r.risk_breakdown).join(" + ")}` : ""}${r.review_status ? ` (${r.review_status})` : ""}`;
+        return `${i+1}. **${r.event_type}** [${time}]\n   Source: ${r.source_role} | Entity: ${r.entity} | Key: ${r.fact_key}\n   Value: ${r.fact_value}\n   Pattern: ${r.matched_pattern}${risk}\n   Snippet: ${r.source_snippet ? r.source_snippet.substring(0, 100) + "..." : "n/a"}`;
       });
       let text = `Security events (${rows.length}):\n\n${lines.join("\n\n")}`;
       if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
@@ -286,10 +1120,82 @@ export default function register(api) {
     },
   }, { name: "memory_security_log" });
 
+  // --- Tool: memory_quarantine ---
+  registerScopedTool({ name: "memory_quarantine", label: "Memory Quarantine",
+    description: "Review facts held back because their injection-risk score reached the quarantine threshold but not the block threshold. List them with the score breakdown, release one (it is stored like memory_store, with a 14-day TTL) or discard it.",
+    parameters: { type: "object", properties: {
+      action: { type: "string", enum: ["list", "release", "discard"], description: "list (default), release or discard" },
+      id: { type: "string", description: "Quarantined event id (required for release and discard)" },
+      limit: { type: "number", description: "Max facts to list (default: 10)" },
+    } },
+    async execute(_id, { action = "list", id, limit = 10 } = {}, scope) {
+      if (action === "release" || action === "discard") {
+        if (!id) return { content: [{ type: "text", text: `Provide the id of the quarantined fact to ${action}.` }], details: { error: "missing id" } };
+        const { event, error } = reviewQuarantine(dbPath, id, action === "release" ? "released" : "discarded", scope.namespaces);
+        if (error) return { content: [{ type: "text", text: `Cannot ${action} ${id}: ${error}.` }], details: { error } };
+        if (action === "discard") return { content: [{ type: "text", text: `Discarded ${event.entity}.${event.fact_key} = ${event.fact_value}.` }], details: { action, id } };
+        log.info?.(`lily-memory: released quarantined fact ${event.entity}.${event.fact_key} (risk ${event.risk_score})`);
+        const stored = await storeTool.execute(_id, { entity: event.entity, key: event.fact_key, value: event.fact_value, ttl: "active" }, { ...scope, namespace: event.namespace || scope.namespace });
+        return { content: [{ type: "text", text: `Released from quarantine. ${stored.content[0].text}` }], details: { action, id, ...stored.details } };
+      }
+      const safeLimit = Math.max(1, Math.min(50, parseInt(limit, 10) || 10));
+      const rows = getQuarantine(dbPath, safeLimit, scope.namespaces);
+      if (!rows.length) return { content: [{ type: "text", text: "No facts are waiting in quarantine." }], details: { count: 0 } };
+      const lines = rows.map((r, i) => {
+        const fact = r.entity && r.fact_key ? `**${r.entity}**.${r.fact_key} = ${r.fact_value}` : r.fact_value;
+        const why = r.risk_breakdown ? explainRisk(r.risk_breakdown).map((l) => `   - ${l}`).join("\n") : "";
+        return `${i+1}. ${fact} _(risk ${r.risk_score}, from ${r.source_role}, id ${r.id})_\n${why}`;
+      });
+      let text = `Quarantined facts (${rows.length}):\n\n${lines.join("\n")}\n\nRelease or discard with memory_quarantine(action, id).`;
+      if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
+      return { content: [{ type: "text", text }], details: { count: rows.length, quarantined: rows } };
+    },
+  }, { name: "memory_quarantine" });
+
+  // --- Tool: memory_label ---
+  registerScopedTool({ name: "memory_label", label: "Memory Label",
+    description: "Set the sensitivity label of a fact: public, internal or secret. Secret facts are never auto-recalled and need include_secret to read.",
+    parameters: { type: "object", properties: {
+      id: { type: "string", description: "Fact ID" },
+      entity: { type: "string", description: "Entity name (with key, instead of id)" },
+      key: { type: "string", description: "Fact key (with entity, instead of id)" },
+      sensitivity: { type: "string", enum: SENSITIVITY_LEVELS, description: "New label" },
+    }, required: ["sensitivity"] },
+    async execute(_id, { id, entity, key, sensitivity }, scope) {
+      if (!id && !(entity && key)) return { content: [{ type: "text", text: "Give an id, or an entity and key." }], details: { updated: 0 } };
+      const result = setSensitivity(dbPath, { id, entity, key, namespaces: scope.namespaces }, sensitivity);
+      if (result.error) return { content: [{ type: "text", text: `Label failed: ${result.error}.` }], details: result };
+      log.info?.(`lily-memory: labelled ${id || `${entity}.${key}`} ${sensitivity} (${result.updated} facts)`);
+      return { content: [{ type: "text", text: `Labelled ${result.updated} fact(s) ${sensitivity}.` }], details: result };
+    },
+  }, { name: "memory_label" });
+
+  // --- Tool: memory_read_log ---
+  registerScopedTool({ name: "memory_read_log", label: "Memory Read Log",
+    description: "View the audit of memory reads: which facts were recalled or returned by a tool, when, and to whom. Use to check who has read secret facts.",
+    parameters: { type: "object", properties: {
+      limit: { type: "number", description: "Max reads to return (default: 20)" },
+      sensitivity: { type: "string", enum: SENSITIVITY_LEVELS, description: "Only reads of facts with this label" },
+      entity: { type: "string", description: "Only reads of this entity's facts" },
+    } },
+    async execute(_id, { limit = 20, sensitivity, entity } = {}, scope) {
+      const rows = getReadLog(dbPath, { limit, sensitivity, entity, namespaces: scope.namespaces });
+      if (!rows.length) return { content: [{ type: "text", text: "No reads recorded." }], details: { count: 0 } };
+      const lines = rows.map((r, i) => {
+        const time = new Date(r.read_at).toISOString();
+        return `${i+1}. [${time}] **${r.source}** read ${r.entity ? `${r.entity}.${r.fact_key}` : r.decision_id} (${r.sensitivity})\n   By: ${r.read_by || "unknown"} | Query: ${r.query ? r.query.substring(0, 100) : "n/a"}`;
+      });
+      let text = `Memory reads (${rows.length}):\n\n${lines.join("\n\n")}`;
+      if (text.length > TOOL_RESULT_MAX_CHARS) text = text.substring(0, TOOL_RESULT_MAX_CHARS - 20) + "\n\n...(truncated)";
+      return { content: [{ type: "text", text }], details: { count: rows.length, reads: rows } };
+    },
+  }, { name: "memory_read_log" });
+
   // --- Hook: before_agent_start (budget-aware recall with injection cooldown) ---
   if (autoRecall) {
-    api.on("before_agent_start", async (event) => {
+    api.on("before_agent_start", async (event, agentCtx) => {
       try {
+        const scope = namespaceScope(namespaceCfg, agentCtx);
         // Apply context pressure scaling to budget
         const effectiveBudget = Math.floor(baseBudget * currentPressureScale);
 
@@ -301,16 +1207,35 @@ export default function register(api) {
 
         const prompt = event.prompt || "", parts = [];
 
-        // Build budget-aware FTS context
-        const { lines: ftsLines, ftsIds, budgetReport } = buildFtsContext(dbPath, prompt, maxRecallResults, effectiveBudget);
+        const pendingConflicts = conflictOpts ? getConflicts(dbPath, "pending", 3, scope.namespaces) : [];
+        let ctx, budgetReport, injectedIds, matchedIds;
 
-        // Vector search uses remaining budget
-        let vec = [];
-        if (vectorsAvailable && prompt.length >= 10 && budgetReport.remaining > 100) {
-          try { vec = await vectorSearch(dbPath, ollamaUrl, embModel, prompt, 5, vecThreshold); } catch {}
-        }
+        if (recallRanking === "hybrid") {
+          // One ranking over every source; vectors are fused rather than appended
+          let vec = [];
+          if (vectorsAvailable && prompt.length >= 10) {
+            try { vec = await vectorSearch(dbPath, embedder, prompt, maxRecallResults, vecThreshold, { namespaces: scope.namespaces }); } catch {}
+          }
+          const hybrid = buildHybridContext(dbPath, prompt, vec, maxRecallResults, effectiveBudget, { conflicts: pendingConflicts, weights: rankWeights, estimator: budgetEstimator, namespaces: scope.namespaces });
+          budgetReport = hybrid.budgetReport;
+          injectedIds = hybrid.ids;
+          matchedIds = hybrid.matchedIds;
+          ctx = buildRecallContext(hybrid.lines, hybrid.ids, [], hybrid.budget, null, null, await findDocumentChunks(prompt, scope.namespaces));
+        } else {
+          // Build budget-aware FTS context
+          const fts = buildFtsContext(dbPath, prompt, maxRecallResults, effectiveBudget, { conflicts: pendingConflicts, sectionWeights, estimator: budgetEstimator, namespaces: scope.namespaces });
+
+          // Vector search gets its own share plus whatever earlier sections left unused
+          let vec = [];
+          if (vectorsAvailable && prompt.length >= 10 && fts.budget.hasRoom("vector")) {
+            try { vec = await vectorSearch(dbPath, embedder, prompt, 5, vecThreshold, { namespaces: scope.namespaces }); } catch {}
+          }
 
-        const ctx = buildRecallContext(ftsLines, ftsIds, vec, budgetReport.remaining);
+          injectedIds = fts.injectedIds;
+          ctx = buildRecallContext(fts.lines, fts.ftsIds, vec, fts.budget, null, injectedIds, await findDocumentChunks(prompt, scope.namespaces));
+          matchedIds = new Set([...fts.ftsIds, ...vec.map((v) => v.decision_id).filter((id) => injectedIds.has(id))]);
+          budgetReport = fts.budget.report();
+        }
         if (ctx) parts.push(ctx);
 
         if (stuckEnabled && stuckNudge) { parts.push("\n" + stuckNudge); stuckNudge = null; }
@@ -329,7 +1254,10 @@ export default function register(api) {
           recentInjectionHashes.shift();
         }
 
-        log.info?.(`lily-memory: injecting ${full.length} chars (budget: ${effectiveBudget}, used: ${budgetReport.used}, pressure: ${currentPressureScale})`);
+        // Permanent and recent facts are injected every turn; only prompt matches count as use
+        if (reinforcementRules && matchedIds?.size) recordHits(dbPath, matchedIds, "recall");
+        if (injectedIds?.size) recordReads(dbPath, injectedIds, { source: "recall", readBy: scope.namespace, query: prompt });
+        log.info?.(`lily-memory: injecting ${full.length} chars (budget: ${effectiveBudget} ${budgetUnit}, used: ${budgetReport.used}, pressure: ${currentPressureScale}) [${formatBudgetReport(budgetReport)}]`);
         return { prependContext: full };
       } catch (e) { log.warn?.(`lily-memory: recall failed: ${String(e)}`); }
     });
@@ -337,13 +1265,15 @@ export default function register(api) {
 
   // --- Hook: agent_end (capture + runtime health check) ---
   if (autoCapture) {
-    api.on("agent_end", async (event) => {
+    api.on("agent_end", async (event, agentCtx) => {
       turnCounter++;
 
       // Runtime context pressure check (every HEALTH_CHECK_INTERVAL turns)
       if (turnCounter % HEALTH_CHECK_INTERVAL === 0) {
         const messageCount = event.messages?.length || 0;
         const pressure = getContextPressure({
+          messages: event.messages,
+          estimator,
           messageCount,
           contextCap,
           log: (m) => log.info?.(m),
@@ -352,21 +1282,50 @@ export default function register(api) {
         if (pressure.level === "critical") {
           log.warn?.(`lily-memory: context pressure CRITICAL — injection disabled until session resets`);
         }
+        if (vectorsAvailable) log.info?.(`lily-memory: embeddings — ${formatEmbeddingStats(embedder.stats())}`);
+      }
+
+      // Periodic reinforcement pass (importance boost/decay, ttl promotion)
+      if (reinforcementRules && turnCounter % reinforcementRules.intervalTurns === 0) {
+        try { reinforce(); } catch (e) { log.warn?.(`lily-memory: reinforcement failed: ${String(e)}`); }
       }
 
       if (!event.success || !event.messages?.length) return;
       try {
-        const { stored, newDecisionIds, blocked } = captureFromMessages(dbPath, event.messages, maxCapturePerTurn, runtimeEntities, (m) => log.info(m), securityOpts);
+        const scope = namespaceScope(namespaceCfg, agentCtx);
+        const entities = entitiesFor(scope);
+        const llmFacts = await llmExtractionReady() ? await extractTurnWithLlm(event.messages, entities) : null;
+        const captureOpts = { ...securityOpts, namespace: scope.namespace, extraction: { mode: extractionMode, llmFacts } };
+        const { stored, newDecisionIds, blocked, quarantined, conflicts } = captureFromMessages(dbPath, event.messages, maxCapturePerTurn, entities, (m) => log.info(m), captureOpts);
         if (stored > 0) log.info?.(`lily-memory: auto-captured ${stored} facts this turn`);
         if (blocked > 0) log.warn?.(`lily-memory: SECURITY — blocked ${blocked} suspicious fact(s) this turn`);
+        if (quarantined > 0) log.warn?.(`lily-memory: SECURITY — quarantined ${quarantined} fact(s) this turn for review (memory_quarantine)`);
+        if (conflicts.length > 0) log.warn?.(`lily-memory: ${conflicts.length} conflicting fact update(s) queued for review`);
         if (vectorsAvailable && newDecisionIds.length > 0) {
-          (async () => { for (const { id, text } of newDecisionIds) await storeEmbedding(dbPath, ollamaUrl, embModel, id, text); })().catch((e) => log.warn?.(`lily-memory: batch embedding failed: ${e.message}`));
+          storeEmbeddings(dbPath, embedder, newDecisionIds).catch((e) => log.warn?.(`lily-memory: batch embedding failed: ${e.message}`));
+        }
+        // Re-score queued conflicts semantically; rewordings of the same fact are applied
+        if (vectorsAvailable && conflicts.length > 0) {
+          (async () => {
+            for (const { id } of conflicts) {
+              const [c] = sqliteQuery(dbPath, `SELECT decision_id, entity, fact_key, old_value, new_value FROM fact_conflicts WHERE id = ?`, [id]);
+              if (!c) continue;
+              const [a, b] = await embedder.embedBatch([c.old_value, c.new_value]);
+              if (!a || !b) continue;
+              const { resolved } = refineConflict(dbPath, id, cosineSimilarity(a, b), conflictThreshold);
+              if (resolved) {
+                log.info?.(`lily-memory: conflict on ${c.entity}.${c.fact_key} resolved as rewording`);
+                deleteVectors(dbPath, `decision_id = ?`, [c.decision_id]);
+                await storeEmbedding(dbPath, embedder, c.decision_id, `${c.entity}.${c.fact_key} = ${c.new_value}`);
+              }
+            }
+          })().catch((e) => log.warn?.(`lily-memory: conflict scoring failed: ${e.message}`));
         }
         if (stuckEnabled) {
           const last = [...event.messages].reverse().find((m) => m?.role === "assistant");
           if (last) {
             const txt = typeof last.content === "string" ? last.content : Array.isArray(last.content) ? last.content.filter((b) => b?.type === "text").map((b) => b.text).join(" ") : "";
-            const sig = extractTopicSignature(txt);
+            const sig = extractTopicSignature(txt, languages);
             if (sig) { stuckNudge = checkStuck(dbPath, histPath, sig); log.info?.(`lily-memory: topic sig: ${sig}`); }
           }
         }
@@ -378,9 +1337,12 @@ export default function register(api) {
       turnCounter++;
       if (turnCounter % HEALTH_CHECK_INTERVAL === 0) {
         const messageCount = event.messages?.length || 0;
-        const pressure = getContextPressure({ messageCount, contextCap, log: (m) => log.info?.(m) });
+        const pressure = getContextPressure({ messages: event.messages, estimator, messageCount, contextCap, log: (m) => log.info?.(m) });
         currentPressureScale = pressure.scale;
       }
+      if (reinforcementRules && turnCounter % reinforcementRules.intervalTurns === 0) {
+        try { reinforce(); } catch (e) { log.warn?.(`lily-memory: reinforcement failed: ${String(e)}`); }
+      }
     });
   }
 
@@ -409,7 +1371,7 @@ export default function register(api) {
   });
 
   // --- Pipeline tools ---
-  registerPipelineTools(api, dbPath, log);
+  registerPipelineTools({ registerTool: registerScopedTool }, dbPath, log, { redaction: redactionCfg });
 
-  log.info(`lily-memory v5: registered (db: ${dbPath}, recall: ${autoRecall}, capture: ${autoCapture}, stuck: ${stuckEnabled}, vectors: ${vecEnabled}, budget: ${baseBudget} chars)`);
+  log.info(`lily-memory v5: registered (db: ${dbPath}, recall: ${autoRecall}, capture: ${autoCapture}, stuck: ${stuckEnabled}, vectors: ${vecEnabled}, budget: ${baseBudget} ${budgetUnit})`);
 }
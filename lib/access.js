@@ -0,0 +1,150 @@
+// ============================================================================
+// Access control: sensitivity labels on facts, and the audit of every read
+// ============================================================================
+
+import { sqliteQuery, sqliteExec } from "./sqlite.js";
+import { namespaceFilter } from "./namespaces.js";
+
+/** Sensitivity labels, least to most restricted. */
+export const SENSITIVITY_LEVELS = ["public", "internal", "secret"];
+
+/** Label of facts stored before labels existed and of facts nothing else classifies. */
+export const DEFAULT_SENSITIVITY = "internal";
+
+/** Fact keys that name credentials; their facts are labelled secret unless config says otherwise. */
+export const SECRET_KEY_PATTERN = /(?:^|[_\s.-])(?:password|passwd|passphrase|secret|token|api[_\s-]?key|private[_\s-]?key|credentials?|pin|ssn|otp)(?:$|[_\s.-])/i;
+
+export const DEFAULT_ACCESS_CONFIG = {
+  defaultSensitivity: DEFAULT_SENSITIVITY,
+  secretKeys: true,
+  auditRetentionDays: 90,
+};
+
+/** Max read audit rows returned per call. */
+export const MAX_READ_LOG_ROWS = 100;
+
+/**
+ * Resolve the access config option. `entities` labels every fact of an
+ * entity; `secretKeys: false` stops credential-like keys being labelled secret.
+ * @param {object} [cfg]
+ * @returns {{ defaultSensitivity: string, entities: Object<string, string>, secretKeys: boolean, auditRetentionDays: number }}
+ */
+export function resolveAccessConfig(cfg = {}) {
+  const opts = cfg && typeof cfg === "object" ? cfg : {};
+  const entities = {};
+  for (const [name, level] of Object.entries(opts.entities || {})) {
+    if (SENSITIVITY_LEVELS.includes(level)) entities[name.toLowerCase()] = level;
+  }
+  return {
+    defaultSensitivity: SENSITIVITY_LEVELS.includes(opts.defaultSensitivity) ? opts.defaultSensitivity : DEFAULT_ACCESS_CONFIG.defaultSensitivity,
+    entities,
+    secretKeys: opts.secretKeys !== false,
+    auditRetentionDays: typeof opts.auditRetentionDays === "number" && opts.auditRetentionDays > 0 ? opts.auditRetentionDays : DEFAULT_ACCESS_CONFIG.auditRetentionDays,
+  };
+}
+
+/**
+ * Label for a new fact: an explicit label wins, then the entity's configured
+ * label, then secret for credential-like keys, then the default.
+ * @param {ReturnType<typeof resolveAccessConfig>} config
+ * @param {{ entity?: string, key?: string, sensitivity?: string }} fact
+ * @returns {string}
+ */
+export function classifySensitivity(config, fact) {
+  if (SENSITIVITY_LEVELS.includes(fact.sensitivity)) return fact.sensitivity;
+  const byEntity = fact.entity ? config.entities[fact.entity.toLowerCase()] : undefined;
+  if (byEntity) return byEntity;
+  if (config.secretKeys && fact.key && SECRET_KEY_PATTERN.test(fact.key)) return "secret";
+  return config.defaultSensitivity;
+}
+
+/**
+ * SQL condition that leaves out secret facts unless they were asked for.
+ * @param {boolean} includeSecret
+ * @param {string} [column="sensitivity"]
+ * @returns {{ sql: string, params: string[] }}
+ */
+export function sensitivityFilter(includeSecret, column = "sensitivity") {
+  if (includeSecret) return { sql: "1 = 1", params: [] };
+  return { sql: `${column} != ?`, params: ["secret"] };
+}
+
+/**
+ * Relabel facts.
+ * @param {string} dbPath
+ * @param {{ id?: string, entity?: string, key?: string, namespaces?: string[]|null }} target
+ * @param {string} sensitivity
+ * @returns {{ updated: number, error?: string }}
+ */
+export function setSensitivity(dbPath, target, sensitivity) {
+  if (!SENSITIVITY_LEVELS.includes(sensitivity)) return { updated: 0, error: `unknown sensitivity "${sensitivity}"` };
+  const scope = namespaceFilter(target.namespaces);
+  const where = target.id ? "id = ?" : "entity = ? AND fact_key = ?";
+  const params = target.id ? [target.id] : [target.entity, target.key];
+  const rows = sqliteQuery(dbPath, `SELECT id FROM decisions WHERE ${where} AND ${scope.sql}`, [...params, ...scope.params]);
+  if (rows.length === 0) return { updated: 0, error: "no matching fact" };
+  const ids = rows.map((r) => r.id);
+  sqliteExec(dbPath, `UPDATE decisions SET sensitivity = ? WHERE id IN (${ids.map(() => "?").join(", ")})`, [sensitivity, ...ids]);
+  return { updated: ids.length };
+}
+
+/**
+ * Record that decisions were read, one audit row per decision. Rows are
+ * copied from decisions (or the archive), so the audit keeps the entity,
+ * key and label the fact had when it was read.
+ * @param {string} dbPath
+ * @param {Iterable<string>} decisionIds
+ * @param {{ source: string, readBy?: string, query?: string, nowMs?: number }} read
+ * @returns {number} Rows recorded
+ */
+export function recordReads(dbPath, decisionIds, read) {
+  const ids = [...new Set(decisionIds)];
+  if (ids.length === 0) return 0;
+  const marks = ids.map(() => "?").join(", ");
+  const meta = [read.nowMs ?? Date.now(), read.source, read.readBy ?? null, read.query ? read.query.substring(0, 200) : null];
+  const ok = sqliteExec(dbPath, `
+    INSERT INTO read_audit (read_at, source, read_by, decision_id, entity, fact_key, sensitivity, namespace, query)
+    SELECT ?, ?, ?, id, entity, fact_key, sensitivity, namespace, ? FROM decisions WHERE id IN (${marks})
+    UNION ALL
+    SELECT ?, ?, ?, id, entity, fact_key, sensitivity, namespace, ? FROM decisions_archive WHERE id IN (${marks})
+  `, [...meta, ...ids, ...meta, ...ids]);
+  return ok ? ids.length : 0;
+}
+
+/**
+ * Read audit rows, newest first.
+ * @param {string} dbPath
+ * @param {object} [filters]
+ * @param {number} [filters.limit=20]
+ * @param {string} [filters.sensitivity] - Only reads of facts with this label
+ * @param {string} [filters.entity]
+ * @param {string[]|null} [filters.namespaces] - Only reads of facts in these namespaces (default: all)
+ * @returns {Array<object>}
+ */
+export function getReadLog(dbPath, filters = {}) {
+  const scope = namespaceFilter(filters.namespaces);
+  const where = [scope.sql];
+  const params = [...scope.params];
+  if (filters.sensitivity) { where.push("sensitivity = ?"); params.push(filters.sensitivity); }
+  if (filters.entity) { where.push("lower(entity) = lower(?)"); params.push(filters.entity); }
+  const limit = Math.max(1, Math.min(MAX_READ_LOG_ROWS, parseInt(filters.limit, 10) || 20));
+  return sqliteQuery(dbPath,
+    `SELECT read_at, source, read_by, decision_id, entity, fact_key, sensitivity, namespace, query
+     FROM read_audit WHERE ${where.join(" AND ")} ORDER BY read_at DESC, id DESC LIMIT ?`,
+    [...params, limit]
+  );
+}
+
+/**
+ * Delete audit rows older than the retention window.
+ * @param {string} dbPath
+ * @param {number} retentionDays
+ * @param {number} [nowMs]
+ * @returns {number} Rows deleted
+ */
+export function pruneReadLog(dbPath, retentionDays, nowMs = Date.now()) {
+  const cutoff = nowMs - retentionDays * 86400000;
+  const count = sqliteQuery(dbPath, `SELECT COUNT(*) AS cnt FROM read_audit WHERE read_at < ?`, [cutoff])[0]?.cnt ?? 0;
+  if (count > 0) sqliteExec(dbPath, `DELETE FROM read_audit WHERE read_at < ?`, [cutoff]);
+  return count;
+}
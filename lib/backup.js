@@ -0,0 +1,206 @@
+// ============================================================================
+// Backups: online snapshots of the memory database, retention, and restore
+// ============================================================================
+
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
+import { backupDatabase, inspectDatabaseFile, closeAllConnections, ensureTables, runMigrations } from "./sqlite.js";
+import { closeVectorIndexes, vectorIndexPath } from "./embeddings.js";
+
+/** Backup directory name under the memory directory when no dir is configured. */
+export const DEFAULT_BACKUP_DIR = "backups";
+
+export const DEFAULT_BACKUP_CONFIG = {
+  enabled: true,
+  intervalHours: 24,
+  keepDaily: 7,
+  keepWeekly: 4,
+};
+
+/** Label of the backup taken of the current database just before a restore. */
+export const PRE_RESTORE_LABEL = "pre-restore";
+
+const DAY_MS = 86400000;
+
+/**
+ * Resolve the backup config option. `false` turns scheduled backups off;
+ * listing and restoring still work on the backup directory.
+ * @param {boolean|object} [cfg]
+ * @param {string} memoryDir
+ * @returns {{ enabled: boolean, intervalHours: number, keepDaily: number, keepWeekly: number, dir: string }}
+ */
+export function resolveBackupConfig(cfg, memoryDir) {
+  const opts = cfg && typeof cfg === "object" ? cfg : {};
+  const count = (v, fallback) => (Number.isInteger(v) && v >= 0 ? v : fallback);
+  const raw = typeof opts.dir === "string" && opts.dir ? opts.dir : path.join(memoryDir, DEFAULT_BACKUP_DIR);
+  const expanded = raw.startsWith("~") ? path.join(os.homedir(), raw.slice(1)) : raw;
+  return {
+    enabled: cfg !== false && opts.enabled !== false,
+    intervalHours: typeof opts.intervalHours === "number" && opts.intervalHours > 0 ? opts.intervalHours : DEFAULT_BACKUP_CONFIG.intervalHours,
+    keepDaily: count(opts.keepDaily, DEFAULT_BACKUP_CONFIG.keepDaily),
+    keepWeekly: count(opts.keepWeekly, DEFAULT_BACKUP_CONFIG.keepWeekly),
+    dir: path.resolve(memoryDir, expanded),
+  };
+}
+
+function stampOf(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z");
+}
+
+function parseStamp(stamp) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(stamp);
+  return m ? Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]) : null;
+}
+
+/**
+ * List backups of a database, newest first. Backups are named
+ * `<db name>-<UTC timestamp>[-<label>].db`.
+ * @param {string} dbPath
+ * @param {string} backupDir
+ * @returns {Array<{ name: string, file: string, created_at: number, label: string|null, size: number }>}
+ */
+export function listBackups(dbPath, backupDir) {
+  const base = path.basename(dbPath).replace(/\.[^.]+$/, "");
+  let names;
+  try { names = fs.readdirSync(backupDir); } catch { return []; }
+  const backups = [];
+  for (const name of names) {
+    if (!name.startsWith(`${base}-`) || !name.endsWith(".db")) continue;
+    const m = /^(\d{8}T\d{6}Z)(?:-([a-z-]+))?$/.exec(name.slice(base.length + 1, -3));
+    const created = m && parseStamp(m[1]);
+    if (!created) continue;
+    let size = 0;
+    try { size = fs.statSync(path.join(backupDir, name)).size; } catch { continue; }
+    backups.push({ name, file: path.join(backupDir, name), created_at: created, label: m[2] || null, size });
+  }
+  return backups.sort((a, b) => b.created_at - a.created_at || b.name.localeCompare(a.name));
+}
+
+/**
+ * Whether the newest backup is older than the interval.
+ * @param {Array} backups - From listBackups
+ * @param {number} intervalHours
+ * @param {number} [nowMs]
+ * @returns {boolean}
+ */
+export function isBackupDue(backups, intervalHours, nowMs = Date.now()) {
+  return backups.length === 0 || nowMs - backups[0].created_at >= intervalHours * 3600000;
+}
+
+/**
+ * Take an online backup: copy to a temp file, verify it with an integrity
+ * check, then move it into place. A backup that fails verification is deleted.
+ * @param {string} dbPath
+ * @param {string} backupDir
+ * @param {{ label?: string, nowMs?: number }} [opts]
+ * @returns {Promise<{ name: string, file: string, created_at: number, size: number, schemaVersion: number, decisions: number }|{ error: string }>}
+ */
+export async function createBackup(dbPath, backupDir, opts = {}) {
+  const nowMs = opts.nowMs ?? Date.now();
+  const base = path.basename(dbPath).replace(/\.[^.]+$/, "");
+  const name = `${base}-${stampOf(nowMs)}${opts.label ? `-${opts.label}` : ""}.db`;
+  const file = path.join(backupDir, name);
+  const tmp = `${file}.tmp`;
+  try {
+    fs.mkdirSync(backupDir, { recursive: true });
+    await backupDatabase(dbPath, tmp);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    return { error: `backup failed: ${err.message}` };
+  }
+  const check = inspectDatabaseFile(tmp);
+  if (!check.ok) {
+    fs.rmSync(tmp, { force: true });
+    return { error: `backup failed verification: ${check.error}` };
+  }
+  fs.renameSync(tmp, file);
+  return { name, file, created_at: nowMs, size: fs.statSync(file).size, schemaVersion: check.schemaVersion, decisions: check.decisions };
+}
+
+/**
+ * Apply retention: keep the newest backup of each of the last `keepDaily`
+ * days and of each of the last `keepWeekly` weeks (days and weeks that have
+ * a backup, in UTC), and always the newest backup. Delete the rest.
+ * @param {string} dbPath
+ * @param {string} backupDir
+ * @param {{ keepDaily: number, keepWeekly: number }} rules
+ * @returns {string[]} Names of deleted backups
+ */
+export function pruneBackups(dbPath, backupDir, rules) {
+  const backups = listBackups(dbPath, backupDir);
+  const keep = new Set(backups.slice(0, 1).map((b) => b.name));
+  const days = new Set();
+  const weeks = new Set();
+  for (const b of backups) {
+    const day = Math.floor(b.created_at / DAY_MS);
+    // Weeks start on Monday: day 0 (1970-01-01) was a Thursday
+    const week = Math.floor((day + 3) / 7);
+    if (!days.has(day) && days.size < rules.keepDaily) { days.add(day); keep.add(b.name); }
+    if (!weeks.has(week) && weeks.size < rules.keepWeekly) { weeks.add(week); keep.add(b.name); }
+  }
+  const removed = [];
+  for (const b of backups) {
+    if (keep.has(b.name)) continue;
+    try { fs.unlinkSync(b.file); removed.push(b.name); } catch {}
+  }
+  return removed;
+}
+
+/**
+ * Pick the backup to restore: by name, or the newest taken at or before `at`.
+ * @param {Array} backups - From listBackups
+ * @param {{ name?: string, at?: number }} target
+ * @returns {object|null}
+ */
+export function findBackup(backups, target = {}) {
+  if (target.name) return backups.find((b) => b.name === target.name || b.name === `${target.name}.db`) || null;
+  if (target.at != null) return backups.find((b) => b.created_at <= target.at) || null;
+  return backups[0] || null;
+}
+
+/**
+ * Replace the database with a backup. The backup is verified first and the
+ * current database is backed up (labelled pre-restore), so a restore can
+ * itself be undone. Every pooled connection is closed with
+ * closeAllConnections and loaded ANN indexes are dropped; the file is
+ * swapped in with its WAL and index files removed, then the schema is
+ * migrated forward if the backup is older.
+ * @param {string} dbPath
+ * @param {string} backupDir
+ * @param {object} backup - From listBackups
+ * @returns {Promise<{ restored: object, safety: object|null, migrated: number }|{ error: string }>}
+ */
+export async function restoreBackup(dbPath, backupDir, backup) {
+  const check = inspectDatabaseFile(backup.file);
+  if (!check.ok) return { error: `${backup.name} failed verification: ${check.error}` };
+
+  let safety = null;
+  if (fs.existsSync(dbPath)) {
+    safety = await createBackup(dbPath, backupDir, { label: PRE_RESTORE_LABEL });
+    if (safety.error) return { error: `could not back up the current database first (${safety.error})` };
+  }
+
+  closeVectorIndexes();
+  closeAllConnections();
+  const tmp = `${dbPath}.restore.tmp`;
+  fs.copyFileSync(backup.file, tmp);
+  for (const suffix of ["-wal", "-shm"]) fs.rmSync(`${dbPath}${suffix}`, { force: true });
+  fs.renameSync(tmp, dbPath);
+  fs.rmSync(vectorIndexPath(dbPath), { force: true });
+
+  ensureTables(dbPath);
+  const { applied } = runMigrations(dbPath);
+  return { restored: { ...backup, schemaVersion: check.schemaVersion, decisions: check.decisions }, safety, migrated: applied };
+}
+
+/**
+ * Human-readable size.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -6,6 +6,9 @@
 /** Total chars allowed per injection. ~1000 tokens at 4 chars/token. */
 export const DEFAULT_BUDGET = 4000;
 
+/** Below this much space (chars) a section isn't worth filling. */
+export const MIN_SECTION_CHARS = 100;
+
 /** Max chars for a single fact value in injection output. */
 export const MAX_ITEM_VALUE_LENGTH = 150;
 
@@ -47,56 +50,168 @@ export function formatFactLine(row, maxValueLen = MAX_ITEM_VALUE_LENGTH) {
   return null;
 }
 
+/**
+ * Resolve the injectionBudget config value.
+ * Accepts a plain number (total chars) or { total, unit, weights }. unit is
+ * "chars" (default) or "tokens". Partial weights are merged over
+ * SECTION_WEIGHTS and normalized to sum to 1.0.
+ *
+ * @param {number|object} [value]
+ * @returns {{ total: number, unit: "chars"|"tokens", weights: object }}
+ */
+export function resolveBudgetConfig(value) {
+  if (typeof value === "number" && value > 0) return { total: value, unit: "chars", weights: { ...SECTION_WEIGHTS } };
+  const unit = value?.unit === "tokens" ? "tokens" : "chars";
+  const fallback = unit === "tokens" ? Math.floor(DEFAULT_BUDGET / 4) : DEFAULT_BUDGET;
+  const total = value && typeof value.total === "number" && value.total > 0 ? value.total : fallback;
+  const merged = { ...SECTION_WEIGHTS };
+  for (const [section, weight] of Object.entries(value?.weights || {})) {
+    if (typeof weight === "number" && weight >= 0) merged[section] = weight;
+  }
+  const sum = Object.values(merged).reduce((a, b) => a + b, 0);
+  if (sum <= 0) return { total, unit, weights: { ...SECTION_WEIGHTS } };
+  const weights = {};
+  for (const [section, weight] of Object.entries(merged)) weights[section] = weight / sum;
+  return { total, unit, weights };
+}
+
 /**
  * Create a budget tracker for a single injection cycle.
- * Sections fill in priority order; underflow from one section
- * rolls into the next.
+ * Each weighted section is capped at its share of the total. When a section
+ * is closed, whatever it didn't use rolls over to the next section opened.
+ * Sections without a weight (e.g. conflicts) are only bounded by what's left.
  *
- * @param {number} totalChars - Total character budget
+ * With a token estimator the budget is counted in tokens instead of chars.
+ *
+ * @param {number} totalChars - Total budget (chars, or tokens with an estimator)
+ * @param {object} [weights=SECTION_WEIGHTS] - Share of the total per section
+ * @param {object} [estimator] - From createTokenEstimator
  * @returns {object} Budget tracker
  */
-export function createBudget(totalChars = DEFAULT_BUDGET) {
+export function createBudget(totalChars = DEFAULT_BUDGET, weights = SECTION_WEIGHTS, estimator = null) {
   let remaining = totalChars;
+  let rollover = 0;
   const allocations = {};
+  const sections = {};
+
+  function open(section) {
+    if (!sections[section]) {
+      const weighted = typeof weights[section] === "number";
+      const allocated = weighted ? Math.floor(totalChars * weights[section]) + rollover : null;
+      if (weighted) rollover = 0;
+      sections[section] = { allocated, used: 0, closed: false };
+    }
+    return sections[section];
+  }
 
   return {
     get remaining() { return remaining; },
     get total() { return totalChars; },
+    get unit() { return estimator ? "tokens" : "chars"; },
 
     /**
-     * Attempt to consume chars from the budget.
+     * Cost of one output line (plus its newline) in budget units.
+     * @param {string} line
+     * @returns {number}
+     */
+    measure(line) {
+      return estimator ? estimator.count(line) + 1 : line.length + 1;
+    },
+
+    /**
+     * Attempt to consume from the budget.
      * @param {string} section - Section name (permanent, fts, recent, vector)
-     * @param {number} chars - Characters to consume
+     * @param {number|string} chars - Units to consume, or a line to measure
      * @returns {boolean} true if budget allows, false if exhausted
      */
     tryAdd(section, chars) {
-      if (chars > remaining) return false;
+      if (typeof chars === "string") chars = this.measure(chars);
+      const s = open(section);
+      if (s.closed || chars > remaining) return false;
+      if (s.allocated !== null && s.used + chars > s.allocated) return false;
       remaining -= chars;
+      s.used += chars;
       allocations[section] = (allocations[section] || 0) + chars;
       return true;
     },
 
     /**
-     * Get the initial allocation for a section (before any spending).
+     * Chars a section may still spend (its cap, or what's left overall).
+     * @param {string} section
+     * @returns {number}
+     */
+    available(section) {
+      const s = open(section);
+      if (s.closed) return 0;
+      if (s.allocated === null) return remaining;
+      return Math.min(s.allocated - s.used, remaining);
+    },
+
+    /**
+     * Whether a section has enough space left to be worth filling.
+     * @param {string} section
+     * @returns {boolean}
+     */
+    hasRoom(section) {
+      const min = estimator ? estimator.fromChars(MIN_SECTION_CHARS) : MIN_SECTION_CHARS;
+      return this.available(section) > min;
+    },
+
+    /**
+     * Finish a section; its unused allocation rolls over to the next one.
+     * @param {string} section
+     */
+    close(section) {
+      const s = open(section);
+      if (s.closed) return;
+      s.closed = true;
+      if (s.allocated !== null) rollover += s.allocated - s.used;
+    },
+
+    /**
+     * Get the initial allocation for a section (before any spending or rollover).
      * @param {string} section
      * @returns {number}
      */
     sectionBudget(section) {
-      const weight = SECTION_WEIGHTS[section] || 0.25;
+      const weight = weights[section] ?? 0.25;
       return Math.floor(totalChars * weight);
     },
 
     /**
      * Get a summary of how the budget was spent.
+     * `sections` lists each section's allocation (null = uncapped) against its
+     * use; weighted sections not opened yet show their base share.
      * @returns {object}
      */
     report() {
+      const bySection = {};
+      for (const section of Object.keys(weights)) {
+        bySection[section] = { allocated: Math.floor(totalChars * weights[section]), used: 0 };
+      }
+      for (const [section, s] of Object.entries(sections)) {
+        bySection[section] = { allocated: s.allocated, used: s.used };
+      }
       return {
         total: totalChars,
+        unit: this.unit,
         remaining,
         used: totalChars - remaining,
+        rollover,
         allocations: { ...allocations },
+        sections: bySection,
       };
     },
   };
 }
+
+/**
+ * Format a budget report as a one-line "section used/allocated" summary for logs.
+ * @param {object} report - From createBudget().report()
+ * @returns {string}
+ */
+export function formatBudgetReport(report) {
+  return Object.entries(report.sections || {})
+    .map(([section, s]) => `${section} ${s.used}/${s.allocated ?? "-"}`)
+    .join(", ");
+}
@@ -4,43 +4,32 @@
 
 import { sqliteQuery, sqliteExec, sanitizeValue } from "./sqlite.js";
 import { extractFacts, MAX_VALUE_LENGTH } from "./extraction.js";
-import { checkInjection, isUntrustedContent, logSecurityEvent, DEFAULT_PROTECTED_ENTITIES } from "./security.js";
+import { mergeFacts } from "./llm-extraction.js";
+import { detectLanguage, getLanguagePack, DEFAULT_LANGUAGES } from "./languages.js";
+import { checkInjection, isUntrustedContent, logSecurityEvent, DEFAULT_PROTECTED_ENTITIES, DEFAULT_RISK_THRESHOLDS } from "./security.js";
+import { isTombstoned } from "./forget.js";
+import { commitRevision } from "./history.js";
+import { checkFactUpdate } from "./conflicts.js";
+import { makeRoom, resolveQuotas } from "./quotas.js";
+import { DEFAULT_NAMESPACE } from "./namespaces.js";
+import { resolveAccessConfig, classifySensitivity } from "./access.js";
+import { resolveRedactionConfig, redactText, redactAndLog } from "./redaction.js";
+import { sealDecision } from "./encryption.js";
 import { randomUUID } from "node:crypto";
 
-/** Maximum active entries in the database. Evict lowest-importance when exceeded. */
-export const MAX_ACTIVE_ENTRIES = 50;
-
-/** Maximum stable entries in the database. */
-export const MAX_STABLE_ENTRIES = 30;
-
 /** Status keywords that should auto-downgrade to session TTL. */
 const STATUS_KEYWORDS = /(?:status|complete|deployed|spawned|launched|ready|sprint|checklist|final_state|session_|restart|attempt|debug|fix_|milestone|infrastructure|live_|validation_)/i;
 
 /**
- * Capture facts from conversation messages and store them in the database.
- * Enforces value length limits, global entry count caps, and injection detection.
+ * Flatten messages to the { role, text } pairs eligible for capture.
+ * Skips injected memory context, very short or very long text, and text
+ * excluded by the capture policy.
  *
- * @param {string} dbPath - Path to SQLite database
  * @param {Array} messages - Array of {role, content} message objects
- * @param {number} maxCapture - Maximum number of facts to capture this call
- * @param {Set<string>} runtimeEntities - Set of lowercase known entity names
- * @param {Function|null} logger - logger(msg) for status; falls back to console.log
- * @param {object} [securityOpts] - Security options
- * @param {Set<string>} [securityOpts.protectedEntities] - Entities only writable from assistant/tool
- * @param {string} [securityOpts.capturePolicy] - "all" | "assistant-only" | "tagged-only"
- * @returns {{ stored: number, newDecisionIds: Array<{id: string, text: string}>, blocked: number }}
+ * @param {string} [capturePolicy="all"] - "all" | "assistant-only" | "tagged-only"
+ * @returns {Array<{role: string, text: string}>}
  */
-export function captureFromMessages(dbPath, messages, maxCapture, runtimeEntities, logger, securityOpts = {}) {
-  const log = logger ?? console.log;
-  const nowMs = Date.now();
-  let stored = 0;
-  let blocked = 0;
-  const newDecisionIds = [];
-
-  const protectedEntities = securityOpts.protectedEntities || DEFAULT_PROTECTED_ENTITIES;
-  const capturePolicy = securityOpts.capturePolicy || "all";
-
-  // Flatten messages to { role, text } pairs
+export function collectCaptureTexts(messages, capturePolicy = "all") {
   const texts = [];
   for (const msg of messages) {
     if (!msg || typeof msg !== "object") continue;
@@ -61,33 +50,97 @@ export function captureFromMessages(dbPath, messages, maxCapture, runtimeEntitie
     }
   }
 
-  for (const { role, text } of texts) {
-    if (stored >= maxCapture) break;
-
+  return texts.filter(({ role, text }) => {
     // Skip injected memory context
-    if (text.includes("<lily-memory>") || text.includes("<relevant-memories>")) continue;
+    if (text.includes("<lily-memory>") || text.includes("<relevant-memories>")) return false;
     // Skip very short or very long
-    if (text.length < 30 || text.length > 5000) continue;
+    if (text.length < 30 || text.length > 5000) return false;
 
     // Capture policy enforcement
-    if (capturePolicy === "assistant-only" && role === "user") continue;
-    if (capturePolicy === "tagged-only" && !text.includes("<trusted-capture>")) continue;
+    if (capturePolicy === "assistant-only" && role === "user") return false;
+    if (capturePolicy === "tagged-only" && !text.includes("<trusted-capture>")) return false;
+    return true;
+  });
+}
+
+/**
+ * Capture facts from conversation messages and store them in the database.
+ * Enforces value length limits, ttl-class and entity quotas, and injection detection.
+ * Values are redacted before the injection check, so blocked values are logged redacted too.
+ *
+ * @param {string} dbPath - Path to SQLite database
+ * @param {Array} messages - Array of {role, content} message objects
+ * @param {number} maxCapture - Maximum number of facts to capture this call
+ * @param {Set<string>} runtimeEntities - Set of lowercase known entity names
+ * @param {Function|null} logger - logger(msg) for status; falls back to console.log
+ * @param {object} [securityOpts] - Security options
+ * @param {Set<string>} [securityOpts.protectedEntities] - Entities only writable from assistant/tool
+ * @param {string} [securityOpts.capturePolicy] - "all" | "assistant-only" | "tagged-only"
+ * @param {object} [securityOpts.conflicts] - Enables conflict detection on updates: { threshold, sourceTrust }
+ * @param {object} [securityOpts.quotas] - Quotas from resolveQuotas (defaults to DEFAULT_QUOTAS)
+ * @param {string[]} [securityOpts.languages] - Enabled language codes; each message is matched with its detected language's pack
+ * @param {Object<string, Array>} [securityOpts.patternsByLanguage] - byLanguage from buildPatternRegistry (defaults to each pack's built-ins)
+ * @param {object} [securityOpts.extraction] - { mode: "regex"|"llm"|"both", llmFacts: Map<text, facts> }.
+ *   Texts without LLM facts (model unavailable, older turns) use regex extraction.
+ * @param {string} [securityOpts.namespace] - Namespace facts are written to and updated in (default "default")
+ * @param {object} [securityOpts.access] - From resolveAccessConfig; labels new facts
+ * @param {object} [securityOpts.redaction] - From resolveRedactionConfig (defaults to masking every detector)
+ * @param {{ quarantine: number, block: number }} [securityOpts.riskThresholds] - From resolveRiskThresholds (defaults to DEFAULT_RISK_THRESHOLDS)
+ * @returns {{ stored: number, newDecisionIds: Array<{id: string, text: string}>, blocked: number, quarantined: number, conflicts: Array<{id: string, decisionId: string}> }}
+ */
+export function captureFromMessages(dbPath, messages, maxCapture, runtimeEntities, logger, securityOpts = {}) {
+  const log = logger ?? console.log;
+  const nowMs = Date.now();
+  let stored = 0;
+  let blocked = 0;
+  let quarantined = 0;
+  const newDecisionIds = [];
+  const conflicts = [];
+
+  const protectedEntities = securityOpts.protectedEntities || DEFAULT_PROTECTED_ENTITIES;
+  const capturePolicy = securityOpts.capturePolicy || "all";
+  const quotas = securityOpts.quotas || resolveQuotas();
+  const languages = securityOpts.languages || DEFAULT_LANGUAGES;
+  const extractionMode = securityOpts.extraction?.mode || "regex";
+  const llmFacts = securityOpts.extraction?.llmFacts;
+  const namespace = securityOpts.namespace || DEFAULT_NAMESPACE;
+  const access = securityOpts.access || resolveAccessConfig();
+  const redaction = securityOpts.redaction || resolveRedactionConfig();
+  const riskThresholds = securityOpts.riskThresholds || DEFAULT_RISK_THRESHOLDS;
+
+  for (const { role, text } of collectCaptureTexts(messages, capturePolicy)) {
+    if (stored >= maxCapture) break;
 
     // Detect untrusted external content (emails, web pages, tool output)
     const untrusted = role === "user" && isUntrustedContent(text);
-
-    const facts = extractFacts(text, runtimeEntities);
-    for (const fact of facts) {
+    const snippet = redactText(text, redaction).masked;
+
+    const pack = getLanguagePack(detectLanguage(text, languages));
+    const patterns = securityOpts.patternsByLanguage?.[pack.code] || pack.patterns;
+    let facts = extractFacts(text, runtimeEntities, patterns, pack);
+    const fromLlm = extractionMode !== "regex" ? llmFacts?.get(text) : null;
+    if (fromLlm) facts = extractionMode === "llm" ? fromLlm : mergeFacts(facts, fromLlm);
+    for (const extracted of facts) {
       if (stored >= maxCapture) break;
 
       // Enforce value length cap (defense-in-depth with extraction.js)
-      if (fact.value.length > MAX_VALUE_LENGTH) continue;
+      if (extracted.value.length > MAX_VALUE_LENGTH) continue;
 
-      // Security: check for injection patterns and protected entities
-      const secCheck = checkInjection(fact, role, protectedEntities, untrusted);
-      if (secCheck.blocked) {
+      // Keys, tokens and personal data never reach the database as they were written
+      const redacted = redactAndLog(dbPath, extracted.value, redaction, { sourceRole: role, entity: extracted.entity, key: extracted.key, snippet, namespace });
+      if (redacted.rejected) {
         blocked++;
-        log(`lily-memory: BLOCKED — ${secCheck.reason}: ${fact.entity}.${fact.key} (pattern: ${secCheck.pattern})`);
+        log(`lily-memory: BLOCKED — redaction: ${extracted.entity}.${extracted.key} (${redacted.findings.join(", ")})`);
+        continue;
+      }
+      const fact = { ...extracted, value: redacted.text };
+
+      // Security: score the injection risk; risky facts are held for review or refused
+      const secCheck = checkInjection(fact, role, protectedEntities, untrusted, riskThresholds);
+      if (secCheck.blocked) {
+        if (secCheck.quarantined) quarantined++;
+        else blocked++;
+        log(`lily-memory: ${secCheck.quarantined ? "QUARANTINED" : "BLOCKED"} — ${secCheck.reason}: ${fact.entity}.${fact.key} (risk ${secCheck.score}: ${secCheck.pattern})`);
         logSecurityEvent(dbPath, {
           eventType: secCheck.reason,
           sourceRole: role,
@@ -95,7 +148,9 @@ export function captureFromMessages(dbPath, messages, maxCapture, runtimeEntitie
           factKey: fact.key,
           factValue: fact.value,
           matchedPattern: secCheck.pattern,
-          sourceSnippet: text,
+          sourceSnippet: snippet,
+          risk: secCheck,
+          namespace,
         });
         continue;
       }
@@ -104,19 +159,38 @@ export function captureFromMessages(dbPath, messages, maxCapture, runtimeEntitie
       const key = sanitizeValue(fact.key);
       const value = sanitizeValue(fact.value);
 
+      // Forgotten facts stay forgotten — don't let auto-capture write them back
+      if (isTombstoned(dbPath, entity, key, value, namespace)) {
+        log(`lily-memory: skipped forgotten fact ${fact.entity}.${fact.key}`);
+        continue;
+      }
+
       // Check if this fact already exists
       const existing = sqliteQuery(dbPath,
-        `SELECT id FROM decisions WHERE entity = ? AND fact_key = ? AND (expires_at IS NULL OR expires_at > ?) LIMIT 1`,
-        [entity, key, nowMs]
+        `SELECT id, fact_value FROM decisions WHERE entity = ? AND fact_key = ? AND namespace = ? AND (expires_at IS NULL OR expires_at > ?) LIMIT 1`,
+        [entity, key, namespace, nowMs]
       );
 
       if (existing.length > 0) {
         const existingId = existing[0].id;
-        const description = `${fact.entity}.${fact.key} = ${fact.value}`;
-        sqliteExec(dbPath,
-          `UPDATE decisions SET fact_value = ?, description = ?, timestamp = ?, last_accessed_at = ? WHERE id = ?`,
-          [value, description, nowMs, nowMs, existingId]
-        );
+
+        // Contradicting an existing fact from a source that isn't more trusted — queue it
+        if (securityOpts.conflicts) {
+          const check = checkFactUpdate(dbPath, existingId, existing[0].fact_value,
+            { entity, key, value, sourceRole: role, sessionId: 'plugin-auto' }, securityOpts.conflicts);
+          if (check.action === "queue") {
+            conflicts.push({ id: check.conflictId, decisionId: existingId });
+            log(`lily-memory: conflict queued for ${fact.entity}.${fact.key} (score ${check.score.toFixed(2)})`);
+            continue;
+          }
+        }
+
+        const sealed = sealDecision(dbPath, { description: `${fact.entity}.${fact.key} = ${fact.value}`, fact_value: value });
+        const updated = commitRevision(dbPath, existingId, { entity, key, value, sourceRole: role, sessionId: 'plugin-auto', timestamp: nowMs }, () => sqliteExec(dbPath,
+          `UPDATE decisions SET fact_value = ?, description = ?, search_tokens = ?, timestamp = ?, last_accessed_at = ? WHERE id = ?`,
+          [sealed.fact_value, sealed.description, sealed.search_tokens, nowMs, nowMs, existingId]
+        ));
+        if (!updated) continue;
         newDecisionIds.push({ id: existing[0].id, text: `${fact.entity}.${fact.key} = ${fact.value}` });
         log(`lily-memory: updated fact ${fact.entity}.${fact.key}`);
         continue;
@@ -125,11 +199,14 @@ export function captureFromMessages(dbPath, messages, maxCapture, runtimeEntitie
       // Heuristic TTL assignment
       // User-sourced facts get shorter TTL and lower importance (defense-in-depth)
       // Status facts always get session TTL regardless of source
+      // LLM hints and pattern ttls may shorten a fact's life; only assistant facts may go up to stable
       let ttlClass;
-      if (STATUS_KEYWORDS.test(fact.key)) {
+      if (STATUS_KEYWORDS.test(fact.key) || fact.ttl === "session") {
         ttlClass = "session";
       } else if (role === "user") {
         ttlClass = "active";    // 14d (downgraded from stable/90d)
+      } else if (fact.ttl === "stable") {
+        ttlClass = "stable";    // 90d, LLM hint or pattern ttl
       } else {
         ttlClass = "active";    // 14d for assistant
       }
@@ -138,53 +215,24 @@ export function captureFromMessages(dbPath, messages, maxCapture, runtimeEntitie
       const expiresAt = ttlMs[ttlClass] === null ? null : nowMs + ttlMs[ttlClass];
 
       // Importance: user-sourced facts get lower importance than assistant-sourced
-      const importance = role === "user" ? 0.5 : 0.6;
-
-      // Enforce global active entry cap — evict lowest-importance if full
-      if (ttlClass === "active") {
-        const countResult = sqliteQuery(dbPath,
-          `SELECT COUNT(*) as cnt FROM decisions WHERE ttl_class = 'active' AND (expires_at IS NULL OR expires_at > ?)`,
-          [nowMs]
-        );
-        if (countResult[0]?.cnt >= MAX_ACTIVE_ENTRIES) {
-          const evicted = sqliteQuery(dbPath,
-            `SELECT id FROM decisions WHERE ttl_class = 'active' AND (expires_at IS NULL OR expires_at > ?) ORDER BY importance ASC, timestamp ASC LIMIT 1`,
-            [nowMs]
-          );
-          if (evicted.length > 0) {
-            sqliteExec(dbPath, `DELETE FROM decisions WHERE id = ?`, [evicted[0].id]);
-            sqliteExec(dbPath, `DELETE FROM vectors WHERE decision_id = ?`, [evicted[0].id]);
-            log(`lily-memory: evicted low-importance active entry to make room`);
-          }
-        }
-      }
-
-      // Enforce global stable entry cap
-      if (ttlClass === "stable") {
-        const countResult = sqliteQuery(dbPath,
-          `SELECT COUNT(*) as cnt FROM decisions WHERE ttl_class = 'stable' AND (expires_at IS NULL OR expires_at > ?)`,
-          [nowMs]
-        );
-        if (countResult[0]?.cnt >= MAX_STABLE_ENTRIES) {
-          const evicted = sqliteQuery(dbPath,
-            `SELECT id FROM decisions WHERE ttl_class = 'stable' AND (expires_at IS NULL OR expires_at > ?) ORDER BY importance ASC, timestamp ASC LIMIT 1`,
-            [nowMs]
-          );
-          if (evicted.length > 0) {
-            sqliteExec(dbPath, `DELETE FROM decisions WHERE id = ?`, [evicted[0].id]);
-            sqliteExec(dbPath, `DELETE FROM vectors WHERE decision_id = ?`, [evicted[0].id]);
-            log(`lily-memory: evicted low-importance stable entry to make room`);
-          }
-        }
+      // Pattern importance can lower a user-sourced fact, never raise it
+      const baseImportance = role === "user" ? 0.5 : 0.6;
+      const importance = typeof fact.importance === "number"
+        ? (role === "user" ? Math.min(fact.importance, baseImportance) : fact.importance)
+        : baseImportance;
+
+      // Enforce ttl-class and entity quotas — archive the lowest-value rows if full
+      for (const ev of makeRoom(dbPath, { ttlClass, entity, namespace }, quotas, "capture")) {
+        log(`lily-memory: archived ${ev.entity ? `${ev.entity}.${ev.fact_key}` : ev.id} (quota ${ev.quota}) to make room`);
       }
 
       const id = randomUUID();
-      const description = `${fact.entity}.${fact.key} = ${fact.value}`;
-      const ok = sqliteExec(dbPath,
-        `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, classification, importance, ttl_class, expires_at, last_accessed_at, entity, fact_key, fact_value, tags)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [id, 'plugin-auto', nowMs, 'auto-capture', description, 'Auto-captured by lily-memory plugin v5', 'ARCHIVE', importance, ttlClass, expiresAt, nowMs, entity, key, value, '["auto-capture","v5"]']
-      );
+      const sealed = sealDecision(dbPath, { description: `${fact.entity}.${fact.key} = ${fact.value}`, fact_value: value });
+      const ok = commitRevision(dbPath, id, { entity, key, value, sourceRole: role, sessionId: 'plugin-auto', timestamp: nowMs, namespace }, () => sqliteExec(dbPath,
+        `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, classification, importance, ttl_class, expires_at, last_accessed_at, entity, fact_key, fact_value, tags, namespace, sensitivity, search_tokens)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, 'plugin-auto', nowMs, 'auto-capture', sealed.description, 'Auto-captured by lily-memory plugin v5', 'ARCHIVE', importance, ttlClass, expiresAt, nowMs, entity, key, sealed.fact_value, '["auto-capture","v5"]', namespace, classifySensitivity(access, { entity, key }), sealed.search_tokens]
+      ));
 
       if (ok) {
         stored++;
@@ -194,5 +242,5 @@ export function captureFromMessages(dbPath, messages, maxCapture, runtimeEntitie
     }
   }
 
-  return { stored, newDecisionIds, blocked };
+  return { stored, newDecisionIds, blocked, quarantined, conflicts };
 }
@@ -0,0 +1,279 @@
+// ============================================================================
+// Conflict detection: hold back captured updates that contradict a fact
+// ============================================================================
+
+import { randomUUID } from "node:crypto";
+import { sqliteQuery, sqliteExec } from "./sqlite.js";
+import { commitRevision, getCurrentRevision } from "./history.js";
+import { truncateValue } from "./budget.js";
+import { namespaceFilter } from "./namespaces.js";
+import { sealDecision, sealField } from "./encryption.js";
+
+/** Conflict score (0-1) at or above which an update counts as a contradiction. */
+export const DEFAULT_CONFLICT_THRESHOLD = 0.3;
+
+/**
+ * Default trust per source role. A conflicting update is applied straight
+ * away only when its source is strictly more trusted than the source of the
+ * current value. Reverts, imports and vault edits rank with the assistant.
+ * An unknown or missing source is never more trusted than anything, and a
+ * value with no recorded source is never overwritten without review.
+ */
+export const DEFAULT_SOURCE_TRUST = {
+  user: 1,
+  assistant: 2,
+  revert: 2,
+  import: 2,
+  vault: 2,
+  tool: 3,
+};
+
+/**
+ * Levenshtein edit distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Normalized lexical distance (0 = identical, 1 = nothing in common).
+ * Case and surrounding whitespace are ignored.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function lexicalDistance(a, b) {
+  const x = String(a || "").trim().toLowerCase();
+  const y = String(b || "").trim().toLowerCase();
+  const longest = Math.max(x.length, y.length);
+  if (longest === 0) return 0;
+  return levenshtein(x, y) / longest;
+}
+
+/**
+ * Score how strongly a new value contradicts an old one.
+ * With a cosine similarity, lexical distance and semantic distance are averaged,
+ * so rewordings of the same fact score low.
+ *
+ * @param {string} oldValue
+ * @param {string} newValue
+ * @param {number|null} [similarity] - Cosine similarity of the two values' embeddings
+ * @returns {{ lexical: number, semantic: number|null, score: number }}
+ */
+export function scoreConflict(oldValue, newValue, similarity = null) {
+  const lexical = lexicalDistance(oldValue, newValue);
+  if (typeof similarity !== "number") return { lexical, semantic: null, score: lexical };
+  const semantic = Math.max(0, Math.min(1, similarity));
+  return { lexical, semantic, score: (lexical + (1 - semantic)) / 2 };
+}
+
+/**
+ * Whether a new source is strictly more trusted than the old one.
+ * Unknown roles, including legacy values with no recorded source, are never
+ * outranked, so contradicting them always goes to review.
+ * @param {string|null} newRole
+ * @param {string|null} oldRole
+ * @param {object} [sourceTrust]
+ * @returns {boolean}
+ */
+export function isMoreTrusted(newRole, oldRole, sourceTrust = DEFAULT_SOURCE_TRUST) {
+  const trustOf = (role) => (role && typeof sourceTrust[role] === "number" ? sourceTrust[role] : null);
+  const next = trustOf(newRole);
+  const prev = trustOf(oldRole);
+  return next !== null && prev !== null && next > prev;
+}
+
+/**
+ * Write a new value onto an existing decision, recording the revision.
+ * @param {string} dbPath
+ * @param {string} decisionId
+ * @param {{ entity: string, key: string, value: string, sourceRole: string, sessionId: string }} next
+ * @returns {boolean}
+ */
+function applyValue(dbPath, decisionId, next) {
+  const nowMs = Date.now();
+  const sealed = sealDecision(dbPath, { description: `${next.entity}.${next.key} = ${next.value}`, fact_value: next.value });
+  return commitRevision(dbPath, decisionId, { ...next, timestamp: nowMs }, () => sqliteExec(dbPath,
+    `UPDATE decisions SET fact_value = ?, description = ?, search_tokens = ?, timestamp = ?, last_accessed_at = ? WHERE id = ?`,
+    [sealed.fact_value, sealed.description, sealed.search_tokens, nowMs, nowMs, decisionId]
+  ));
+}
+
+/**
+ * Decide whether a captured update may overwrite an existing fact.
+ * Contradictions from a less (or equally) trusted source are queued in
+ * fact_conflicts and the old value is kept. Contradictions from a more trusted
+ * source are applied but still recorded, as auto_accepted.
+ *
+ * @param {string} dbPath
+ * @param {string} decisionId - Existing decision
+ * @param {string} oldValue - Its current value
+ * @param {{ entity: string, key: string, value: string, sourceRole: string, sessionId: string }} next
+ * @param {object} [opts]
+ * @param {number} [opts.threshold]
+ * @param {object} [opts.sourceTrust]
+ * @returns {{ action: "apply"|"queue", conflictId?: string, score?: number }}
+ */
+export function checkFactUpdate(dbPath, decisionId, oldValue, next, opts = {}) {
+  const threshold = opts.threshold ?? DEFAULT_CONFLICT_THRESHOLD;
+  const sourceTrust = opts.sourceTrust || DEFAULT_SOURCE_TRUST;
+
+  if (oldValue === null || oldValue === undefined) return { action: "apply" };
+  const { lexical, score } = scoreConflict(oldValue, next.value);
+  if (score < threshold) return { action: "apply", score };
+
+  const oldRole = getCurrentRevision(dbPath, decisionId)?.source_role ?? null;
+  const trusted = isMoreTrusted(next.sourceRole, oldRole, sourceTrust);
+  const nowMs = Date.now();
+
+  if (!trusted) {
+    // Same contradiction seen again — keep the single queued entry. Values are
+    // compared after reading, as sealed ones differ on every write
+    const dup = sqliteQuery(dbPath,
+      `SELECT id, new_value FROM fact_conflicts WHERE decision_id = ? AND status = 'pending'`,
+      [decisionId]
+    ).find((c) => c.new_value === next.value);
+    if (dup) return { action: "queue", conflictId: dup.id, score };
+  }
+
+  const conflictId = randomUUID();
+  sqliteExec(dbPath,
+    `INSERT INTO fact_conflicts (id, decision_id, entity, fact_key, old_value, old_source_role, new_value, new_source_role, session_id,
+       lexical_distance, score, status, detected_at, resolved_at, resolution_note)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [conflictId, decisionId, next.entity, next.key, sealField(dbPath, oldValue), oldRole, sealField(dbPath, next.value), next.sourceRole, next.sessionId,
+     lexical, score, trusted ? "auto_accepted" : "pending", nowMs, trusted ? nowMs : null,
+     trusted ? `${next.sourceRole} is more trusted than ${oldRole || "unknown"}` : null]
+  );
+
+  return { action: trusted ? "apply" : "queue", conflictId, score };
+}
+
+/**
+ * Re-score a pending conflict with the cosine similarity of both values.
+ * If the values turn out to mean the same thing, the update is applied.
+ *
+ * @param {string} dbPath
+ * @param {string} conflictId
+ * @param {number} similarity
+ * @param {number} [threshold]
+ * @returns {{ resolved: boolean, score?: number }}
+ */
+export function refineConflict(dbPath, conflictId, similarity, threshold = DEFAULT_CONFLICT_THRESHOLD) {
+  const rows = sqliteQuery(dbPath, `SELECT old_value, new_value, status FROM fact_conflicts WHERE id = ?`, [conflictId]);
+  if (!rows.length || rows[0].status !== "pending") return { resolved: false };
+
+  const { semantic, score } = scoreConflict(rows[0].old_value, rows[0].new_value, similarity);
+  sqliteExec(dbPath, `UPDATE fact_conflicts SET semantic_similarity = ?, score = ? WHERE id = ?`, [semantic, score, conflictId]);
+
+  if (score >= threshold) return { resolved: false, score };
+  const result = resolveConflict(dbPath, conflictId, "accept", "semantically equivalent");
+  return { resolved: result.success, score };
+}
+
+/**
+ * Resolve a pending conflict.
+ * "accept" writes the new value; "reject" keeps the current one.
+ *
+ * @param {string} dbPath
+ * @param {string} conflictId
+ * @param {"accept"|"reject"} action
+ * @param {string} [note]
+ * @param {string[]|null} [namespaces] - Namespaces the caller may resolve in (default: all)
+ * @returns {{ success: boolean, decisionId?: string, entity?: string, key?: string, value?: string, error?: string }}
+ */
+export function resolveConflict(dbPath, conflictId, action, note = null, namespaces = null) {
+  if (action !== "accept" && action !== "reject") return { success: false, error: `Unknown action "${action}"` };
+
+  const scope = conflictScope(namespaces);
+  const rows = sqliteQuery(dbPath, `SELECT * FROM fact_conflicts WHERE id = ? AND ${scope.sql}`, [conflictId, ...scope.params]);
+  if (!rows.length) return { success: false, error: "Conflict not found" };
+  const c = rows[0];
+  if (c.status !== "pending") return { success: false, error: `Conflict is already ${c.status}` };
+
+  if (action === "accept") {
+    const live = sqliteQuery(dbPath, `SELECT id FROM decisions WHERE id = ?`, [c.decision_id]);
+    if (!live.length) return { success: false, error: `${c.entity}.${c.fact_key} no longer exists` };
+    applyValue(dbPath, c.decision_id, { entity: c.entity, key: c.fact_key, value: c.new_value, sourceRole: c.new_source_role, sessionId: c.session_id });
+  }
+
+  sqliteExec(dbPath,
+    `UPDATE fact_conflicts SET status = ?, resolved_at = ?, resolution_note = ? WHERE id = ?`,
+    [action === "accept" ? "accepted" : "rejected", Date.now(), note, conflictId]
+  );
+
+  const value = action === "accept" ? c.new_value : c.old_value;
+  return { success: true, decisionId: c.decision_id, entity: c.entity, key: c.fact_key, value };
+}
+
+/**
+ * Close pending conflicts for a decision whose value was set explicitly
+ * (e.g. via memory_store), since they no longer describe the current value.
+ * @param {string} dbPath
+ * @param {string} decisionId
+ * @returns {boolean}
+ */
+export function supersedeConflicts(dbPath, decisionId) {
+  return sqliteExec(dbPath,
+    `UPDATE fact_conflicts SET status = 'superseded', resolved_at = ? WHERE decision_id = ? AND status = 'pending'`,
+    [Date.now(), decisionId]
+  );
+}
+
+/** Conflicts belong to the namespace of the decision they are about. */
+function conflictScope(namespaces) {
+  const scope = namespaceFilter(namespaces);
+  if (!namespaces || namespaces.length === 0) return scope;
+  return { sql: `decision_id IN (SELECT id FROM decisions WHERE ${scope.sql})`, params: scope.params };
+}
+
+/**
+ * List conflicts, newest first.
+ * @param {string} dbPath
+ * @param {string} [status="pending"] - Status filter, or "all"
+ * @param {number} [limit=10]
+ * @param {string[]|null} [namespaces] - Only conflicts on facts in these namespaces (default: all)
+ * @param {boolean} [includeSecret=false] - Also list conflicts on facts labelled secret
+ * @returns {Array}
+ */
+export function getConflicts(dbPath, status = "pending", limit = 10, namespaces = null, includeSecret = false) {
+  const ns = conflictScope(namespaces);
+  const scope = includeSecret ? ns : {
+    sql: `${ns.sql} AND decision_id NOT IN (SELECT id FROM decisions WHERE sensitivity = 'secret')`,
+    params: ns.params,
+  };
+  if (status === "all") {
+    return sqliteQuery(dbPath, `SELECT * FROM fact_conflicts WHERE ${scope.sql} ORDER BY detected_at DESC LIMIT ?`, [...scope.params, limit]);
+  }
+  return sqliteQuery(dbPath,
+    `SELECT * FROM fact_conflicts WHERE status = ? AND ${scope.sql} ORDER BY detected_at DESC LIMIT ?`,
+    [status, ...scope.params, limit]
+  );
+}
+
+/**
+ * Format pending conflicts as recall lines for the <lily-memory> block.
+ * @param {Array} conflicts - Rows from getConflicts
+ * @returns {string[]}
+ */
+export function formatConflictLines(conflicts) {
+  return conflicts.map((c) =>
+    `- **${c.entity}**.${c.fact_key}: kept "${truncateValue(c.old_value, 60)}" (${c.old_source_role || "unknown"}), ` +
+    `pending "${truncateValue(c.new_value, 60)}" (${c.new_source_role || "unknown"})`
+  );
+}
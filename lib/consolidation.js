@@ -1,4 +1,5 @@
 import { sqliteQuery, sqliteExec } from './sqlite.js';
+import { deleteVectors } from './embeddings.js';
 
 /**
  * Consolidate duplicate memory entries, keeping the most recently accessed.
@@ -59,16 +60,14 @@ export function consolidateMemories(dbPath, logger) {
     const deleteIds = ids.filter(id => id !== latestId);
     for (const delId of deleteIds) {
       sqliteExec(dbPath, `DELETE FROM decisions WHERE id = ?`, [delId]);
-      sqliteExec(dbPath, `DELETE FROM vectors WHERE decision_id = ?`, [delId]);
+      deleteVectors(dbPath, `decision_id = ?`, [delId]);
     }
 
     merged += deleteIds.length;
   }
 
   // 2. Clean orphaned vectors (decision_id no longer in decisions table)
-  sqliteExec(dbPath, `
-    DELETE FROM vectors WHERE decision_id NOT IN (SELECT id FROM decisions)
-  `);
+  deleteVectors(dbPath, `decision_id NOT IN (SELECT id FROM decisions)`);
 
   if (merged > 0) {
     log(`lily-memory: consolidated ${merged} duplicate entries`);
@@ -0,0 +1,161 @@
+// ============================================================================
+// Doctor: integrity checks across decisions, FTS indexes and vectors, with
+// repairs for the drift they find
+// ============================================================================
+
+import { sqliteQuery, sqliteExec, sqliteTransaction, ensureTables, checkFtsIndex } from "./sqlite.js";
+import { getVectorModels, deleteVectors } from "./embeddings.js";
+import { chunkSearchText } from "./encryption.js";
+import { countPendingReembed } from "./reembed.js";
+
+/** Repairs memory_doctor can run. reembed_missing needs the embedding provider and is run by the caller. */
+export const DOCTOR_REPAIRS = ["rebuild_fts", "purge_orphans", "reembed_missing"];
+
+/** Triggers that keep decisions_fts in step with decisions. */
+const FTS_TRIGGERS = ["decisions_ai", "decisions_ad", "decisions_au"];
+
+function count(dbPath, sql, params = []) {
+  return sqliteQuery(dbPath, sql, params)[0]?.cnt ?? 0;
+}
+
+/** Re-fill document_chunks_fts from document_chunks; sealed chunks are indexed by their search tokens. */
+function reindexChunks(dbPath) {
+  return sqliteTransaction(dbPath, () => {
+    sqliteExec(dbPath, `DELETE FROM document_chunks_fts`);
+    const rows = sqliteQuery(dbPath, `SELECT c.id, d.title, c.content FROM document_chunks c JOIN documents d ON d.id = c.document_id`);
+    for (const row of rows) {
+      if (!sqliteExec(dbPath, `INSERT INTO document_chunks_fts (chunk_id, title, content) VALUES (?, ?, ?)`, [row.id, row.title, chunkSearchText(dbPath, row.content)])) {
+        throw new Error("re-indexing a chunk failed");
+      }
+    }
+  });
+}
+
+/**
+ * Run every check. Each result has a status of "ok", "warn" or "error",
+ * a one-line detail, and the repair that fixes it when there is one.
+ *
+ * @param {string} dbPath
+ * @param {object} [opts]
+ * @param {string} [opts.model] - Current embedding model, for dimension and missing-vector checks
+ * @param {number} [opts.dims] - Dimensions the provider returns now
+ * @param {number} [opts.nowMs]
+ * @returns {{ status: string, checks: Array<{ name: string, status: string, detail: string, count?: number, repair?: string }> }}
+ */
+export function runDoctor(dbPath, opts = {}) {
+  const nowMs = opts.nowMs ?? Date.now();
+  const checks = [];
+  const add = (name, status, detail, extra = {}) => checks.push({ name, status, detail, ...extra });
+
+  // SQLite's own page and index check
+  const integrity = sqliteQuery(dbPath, `PRAGMA integrity_check`).map((r) => r.integrity_check);
+  if (integrity.length === 1 && integrity[0] === "ok") add("integrity", "ok", "PRAGMA integrity_check: ok");
+  else add("integrity", "error", `PRAGMA integrity_check: ${integrity.slice(0, 3).join("; ") || "could not run"}${integrity.length > 3 ? ` (+${integrity.length - 3} more)` : ""} — restore a backup`);
+
+  // decisions_fts: triggers present, index matches decisions
+  const triggers = new Set(sqliteQuery(dbPath, `SELECT name FROM sqlite_master WHERE type = 'trigger'`).map((r) => r.name));
+  const missingTriggers = FTS_TRIGGERS.filter((t) => !triggers.has(t));
+  const indexed = count(dbPath, `SELECT COUNT(*) AS cnt FROM decisions_fts_docsize`);
+  const rows = count(dbPath, `SELECT COUNT(*) AS cnt FROM decisions`);
+  const fts = checkFtsIndex(dbPath, "decisions_fts");
+  if (missingTriggers.length > 0) {
+    add("fts_triggers", "error", `missing ${missingTriggers.join(", ")}; decisions_fts stops following writes`, { count: missingTriggers.length, repair: "rebuild_fts" });
+  } else {
+    add("fts_triggers", "ok", "decisions_ai/ad/au present");
+  }
+  if (fts.ok && indexed === rows) add("fts_index", "ok", `decisions_fts matches ${rows} decisions`);
+  else add("fts_index", "error", `decisions_fts is out of step with decisions (${indexed} indexed, ${rows} rows)`, { count: Math.abs(rows - indexed), repair: "rebuild_fts" });
+
+  // document_chunks_fts is written from JS, one row per chunk
+  const unindexedChunks = count(dbPath,
+    `SELECT COUNT(*) AS cnt FROM document_chunks c WHERE NOT EXISTS (SELECT 1 FROM document_chunks_fts f WHERE f.chunk_id = c.id)`);
+  const strayChunkRows = count(dbPath,
+    `SELECT COUNT(*) AS cnt FROM document_chunks_fts f WHERE NOT EXISTS (SELECT 1 FROM document_chunks c WHERE c.id = f.chunk_id)`);
+  if (unindexedChunks + strayChunkRows === 0) add("chunk_fts", "ok", "document_chunks_fts matches document_chunks");
+  else add("chunk_fts", "warn", `${unindexedChunks} chunks not indexed, ${strayChunkRows} index rows without a chunk`, { count: unindexedChunks + strayChunkRows, repair: "rebuild_fts" });
+
+  // Vectors whose decision or chunk is gone
+  const orphanVectors = count(dbPath, `SELECT COUNT(*) AS cnt FROM vectors WHERE decision_id NOT IN (SELECT id FROM decisions)`);
+  const orphanChunkVectors = count(dbPath, `SELECT COUNT(*) AS cnt FROM chunk_vectors WHERE chunk_id NOT IN (SELECT id FROM document_chunks)`);
+  if (orphanVectors + orphanChunkVectors === 0) add("orphan_vectors", "ok", "every vector has its decision or chunk");
+  else add("orphan_vectors", "warn", `${orphanVectors} vectors without a decision, ${orphanChunkVectors} chunk vectors without a chunk`, { count: orphanVectors + orphanChunkVectors, repair: "purge_orphans" });
+
+  // One size per model, matching the provider for the current one
+  const sizes = [
+    ...getVectorModels(dbPath),
+    ...sqliteQuery(dbPath, `SELECT 'chunks:' || model AS model, length(embedding) / 4 AS dims, COUNT(*) AS count FROM chunk_vectors GROUP BY model, dims`),
+  ];
+  const byModel = new Map();
+  for (const s of sizes) byModel.set(s.model, [...(byModel.get(s.model) || []), s]);
+  const mixed = [...byModel].filter(([, list]) => list.length > 1).map(([model, list]) => `${model} has ${list.map((s) => `${s.count}×${s.dims}`).join(", ")}`);
+  const current = opts.model && opts.dims ? (byModel.get(opts.model) || []).filter((s) => s.dims !== opts.dims) : [];
+  if (mixed.length > 0) add("vector_dims", "error", `mixed sizes: ${mixed.join("; ")} — run memory_reembed with replace_mismatched`, { count: mixed.length });
+  else if (current.length > 0) add("vector_dims", "warn", `${current[0].count} ${opts.model} vectors have ${current[0].dims} dims, the provider returns ${opts.dims} — run memory_reembed with replace_mismatched`, { count: current[0].count });
+  else add("vector_dims", "ok", `${byModel.size} model(s), one size each`);
+
+  // Expired rows are deleted at startup; many in between is worth knowing
+  const expired = count(dbPath, `SELECT COUNT(*) AS cnt FROM decisions WHERE expires_at IS NOT NULL AND expires_at <= ?`, [nowMs]);
+  add("expired_rows", expired === 0 ? "ok" : "warn", expired === 0 ? "no expired decisions" : `${expired} expired decisions not yet deleted (removed at next startup)`, { count: expired });
+
+  // Live decisions without a vector from the current model
+  if (opts.model) {
+    const missing = countPendingReembed(dbPath, opts.model, nowMs);
+    if (missing === 0) add("missing_vectors", "ok", `every live decision has a ${opts.model} vector`);
+    else add("missing_vectors", "warn", `${missing} live decisions have no ${opts.model} vector`, { count: missing, repair: "reembed_missing" });
+  }
+
+  const status = checks.some((c) => c.status === "error") ? "error" : checks.some((c) => c.status === "warn") ? "warn" : "ok";
+  return { status, checks };
+}
+
+/**
+ * Run the database repairs (reembed_missing is left to the caller).
+ * - rebuild_fts: recreate missing triggers, rebuild decisions_fts from
+ *   decisions and document_chunks_fts from document_chunks
+ * - purge_orphans: delete vectors and chunk vectors whose row is gone
+ * @param {string} dbPath
+ * @param {string[]} actions
+ * @returns {Array<{ action: string, ok: boolean, detail: string }>}
+ */
+export function repairDatabase(dbPath, actions) {
+  const results = [];
+  if (actions.includes("rebuild_fts")) {
+    const ok = ensureTables(dbPath)
+      && sqliteExec(dbPath, `INSERT INTO decisions_fts(decisions_fts) VALUES ('rebuild')`)
+      && reindexChunks(dbPath);
+    const chunks = count(dbPath, `SELECT COUNT(*) AS cnt FROM document_chunks_fts`);
+    results.push({ action: "rebuild_fts", ok, detail: ok ? `triggers checked, decisions_fts rebuilt, ${chunks} chunks re-indexed` : "rebuild failed (see log)" });
+  }
+  if (actions.includes("purge_orphans")) {
+    const vectors = count(dbPath, `SELECT COUNT(*) AS cnt FROM vectors WHERE decision_id NOT IN (SELECT id FROM decisions)`);
+    const chunkVectors = count(dbPath, `SELECT COUNT(*) AS cnt FROM chunk_vectors WHERE chunk_id NOT IN (SELECT id FROM document_chunks)`);
+    const ok = deleteVectors(dbPath, `decision_id NOT IN (SELECT id FROM decisions)`) !== null
+      && sqliteExec(dbPath, `DELETE FROM chunk_vectors WHERE chunk_id NOT IN (SELECT id FROM document_chunks)`);
+    results.push({ action: "purge_orphans", ok, detail: ok ? `${vectors} vectors and ${chunkVectors} chunk vectors deleted` : "purge failed (see log)" });
+  }
+  return results;
+}
+
+/**
+ * Report lines for memory_doctor and the startup log.
+ * @param {ReturnType<typeof runDoctor>} report
+ * @returns {string[]}
+ */
+export function formatDoctorReport(report) {
+  return report.checks.map((c) => `- [${c.status}] ${c.name}: ${c.detail}${c.repair && c.status !== "ok" ? ` (repair: ${c.repair})` : ""}`);
+}
+
+/**
+ * One-line summary, e.g. "7 ok, 1 warn (orphan_vectors)".
+ * @param {ReturnType<typeof runDoctor>} report
+ * @returns {string}
+ */
+export function summarizeDoctorReport(report) {
+  const by = (status) => report.checks.filter((c) => c.status === status);
+  const parts = [`${by("ok").length} ok`];
+  for (const status of ["warn", "error"]) {
+    const list = by(status);
+    if (list.length > 0) parts.push(`${list.length} ${status} (${list.map((c) => c.name).join(", ")})`);
+  }
+  return parts.join(", ");
+}
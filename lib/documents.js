@@ -0,0 +1,417 @@
+// ============================================================================
+// Long-form documents: notes, runbooks and meeting summaries split into
+// overlapping chunks, indexed in FTS5 and embedded for recall citations
+// ============================================================================
+
+import { randomUUID, createHash } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
+import { sqliteQuery, sqliteExec, sanitizeValue, getFieldCipher } from "./sqlite.js";
+import { encodeEmbedding, decodeEmbedding, cosineSimilarity } from "./embeddings.js";
+import { fuseRankings } from "./ranking.js";
+import { DEFAULT_NAMESPACE, namespaceFilter } from "./namespaces.js";
+import { sealField, chunkSearchText, searchQuery } from "./encryption.js";
+import { truncateValue } from "./budget.js";
+
+/** Defaults for the documents config option. */
+export const DEFAULT_DOCUMENT_CONFIG = {
+  chunkSize: 1000,      // chars per chunk
+  chunkOverlap: 150,    // chars repeated at the start of the next chunk
+  maxRecallChunks: 3,   // chunks cited per turn; 0 disables citations
+};
+
+/** Longest document accepted, in chars (files are checked by size first). */
+export const MAX_DOCUMENT_CHARS = 500000;
+
+/** Max chars of a chunk excerpt in a recall citation. */
+export const MAX_CHUNK_EXCERPT_LENGTH = 300;
+
+/** Chunks embedded per round of embedDocumentChunks. */
+const CHUNK_EMBED_LIMIT = 500;
+
+/**
+ * Resolve documents config over the defaults. The overlap is kept below
+ * half a chunk so every chunk moves the window forward.
+ * @param {object} [cfg]
+ * @returns {{ chunkSize: number, chunkOverlap: number, maxRecallChunks: number }}
+ */
+export function resolveDocumentConfig(cfg = {}) {
+  const out = { ...DEFAULT_DOCUMENT_CONFIG };
+  for (const key of Object.keys(out)) {
+    if (Number.isInteger(cfg?.[key]) && cfg[key] >= 0) out[key] = cfg[key];
+  }
+  out.chunkSize = Math.max(200, out.chunkSize);
+  out.chunkOverlap = Math.min(out.chunkOverlap, Math.floor(out.chunkSize / 2));
+  return out;
+}
+
+/**
+ * Best place to end a chunk between min and max: the last paragraph break,
+ * else sentence end, else line break, else whitespace, else max.
+ */
+function breakPoint(text, min, max) {
+  const window = text.slice(min, max);
+  for (const re of [/\n[ \t]*\n/g, /[.!?]["')\]]?\s/g, /\n/g, /\s/g]) {
+    let last = -1;
+    for (const m of window.matchAll(re)) last = m.index + m[0].length;
+    if (last > 0) return min + last;
+  }
+  return max;
+}
+
+/**
+ * Split text into overlapping chunks of about `size` chars, ending on
+ * paragraph, sentence or word boundaries where possible. Each chunk after
+ * the first starts `overlap` chars before the previous one ended, at a word
+ * boundary, so a sentence cut at a chunk edge is whole in one of them.
+ *
+ * @param {string} text
+ * @param {{ size?: number, overlap?: number }} [opts]
+ * @returns {Array<{ seq: number, content: string, start: number, end: number }>} Offsets into the normalized text
+ */
+export function chunkText(text, opts = {}) {
+  const size = Math.max(1, opts.size ?? DEFAULT_DOCUMENT_CONFIG.chunkSize);
+  const overlap = Math.min(opts.overlap ?? DEFAULT_DOCUMENT_CONFIG.chunkOverlap, Math.floor(size / 2));
+  const clean = String(text || "").replace(/\r\n?/g, "\n").trim();
+  const chunks = [];
+  let start = 0;
+
+  while (start < clean.length) {
+    let end = Math.min(start + size, clean.length);
+    if (end < clean.length) end = breakPoint(clean, start + Math.ceil(size / 2), end);
+    const content = clean.slice(start, end).trim();
+    if (content) chunks.push({ seq: chunks.length, content, start, end });
+    if (end >= clean.length) break;
+
+    let next = Math.max(end - overlap, start + 1);
+    const space = clean.slice(next, end).search(/\s/);
+    start = space >= 0 && overlap > 0 ? next + space + 1 : end;
+  }
+  return chunks;
+}
+
+/**
+ * Whether a resolved path is one of the plugin's own files: a protected path
+ * itself, a sibling named after it (the key's `.next` and `.old` files, the
+ * database's `-wal` and `.hnsw.json`), or anything inside a protected directory.
+ * @param {string} full - Real path
+ * @param {string[]} protectedPaths - Database, key file, backup directory, ...
+ * @returns {boolean}
+ */
+export function isProtectedPath(full, protectedPaths = []) {
+  return protectedPaths.some((p) => {
+    const real = realPathOf(p);
+    return full === real || [path.sep, ".", "-"].some((sep) => full.startsWith(real + sep));
+  });
+}
+
+/** Real path of a file that may not exist yet: its parent's real path plus its name. */
+function realPathOf(p) {
+  try { return fs.realpathSync(p); } catch { /* not there yet */ }
+  try { return path.join(fs.realpathSync(path.dirname(p)), path.basename(p)); } catch { return path.resolve(p); }
+}
+
+/**
+ * Resolve a file path for ingestion. Relative paths are taken from the
+ * memory directory, ~ is expanded, and the real path (after symlinks) must
+ * stay inside the memory directory and not be one of the protected paths.
+ *
+ * @param {string} memoryDir - Directory holding the database
+ * @param {string} filePath
+ * @param {string[]} [protectedPaths] - Files and directories that are refused (see isProtectedPath)
+ * @returns {{ path?: string, relative?: string, error?: string }}
+ */
+export function resolveDocumentPath(memoryDir, filePath, protectedPaths = []) {
+  const expanded = filePath.startsWith("~") ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+  let base, full;
+  try { base = fs.realpathSync(memoryDir); } catch { return { error: `memory directory ${memoryDir} does not exist` }; }
+  try { full = fs.realpathSync(path.resolve(base, expanded)); } catch { return { error: `file not found: ${filePath}` }; }
+  const relative = path.relative(base, full);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+    return { error: `path must be inside the memory directory (${memoryDir})` };
+  }
+  if (isProtectedPath(full, protectedPaths)) return { error: `${filePath} is the memory database, its key or a backup` };
+  return { path: full, relative };
+}
+
+/**
+ * Read a text file from the memory directory for ingestion.
+ * @param {string} memoryDir
+ * @param {string} filePath
+ * @param {string[]} [protectedPaths] - Files and directories that are refused
+ * @returns {{ text?: string, source?: string, title?: string, error?: string }}
+ */
+export function readDocumentFile(memoryDir, filePath, protectedPaths = []) {
+  const resolved = resolveDocumentPath(memoryDir, filePath, protectedPaths);
+  if (resolved.error) return resolved;
+  const stat = fs.statSync(resolved.path);
+  if (!stat.isFile()) return { error: `${filePath} is not a file` };
+  // UTF-8 is at most 4 bytes per char; anything bigger can't fit the char limit
+  if (stat.size > MAX_DOCUMENT_CHARS * 4) return { error: `${filePath} is ${stat.size} bytes; the limit is ${MAX_DOCUMENT_CHARS} chars` };
+  const text = fs.readFileSync(resolved.path, "utf-8");
+  if (text.includes("\0")) return { error: `${filePath} looks like a binary file` };
+  return { text, source: resolved.relative, title: path.basename(resolved.relative).replace(/\.[^.]+$/, "") };
+}
+
+/**
+ * Delete a document with its chunks, FTS rows and chunk vectors.
+ * @param {string} dbPath
+ * @param {string} documentId
+ * @param {string[]|null} [namespaces] - Namespaces the caller may delete from (default: all)
+ * @returns {boolean} Whether the document existed
+ */
+export function removeDocument(dbPath, documentId, namespaces = null) {
+  const scope = namespaceFilter(namespaces);
+  const found = sqliteQuery(dbPath, `SELECT id FROM documents WHERE id = ? AND ${scope.sql}`, [documentId, ...scope.params]).length > 0;
+  if (!found) return false;
+  clearChunks(dbPath, documentId);
+  sqliteExec(dbPath, `DELETE FROM documents WHERE id = ?`, [documentId]);
+  return found;
+}
+
+function clearChunks(dbPath, documentId) {
+  const sub = `SELECT id FROM document_chunks WHERE document_id = ?`;
+  sqliteExec(dbPath, `DELETE FROM chunk_vectors WHERE chunk_id IN (${sub})`, [documentId]);
+  sqliteExec(dbPath, `DELETE FROM document_chunks_fts WHERE chunk_id IN (${sub})`, [documentId]);
+  sqliteExec(dbPath, `DELETE FROM document_chunks WHERE document_id = ?`, [documentId]);
+}
+
+/**
+ * Store a document as chunks. A document in the same namespace with the same
+ * source (file path), or with the same title when it has no source, is
+ * replaced in place and keeps its id; one whose text hasn't changed is left alone.
+ *
+ * @param {string} dbPath
+ * @param {object} doc
+ * @param {string} doc.title
+ * @param {string} doc.text
+ * @param {string|null} [doc.source] - Path relative to the memory directory
+ * @param {string|null} [doc.tags]
+ * @param {string} [doc.namespace="default"] - Namespace the document belongs to
+ * @param {{ chunkSize?: number, chunkOverlap?: number }} [opts]
+ * @returns {{ document?: object, chunks?: number, replaced?: boolean, unchanged?: boolean, error?: string }}
+ */
+export function ingestDocument(dbPath, doc, opts = {}) {
+  const text = String(doc.text || "").replace(/\0/g, "");
+  if (text.trim().length === 0) return { error: "document is empty" };
+  if (text.length > MAX_DOCUMENT_CHARS) return { error: `document is ${text.length} chars; the limit is ${MAX_DOCUMENT_CHARS}` };
+
+  const title = sanitizeValue(doc.title).trim().substring(0, 200) || "Untitled";
+  const source = doc.source || null;
+  const namespace = doc.namespace || DEFAULT_NAMESPACE;
+  const hash = createHash("sha256").update(text).digest("hex");
+  const existing = source
+    ? sqliteQuery(dbPath, `SELECT * FROM documents WHERE namespace = ? AND source = ? LIMIT 1`, [namespace, source])
+    : sqliteQuery(dbPath, `SELECT * FROM documents WHERE namespace = ? AND source IS NULL AND title = ? LIMIT 1`, [namespace, title]);
+
+  if (existing.length > 0 && existing[0].content_hash === hash && existing[0].title === title) {
+    return { document: existing[0], chunks: existing[0].chunk_count, replaced: false, unchanged: true };
+  }
+
+  const chunks = chunkText(text, { size: opts.chunkSize, overlap: opts.chunkOverlap });
+  // Sealed before anything is written, so a locked database leaves the old version in place
+  let sealed;
+  try {
+    sealed = chunks.map((chunk) => ({ content: sealField(dbPath, chunk.content), indexed: chunkSearchText(dbPath, chunk.content) }));
+  } catch (err) {
+    return { error: err.message };
+  }
+  const now = Date.now();
+  const id = existing[0]?.id || randomUUID();
+  if (existing.length > 0) {
+    clearChunks(dbPath, id);
+    sqliteExec(dbPath,
+      `UPDATE documents SET title = ?, content_hash = ?, chars = ?, chunk_count = ?, tags = ?, updated_at = ? WHERE id = ?`,
+      [title, hash, text.length, chunks.length, doc.tags ?? existing[0].tags, now, id]
+    );
+  } else {
+    sqliteExec(dbPath,
+      `INSERT INTO documents (id, title, source, content_hash, chars, chunk_count, tags, created_at, updated_at, namespace)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, title, source, hash, text.length, chunks.length, doc.tags ?? null, now, now, namespace]
+    );
+  }
+
+  chunks.forEach((chunk, i) => {
+    const chunkId = randomUUID();
+    sqliteExec(dbPath,
+      `INSERT INTO document_chunks (id, document_id, seq, content, start_offset, end_offset, namespace) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [chunkId, id, chunk.seq, sealed[i].content, chunk.start, chunk.end, namespace]
+    );
+    sqliteExec(dbPath, `INSERT INTO document_chunks_fts (chunk_id, title, content) VALUES (?, ?, ?)`, [chunkId, title, sealed[i].indexed]);
+  });
+
+  const document = sqliteQuery(dbPath, `SELECT * FROM documents WHERE id = ?`, [id])[0];
+  return { document, chunks: chunks.length, replaced: existing.length > 0, unchanged: false };
+}
+
+/**
+ * Embed chunks that have no vector from the provider's model, in
+ * provider-sized batches. Once a chunk has a current-model vector, vectors
+ * from other models are dropped for it.
+ *
+ * @param {string} dbPath
+ * @param {import("./embedding-providers.js").EmbeddingProvider} provider
+ * @param {{ documentId?: string }} [opts] - Limit to one document
+ * @returns {Promise<number>} Chunks embedded
+ */
+export async function embedDocumentChunks(dbPath, provider, opts = {}) {
+  const model = provider.id;
+  const rows = sqliteQuery(dbPath, `
+    SELECT c.id, c.content, d.title
+    FROM document_chunks c
+    JOIN documents d ON d.id = c.document_id
+    WHERE NOT EXISTS (SELECT 1 FROM chunk_vectors v WHERE v.chunk_id = c.id AND v.model = ?)
+      ${opts.documentId ? "AND c.document_id = ?" : ""}
+    ORDER BY d.updated_at DESC, c.seq
+    LIMIT ?
+  `, opts.documentId ? [model, opts.documentId, CHUNK_EMBED_LIMIT] : [model, CHUNK_EMBED_LIMIT]);
+  if (rows.length === 0) return 0;
+
+  const existing = sqliteQuery(dbPath, `SELECT length(embedding) / 4 AS dims FROM chunk_vectors WHERE model = ? LIMIT 1`, [model]);
+  let dims = existing[0]?.dims ?? null;
+  const batchSize = Math.max(1, provider.batchSize || 1);
+  let count = 0;
+
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+    const embeddings = await provider.embedBatch(batch.map((r) => `${r.title}\n${r.content}`));
+    const now = Date.now();
+    batch.forEach((row, j) => {
+      const emb = embeddings?.[j];
+      if (!Array.isArray(emb) || emb.length === 0) return;
+      if (dims !== null && emb.length !== dims) return;
+      dims = emb.length;
+      if (sqliteExec(dbPath,
+        `INSERT OR REPLACE INTO chunk_vectors (chunk_id, model, embedding, created_at) VALUES (?, ?, ?, ?)`,
+        [row.id, model, encodeEmbedding(emb), now]
+      )) count++;
+    });
+    if (provider.name !== "local") await new Promise((r) => setTimeout(r, 50));
+  }
+
+  sqliteExec(dbPath, `
+    DELETE FROM chunk_vectors
+    WHERE model != ? AND chunk_id IN (SELECT chunk_id FROM chunk_vectors WHERE model = ?)
+  `, [model, model]);
+  return count;
+}
+
+/**
+ * Find chunks relevant to a query: FTS5 matches on title and content and,
+ * with a query embedding, cosine matches over the model's chunk vectors
+ * (scanned exactly; documents don't use the decision HNSW index). The two
+ * lists are fused with reciprocal rank fusion and at most one chunk per
+ * document is returned. Only chunks in the given namespaces are considered.
+ * With encryption on, the index holds search tokens instead of text, so the
+ * excerpt is the start of the chunk rather than the text around the match.
+ *
+ * @param {string} dbPath
+ * @param {object} opts
+ * @param {string} [opts.ftsQuery] - FTS5 MATCH expression
+ * @param {number[]|null} [opts.queryEmbedding]
+ * @param {string} [opts.model] - Provider id the query was embedded with
+ * @param {number} [opts.limit=3]
+ * @param {number} [opts.threshold=0.5] - Minimum cosine similarity
+ * @param {string[]|null} [opts.namespaces] - Only documents in these namespaces (default: all)
+ * @returns {Array<{ chunk_id: string, document_id: string, title: string, source: string|null, seq: number, chunk_count: number, excerpt: string, score: number }>}
+ */
+export function searchDocumentChunks(dbPath, opts = {}) {
+  const { ftsQuery, queryEmbedding, model, limit = 3, threshold = 0.5 } = opts;
+  const scope = namespaceFilter(opts.namespaces, "c.namespace");
+  const candidates = new Map();
+
+  if (ftsQuery) {
+    const snippet = getFieldCipher(dbPath) ? "NULL" : `snippet(document_chunks_fts, 2, '', '', '…', 40)`;
+    const rows = sqliteQuery(dbPath, `
+      SELECT f.chunk_id, ${snippet} AS excerpt
+      FROM document_chunks_fts f
+      JOIN document_chunks c ON c.id = f.chunk_id
+      WHERE document_chunks_fts MATCH ?
+        AND ${scope.sql}
+      ORDER BY rank
+      LIMIT ?
+    `, [searchQuery(dbPath, ftsQuery), ...scope.params, limit * 4]);
+    rows.forEach((row, i) => candidates.set(row.chunk_id, { id: row.chunk_id, ftsRank: i + 1, excerpt: row.excerpt, similarity: null }));
+  }
+
+  if (queryEmbedding && model) {
+    const rows = sqliteQuery(dbPath,
+      `SELECT v.chunk_id, v.embedding FROM chunk_vectors v JOIN document_chunks c ON c.id = v.chunk_id
+       WHERE v.model = ? AND length(v.embedding) = ? AND ${scope.sql}`,
+      [model, queryEmbedding.length * 4, ...scope.params]
+    );
+    const hits = [];
+    for (const row of rows) {
+      const emb = decodeEmbedding(row.embedding);
+      if (!emb) continue;
+      const similarity = cosineSimilarity(queryEmbedding, emb);
+      if (similarity >= threshold) hits.push({ id: row.chunk_id, similarity });
+    }
+    hits.sort((a, b) => b.similarity - a.similarity);
+    for (const hit of hits.slice(0, limit * 4)) {
+      const c = candidates.get(hit.id);
+      if (c) c.similarity = hit.similarity;
+      else candidates.set(hit.id, { id: hit.id, ftsRank: null, excerpt: null, similarity: hit.similarity });
+    }
+  }
+
+  if (candidates.size === 0) return [];
+  const ranked = fuseRankings([...candidates.values()], { importance: 0, recency: 0, ttl: 0 });
+  const ids = ranked.map((c) => c.id);
+  const rows = sqliteQuery(dbPath, `
+    SELECT c.id, c.document_id, c.seq, c.content, d.title, d.source, d.chunk_count
+    FROM document_chunks c
+    JOIN documents d ON d.id = c.document_id
+    WHERE c.id IN (${ids.map(() => "?").join(", ")})
+      AND ${scope.sql}
+  `, [...ids, ...scope.params]);
+  const byId = new Map(rows.map((r) => [r.id, r]));
+
+  const out = [];
+  const seenDocs = new Set();
+  for (const c of ranked) {
+    const row = byId.get(c.id);
+    if (!row || seenDocs.has(row.document_id)) continue;
+    seenDocs.add(row.document_id);
+    out.push({
+      chunk_id: row.id,
+      document_id: row.document_id,
+      title: row.title,
+      source: row.source,
+      seq: row.seq,
+      chunk_count: row.chunk_count,
+      excerpt: c.excerpt || row.content,
+      score: c.score,
+    });
+    if (out.length >= limit) break;
+  }
+  return out;
+}
+
+/**
+ * Format a chunk as a recall citation line.
+ * @param {object} chunk - From searchDocumentChunks
+ * @param {number} [maxLen=MAX_CHUNK_EXCERPT_LENGTH]
+ * @returns {string}
+ */
+export function formatChunkLine(chunk, maxLen = MAX_CHUNK_EXCERPT_LENGTH) {
+  const excerpt = truncateValue(chunk.excerpt.replace(/\s+/g, " ").trim(), maxLen);
+  return `- **${chunk.title}** (part ${chunk.seq + 1}/${chunk.chunk_count}): ${excerpt}`;
+}
+
+/**
+ * Stored documents, most recently updated first.
+ * @param {string} dbPath
+ * @param {number} [limit=20]
+ * @param {string[]|null} [namespaces] - Only documents in these namespaces (default: all)
+ * @returns {Array<object>}
+ */
+export function listDocuments(dbPath, limit = 20, namespaces = null) {
+  const scope = namespaceFilter(namespaces);
+  return sqliteQuery(dbPath,
+    `SELECT id, title, source, chars, chunk_count, tags, created_at, updated_at, namespace FROM documents WHERE ${scope.sql} ORDER BY updated_at DESC LIMIT ?`,
+    [...scope.params, limit]
+  );
+}
@@ -0,0 +1,181 @@
+// ============================================================================
+// Embedding cache: a content-hash keyed table for stored texts, an in-memory
+// LRU for search queries, and batching of cache misses
+// ============================================================================
+
+import { createHash } from "node:crypto";
+import { sqliteQuery, sqliteExec } from "./sqlite.js";
+import { encodeEmbedding, decodeEmbedding } from "./embeddings.js";
+
+/** Defaults for the embeddingCache config option. */
+export const DEFAULT_EMBEDDING_CACHE = { querySize: 256, maxEntries: 20000 };
+
+/**
+ * Resolve embeddingCache config over the defaults.
+ * @param {object} [cfg]
+ * @returns {{ querySize: number, maxEntries: number }}
+ */
+export function resolveEmbeddingCacheConfig(cfg = {}) {
+  const out = { ...DEFAULT_EMBEDDING_CACHE };
+  for (const key of Object.keys(out)) {
+    if (Number.isInteger(cfg?.[key]) && cfg[key] >= 0) out[key] = cfg[key];
+  }
+  return out;
+}
+
+/**
+ * Hash of a text, the cache key together with the model.
+ * @param {string} text
+ * @returns {string}
+ */
+export function contentHash(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Wrap a provider with caching. The result is itself a provider:
+ * - embed / embedBatch look texts up in embedding_cache by (model, content
+ *   hash) and send only misses to the server, batchSize texts per request
+ * - embedQuery keeps search queries in an in-memory LRU and never writes
+ *   them to the table
+ *
+ * @param {string} dbPath
+ * @param {import("./embedding-providers.js").EmbeddingProvider} provider
+ * @param {{ querySize?: number }} [opts]
+ * @returns {import("./embedding-providers.js").EmbeddingProvider & { stats: () => object }}
+ */
+export function createCachedProvider(dbPath, provider, opts = {}) {
+  const querySize = opts.querySize ?? DEFAULT_EMBEDDING_CACHE.querySize;
+  const model = provider.id;
+  const batchSize = Math.max(1, provider.batchSize || 1);
+  const queries = new Map();
+  const counters = { queryHits: 0, queryMisses: 0, cacheHits: 0, cacheMisses: 0, requests: 0, embedded: 0 };
+
+  function lookup(hashes) {
+    const found = new Map();
+    for (let i = 0; i < hashes.length; i += 500) {
+      const chunk = hashes.slice(i, i + 500);
+      const rows = sqliteQuery(dbPath,
+        `SELECT content_hash, embedding FROM embedding_cache WHERE model = ? AND content_hash IN (${chunk.map(() => "?").join(", ")})`,
+        [model, ...chunk]
+      );
+      for (const row of rows) {
+        const emb = decodeEmbedding(row.embedding);
+        if (emb) found.set(row.content_hash, Array.from(emb));
+      }
+    }
+    if (found.size > 0) {
+      const hit = [...found.keys()];
+      sqliteExec(dbPath,
+        `UPDATE embedding_cache SET hits = hits + 1, last_used_at = ? WHERE model = ? AND content_hash IN (${hit.map(() => "?").join(", ")})`,
+        [Date.now(), model, ...hit]
+      );
+    }
+    return found;
+  }
+
+  async function embedBatch(texts) {
+    const hashes = texts.map(contentHash);
+    const found = lookup([...new Set(hashes)]);
+
+    // One request per batchSize distinct misses; repeats within the batch count as hits
+    const missing = [...new Set(hashes.filter((h) => !found.has(h)))];
+    const textByHash = new Map(hashes.map((h, i) => [h, texts[i]]));
+    counters.cacheHits += texts.length - missing.length;
+    counters.cacheMisses += missing.length;
+    for (let i = 0; i < missing.length; i += batchSize) {
+      const chunk = missing.slice(i, i + batchSize);
+      const embeddings = await provider.embedBatch(chunk.map((h) => textByHash.get(h)));
+      counters.requests++;
+      counters.embedded += chunk.length;
+      const now = Date.now();
+      chunk.forEach((h, j) => {
+        const emb = embeddings?.[j];
+        if (!Array.isArray(emb) || emb.length === 0) return;
+        found.set(h, emb);
+        sqliteExec(dbPath,
+          `INSERT OR REPLACE INTO embedding_cache (model, content_hash, embedding, created_at, last_used_at, hits) VALUES (?, ?, ?, ?, ?, 0)`,
+          [model, h, encodeEmbedding(emb), now, now]
+        );
+      });
+    }
+    return hashes.map((h) => found.get(h) || null);
+  }
+
+  return {
+    name: provider.name,
+    model: provider.model,
+    id: model,
+    batchSize,
+    health: () => provider.health(),
+    embedBatch,
+    embed: async (text) => (await embedBatch([text]))[0],
+    async embedQuery(text) {
+      const key = contentHash(text);
+      if (queries.has(key)) {
+        const emb = queries.get(key);
+        queries.delete(key);
+        queries.set(key, emb);
+        counters.queryHits++;
+        return emb;
+      }
+      counters.queryMisses++;
+      counters.requests++;
+      counters.embedded++;
+      const emb = await provider.embed(text);
+      if (emb && querySize > 0) {
+        queries.set(key, emb);
+        if (queries.size > querySize) queries.delete(queries.keys().next().value);
+      }
+      return emb;
+    },
+
+    /**
+     * Counters since startup plus the table's size.
+     * @returns {{ queryHits: number, queryMisses: number, cacheHits: number, cacheMisses: number, requests: number, embedded: number, queryEntries: number, cacheEntries: number }}
+     */
+    stats() {
+      const cacheEntries = sqliteQuery(dbPath, `SELECT COUNT(*) AS cnt FROM embedding_cache WHERE model = ?`, [model])[0]?.cnt || 0;
+      return { ...counters, queryEntries: queries.size, cacheEntries };
+    },
+  };
+}
+
+/**
+ * Hit rate as a percentage string, or "n/a" with no lookups.
+ * @param {number} hits
+ * @param {number} misses
+ * @returns {string}
+ */
+export function hitRate(hits, misses) {
+  const total = hits + misses;
+  return total === 0 ? "n/a" : `${Math.round((hits / total) * 100)}%`;
+}
+
+/**
+ * One-line summary of cache stats for logs.
+ * @param {object} stats - Output of stats()
+ * @returns {string}
+ */
+export function formatEmbeddingStats(stats) {
+  return `query LRU ${hitRate(stats.queryHits, stats.queryMisses)} of ${stats.queryHits + stats.queryMisses}, ` +
+    `cache ${hitRate(stats.cacheHits, stats.cacheMisses)} of ${stats.cacheHits + stats.cacheMisses}, ` +
+    `${stats.requests} requests for ${stats.embedded} texts`;
+}
+
+/**
+ * Keep the cache table within maxEntries rows, dropping the least recently used.
+ * @param {string} dbPath
+ * @param {number} maxEntries - 0 empties the table
+ * @returns {number} Rows removed
+ */
+export function pruneEmbeddingCache(dbPath, maxEntries) {
+  const count = sqliteQuery(dbPath, `SELECT COUNT(*) AS cnt FROM embedding_cache`)[0]?.cnt || 0;
+  if (count <= maxEntries) return 0;
+  sqliteExec(dbPath, `
+    DELETE FROM embedding_cache WHERE rowid IN (
+      SELECT rowid FROM embedding_cache ORDER BY last_used_at ASC LIMIT ?
+    )
+  `, [count - maxEntries]);
+  return count - maxEntries;
+}
@@ -0,0 +1,229 @@
+// ============================================================================
+// Embedding providers: Ollama, OpenAI-compatible servers, and a pure-JS
+// hashing embedder for machines with no model server
+// ============================================================================
+
+import { generateEmbedding, checkOllamaHealth } from "./embeddings.js";
+import { LANGUAGE_PACKS, stopWordsFor } from "./languages.js";
+
+/** Provider names accepted by the embeddingProvider config option. */
+export const EMBEDDING_PROVIDERS = ["ollama", "openai", "local"];
+
+/** Default model for the Ollama and OpenAI-compatible providers. */
+export const DEFAULT_EMBEDDING_MODEL = "nomic-embed-text";
+
+/** Default base URL of an OpenAI-compatible server (llama.cpp's llama-server). */
+export const DEFAULT_OPENAI_URL = "http://localhost:8080";
+
+/** Default vector size of the local hashing embedder. */
+export const DEFAULT_LOCAL_DIMENSIONS = 256;
+
+/**
+ * An embedding provider.
+ * @typedef {object} EmbeddingProvider
+ * @property {string} name - "ollama" | "openai" | "local"
+ * @property {string} model - Model name as sent to the server
+ * @property {string} id - "<provider>:<model>", stored in vectors.model
+ * @property {number} batchSize - Most texts sent in one embedBatch request
+ * @property {(text: string) => Promise<number[]|null>} embed
+ * @property {(texts: string[]) => Promise<Array<number[]|null>>} embedBatch - One result per text, null where it failed
+ * @property {(text: string) => Promise<number[]|null>} [embedQuery] - Embed a search query (may be cached differently)
+ * @property {() => Promise<{ available: boolean, dimensions?: number, reason?: string }>} health
+ */
+
+/** Texts per batch request for servers that accept arrays. */
+export const DEFAULT_BATCH_SIZE = 32;
+
+/**
+ * Embed texts one at a time; the fallback for servers without batch input.
+ * @param {(text: string) => Promise<number[]|null>} embed
+ * @param {string[]} texts
+ * @returns {Promise<Array<number[]|null>>}
+ */
+async function embedEach(embed, texts) {
+  const out = [];
+  for (const text of texts) out.push(await embed(text));
+  return out;
+}
+
+/**
+ * Provider backed by Ollama's /api/embeddings.
+ * @param {{ url?: string, model?: string }} options
+ * @returns {EmbeddingProvider}
+ */
+export function createOllamaProvider({ url = "http://localhost:11434", model = DEFAULT_EMBEDDING_MODEL } = {}) {
+  const embed = (text) => generateEmbedding(url, model, text);
+  // /api/embed takes an array; Ollama before 0.3 only has the single-text /api/embeddings
+  let batchSupported = true;
+
+  return {
+    name: "ollama",
+    model,
+    id: `ollama:${model}`,
+    batchSize: DEFAULT_BATCH_SIZE,
+    embed,
+    async embedBatch(texts) {
+      if (batchSupported) {
+        try {
+          const res = await fetch(`${url}/api/embed`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ model, input: texts }),
+            signal: AbortSignal.timeout(30000),
+          });
+          if (res.status === 404) batchSupported = false;
+          else if (res.ok) {
+            const data = await res.json();
+            if (Array.isArray(data.embeddings) && data.embeddings.length === texts.length) return data.embeddings;
+          }
+        } catch {
+          // Fall through to single requests
+        }
+      }
+      return embedEach(embed, texts);
+    },
+    health: () => checkOllamaHealth(url, model),
+  };
+}
+
+/**
+ * Provider for any server implementing OpenAI's POST /v1/embeddings
+ * (llama.cpp, LM Studio, vLLM, OpenAI itself). The URL may include /v1 or not.
+ * @param {{ url?: string, model?: string, apiKey?: string }} options
+ * @returns {EmbeddingProvider}
+ */
+export function createOpenAiProvider({ url = DEFAULT_OPENAI_URL, model = DEFAULT_EMBEDDING_MODEL, apiKey } = {}) {
+  const base = url.replace(/\/+$/, "");
+  const endpoint = base.endsWith("/v1") ? `${base}/embeddings` : `${base}/v1/embeddings`;
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  /** POST one or more inputs; returns embeddings in input order. */
+  async function request(input) {
+    const res = await fetch(endpoint, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ model, input }),
+      signal: AbortSignal.timeout(Array.isArray(input) ? 30000 : 10000),
+    });
+    if (!res.ok) return { error: `HTTP ${res.status}` };
+    const data = await res.json();
+    const embeddings = [];
+    for (const [i, item] of (Array.isArray(data?.data) ? data.data : []).entries()) {
+      embeddings[Number.isInteger(item?.index) ? item.index : i] = item?.embedding;
+    }
+    const embedding = embeddings[0];
+    return Array.isArray(embedding) && embedding.length > 0 ? { embedding, embeddings } : { error: "empty embedding response" };
+  }
+
+  async function embed(text) {
+    try {
+      return (await request(text)).embedding || null;
+    } catch {
+      return null;
+    }
+  }
+
+  return {
+    name: "openai",
+    model,
+    id: `openai:${model}`,
+    batchSize: DEFAULT_BATCH_SIZE,
+    embed,
+    async embedBatch(texts) {
+      try {
+        const { embeddings } = await request(texts);
+        if (embeddings) return texts.map((_, i) => (Array.isArray(embeddings[i]) && embeddings[i].length > 0 ? embeddings[i] : null));
+      } catch {
+        // Some servers reject array input; fall through to single requests
+      }
+      return embedEach(embed, texts);
+    },
+    async health() {
+      try {
+        const { embedding, error } = await request("health check");
+        return embedding ? { available: true, dimensions: embedding.length } : { available: false, reason: error };
+      } catch (err) {
+        return { available: false, reason: String(err?.message || err) };
+      }
+    },
+  };
+}
+
+/** Stop words of every language pack, built on first use. */
+let hashStopWords = null;
+
+/** 32-bit FNV-1a hash. */
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Embed text locally by feature hashing: word unigrams, word bigrams and
+ * character trigrams are hashed into a fixed-size vector with signed
+ * buckets, weighted by log term frequency, then L2-normalized. Stop words
+ * of every language pack are dropped. Deterministic and dependency-free;
+ * it matches shared words and word fragments, not meaning.
+ *
+ * @param {string} text
+ * @param {number} [dims=DEFAULT_LOCAL_DIMENSIONS]
+ * @returns {number[]}
+ */
+export function hashEmbedding(text, dims = DEFAULT_LOCAL_DIMENSIONS) {
+  hashStopWords ??= stopWordsFor(Object.keys(LANGUAGE_PACKS));
+  const words = (String(text).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter((w) => !hashStopWords.has(w));
+
+  const features = new Map();
+  const addFeature = (f, weight) => features.set(f, (features.get(f) || 0) + weight);
+  for (let i = 0; i < words.length; i++) {
+    addFeature(`w:${words[i]}`, 1);
+    if (i + 1 < words.length) addFeature(`b:${words[i]} ${words[i + 1]}`, 0.5);
+    const padded = `<${words[i]}>`;
+    const grams = Math.max(1, padded.length - 2);
+    for (let j = 0; j + 3 <= padded.length; j++) addFeature(`c:${padded.slice(j, j + 3)}`, 1 / grams);
+  }
+
+  const vec = new Array(dims).fill(0);
+  for (const [feature, tf] of features) {
+    const h = fnv1a(feature);
+    vec[h % dims] += (h & 0x80000000 ? -1 : 1) * (1 + Math.log(tf));
+  }
+  const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+  return norm === 0 ? vec : vec.map((v) => v / norm);
+}
+
+/**
+ * Provider that embeds in-process with hashEmbedding. Always available.
+ * @param {{ dimensions?: number }} options
+ * @returns {EmbeddingProvider}
+ */
+export function createLocalProvider({ dimensions = DEFAULT_LOCAL_DIMENSIONS } = {}) {
+  const model = `hash-${dimensions}`;
+  return {
+    name: "local",
+    model,
+    id: `local:${model}`,
+    batchSize: DEFAULT_BATCH_SIZE,
+    embed: async (text) => hashEmbedding(text, dimensions),
+    embedBatch: async (texts) => texts.map((text) => hashEmbedding(text, dimensions)),
+    health: async () => ({ available: true, dimensions }),
+  };
+}
+
+/**
+ * Build the provider selected by plugin config.
+ * @param {{ embeddingProvider?: string, embeddingModel?: string, embeddingUrl?: string, embeddingApiKey?: string, embeddingDimensions?: number, ollamaUrl?: string }} cfg
+ * @returns {EmbeddingProvider}
+ */
+export function createEmbeddingProvider(cfg = {}) {
+  const name = EMBEDDING_PROVIDERS.includes(cfg.embeddingProvider) ? cfg.embeddingProvider : "ollama";
+  const model = cfg.embeddingModel || DEFAULT_EMBEDDING_MODEL;
+  if (name === "openai") return createOpenAiProvider({ url: cfg.embeddingUrl || DEFAULT_OPENAI_URL, model, apiKey: cfg.embeddingApiKey });
+  if (name === "local") return createLocalProvider({ dimensions: cfg.embeddingDimensions || DEFAULT_LOCAL_DIMENSIONS });
+  return createOllamaProvider({ url: cfg.ollamaUrl || "http://localhost:11434", model });
+}
@@ -1,5 +1,10 @@
 import { randomUUID } from "node:crypto";
+import fs from "node:fs";
 import { sqliteQuery, sqliteExec } from "./sqlite.js";
+import { namespaceFilter } from "./namespaces.js";
+import { sensitivityFilter } from "./access.js";
+import { sealField } from "./encryption.js";
+import { createHnswIndex, restoreHnswIndex } from "./hnsw.js";
 
 // ============================================================================
 // Cosine similarity
@@ -7,8 +12,8 @@ import { sqliteQuery, sqliteExec } from "./sqlite.js";
 
 /**
  * Cosine similarity between two vectors. Returns 0 on invalid input.
- * @param {number[]} a
- * @param {number[]} b
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
  * @returns {number}
  */
 export function cosineSimilarity(a, b) {
@@ -75,6 +80,190 @@ export async function checkOllamaHealth(ollamaUrl, model) {
   }
 }
 
+// ============================================================================
+// Storage encoding
+// ============================================================================
+
+/**
+ * Encode an embedding as a Float32 BLOB (4 bytes per dimension).
+ * @param {ArrayLike<number>} embedding
+ * @returns {Buffer}
+ */
+export function encodeEmbedding(embedding) {
+  return Buffer.from(Float32Array.from(embedding).buffer);
+}
+
+/**
+ * Decode a stored embedding. Accepts Float32 BLOBs and legacy JSON arrays.
+ * @param {Buffer|Uint8Array|string} value
+ * @returns {Float32Array|null}
+ */
+export function decodeEmbedding(value) {
+  if (typeof value === "string") {
+    try {
+      const arr = JSON.parse(value);
+      return Array.isArray(arr) && arr.length > 0 ? Float32Array.from(arr) : null;
+    } catch {
+      return null;
+    }
+  }
+  if (!value || value.byteLength === 0 || value.byteLength % 4 !== 0) return null;
+  // Copy: the BLOB's offset in its backing buffer may not be 4-byte aligned
+  const out = new Float32Array(value.byteLength / 4);
+  new Uint8Array(out.buffer).set(value);
+  return out;
+}
+
+// ============================================================================
+// ANN index: one HNSW graph per database, persisted next to it
+// ============================================================================
+
+/** Below this many vectors a full scan is exact and fast enough; the index is skipped. */
+export const ANN_MIN_VECTORS = 500;
+
+/** Candidates fetched from the index per requested result, to survive expiry and deletion filtering. */
+const ANN_OVERSAMPLE = 3;
+
+/** Factor the candidate count grows by when filtering left too few results; after that, a full scan. */
+const ANN_WIDEN = 8;
+
+/** Delay before a changed index is written to disk. */
+const ANN_SAVE_DELAY_MS = 5000;
+
+/** @type {Map<string, { model: string, index: object|null, dirty: boolean, timer: NodeJS.Timeout|null }>} */
+const vectorIndexes = new Map();
+
+/**
+ * Path of the persisted ANN graph for a database.
+ * @param {string} dbPath
+ * @returns {string}
+ */
+export function vectorIndexPath(dbPath) {
+  return `${dbPath}.hnsw.json`;
+}
+
+function scheduleSave(dbPath, entry) {
+  entry.dirty = true;
+  if (entry.timer) return;
+  entry.timer = setTimeout(() => {
+    entry.timer = null;
+    saveVectorIndex(dbPath);
+  }, ANN_SAVE_DELAY_MS);
+  entry.timer.unref?.();
+}
+
+/**
+ * Load (or build) the ANN index for a database and embedding model, then
+ * bring it in line with the vectors table: rows added since the last save
+ * are inserted, nodes whose rows are gone are dropped. Afterwards
+ * storeEmbedding keeps it up to date incrementally.
+ *
+ * @param {string} dbPath
+ * @param {string} model - Provider id ("ollama:nomic-embed-text"); only its vectors are indexed
+ * @param {{ info?: Function, warn?: Function }} [logger]
+ * @returns {{ size: number, added: number, restored: boolean }}
+ */
+export function loadVectorIndex(dbPath, model, logger = {}) {
+  const started = Date.now();
+  const vectors = new Map();
+  for (const row of sqliteQuery(dbPath, `SELECT id, embedding FROM vectors WHERE model = ?`, [model])) {
+    const emb = decodeEmbedding(row.embedding);
+    if (emb) vectors.set(row.id, emb);
+  }
+
+  let index = null;
+  let saved = null;
+  try {
+    saved = JSON.parse(fs.readFileSync(vectorIndexPath(dbPath), "utf-8"));
+  } catch {
+    // No index yet, or unreadable — rebuild below
+  }
+  if (saved?.model === model) index = restoreHnswIndex(saved.graph, vectors);
+
+  const dims = vectors.size > 0 ? vectors.values().next().value.length : index?.dims;
+  if (index && index.dims !== dims) index = null;
+  const restored = !!index;
+  if (!index && dims) index = createHnswIndex({ dims });
+
+  let added = 0;
+  for (const [id, emb] of vectors) {
+    if (index.has(id)) continue;
+    if (index.add(id, emb)) added++;
+  }
+
+  const prev = vectorIndexes.get(dbPath);
+  if (prev?.timer) clearTimeout(prev.timer);
+  const entry = { model, index, dirty: false, timer: null };
+  vectorIndexes.set(dbPath, entry);
+  if (index && (added > 0 || !restored || saved.graph.nodes.length !== index.size)) scheduleSave(dbPath, entry);
+
+  const size = index?.size ?? 0;
+  logger.info?.(`lily-memory: vector index ${restored ? "loaded" : "built"} (${size} vectors, ${added} added, ${Date.now() - started}ms)`);
+  return { size, added, restored };
+}
+
+/**
+ * Write the ANN index to disk if it changed. Returns true if written.
+ * @param {string} dbPath
+ * @returns {boolean}
+ */
+export function saveVectorIndex(dbPath) {
+  const entry = vectorIndexes.get(dbPath);
+  if (!entry?.index || !entry.dirty) return false;
+  if (entry.timer) { clearTimeout(entry.timer); entry.timer = null; }
+  try {
+    const file = vectorIndexPath(dbPath);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify({ model: entry.model, graph: entry.index.toJSON() }));
+    fs.renameSync(`${file}.tmp`, file);
+    entry.dirty = false;
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Drop deleted vector rows from the loaded ANN index, so they stop taking
+ * candidate slots in searches before the next restart.
+ * @param {string} dbPath
+ * @param {Iterable<string>} vectorIds - Ids of the deleted vectors rows
+ * @returns {number} Nodes removed
+ */
+export function removeFromVectorIndex(dbPath, vectorIds) {
+  const entry = vectorIndexes.get(dbPath);
+  if (!entry?.index) return 0;
+  let removed = 0;
+  for (const id of vectorIds) {
+    if (entry.index.remove(id)) removed++;
+  }
+  if (removed > 0) scheduleSave(dbPath, entry);
+  return removed;
+}
+
+/**
+ * Delete the vectors rows matching a condition and remove them from the
+ * loaded ANN index. Every vectors delete should go through here.
+ * @param {string} dbPath
+ * @param {string} where - SQL condition over the vectors table
+ * @param {Array} [params]
+ * @returns {number|null} Rows deleted, or null if the delete failed
+ */
+export function deleteVectors(dbPath, where, params = []) {
+  const ids = sqliteQuery(dbPath, `SELECT id FROM vectors WHERE ${where}`, params).map((row) => row.id);
+  if (ids.length === 0) return 0;
+  if (!sqliteExec(dbPath, `DELETE FROM vectors WHERE ${where}`, params)) return null;
+  removeFromVectorIndex(dbPath, ids);
+  return ids.length;
+}
+
+/**
+ * Save every changed ANN index and unload them (call on shutdown).
+ */
+export function closeVectorIndexes() {
+  for (const dbPath of vectorIndexes.keys()) saveVectorIndex(dbPath);
+  vectorIndexes.clear();
+}
+
 // ============================================================================
 // DB helpers
 // ============================================================================
@@ -93,60 +282,194 @@ export function ensureVectorsTable(dbPath) {
       text_content TEXT NOT NULL,
       embedding TEXT NOT NULL,
       model TEXT NOT NULL,
-      created_at INTEGER NOT NULL
+      created_at INTEGER NOT NULL,
+      namespace TEXT NOT NULL DEFAULT 'default'
     )
   `);
 }
 
 /**
- * Generate and store an embedding for a decision.
+ * Insert one embedding row and add it to the loaded ANN index. Refuses
+ * (returns false) an embedding whose size differs from the model's stored
+ * vectors, so one model name never mixes dimensions (e.g. a server swapped
+ * the model behind it).
  * @param {string} dbPath
- * @param {string} ollamaUrl
- * @param {string} model
+ * @param {string} model - Provider-qualified model id
  * @param {string} decisionId
- * @param {string} text
- * @returns {Promise<boolean>}
+ * @param {string} text - Text the embedding was made from
+ * @param {ArrayLike<number>} embedding
+ * @returns {boolean}
  */
-export async function storeEmbedding(dbPath, ollamaUrl, model, decisionId, text) {
-  const embedding = await generateEmbedding(ollamaUrl, model, text);
-  if (!embedding) return false;
+export function insertEmbedding(dbPath, model, decisionId, text, embedding) {
+  const existing = sqliteQuery(dbPath, `SELECT length(embedding) / 4 AS dims FROM vectors WHERE model = ? LIMIT 1`, [model]);
+  if (existing.length > 0 && existing[0].dims !== embedding.length) return false;
 
   const id = randomUUID();
-  const embJson = JSON.stringify(embedding);
-
-  return sqliteExec(dbPath,
+  const ok = sqliteExec(dbPath,
     `INSERT OR REPLACE INTO vectors (id, decision_id, text_content, embedding, model, created_at)
      VALUES (?, ?, ?, ?, ?, ?)`,
-    [id, decisionId, text, embJson, model, Date.now()]
+    [id, decisionId, sealField(dbPath, text), encodeEmbedding(embedding), model, Date.now()]
   );
+
+  const entry = vectorIndexes.get(dbPath);
+  if (ok && entry && entry.model === model) {
+    if (!entry.index) entry.index = createHnswIndex({ dims: embedding.length });
+    if (entry.index.add(id, embedding)) scheduleSave(dbPath, entry);
+  }
+  return ok;
+}
+
+/**
+ * Generate and store an embedding for a decision, adding it to the ANN
+ * index when one is loaded for this database and model. Refuses (returns
+ * false) an embedding whose size differs from the model's stored vectors.
+ * @param {string} dbPath
+ * @param {import("./embedding-providers.js").EmbeddingProvider} provider
+ * @param {string} decisionId
+ * @param {string} text
+ * @returns {Promise<boolean>}
+ */
+export async function storeEmbedding(dbPath, provider, decisionId, text) {
+  const embedding = await provider.embed(text);
+  if (!embedding) return false;
+  return insertEmbedding(dbPath, provider.id, decisionId, text, embedding);
+}
+
+/**
+ * Embed and store several decisions with one provider.embedBatch call.
+ * @param {string} dbPath
+ * @param {import("./embedding-providers.js").EmbeddingProvider} provider
+ * @param {Array<{ id: string, text: string }>} items
+ * @returns {Promise<boolean[]>} Whether each item was stored
+ */
+export async function storeEmbeddings(dbPath, provider, items) {
+  if (items.length === 0) return [];
+  const embeddings = await provider.embedBatch(items.map((item) => item.text));
+  return items.map((item, i) => {
+    const embedding = embeddings?.[i];
+    return !!embedding && insertEmbedding(dbPath, provider.id, item.id, item.text, embedding);
+  });
+}
+
+/** SQL condition for a vectorSearch filter, over vectors v joined to decisions d. */
+function searchScope(filter) {
+  const ns = namespaceFilter(filter.namespaces, "v.namespace");
+  const open = sensitivityFilter(filter.includeSecret, "d.sensitivity");
+  return { sql: `${ns.sql} AND ${open.sql}`, params: [...ns.params, ...open.params] };
 }
 
 /**
  * Search vectors by semantic similarity. Returns scored results sorted by similarity.
  * @param {string} dbPath
- * @param {string} ollamaUrl
- * @param {string} model
+ * @param {import("./embedding-providers.js").EmbeddingProvider} provider
  * @param {string} query
  * @param {number} limit
  * @param {number} threshold - Minimum similarity score (0-1)
+ * @param {{ namespaces?: string[]|null, includeSecret?: boolean }} [filter] - Only vectors in these
+ *   namespaces (default: all); secret facts only with includeSecret
  * @returns {Promise<Array>}
  */
-export async function vectorSearch(dbPath, ollamaUrl, model, query, limit, threshold) {
-  const queryEmb = await generateEmbedding(ollamaUrl, model, query);
+export async function vectorSearch(dbPath, provider, query, limit, threshold, filter = {}) {
+  const queryEmb = await (provider.embedQuery ? provider.embedQuery(query) : provider.embed(query));
   if (!queryEmb) return [];
+  return searchEmbeddings(dbPath, provider.id, queryEmb, limit, threshold, filter);
+}
 
+/**
+ * Search with a ready query embedding. Uses the ANN index when one is
+ * loaded for this model and holds at least ANN_MIN_VECTORS vectors;
+ * otherwise falls back to the exact full scan. When the namespace,
+ * sensitivity and expiry filter leaves fewer than limit of the index's
+ * candidates, the candidate list is widened once, then the full scan is used.
+ *
+ * @param {string} dbPath
+ * @param {string} model
+ * @param {ArrayLike<number>} queryEmb
+ * @param {number} limit
+ * @param {number} threshold
+ * @param {{ namespaces?: string[]|null, includeSecret?: boolean }} [filter] - As for vectorSearch
+ * @returns {Array}
+ */
+export function searchEmbeddings(dbPath, model, queryEmb, limit, threshold, filter = {}) {
+  const entry = vectorIndexes.get(dbPath);
+  const index = entry?.model === model ? entry.index : null;
+  if (!index || index.size < ANN_MIN_VECTORS || index.dims !== queryEmb.length) {
+    return bruteForceSearch(dbPath, model, queryEmb, limit, threshold, filter);
+  }
+  const scope = searchScope(filter);
+
+  for (const k of [limit * ANN_OVERSAMPLE, limit * ANN_OVERSAMPLE * ANN_WIDEN]) {
+    const found = index.search(queryEmb, k);
+    const hits = found.filter((h) => h.similarity >= threshold);
+    const scored = resolveHits(dbPath, hits, scope);
+    // Enough results, or the index has no further candidates above the threshold
+    if (scored.length >= limit || hits.length < k) return scored.slice(0, limit);
+  }
+  // Most of the nearest nodes belong to other namespaces, secret or expired facts
+  return bruteForceSearch(dbPath, model, queryEmb, limit, threshold, filter);
+}
+
+/**
+ * Look up the decision rows behind ANN hits, keeping hit order.
+ * @param {string} dbPath
+ * @param {Array<{ id: string, similarity: number }>} hits
+ * @param {{ sql: string, params: Array }} scope - From searchScope
+ * @returns {Array}
+ */
+function resolveHits(dbPath, hits, scope) {
+  if (hits.length === 0) return [];
+
+  // The graph may still hold rows expired since it was built; the join drops them.
+  // It spans every namespace and label, so hits the filter excludes are dropped here too
+  const rows = sqliteQuery(dbPath, `
+    SELECT v.id AS vector_id, v.decision_id,
+           d.entity, d.fact_key, d.fact_value, d.description, d.category, d.sensitivity
+    FROM vectors v
+    JOIN decisions d ON v.decision_id = d.id
+    WHERE v.id IN (${hits.map(() => "?").join(", ")})
+      AND (d.expires_at IS NULL OR d.expires_at > ?)
+      AND ${scope.sql}
+  `, [...hits.map((h) => h.id), Date.now(), ...scope.params]);
+
+  const byId = new Map(rows.map(({ vector_id, ...row }) => [vector_id, row]));
+  const scored = [];
+  for (const hit of hits) {
+    const row = byId.get(hit.id);
+    if (row) scored.push({ ...row, similarity: hit.similarity });
+  }
+  return scored;
+}
+
+/**
+ * Exact search: score every stored vector of the model. Used below
+ * ANN_MIN_VECTORS, when no index is loaded, and as the correctness
+ * reference for the index. Vectors of other models or sizes are skipped;
+ * their similarities would be meaningless.
+ *
+ * @param {string} dbPath
+ * @param {string} model - Provider id the query was embedded with
+ * @param {ArrayLike<number>} queryEmb
+ * @param {number} limit
+ * @param {number} threshold
+ * @param {{ namespaces?: string[]|null, includeSecret?: boolean }} [filter] - As for vectorSearch
+ * @returns {Array}
+ */
+export function bruteForceSearch(dbPath, model, queryEmb, limit, threshold, filter = {}) {
+  const scope = searchScope(filter);
   const rows = sqliteQuery(dbPath, `
     SELECT v.decision_id, v.embedding,
-           d.entity, d.fact_key, d.fact_value, d.description, d.category
+           d.entity, d.fact_key, d.fact_value, d.description, d.category, d.sensitivity
     FROM vectors v
     JOIN decisions d ON v.decision_id = d.id
-    WHERE d.expires_at IS NULL OR d.expires_at > ?
-  `, [Date.now()]);
+    WHERE v.model = ? AND length(v.embedding) = ?
+      AND (d.expires_at IS NULL OR d.expires_at > ?)
+      AND ${scope.sql}
+  `, [model, queryEmb.length * 4, Date.now(), ...scope.params]);
 
   const scored = [];
   for (const row of rows) {
-    let emb;
-    try { emb = JSON.parse(row.embedding); } catch { continue; }
+    const emb = decodeEmbedding(row.embedding);
+    if (!emb) continue;
     const sim = cosineSimilarity(queryEmb, emb);
     if (sim >= threshold) {
       scored.push({ ...row, similarity: sim, embedding: undefined });
@@ -158,14 +481,37 @@ export async function vectorSearch(dbPath, ollamaUrl, model, query, limit, thres
 }
 
 /**
- * Backfill embeddings for decisions that don't have vectors yet.
+ * Stored vectors per model and size.
  * @param {string} dbPath
- * @param {string} ollamaUrl
- * @param {string} model
+ * @returns {Array<{ model: string, dims: number, count: number }>}
+ */
+export function getVectorModels(dbPath) {
+  return sqliteQuery(dbPath, `
+    SELECT model, length(embedding) / 4 AS dims, COUNT(*) AS count
+    FROM vectors GROUP BY model, dims ORDER BY count DESC
+  `);
+}
+
+/**
+ * Text embedded for a decision: "entity.key = value" for facts, else the description.
+ * @param {{ entity?: string, fact_key?: string, fact_value?: string, description?: string }} row
+ * @returns {string}
+ */
+export function embeddingText(row) {
+  return row.entity && row.fact_key
+    ? `${row.entity}.${row.fact_key} = ${row.fact_value}`
+    : row.description || "";
+}
+
+/**
+ * Backfill embeddings for decisions that don't have vectors yet, from any
+ * model. Moving existing vectors to a new model is the re-embed job's work.
+ * @param {string} dbPath
+ * @param {import("./embedding-providers.js").EmbeddingProvider} provider
  * @param {{ info?: Function }} logger
  * @returns {Promise<number>} Count of embeddings created
  */
-export async function backfillEmbeddings(dbPath, ollamaUrl, model, logger) {
+export async function backfillEmbeddings(dbPath, provider, logger) {
   const unembedded = sqliteQuery(dbPath, `
     SELECT d.id, d.entity, d.fact_key, d.fact_value, d.description
     FROM decisions d
@@ -183,19 +529,15 @@ export async function backfillEmbeddings(dbPath, ollamaUrl, model, logger) {
 
   logger.info?.(`lily-memory: backfilling embeddings for ${unembedded.length} decisions...`);
   let count = 0;
+  const items = unembedded.map((row) => ({ id: row.id, text: embeddingText(row) })).filter((item) => item.text.length >= 5);
+  const batchSize = Math.max(1, provider.batchSize || 1);
 
-  for (const row of unembedded) {
-    const text = row.entity && row.fact_key
-      ? `${row.entity}.${row.fact_key} = ${row.fact_value}`
-      : row.description || "";
-
-    if (text.length < 5) continue;
-
-    const ok = await storeEmbedding(dbPath, ollamaUrl, model, row.id, text);
-    if (ok) count++;
+  for (let i = 0; i < items.length; i += batchSize) {
+    const stored = await storeEmbeddings(dbPath, provider, items.slice(i, i + batchSize));
+    count += stored.filter(Boolean).length;
 
-    // Small delay to avoid hammering Ollama
-    await new Promise(r => setTimeout(r, 50));
+    // Small delay between batches to avoid hammering the model server
+    if (provider.name !== "local") await new Promise(r => setTimeout(r, 50));
   }
 
   logger.info?.(`lily-memory: backfilled ${count}/${unembedded.length} embeddings`);
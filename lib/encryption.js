@@ -0,0 +1,481 @@
+// ============================================================================
+// Field encryption: AES-256-GCM for fact values, descriptions, step outputs,
+// security snippets, conflict values and document chunks, with a
+// plaintext-token or blind-index search column
+// ============================================================================
+
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes } from "node:crypto";
+import { sqliteQuery, sqliteExec, sqliteTransaction, setFieldCipher, getFieldCipher } from "./sqlite.js";
+
+/** Marks a sealed value: `enc1:<key id>:<hex of iv, tag and ciphertext>`. */
+export const SEALED_PREFIX = "enc1:";
+
+const SEALED_PATTERN = /^enc1:([0-9a-f]{8}):([0-9a-f]+)$/;
+
+/**
+ * How the search_tokens column is filled while encryption is on:
+ * - blind: an HMAC of each word, so FTS matches whole words without storing them
+ * - plaintext: the words themselves, which also keeps prefix and phrase queries working
+ */
+export const SEARCH_MODES = ["blind", "plaintext"];
+
+/** Environment variable read for the key before the key file. */
+export const DEFAULT_KEY_ENV = "LILY_MEMORY_KEY";
+
+/** Key file name under the memory directory when no keyFile is configured. */
+export const DEFAULT_KEY_FILE = "memory.key";
+
+export const DEFAULT_ENCRYPTION_CONFIG = {
+  enabled: false,
+  keyEnv: DEFAULT_KEY_ENV,
+  search: "blind",
+};
+
+/**
+ * Encrypted columns, by table: the requested fields wherever they are kept,
+ * plus result_summary (a step's output when it has no summary), the text
+ * vectors were made from, both sides of a conflict and document chunks.
+ * Tombstones also keep a saved decisions row whose description and
+ * fact_value are sealed inside the JSON.
+ */
+export const ENCRYPTED_COLUMNS = {
+  decisions: ["description", "fact_value"],
+  decisions_archive: ["description", "fact_value"],
+  decision_revisions: ["fact_value"],
+  decision_tombstones: ["fact_value"],
+  eviction_log: ["description", "fact_value"],
+  security_events: ["fact_value", "source_snippet"],
+  pipeline_steps: ["output_artifact", "result_summary"],
+  vectors: ["text_content"],
+  fact_conflicts: ["old_value", "new_value"],
+  document_chunks: ["content"],
+};
+
+const JSON_COLUMNS = { decision_tombstones: "row_data" };
+
+/** Tables whose search_tokens column feeds their FTS index. */
+const SEARCH_TABLES = ["decisions", "decisions_archive"];
+
+/**
+ * Standalone FTS tables indexing an encrypted column, re-written with it:
+ * they hold the column's search tokens (see chunkSearchText).
+ */
+const SEARCH_MIRRORS = {
+  document_chunks: { fts: "document_chunks_fts", column: "content", key: "chunk_id", id: "id" },
+};
+
+/** Rows re-sealed per statement batch during rotation. */
+const RESEAL_BATCH = 500;
+
+/**
+ * Resolve the encryption config option. Encryption is off unless the option
+ * is an object; `enabled: false` turns it off again.
+ * @param {boolean|object} [cfg]
+ * @param {string} memoryDir
+ * @returns {{ enabled: boolean, keyFile: string, keyEnv: string, search: string }}
+ */
+export function resolveEncryptionConfig(cfg, memoryDir) {
+  const opts = cfg && typeof cfg === "object" ? cfg : {};
+  const raw = typeof opts.keyFile === "string" && opts.keyFile ? opts.keyFile : path.join(memoryDir, DEFAULT_KEY_FILE);
+  const expanded = raw.startsWith("~") ? path.join(os.homedir(), raw.slice(1)) : raw;
+  return {
+    enabled: (cfg === true || (!!cfg && typeof cfg === "object")) && opts.enabled !== false,
+    keyFile: path.resolve(memoryDir, expanded),
+    keyEnv: typeof opts.keyEnv === "string" && opts.keyEnv ? opts.keyEnv : DEFAULT_ENCRYPTION_CONFIG.keyEnv,
+    search: SEARCH_MODES.includes(opts.search) ? opts.search : DEFAULT_ENCRYPTION_CONFIG.search,
+  };
+}
+
+/**
+ * Parse a 256-bit key written as 64 hex characters or as base64.
+ * @param {string} text
+ * @returns {Buffer|null}
+ */
+export function parseKey(text) {
+  const trimmed = String(text ?? "").trim();
+  if (/^[0-9a-fA-F]{64}$/.test(trimmed)) return Buffer.from(trimmed, "hex");
+  if (/^[A-Za-z0-9+/_-]{43}=?$/.test(trimmed)) {
+    const key = Buffer.from(trimmed, "base64");
+    if (key.length === 32) return key;
+  }
+  return null;
+}
+
+/**
+ * A new random key, base64-encoded, in the form parseKey reads.
+ * @returns {string}
+ */
+export function generateKey() {
+  return randomBytes(32).toString("base64");
+}
+
+/**
+ * Load the key: the environment variable wins over the key file.
+ * @param {ReturnType<typeof resolveEncryptionConfig>} config
+ * @param {Object<string, string>} [env=process.env]
+ * @returns {{ key?: Buffer, source?: string, error?: string }}
+ */
+export function loadKey(config, env = process.env) {
+  if (env[config.keyEnv]) {
+    const key = parseKey(env[config.keyEnv]);
+    return key ? { key, source: `$${config.keyEnv}` } : { error: `$${config.keyEnv} is not a 256-bit key (64 hex characters or 32 bytes of base64)` };
+  }
+  let text;
+  try {
+    text = fs.readFileSync(config.keyFile, "utf-8");
+  } catch (err) {
+    if (err.code !== "ENOENT") return { error: `cannot read ${config.keyFile}: ${err.message}` };
+    return { error: `no key in $${config.keyEnv} or ${config.keyFile} (create one with: openssl rand -base64 32 > ${config.keyFile})` };
+  }
+  const key = parseKey(text);
+  return key ? { key, source: config.keyFile } : { error: `${config.keyFile} does not hold a 256-bit key (64 hex characters or 32 bytes of base64)` };
+}
+
+/**
+ * Words of a text the way FTS5's unicode61 tokenizer sees them: lower case,
+ * diacritics removed, split on anything that is not a letter or digit.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text).normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Cipher for one key. The key is only used to derive separate keys for
+ * encryption, the blind index and the key id stored with each value.
+ * @param {Buffer} key - 32 bytes
+ * @param {string} [search="blind"] - One of SEARCH_MODES
+ */
+export function createFieldCipher(key, search = "blind") {
+  const derive = (info, length) => Buffer.from(hkdfSync("sha256", key, Buffer.alloc(0), `lily-memory ${info}`, length));
+  const dataKey = derive("field encryption", 32);
+  const indexKey = derive("blind index", 32);
+  const keyId = derive("key id", 4).toString("hex");
+  const blind = (word) => createHmac("sha256", indexKey).update(word).digest("hex").substring(0, 16);
+  let warned = false;
+
+  const cipher = {
+    keyId,
+    search,
+
+    /** Seal a string; null, non-strings and values already sealed are returned as they are. */
+    seal(value) {
+      if (typeof value !== "string" || SEALED_PATTERN.test(value)) return value;
+      const iv = randomBytes(12);
+      const enc = createCipheriv("aes-256-gcm", dataKey, iv);
+      const body = Buffer.concat([enc.update(value, "utf-8"), enc.final()]);
+      return `${SEALED_PREFIX}${keyId}:${Buffer.concat([iv, enc.getAuthTag(), body]).toString("hex")}`;
+    },
+
+    /** Open a sealed value. Anything else, or a value this key cannot open, is returned as it is. */
+    open(value) {
+      const m = typeof value === "string" ? SEALED_PATTERN.exec(value) : null;
+      if (!m) return value;
+      try {
+        if (m[1] !== keyId) throw new Error(`sealed with key ${m[1]}, current key is ${keyId}`);
+        const raw = Buffer.from(m[2], "hex");
+        const dec = createDecipheriv("aes-256-gcm", dataKey, raw.subarray(0, 12));
+        dec.setAuthTag(raw.subarray(12, 28));
+        return Buffer.concat([dec.update(raw.subarray(28)), dec.final()]).toString("utf-8");
+      } catch (err) {
+        if (!warned) console.error(`[lily-memory] Cannot open an encrypted field: ${err.message}`);
+        warned = true;
+        return value;
+      }
+    },
+
+    /** Open every sealed column of a row. */
+    openRow(row) {
+      for (const column in row) {
+        const value = row[column];
+        if (typeof value === "string" && value.startsWith(SEALED_PREFIX)) row[column] = cipher.open(value);
+      }
+      return row;
+    },
+
+    /** Contents of the search_tokens column for the given texts, each word once. */
+    searchTokens(...texts) {
+      const words = [...new Set(texts.flatMap((t) => tokenize(t)))];
+      if (words.length === 0) return null;
+      return (search === "blind" ? words.map(blind) : words).join(" ");
+    },
+
+    /**
+     * FTS5 query that also reaches search_tokens. Blind mode adds the HMAC of
+     * each word as an OR term, so it matches words, not phrases or prefixes.
+     */
+    matchQuery(query) {
+      if (search !== "blind" || typeof query !== "string") return query;
+      const words = [...new Set(query.replace(/\b(?:AND|OR|NOT|NEAR)\b/g, " ").split(/\s+/).flatMap((w) => tokenize(w.replace(/\*$/, ""))))];
+      if (words.length === 0) return query;
+      return `(${query}) OR ${words.map((w) => `"${blind(w)}"`).join(" OR ")}`;
+    },
+  };
+  return cipher;
+}
+
+/**
+ * Stand-in for the cipher of a database whose key is missing or wrong:
+ * sealed values stay sealed, and writing an encrypted field throws rather
+ * than store plaintext.
+ * @param {string} reason
+ */
+function createLockedCipher(reason) {
+  const refuse = () => { throw new Error(`encryption is on but ${reason}`); };
+  return {
+    keyId: null,
+    search: null,
+    seal: (value) => (typeof value === "string" ? refuse() : value),
+    open: (value) => value,
+    openRow: (row) => row,
+    searchTokens: refuse,
+    matchQuery: (query) => query,
+  };
+}
+
+/**
+ * Seal a value with the database's cipher (unchanged when encryption is off).
+ * @param {string} dbPath
+ * @param {*} value
+ * @returns {*}
+ */
+export function sealField(dbPath, value) {
+  const cipher = getFieldCipher(dbPath);
+  return cipher ? cipher.seal(value) : value;
+}
+
+/**
+ * Open a value read from somewhere sqliteQuery does not look, e.g. inside JSON.
+ * @param {string} dbPath
+ * @param {*} value
+ * @returns {*}
+ */
+export function openField(dbPath, value) {
+  const cipher = getFieldCipher(dbPath);
+  return cipher ? cipher.open(value) : value;
+}
+
+/**
+ * Seal the description and fact_value of a decision and fill search_tokens.
+ * Returns a copy; search_tokens is null when encryption is off.
+ * @param {string} dbPath
+ * @param {{ description?: string, fact_value?: string }} row
+ * @returns {object}
+ */
+export function sealDecision(dbPath, row) {
+  const cipher = getFieldCipher(dbPath);
+  if (!cipher) return { ...row, search_tokens: null };
+  return {
+    ...row,
+    description: cipher.seal(row.description),
+    fact_value: cipher.seal(row.fact_value),
+    search_tokens: cipher.searchTokens(row.description, row.fact_value),
+  };
+}
+
+/**
+ * What to index in document_chunks_fts for a chunk: its text when encryption
+ * is off, else its search tokens, so the index never holds the sealed text.
+ * @param {string} dbPath
+ * @param {string} content
+ * @returns {string}
+ */
+export function chunkSearchText(dbPath, content) {
+  const cipher = getFieldCipher(dbPath);
+  return cipher ? cipher.searchTokens(content) ?? "" : content;
+}
+
+/**
+ * The FTS5 query to bind for `decisions_fts MATCH ?` (or the archive's, or
+ * document_chunks_fts).
+ * @param {string} dbPath
+ * @param {string} query
+ * @returns {string}
+ */
+export function searchQuery(dbPath, query) {
+  const cipher = getFieldCipher(dbPath);
+  return cipher ? cipher.matchQuery(query) : query;
+}
+
+/**
+ * Count sealed and plaintext values per table, and the key ids in use.
+ * @param {string} dbPath
+ * @returns {{ sealed: number, plaintext: number, keyIds: string[], tables: Object<string, { sealed: number, plaintext: number }> }}
+ */
+export function encryptionStatus(dbPath) {
+  const tables = {};
+  const keyIds = new Set();
+  let sealed = 0;
+  let plaintext = 0;
+  for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+    const counts = { sealed: 0, plaintext: 0 };
+    for (const column of columns) {
+      for (const row of sqliteQuery(dbPath, `
+        SELECT CASE WHEN ${column} LIKE 'enc1:%' THEN substr(${column}, 6, 8) END AS key_id, COUNT(*) AS cnt
+        FROM ${table} WHERE ${column} IS NOT NULL AND ${column} != '' GROUP BY key_id
+      `)) {
+        if (row.key_id) { counts.sealed += row.cnt; keyIds.add(row.key_id); } else counts.plaintext += row.cnt;
+      }
+    }
+    tables[table] = counts;
+    sealed += counts.sealed;
+    plaintext += counts.plaintext;
+  }
+  return { sealed, plaintext, keyIds: [...keyIds], tables };
+}
+
+/**
+ * Re-write every encrypted column with a cipher, in one transaction: values
+ * are opened with the database's current cipher and sealed with the new one,
+ * and search_tokens is rebuilt. Pass null to write plaintext back.
+ * @param {string} dbPath
+ * @param {ReturnType<typeof createFieldCipher>|null} next
+ * @returns {{ ok: boolean, rows: number, unreadable: number }}
+ */
+export function resealDatabase(dbPath, next) {
+  const current = getFieldCipher(dbPath);
+  const open = (v) => (current ? current.open(v) : v);
+  const seal = (v) => (next ? next.seal(v) : v);
+  let rows = 0;
+  let unreadable = 0;
+
+  const ok = sqliteTransaction(dbPath, () => {
+    for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+      const json = JSON_COLUMNS[table];
+      const search = SEARCH_TABLES.includes(table);
+      const mirror = SEARCH_MIRRORS[table];
+      const write = [...columns, ...(json ? [json] : []), ...(search ? ["search_tokens"] : [])];
+      const read = [...columns, ...(json ? [json] : []), ...(mirror ? [mirror.id] : [])];
+      let after = 0;
+      for (;;) {
+        // sqliteQuery opens the columns with the current cipher; only the JSON is left to open
+        const batch = sqliteQuery(dbPath, `SELECT rowid AS _rowid, ${read.join(", ")} FROM ${table} WHERE rowid > ? ORDER BY rowid LIMIT ?`, [after, RESEAL_BATCH]);
+        if (batch.length === 0) break;
+        for (const row of batch) {
+          after = row._rowid;
+          for (const column of columns) {
+            if (typeof row[column] === "string" && SEALED_PATTERN.test(row[column])) unreadable++;
+          }
+          const values = columns.map((c) => seal(row[c]));
+          if (json) values.push(resealJson(row[json], open, seal));
+          if (search) values.push(next ? next.searchTokens(row.description, row.fact_value) : null);
+          if (!sqliteExec(dbPath, `UPDATE ${table} SET ${write.map((c) => `${c} = ?`).join(", ")} WHERE rowid = ?`, [...values, row._rowid])) {
+            throw new Error(`re-sealing ${table} failed`);
+          }
+          if (mirror) {
+            const text = row[mirror.column];
+            const indexed = next ? next.searchTokens(text) ?? "" : text;
+            if (!sqliteExec(dbPath, `UPDATE ${mirror.fts} SET ${mirror.column} = ? WHERE ${mirror.key} = ?`, [indexed, row[mirror.id]])) {
+              throw new Error(`re-indexing ${mirror.fts} failed`);
+            }
+          }
+          rows++;
+        }
+      }
+    }
+    sqliteExec(dbPath, `DELETE FROM encryption_state`);
+    if (next) sqliteExec(dbPath, `INSERT INTO encryption_state (id, key_id, search, sealed_at) VALUES (1, ?, ?, ?)`, [next.keyId, next.search, Date.now()]);
+  });
+  if (ok) setFieldCipher(dbPath, next);
+  return { ok, rows, unreadable };
+}
+
+function resealJson(text, open, seal) {
+  let row;
+  try { row = JSON.parse(text); } catch { return text; }
+  if (!row || typeof row !== "object") return text;
+  for (const column of ["description", "fact_value"]) {
+    if (typeof row[column] === "string") row[column] = seal(open(row[column]));
+  }
+  delete row.search_tokens;
+  return JSON.stringify(row);
+}
+
+/**
+ * Turn encryption on for a database. Refuses a key that is not the one the
+ * database was sealed with; seals leftover plaintext and rebuilds
+ * search_tokens when the search mode changed. On error the database is
+ * locked: writes of encrypted fields throw until a good key is loaded.
+ * @param {string} dbPath
+ * @param {ReturnType<typeof resolveEncryptionConfig>} config
+ * @param {Object<string, string>} [env=process.env]
+ * @returns {{ keyId?: string, source?: string, sealed?: number, error?: string }}
+ */
+export function enableEncryption(dbPath, config, env = process.env) {
+  const fail = (error) => {
+    setFieldCipher(dbPath, createLockedCipher(error));
+    return { error };
+  };
+  const loaded = loadKey(config, env);
+  if (loaded.error) return fail(loaded.error);
+  const cipher = createFieldCipher(loaded.key, config.search);
+
+  const status = encryptionStatus(dbPath);
+  const foreign = status.keyIds.filter((id) => id !== cipher.keyId);
+  if (foreign.length > 0) {
+    return fail(`the database holds values sealed with key ${foreign.join(", ")} but the key from ${loaded.source} is ${cipher.keyId}`);
+  }
+
+  const state = sqliteQuery(dbPath, `SELECT key_id, search FROM encryption_state WHERE id = 1`)[0];
+  setFieldCipher(dbPath, cipher);
+  if (status.plaintext === 0 && state?.key_id === cipher.keyId && state.search === cipher.search) {
+    return { keyId: cipher.keyId, source: loaded.source, sealed: 0 };
+  }
+  const result = resealDatabase(dbPath, cipher);
+  if (!result.ok) return fail("sealing existing rows failed (see log)");
+  return { keyId: cipher.keyId, source: loaded.source, sealed: result.rows };
+}
+
+/**
+ * Rotate the key: re-seal everything with a new key, then make the new key
+ * the configured one. With a key file, the old key is kept next to it as
+ * `<keyFile>.<old key id>.old` (older backups need it) and the new key takes
+ * its place. With a key from the environment, the operator has to update
+ * the variable.
+ * @param {string} dbPath
+ * @param {ReturnType<typeof resolveEncryptionConfig>} config
+ * @param {object} [opts]
+ * @param {string} [opts.newKeyFile] - File holding the new key (default: generate one)
+ * @param {Object<string, string>} [opts.env=process.env]
+ * @returns {{ ok: boolean, oldKeyId?: string, keyId?: string, rows?: number, unreadable?: number, keyFile?: string, oldKeyFile?: string, error?: string }}
+ */
+export function rotateKey(dbPath, config, opts = {}) {
+  const env = opts.env ?? process.env;
+  const current = getFieldCipher(dbPath);
+  if (!current?.keyId) return { ok: false, error: "encryption is off or its key could not be loaded" };
+  const fromEnv = !!env[config.keyEnv];
+  if (fromEnv && !opts.newKeyFile) return { ok: false, error: `the key comes from $${config.keyEnv}; write the new key to a file and pass it as new_key_file` };
+
+  let keyText;
+  if (opts.newKeyFile) {
+    try { keyText = fs.readFileSync(opts.newKeyFile, "utf-8"); } catch (err) { return { ok: false, error: `cannot read ${opts.newKeyFile}: ${err.message}` }; }
+  } else {
+    keyText = generateKey();
+  }
+  const key = parseKey(keyText);
+  if (!key) return { ok: false, error: `${opts.newKeyFile} does not hold a 256-bit key (64 hex characters or 32 bytes of base64)` };
+  const next = createFieldCipher(key, current.search);
+  if (next.keyId === current.keyId) return { ok: false, error: "the new key is the current key" };
+
+  // The new key is on disk before any row depends on it
+  const pending = `${config.keyFile}.next`;
+  if (!fromEnv) fs.writeFileSync(pending, `${keyText.trim()}\n`, { mode: 0o600 });
+
+  const result = resealDatabase(dbPath, next);
+  if (!result.ok) {
+    if (!fromEnv) fs.rmSync(pending, { force: true });
+    return { ok: false, error: "re-sealing failed, nothing was changed (see log)" };
+  }
+
+  const rotated = { ok: true, oldKeyId: current.keyId, keyId: next.keyId, rows: result.rows, unreadable: result.unreadable };
+  if (fromEnv) return rotated;
+  const oldKeyFile = `${config.keyFile}.${current.keyId}.old`;
+  if (fs.existsSync(config.keyFile)) fs.renameSync(config.keyFile, oldKeyFile);
+  fs.renameSync(pending, config.keyFile);
+  return { ...rotated, keyFile: config.keyFile, oldKeyFile };
+}
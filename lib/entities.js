@@ -1,4 +1,5 @@
 import { sqliteQuery, sqliteExec } from './sqlite.js';
+import { DEFAULT_NAMESPACE, namespaceFilter } from './namespaces.js';
 
 /**
  * Default generic entity names (no personal names).
@@ -38,9 +39,10 @@ export const REJECT_WORDS = new Set([
  *
  * @param {string} entity - Entity name to validate
  * @param {Set<string>} runtimeEntities - Set of lowercase valid entity names
+ * @param {Set<string>} [rejectWords=REJECT_WORDS] - The language pack's reject words
  * @returns {boolean} true if valid entity
  */
-export function isValidEntity(entity, runtimeEntities) {
+export function isValidEntity(entity, runtimeEntities, rejectWords = REJECT_WORDS) {
   if (!entity || typeof entity !== 'string' || entity.length < 2 || entity.length > 60) {
     return false;
   }
@@ -53,8 +55,8 @@ export function isValidEntity(entity, runtimeEntities) {
   // Extract base name (before first dot)
   const baseName = entity.split(".")[0].toLowerCase();
 
-  // Reject common English words
-  if (REJECT_WORDS.has(baseName)) {
+  // Reject common words (English unless a language pack is given)
+  if (rejectWords.has(baseName)) {
     return false;
   }
 
@@ -76,10 +78,12 @@ export function isValidEntity(entity, runtimeEntities) {
 /**
  * Load entity names from the database.
  * @param {string} dbPath - Path to SQLite database
+ * @param {string[]|null} [namespaces] - Only entities known in these namespaces (default: all)
  * @returns {string[]} Array of entity names from database
  */
-export function loadEntitiesFromDb(dbPath) {
-  const rows = sqliteQuery(dbPath, 'SELECT name FROM entities');
+export function loadEntitiesFromDb(dbPath, namespaces = null) {
+  const scope = namespaceFilter(namespaces);
+  const rows = sqliteQuery(dbPath, `SELECT DISTINCT name FROM entities WHERE ${scope.sql}`, scope.params);
   return rows.map(row => row.name);
 }
 
@@ -88,9 +92,10 @@ export function loadEntitiesFromDb(dbPath) {
  * @param {string} dbPath - Path to SQLite database
  * @param {string} name - Entity name to add
  * @param {string} addedBy - Source that added this entity (e.g., "runtime", "config")
+ * @param {string} [namespace="default"] - Namespace the entity is known in
  * @returns {boolean} true on success, false on failure
  */
-export function addEntityToDb(dbPath, name, addedBy) {
+export function addEntityToDb(dbPath, name, addedBy, namespace = DEFAULT_NAMESPACE) {
   // Validate name format
   if (!name || typeof name !== 'string') {
     return false;
@@ -106,9 +111,9 @@ export function addEntityToDb(dbPath, name, addedBy) {
 
   const timestamp = Date.now();
   return sqliteExec(dbPath, `
-    INSERT OR IGNORE INTO entities (name, display_name, added_by, added_at)
-    VALUES (?, ?, ?, ?)
-  `, [name, name, addedBy, timestamp]);
+    INSERT OR IGNORE INTO entities (name, display_name, added_by, added_at, namespace)
+    VALUES (?, ?, ?, ?, ?)
+  `, [name, name, addedBy, timestamp, namespace]);
 }
 
 /**
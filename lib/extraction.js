@@ -1,5 +1,6 @@
 // ============================================================================
 // Fact extraction (regex-based, with entity validation)
+// English patterns live here; other languages are in lib/languages.js
 // ============================================================================
 
 import { isValidEntity } from './entities.js';
@@ -14,17 +15,23 @@ export const NOISE_VALUES = /^(there|here|that|this|it|they|we|built|done|ready|
 // Only match "the X is Y" when X looks like a config/technical term
 export const TECHNICAL_NOUN = /^(primary|default|main|current|preferred|configured|target|active|selected|base|core|max|min|api|db|model|port|host|url|path|dir|file|key|token|version|timeout|limit|rate|mode|level|format|encoding|provider|backend|frontend|server|client|endpoint|schema|table|queue|cache|buffer|pool|worker|thread|process|service|plugin|module|package|library|framework|runtime|environment|config|setting|option|param)/i;
 
+/**
+ * Built-in patterns. Each has a unique name (shown by memory_test_extraction),
+ * a global regex and an extract(match) returning a fact or null.
+ * User-defined patterns from config are compiled into the same shape by
+ * lib/patterns.js and may also carry ttl and importance.
+ */
 export const FACT_PATTERNS = [
   // "Alice prefers X" / "Alice likes X" — only from user messages
-  { re: /(\b[A-Z][a-z]+(?:\s[A-Z][a-z]+)?)\s+(?:prefers?|likes?|loves?|hates?|wants?)\s+(.+?)(?:\.|$)/gm,
+  { name: "preference", re: /(\b[A-Z][a-z]+(?:\s[A-Z][a-z]+)?)\s+(?:prefers?|likes?|loves?|hates?|wants?)\s+(.+?)(?:\.|$)/gm,
     extract: (m) => ({ entity: m[1], key: "preference", value: m[2].trim() }) },
 
   // "X is set to Y" / "X is configured as Y" — explicit configuration statements
-  { re: /(\b[A-Za-z_]+(?:\s[A-Za-z_]+)?)\s+is\s+(?:set to|configured as|configured to|equal to)\s+(.+?)(?:\.|$)/gm,
+  { name: "config_set", re: /(\b[A-Za-z_]+(?:\s[A-Za-z_]+)?)\s+is\s+(?:set to|configured as|configured to|equal to)\s+(.+?)(?:\.|$)/gm,
     extract: (m) => ({ entity: "config", key: m[1].trim().replace(/\s+/g, "_").toLowerCase(), value: m[2].trim() }) },
 
   // "The primary model is gemini-2.5-pro" — only when the noun is technical
-  { re: /the\s+((?:[\w-]+\s+){0,2}[\w-]+)\s+is\s+([A-Za-z0-9][\w./:@_-]+(?:\s[\w./:@_-]+){0,3})(?:\.|,|$)/gim,
+  { name: "technical_noun", re: /the\s+((?:[\w-]+\s+){0,2}[\w-]+)\s+is\s+([A-Za-z0-9][\w./:@_-]+(?:\s[\w./:@_-]+){0,3})(?:\.|,|$)/gim,
     extract: (m) => {
       const key = m[1].trim().replace(/\s+/g, "_").toLowerCase();
       const value = m[2].trim();
@@ -36,11 +43,11 @@ export const FACT_PATTERNS = [
   },
 
   // "Remember: X" / "Note: X" / "Important: X" — explicit user annotations
-  { re: /(?:remember|note|important):\s*(.+?)(?:\.|$)/gim,
+  { name: "annotation", re: /(?:remember|note|important):\s*(.+?)(?:\.|$)/gim,
     extract: (m) => ({ entity: "note", key: "user_note", value: m[1].trim() }) },
 
   // "Alice's favorite language is TypeScript" — possessive facts
-  { re: /(\b[A-Z][a-z]+)'s\s+([\w\s]+?)\s+is\s+([A-Z][\w./:@_-]+(?:\s[\w./:@_-]+){0,3})(?:\.|,|$)/gm,
+  { name: "possessive", re: /(\b[A-Z][a-z]+)'s\s+([\w\s]+?)\s+is\s+([A-Z][\w./:@_-]+(?:\s[\w./:@_-]+){0,3})(?:\.|,|$)/gm,
     extract: (m) => {
       const value = m[3].trim();
       if (NOISE_VALUES.test(value)) return null;
@@ -50,44 +57,77 @@ export const FACT_PATTERNS = [
 ];
 
 /**
- * Extract facts from text using FACT_PATTERNS.
+ * Check that a fact value looks like a fact rather than conversational noise.
+ * Shared by the regex and LLM extractors.
+ * @param {string} value
+ * @param {RegExp} [noise=NOISE_VALUES] - The language pack's noise values
+ * @returns {boolean}
+ */
+export function isValidFactValue(value, noise = NOISE_VALUES) {
+  if (typeof value !== "string") return false;
+  // Min length bumped from 2 to 15
+  if (value.length < MIN_VALUE_LENGTH || value.length > MAX_VALUE_LENGTH) return false;
+  // Noise filter
+  if (noise.test(value)) return false;
+  // Markdown artifacts
+  if (/[*#`\[\]{}]/.test(value)) return false;
+  // Sentence fragments (ends with colon, dash, question mark, open paren)
+  if (/[:—?(\)]$/.test(value)) return false;
+  // Values starting with quotes or angle brackets
+  if (/^["'<]/.test(value)) return false;
+  return true;
+}
+
+/**
+ * Run patterns over text and report every match, accepted or not.
  * @param {string} text - The text to extract facts from
  * @param {Set<string>} runtimeEntities - Set of known entities (lowercase)
- * @returns {Array<{entity: string, key: string, value: string}>}
+ * @param {Array} [patterns=FACT_PATTERNS] - Built-in and/or registry patterns
+ * @param {object} [pack] - Language pack from lib/languages.js (noise and reject words); English when omitted
+ * @returns {Array<{pattern: string, match: string, fact: object|null, accepted: boolean, reason?: string}>}
  */
-export function extractFacts(text, runtimeEntities) {
-  const facts = [];
+export function matchPatterns(text, runtimeEntities, patterns = FACT_PATTERNS, pack = null) {
+  const matches = [];
   const seen = new Set();
 
-  for (const pattern of FACT_PATTERNS) {
+  for (const pattern of patterns) {
     let match;
     pattern.re.lastIndex = 0;
     while ((match = pattern.re.exec(text)) !== null) {
+      // Guard against zero-width matches looping forever
+      if (match[0].length === 0) { pattern.re.lastIndex++; continue; }
+      const result = { pattern: pattern.name, match: match[0], fact: null, accepted: false };
+      matches.push(result);
+
       const fact = pattern.extract(match);
-      if (!fact) continue;
+      if (!fact) { result.reason = "rejected by pattern"; continue; }
+      result.fact = fact;
 
       // === ENTITY VALIDATION (new in v3) ===
-      if (!isValidEntity(fact.entity, runtimeEntities)) continue;
+      if (!isValidEntity(fact.entity, runtimeEntities, pack?.rejectWords)) { result.reason = "unknown entity"; continue; }
 
       // === VALUE VALIDATION (tightened in v3) ===
-      // Min length bumped from 2 to 15
-      if (fact.value.length < MIN_VALUE_LENGTH || fact.value.length > MAX_VALUE_LENGTH) continue;
-      // Noise filter
-      if (NOISE_VALUES.test(fact.value)) continue;
-      // Markdown artifacts
-      if (/[*#`\[\]{}]/.test(fact.value)) continue;
-      // Sentence fragments (ends with colon, dash, question mark, open paren)
-      if (/[:—?(\)]$/.test(fact.value)) continue;
-      // Values starting with quotes or angle brackets
-      if (/^["'<]/.test(fact.value)) continue;
+      if (!isValidFactValue(fact.value, pack?.noise)) { result.reason = "invalid value"; continue; }
 
       // Dedupe
       const key = `${fact.entity}:${fact.key}:${fact.value}`.toLowerCase();
-      if (seen.has(key)) continue;
+      if (seen.has(key)) { result.reason = "duplicate"; continue; }
       seen.add(key);
-      facts.push(fact);
+      result.accepted = true;
     }
   }
 
-  return facts;
+  return matches;
+}
+
+/**
+ * Extract facts from text using FACT_PATTERNS (or a pattern registry).
+ * @param {string} text - The text to extract facts from
+ * @param {Set<string>} runtimeEntities - Set of known entities (lowercase)
+ * @param {Array} [patterns=FACT_PATTERNS] - Built-in and/or registry patterns
+ * @param {object} [pack] - Language pack from lib/languages.js; English when omitted
+ * @returns {Array<{entity: string, key: string, value: string, ttl?: string, importance?: number}>}
+ */
+export function extractFacts(text, runtimeEntities, patterns = FACT_PATTERNS, pack = null) {
+  return matchPatterns(text, runtimeEntities, patterns, pack).filter((m) => m.accepted).map((m) => m.fact);
 }
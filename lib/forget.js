@@ -0,0 +1,219 @@
+// ============================================================================
+// Forgetting: soft-delete facts into tombstones, with an undo window
+// ============================================================================
+
+import { randomUUID } from "node:crypto";
+import { sqliteQuery, sqliteExec, sqliteTransaction } from "./sqlite.js";
+import { DEFAULT_NAMESPACE, namespaceFilter } from "./namespaces.js";
+import { sealField, openField, sealDecision, searchQuery } from "./encryption.js";
+import { deleteVectors } from "./embeddings.js";
+
+/** How long a forget can be undone. Tombstones outlive this to keep blocking re-capture. */
+export const DEFAULT_UNDO_WINDOW_MS = 24 * 3600000;
+
+/** Max facts a single FTS-targeted forget may remove. */
+export const MAX_FORGET_PER_CALL = 20;
+
+/** A tombstone's namespace, read from its saved row (older tombstones predate namespaces). */
+const TOMBSTONE_NAMESPACE = `COALESCE(json_extract(row_data, '$.namespace'), '${DEFAULT_NAMESPACE}')`;
+
+/**
+ * Find the decisions a forget request targets.
+ * Exactly one targeting mode is used, in priority order: id > entity+key > query.
+ *
+ * @param {string} dbPath
+ * @param {object} target
+ * @param {string} [target.id] - Decision ID
+ * @param {string} [target.entity] - Entity name (requires key)
+ * @param {string} [target.key] - Fact key (requires entity)
+ * @param {string} [target.query] - FTS5 query
+ * @param {number} [target.limit=5] - Max rows for query targeting
+ * @param {string[]|null} [target.namespaces] - Only facts in these namespaces (default: all)
+ * @returns {Array} Full decision rows
+ */
+export function findForgetTargets(dbPath, target = {}) {
+  const { id, entity, key, query } = target;
+  const scope = namespaceFilter(target.namespaces, "d.namespace");
+
+  if (id) {
+    return sqliteQuery(dbPath, `SELECT * FROM decisions d WHERE id = ? AND ${scope.sql}`, [id, ...scope.params]);
+  }
+
+  if (entity && key) {
+    return sqliteQuery(dbPath,
+      `SELECT * FROM decisions d WHERE lower(entity) = lower(?) AND fact_key = ? AND ${scope.sql}`,
+      [entity, key, ...scope.params]
+    );
+  }
+
+  if (query) {
+    const limit = Math.max(1, Math.min(MAX_FORGET_PER_CALL, parseInt(target.limit, 10) || 5));
+    return sqliteQuery(dbPath, `
+      SELECT d.*
+      FROM decisions d
+      JOIN decisions_fts fts ON d.rowid = fts.rowid
+      WHERE decisions_fts MATCH ? AND ${scope.sql}
+      ORDER BY rank
+      LIMIT ?
+    `, [searchQuery(dbPath, query), ...scope.params, limit]);
+  }
+
+  return [];
+}
+
+/**
+ * Forget facts: copy each row into a tombstone, then delete the decision
+ * (the decisions_ad trigger removes its FTS entry) and its vectors.
+ *
+ * @param {string} dbPath
+ * @param {object} target - See findForgetTargets
+ * @param {object} [opts]
+ * @param {string} [opts.reason] - Why the facts were forgotten
+ * @param {number} [opts.undoWindowMs] - Undo window length
+ * @returns {{ batchId: string|null, forgotten: Array<{id: string, entity: string, fact_key: string, fact_value: string, description: string}> }}
+ */
+export function forgetFacts(dbPath, target, opts = {}) {
+  const rows = findForgetTargets(dbPath, target);
+  if (rows.length === 0) return { batchId: null, forgotten: [] };
+
+  const batchId = randomUUID();
+  const nowMs = Date.now();
+  const undoUntil = nowMs + (opts.undoWindowMs ?? DEFAULT_UNDO_WINDOW_MS);
+  const forgotten = [];
+
+  for (const row of rows) {
+    // The saved row keeps its fields sealed; search_tokens is rebuilt on undo
+    const saved = sealDecision(dbPath, row);
+    delete saved.search_tokens;
+    // Tombstone and delete together: never delete a row we failed to
+    // tombstone (it could not be undone), nor tombstone one left live
+    const ok = sqliteTransaction(dbPath, () => {
+      const tombstoned = sqliteExec(dbPath,
+        `INSERT INTO decision_tombstones (id, batch_id, decision_id, entity, fact_key, fact_value, row_data, reason, forgotten_at, undo_until)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [randomUUID(), batchId, row.id, row.entity, row.fact_key, sealField(dbPath, row.fact_value), JSON.stringify(saved), opts.reason || null, nowMs, undoUntil]
+      );
+      if (!tombstoned) throw new Error(`could not tombstone ${row.id}`);
+      if (!sqliteExec(dbPath, `DELETE FROM decisions WHERE id = ?`, [row.id])) throw new Error(`could not delete ${row.id}`);
+    });
+    if (!ok) continue;
+
+    deleteVectors(dbPath, `decision_id = ?`, [row.id]);
+    forgotten.push({ id: row.id, entity: row.entity, fact_key: row.fact_key, fact_value: row.fact_value, description: row.description });
+  }
+
+  return { batchId: forgotten.length > 0 ? batchId : null, forgotten };
+}
+
+/**
+ * Restore a forget batch while its undo window is open.
+ * Facts whose entity+key was re-stored since the forget are skipped.
+ *
+ * @param {string} dbPath
+ * @param {string} [batchId] - Batch to restore; defaults to the most recent undoable batch
+ * @param {string[]|null} [namespaces] - Only restore facts from these namespaces (default: all)
+ * @returns {{ batchId: string|null, restored: Array<{id: string, text: string}>, skipped: Array<{id: string, reason: string}>, error?: string }}
+ */
+export function undoForget(dbPath, batchId, namespaces = null) {
+  const nowMs = Date.now();
+  const scope = namespaceFilter(namespaces, TOMBSTONE_NAMESPACE);
+
+  if (!batchId) {
+    const latest = sqliteQuery(dbPath, `
+      SELECT batch_id FROM decision_tombstones
+      WHERE restored_at IS NULL AND undo_until > ? AND ${scope.sql}
+      ORDER BY forgotten_at DESC
+      LIMIT 1
+    `, [nowMs, ...scope.params]);
+    if (latest.length === 0) return { batchId: null, restored: [], skipped: [], error: "Nothing to undo" };
+    batchId = latest[0].batch_id;
+  }
+
+  const tombstones = sqliteQuery(dbPath,
+    `SELECT id, decision_id, row_data, undo_until, restored_at FROM decision_tombstones WHERE batch_id = ? AND ${scope.sql}`,
+    [batchId, ...scope.params]
+  );
+  if (tombstones.length === 0) return { batchId, restored: [], skipped: [], error: "Forget batch not found" };
+
+  const columns = new Set(sqliteQuery(dbPath, `PRAGMA table_info(decisions)`).map((c) => c.name));
+  const restored = [];
+  const skipped = [];
+
+  for (const t of tombstones) {
+    if (t.restored_at) { skipped.push({ id: t.decision_id, reason: "already restored" }); continue; }
+    if (t.undo_until <= nowMs) { skipped.push({ id: t.decision_id, reason: "undo window expired" }); continue; }
+
+    let row;
+    try { row = JSON.parse(t.row_data); } catch { skipped.push({ id: t.decision_id, reason: "corrupt tombstone" }); continue; }
+    row.description = openField(dbPath, row.description);
+    row.fact_value = openField(dbPath, row.fact_value);
+
+    if (row.entity && row.fact_key) {
+      const live = sqliteQuery(dbPath,
+        `SELECT id FROM decisions WHERE entity = ? AND fact_key = ? AND namespace = ? AND (expires_at IS NULL OR expires_at > ?) LIMIT 1`,
+        [row.entity, row.fact_key, row.namespace || DEFAULT_NAMESPACE, nowMs]
+      );
+      if (live.length > 0) { skipped.push({ id: t.decision_id, reason: "superseded by a newer fact" }); continue; }
+    }
+
+    const sealed = sealDecision(dbPath, row);
+    const keys = Object.keys(sealed).filter((k) => columns.has(k));
+    const ok = sqliteExec(dbPath,
+      `INSERT OR IGNORE INTO decisions (${keys.join(", ")}) VALUES (${keys.map(() => "?").join(", ")})`,
+      keys.map((k) => sealed[k])
+    );
+    if (!ok) { skipped.push({ id: t.decision_id, reason: "insert failed" }); continue; }
+
+    sqliteExec(dbPath, `UPDATE decision_tombstones SET restored_at = ? WHERE id = ?`, [nowMs, t.id]);
+    const text = row.entity && row.fact_key
+      ? `${row.entity}.${row.fact_key} = ${row.fact_value}`
+      : row.description || "";
+    restored.push({ id: row.id, text });
+  }
+
+  return { batchId, restored, skipped };
+}
+
+/**
+ * Check whether an entity.key=value was forgotten and must not be auto-captured again.
+ * Matching is case-insensitive on entity and value, and only a forget in the
+ * same namespace counts.
+ *
+ * @param {string} dbPath
+ * @param {string} entity
+ * @param {string} key
+ * @param {string} value
+ * @param {string} [namespace="default"]
+ * @returns {boolean}
+ */
+export function isTombstoned(dbPath, entity, key, value, namespace = DEFAULT_NAMESPACE) {
+  return matchingTombstones(dbPath, entity, key, value, namespace).length > 0;
+}
+
+/**
+ * Lift the capture block for an entity.key=value, e.g. after the agent
+ * explicitly stores it again via memory_store.
+ *
+ * @param {string} dbPath
+ * @param {string} entity
+ * @param {string} key
+ * @param {string} value
+ * @param {string} [namespace="default"]
+ * @returns {boolean}
+ */
+export function clearTombstones(dbPath, entity, key, value, namespace = DEFAULT_NAMESPACE) {
+  const ids = matchingTombstones(dbPath, entity, key, value, namespace).map((t) => t.id);
+  if (ids.length === 0) return true;
+  return sqliteExec(dbPath, `DELETE FROM decision_tombstones WHERE id IN (${ids.map(() => "?").join(", ")})`, ids);
+}
+
+/** Open tombstones of an entity.key with this value in a namespace. Values are compared here, not in SQL, as they may be sealed. */
+function matchingTombstones(dbPath, entity, key, value, namespace) {
+  if (value == null) return [];
+  const wanted = String(value).trim().toLowerCase();
+  return sqliteQuery(dbPath,
+    `SELECT id, fact_value FROM decision_tombstones
+     WHERE lower(entity) = lower(?) AND fact_key = ? AND restored_at IS NULL AND ${TOMBSTONE_NAMESPACE} = ?`,
+    [entity, key, namespace]
+  ).filter((t) => typeof t.fact_value === "string" && t.fact_value.trim().toLowerCase() === wanted);
+}
@@ -0,0 +1,174 @@
+// ============================================================================
+// Fact revision history: every value an entity.key has held, and reverts
+// ============================================================================
+
+import { randomUUID } from "node:crypto";
+import { sqliteQuery, sqliteExec, sqliteTransaction } from "./sqlite.js";
+import { DEFAULT_NAMESPACE, namespaceFilter } from "./namespaces.js";
+import { sealField, sealDecision } from "./encryption.js";
+
+/** Max revisions listed per entity.key. */
+export const MAX_HISTORY_ROWS = 50;
+
+/**
+ * Record a new value for a decision before it is written.
+ * The open revision (if any) is closed as superseded. Rows that predate
+ * revision tracking get a baseline revision from their current value first,
+ * so the value being replaced is never lost.
+ * Writing the same value again is not a new revision.
+ *
+ * @param {string} dbPath
+ * @param {string} decisionId
+ * @param {object} next - The value about to be written
+ * @param {string} next.entity
+ * @param {string} next.key
+ * @param {string} next.value
+ * @param {string} next.sourceRole - "user" | "assistant" | "tool" | "revert"
+ * @param {string} next.sessionId
+ * @param {number} [next.timestamp] - Defaults to now
+ * @param {string} [next.namespace] - Defaults to the decision's namespace
+ * @returns {boolean} true if a revision was recorded
+ */
+export function recordRevision(dbPath, decisionId, next) {
+  return writeRevision(dbPath, decisionId, next, sqliteExec);
+}
+
+/**
+ * recordRevision with the statement runner passed in, so commitRevision can
+ * fail its transaction on a write that sqliteExec would only report.
+ */
+function writeRevision(dbPath, decisionId, next, exec) {
+  const nowMs = next.timestamp || Date.now();
+
+  let open = sqliteQuery(dbPath,
+    `SELECT id, fact_value FROM decision_revisions WHERE decision_id = ? AND superseded_at IS NULL ORDER BY created_at DESC, rowid DESC LIMIT 1`,
+    [decisionId]
+  );
+
+  if (open.length === 0) {
+    const current = sqliteQuery(dbPath,
+      `SELECT entity, fact_key, fact_value, session_id, timestamp, namespace FROM decisions WHERE id = ?`,
+      [decisionId]
+    );
+    if (current.length > 0) {
+      const c = current[0];
+      const id = randomUUID();
+      exec(dbPath,
+        `INSERT INTO decision_revisions (id, decision_id, entity, fact_key, fact_value, source_role, session_id, created_at, namespace)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, decisionId, c.entity, c.fact_key, sealField(dbPath, c.fact_value), c.session_id === "tool" ? "tool" : null, c.session_id, c.timestamp, c.namespace]
+      );
+      open = [{ id, fact_value: c.fact_value }];
+    }
+  }
+
+  if (open.length > 0 && open[0].fact_value === next.value) return false;
+
+  exec(dbPath,
+    `UPDATE decision_revisions SET superseded_at = ? WHERE decision_id = ? AND superseded_at IS NULL`,
+    [nowMs, decisionId]
+  );
+  const namespace = next.namespace
+    || sqliteQuery(dbPath, `SELECT namespace FROM decisions WHERE id = ?`, [decisionId])[0]?.namespace
+    || DEFAULT_NAMESPACE;
+  return exec(dbPath,
+    `INSERT INTO decision_revisions (id, decision_id, entity, fact_key, fact_value, source_role, session_id, created_at, namespace)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [randomUUID(), decisionId, next.entity, next.key, sealField(dbPath, next.value), next.sourceRole || null, next.sessionId || null, nowMs, namespace]
+  );
+}
+
+/**
+ * Record a revision and run the decisions write that makes it current, in one
+ * transaction. If either write fails both are rolled back, so the history
+ * never holds a value that was never current and no value goes unrecorded.
+ *
+ * @param {string} dbPath
+ * @param {string} decisionId
+ * @param {object} next - As for recordRevision
+ * @param {function(): boolean} write - The INSERT/UPDATE; false rolls back
+ * @returns {boolean} true if the write committed
+ */
+export function commitRevision(dbPath, decisionId, next, write) {
+  return sqliteTransaction(dbPath, () => {
+    writeRevision(dbPath, decisionId, next, (db, sql, params) => {
+      if (!sqliteExec(db, sql, params)) throw new Error(`could not record a revision of ${next.entity}.${next.key}`);
+      return true;
+    });
+    if (!write()) throw new Error(`could not write ${next.entity}.${next.key}`);
+  });
+}
+
+/**
+ * Get the open (current) revision of a decision, if it is tracked.
+ * @param {string} dbPath
+ * @param {string} decisionId
+ * @returns {{id: string, fact_value: string, source_role: string|null, session_id: string|null, created_at: number}|null}
+ */
+export function getCurrentRevision(dbPath, decisionId) {
+  const rows = sqliteQuery(dbPath,
+    `SELECT id, fact_value, source_role, session_id, created_at FROM decision_revisions
+     WHERE decision_id = ? AND superseded_at IS NULL ORDER BY created_at DESC, rowid DESC LIMIT 1`,
+    [decisionId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Get the value timeline for an entity.key, oldest first.
+ * Entity matching is case-insensitive.
+ *
+ * @param {string} dbPath
+ * @param {string} entity
+ * @param {string} key
+ * @param {number} [limit]
+ * @param {string[]|null} [namespaces] - Only revisions in these namespaces (default: all)
+ * @returns {Array<{id: string, decision_id: string, fact_value: string, source_role: string|null, session_id: string|null, created_at: number, superseded_at: number|null, namespace: string}>}
+ */
+export function getFactHistory(dbPath, entity, key, limit = MAX_HISTORY_ROWS, namespaces = null) {
+  const scope = namespaceFilter(namespaces);
+  const rows = sqliteQuery(dbPath, `
+    SELECT id, decision_id, entity, fact_key, fact_value, source_role, session_id, created_at, superseded_at, namespace
+    FROM decision_revisions
+    WHERE lower(entity) = lower(?) AND fact_key = ? AND ${scope.sql}
+    ORDER BY created_at DESC, rowid DESC
+    LIMIT ?
+  `, [entity, key, ...scope.params, limit]);
+  return rows.reverse();
+}
+
+/**
+ * Revert a fact to the value of an earlier revision.
+ * The revert is itself recorded as a revision, so it can be reverted too.
+ *
+ * @param {string} dbPath
+ * @param {string} revisionId
+ * @param {string[]|null} [namespaces] - Namespaces the caller may revert in (default: all)
+ * @returns {{ success: boolean, decisionId?: string, entity?: string, key?: string, value?: string, error?: string }}
+ */
+export function revertToRevision(dbPath, revisionId, namespaces = null) {
+  const scope = namespaceFilter(namespaces);
+  const rev = sqliteQuery(dbPath,
+    `SELECT decision_id, entity, fact_key, fact_value, namespace FROM decision_revisions WHERE id = ? AND ${scope.sql}`,
+    [revisionId, ...scope.params]
+  );
+  if (!rev.length) return { success: false, error: "Revision not found" };
+  const { entity, fact_key: key, fact_value: value, namespace } = rev[0];
+
+  const nowMs = Date.now();
+  const live = sqliteQuery(dbPath,
+    `SELECT id FROM decisions WHERE lower(entity) = lower(?) AND fact_key = ? AND namespace = ? AND (expires_at IS NULL OR expires_at > ?) LIMIT 1`,
+    [entity, key, namespace, nowMs]
+  );
+  if (!live.length) return { success: false, error: `${entity}.${key} no longer exists — store it again with memory_store` };
+
+  const decisionId = live[0].id;
+  const sealed = sealDecision(dbPath, { description: `${entity}.${key} = ${value}`, fact_value: value });
+  const ok = commitRevision(dbPath, decisionId, { entity, key, value, sourceRole: "revert", sessionId: "tool", timestamp: nowMs }, () => sqliteExec(dbPath,
+    `UPDATE decisions SET fact_value = ?, description = ?, search_tokens = ?, timestamp = ?, last_accessed_at = ? WHERE id = ?`,
+    [sealed.fact_value, sealed.description, sealed.search_tokens, nowMs, nowMs, decisionId]
+  ));
+  if (!ok) return { success: false, error: "Failed to update fact" };
+
+  return { success: true, decisionId, entity, key, value };
+}
@@ -0,0 +1,252 @@
+// ============================================================================
+// HNSW: in-process approximate nearest-neighbour index over embeddings
+// (cosine similarity). Vectors are kept normalized in memory; only the graph
+// is serialized, the vectors themselves live in the vectors table.
+// ============================================================================
+
+/** Serialization format version; bump when the graph layout changes. */
+export const HNSW_FORMAT_VERSION = 1;
+
+/** Default construction and search parameters. */
+export const HNSW_DEFAULTS = { M: 16, efConstruction: 100, efSearch: 64 };
+
+/**
+ * Copy a vector into a unit-length Float32Array.
+ * @param {ArrayLike<number>} vector
+ * @returns {Float32Array}
+ */
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+function dot(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+}
+
+/** Insert into an array kept sorted by descending similarity. */
+function insertSorted(list, item) {
+  let lo = 0, hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].sim >= item.sim) lo = mid + 1; else hi = mid;
+  }
+  list.splice(lo, 0, item);
+}
+
+/**
+ * Create an HNSW index, empty or from a serialized graph.
+ *
+ * Removal is a soft delete: the node keeps routing searches but is never
+ * returned. Rebuild (or restore without the vector) to drop it for good.
+ *
+ * @param {{ dims: number, M?: number, efConstruction?: number, efSearch?: number, random?: () => number }} options
+ * @param {object} [graph] - Serialized graph to start from (see restoreHnswIndex)
+ * @param {Map<string, ArrayLike<number>>} [graphVectors] - Vectors for the graph's nodes
+ */
+export function createHnswIndex({ dims, M = HNSW_DEFAULTS.M, efConstruction = HNSW_DEFAULTS.efConstruction, efSearch = HNSW_DEFAULTS.efSearch, random = Math.random }, graph = null, graphVectors = null) {
+  /** @type {Map<string, { vector: Float32Array, level: number, neighbors: string[][], deleted: boolean }>} */
+  const nodes = new Map();
+  const maxNeighbors0 = M * 2;
+  const levelMult = 1 / Math.log(M);
+  let entryPoint = null;
+  let maxLevel = -1;
+  let deletedCount = 0;
+
+  function searchLayer(query, entries, ef, level) {
+    const visited = new Set(entries);
+    const candidates = [];
+    const results = [];
+    for (const id of entries) {
+      const item = { id, sim: dot(query, nodes.get(id).vector) };
+      insertSorted(candidates, item);
+      insertSorted(results, item);
+    }
+    while (candidates.length > 0) {
+      const current = candidates.shift();
+      if (results.length >= ef && current.sim < results[results.length - 1].sim) break;
+      for (const nId of nodes.get(current.id).neighbors[level] || []) {
+        if (visited.has(nId)) continue;
+        visited.add(nId);
+        const n = nodes.get(nId);
+        if (!n) continue;
+        const sim = dot(query, n.vector);
+        if (results.length < ef || sim > results[results.length - 1].sim) {
+          insertSorted(candidates, { id: nId, sim });
+          insertSorted(results, { id: nId, sim });
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+    return results;
+  }
+
+  /** Neighbour selection heuristic: prefer candidates that aren't already covered by a closer pick. */
+  function selectNeighbors(candidates, max) {
+    const selected = [];
+    const pruned = [];
+    for (const c of candidates) {
+      if (selected.length >= max) break;
+      const vec = nodes.get(c.id).vector;
+      if (selected.every((s) => dot(vec, nodes.get(s.id).vector) < c.sim)) selected.push(c);
+      else pruned.push(c);
+    }
+    for (const c of pruned) {
+      if (selected.length >= max) break;
+      selected.push(c);
+    }
+    return selected;
+  }
+
+  function greedyDescend(query, toLevel) {
+    let ep = [entryPoint];
+    for (let l = maxLevel; l > toLevel; l--) ep = [searchLayer(query, ep, 1, l)[0].id];
+    return ep;
+  }
+
+  function connect(id, level, entries) {
+    const node = nodes.get(id);
+    let ep = entries;
+    for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+      const found = searchLayer(node.vector, ep, efConstruction, l).filter((c) => c.id !== id);
+      const max = l === 0 ? maxNeighbors0 : M;
+      node.neighbors[l] = selectNeighbors(found, M).map((c) => c.id);
+      for (const nId of node.neighbors[l]) {
+        const n = nodes.get(nId);
+        n.neighbors[l].push(id);
+        if (n.neighbors[l].length > max) {
+          const ranked = [];
+          for (const x of n.neighbors[l]) insertSorted(ranked, { id: x, sim: dot(n.vector, nodes.get(x).vector) });
+          n.neighbors[l] = selectNeighbors(ranked, max).map((c) => c.id);
+        }
+      }
+      if (found.length > 0) ep = found.map((c) => c.id);
+    }
+  }
+
+  /** Load a serialized graph, dropping nodes whose vector is gone. */
+  function restore(data, vectors) {
+    for (const [id, level, neighbors, deleted] of data.nodes) {
+      const vector = vectors.get(id);
+      if (deleted || !vector || vector.length !== dims) continue;
+      nodes.set(id, { vector: normalize(vector), level, neighbors, deleted: false });
+    }
+    // Drop edges to nodes that didn't survive
+    for (const node of nodes.values()) {
+      node.neighbors = node.neighbors.map((layer) => layer.filter((nId) => nodes.has(nId)));
+    }
+    if (nodes.has(data.entryPoint)) {
+      entryPoint = data.entryPoint;
+      maxLevel = data.maxLevel;
+    } else {
+      for (const [id, node] of nodes) {
+        if (node.level > maxLevel) { maxLevel = node.level; entryPoint = id; }
+      }
+    }
+  }
+
+  if (graph) restore(graph, graphVectors);
+
+  return {
+    dims,
+    get size() { return nodes.size - deletedCount; },
+    get deletedCount() { return deletedCount; },
+
+    has(id) {
+      const node = nodes.get(id);
+      return !!node && !node.deleted;
+    },
+
+    /**
+     * Add a vector. Re-adding an id replaces its vector.
+     * @param {string} id
+     * @param {ArrayLike<number>} vector
+     * @returns {boolean} false if the dimensions don't match
+     */
+    add(id, vector) {
+      if (!vector || vector.length !== dims) return false;
+      const existing = nodes.get(id);
+      if (existing) {
+        // Keep the node's edges; they stay valid routes for a nearby vector
+        if (existing.deleted) deletedCount--;
+        existing.vector = normalize(vector);
+        existing.deleted = false;
+        return true;
+      }
+      const level = Math.floor(-Math.log(random() || Number.MIN_VALUE) * levelMult);
+      nodes.set(id, { vector: normalize(vector), level, neighbors: Array.from({ length: level + 1 }, () => []), deleted: false });
+      if (entryPoint === null) {
+        entryPoint = id;
+        maxLevel = level;
+        return true;
+      }
+      connect(id, level, greedyDescend(nodes.get(id).vector, level));
+      if (level > maxLevel) {
+        maxLevel = level;
+        entryPoint = id;
+      }
+      return true;
+    },
+
+    /**
+     * Soft-delete an id.
+     * @param {string} id
+     * @returns {boolean}
+     */
+    remove(id) {
+      const node = nodes.get(id);
+      if (!node || node.deleted) return false;
+      node.deleted = true;
+      deletedCount++;
+      return true;
+    },
+
+    /**
+     * Find the k nearest live vectors.
+     * @param {ArrayLike<number>} vector
+     * @param {number} k
+     * @param {number} [ef] - Search breadth (defaults to efSearch, at least k)
+     * @returns {Array<{ id: string, similarity: number }>}
+     */
+    search(vector, k, ef = efSearch) {
+      if (entryPoint === null || !vector || vector.length !== dims || k <= 0) return [];
+      const query = normalize(vector);
+      // Widen the beam by the deleted share so soft-deleted nodes don't crowd out results
+      const width = Math.max(ef, k) + Math.ceil(k * deletedCount / Math.max(1, nodes.size - deletedCount));
+      return searchLayer(query, greedyDescend(query, 0), width, 0)
+        .filter((c) => !nodes.get(c.id).deleted)
+        .slice(0, k)
+        .map((c) => ({ id: c.id, similarity: c.sim }));
+    },
+
+    /** Serializable graph (no vectors, no deleted nodes' payload). */
+    toJSON() {
+      return {
+        version: HNSW_FORMAT_VERSION,
+        dims, M, efConstruction, efSearch,
+        entryPoint, maxLevel,
+        nodes: [...nodes].map(([id, n]) => [id, n.level, n.neighbors, n.deleted ? 1 : 0]),
+      };
+    },
+  };
+}
+
+/**
+ * Rebuild an index from its serialized graph plus the vectors it refers to.
+ * Nodes whose vector is missing (deleted rows) are dropped. Returns null if
+ * the data is unusable.
+ *
+ * @param {object} data - Output of index.toJSON()
+ * @param {Map<string, ArrayLike<number>>} vectors - id → vector
+ * @param {{ random?: () => number }} [options]
+ */
+export function restoreHnswIndex(data, vectors, options = {}) {
+  if (!data || data.version !== HNSW_FORMAT_VERSION || !Array.isArray(data.nodes) || !data.dims) return null;
+  return createHnswIndex({ dims: data.dims, M: data.M, efConstruction: data.efConstruction, efSearch: data.efSearch, ...options }, data, vectors);
+}
@@ -0,0 +1,256 @@
+// ============================================================================
+// Language packs: fact patterns, noise values and stop words per language,
+// with per-message language detection
+// ============================================================================
+
+import { FACT_PATTERNS, NOISE_VALUES, TECHNICAL_NOUN } from "./extraction.js";
+import { REJECT_WORDS } from "./entities.js";
+import { STOP_WORDS } from "./stuck-detection.js";
+
+/** Languages enabled when config doesn't say otherwise. */
+export const DEFAULT_LANGUAGES = ["en"];
+
+// Unicode-aware start of word (\b only knows ASCII word characters)
+const W = "(?<![\\p{L}\\p{N}_])";
+
+// ----------------------------------------------------------------------------
+// Spanish
+// ----------------------------------------------------------------------------
+
+const ES_NOISE = /^(eso|esto|esta|este|aquí|allí|ahí|entonces|ya|muy|más|menos|también|solo|sólo|bien|mal|listo|hecho|qué|cómo|dónde|cuándo|quién|no|sí|todavía|realmente)[\s:,.]|[:*#\n?¿¡()]|^\p{L}+(?:ando|iendo)(?![\p{L}])/iu;
+
+const ES_TECHNICAL_NOUN = /^(modelo|puerto|servidor|servicio|versión|idioma|proveedor|cliente|ruta|directorio|archivo|clave|límite|modo|nivel|formato|entorno|configuración|base|motor|tiempo|endpoint|api|url|host|token|backend|frontend|plugin|módulo|paquete|biblioteca|librería|framework)/iu;
+
+const ES_PATTERNS = [
+  // "Kevin prefiere X" / "Kevin odia X"
+  { name: "es:preference", re: new RegExp(`${W}(\\p{Lu}\\p{Ll}+)\\s+(?:prefiere|quiere|odia|adora)\\s+(.+?)(?:\\.|$)`, "gmu"),
+    extract: (m) => ({ entity: m[1], key: "preference", value: m[2].trim() }) },
+
+  // "el puerto está configurado en X" / "X está establecido como Y"
+  { name: "es:config_set", re: new RegExp(`${W}(?:(?:el|la)\\s+)?([\\p{L}_]+(?:\\s[\\p{L}_]+)?)\\s+está\\s+(?:configurad[oa]|establecid[oa]|fijad[oa])\\s+(?:en|como|a)\\s+(.+?)(?:\\.|$)`, "gimu"),
+    extract: (m) => ({ entity: "config", key: m[1].trim().replace(/\s+/g, "_").toLowerCase(), value: m[2].trim() }) },
+
+  // "el modelo principal es gemini-2.5-pro" — only when the noun is technical
+  { name: "es:technical_noun", re: new RegExp(`${W}(?:el|la)\\s+((?:[\\p{L}\\w-]+\\s+){0,2}[\\p{L}\\w-]+)\\s+es\\s+([A-Za-z0-9][\\w./:@_-]+(?:\\s[\\w./:@_-]+){0,3})(?:\\.|,|$)`, "gimu"),
+    extract: (m) => {
+      const key = m[1].trim().replace(/\s+/g, "_").toLowerCase();
+      const value = m[2].trim().replace(/\.$/, "");
+      if (key.length < 4 || key.length > 40) return null;
+      if (!ES_TECHNICAL_NOUN.test(key)) return null;
+      if (ES_NOISE.test(value)) return null;
+      return { entity: "config", key, value };
+    }
+  },
+
+  // "Recuerda: X" / "Nota: X" / "Importante: X"
+  { name: "es:annotation", re: /(?:recuerda|recordar|nota|importante):\s*(.+?)(?:\.|$)/gimu,
+    extract: (m) => ({ entity: "note", key: "user_note", value: m[1].trim() }) },
+
+  // "el lenguaje favorito de Kevin es TypeScript"
+  { name: "es:possessive", re: new RegExp(`${W}(?:[Ee]l|[Ll]a|[Ll]os|[Ll]as)\\s+([\\p{L}]+(?:\\s[\\p{L}]+){0,2})\\s+de\\s+(\\p{Lu}\\p{Ll}+)\\s+(?:es|son)\\s+(\\p{Lu}[\\w./:@_-]+(?:\\s[\\w./:@_-]+){0,3})(?:\\.|,|$)`, "gmu"),
+    extract: (m) => {
+      const value = m[3].trim().replace(/\.$/, "");
+      if (ES_NOISE.test(value)) return null;
+      return { entity: m[2], key: m[1].trim().replace(/\s+/g, "_").toLowerCase(), value };
+    }
+  },
+];
+
+const ES_REJECT_WORDS = new Set([
+  "el", "la", "los", "las", "un", "una", "y", "o", "pero", "si", "no", "es",
+  "son", "está", "esto", "eso", "ese", "esa", "aquí", "ahora", "ya", "muy",
+  "más", "también", "qué", "cómo", "cuándo", "dónde", "quién", "yo", "tú",
+  "él", "ella", "nosotros", "ellos", "usted", "bueno", "bien", "entonces",
+  "solo", "todavía", "realmente", "hola", "gracias",
+]);
+
+const ES_STOP_WORDS = new Set([
+  "el", "la", "los", "las", "un", "una", "unos", "unas", "y", "o", "de", "del",
+  "al", "en", "con", "sin", "por", "para", "que", "qué", "como", "cómo", "pero",
+  "si", "no", "es", "son", "fue", "era", "ser", "estar", "está", "están", "estoy",
+  "estamos", "esta", "este", "esto", "estos", "estas", "ese", "esa", "eso", "hay",
+  "han", "había", "tiene", "tienen", "tengo", "tenemos", "hacer", "puede",
+  "pueden", "cuando", "donde", "desde", "hasta", "sobre", "entre", "porque",
+  "también", "todo", "todos", "toda", "todas", "otro", "otra", "otros", "muy",
+  "más", "menos", "ahora", "aquí", "allí", "bien", "solo", "sólo", "mismo",
+  "misma", "cada", "algo", "nada", "usted", "ustedes", "nosotros", "ellos",
+  "ellas", "él", "ella", "mucho", "mucha", "muchos", "poco", "vamos",
+  "entonces", "antes", "después", "mientras", "aunque", "siempre", "nunca",
+  "sido", "sus", "su", "mi", "mis", "tu", "tus", "nos", "les", "le", "lo", "se",
+]);
+
+// ----------------------------------------------------------------------------
+// German
+// ----------------------------------------------------------------------------
+
+const DE_NOISE = /^(das|dies|dieses|hier|dort|da|dann|jetzt|schon|noch|sehr|mehr|weniger|auch|nur|gut|schlecht|fertig|erledigt|was|wie|warum|wo|wann|wer|nicht|ja|nein|eigentlich|wirklich)[\s:,.]|[:*#\n?()]/iu;
+
+const DE_TECHNICAL_NOUN = /^(standard|haupt|primär|aktuell|modell|port|server|dienst|version|sprache|anbieter|client|pfad|verzeichnis|datei|schlüssel|limit|grenze|modus|format|umgebung|konfiguration|einstellung|datenbank|endpunkt|endpoint|api|url|host|token|backend|frontend|plugin|modul|paket|bibliothek|framework|zeitlimit|timeout)/iu;
+
+const DE_PATTERNS = [
+  // "Kevin bevorzugt X" / "Kevin mag X"
+  { name: "de:preference", re: new RegExp(`${W}(\\p{Lu}\\p{Ll}+)\\s+(?:bevorzugt|mag|liebt|hasst|möchte)\\s+(.+?)(?:\\.|$)`, "gmu"),
+    extract: (m) => ({ entity: m[1], key: "preference", value: m[2].trim() }) },
+
+  // "Der Port ist auf X gesetzt" / "Das Backend ist als X konfiguriert"
+  { name: "de:config_set", re: new RegExp(`${W}(?:(?:der|die|das)\\s+)?([\\p{L}_]+(?:\\s[\\p{L}_]+)?)\\s+ist\\s+(?:auf|als)\\s+(.+?)\\s+(?:gesetzt|eingestellt|konfiguriert)(?:\\.|,|$)`, "gimu"),
+    extract: (m) => ({ entity: "config", key: m[1].trim().replace(/\s+/g, "_").toLowerCase(), value: m[2].trim() }) },
+
+  // "Das Standardmodell ist gemini-2.5-pro" — only when the noun is technical
+  { name: "de:technical_noun", re: new RegExp(`${W}(?:der|die|das)\\s+((?:[\\p{L}\\w-]+\\s+){0,2}[\\p{L}\\w-]+)\\s+ist\\s+([A-Za-z0-9][\\w./:@_-]+(?:\\s[\\w./:@_-]+){0,3})(?:\\.|,|$)`, "gimu"),
+    extract: (m) => {
+      const key = m[1].trim().replace(/\s+/g, "_").toLowerCase();
+      const value = m[2].trim().replace(/\.$/, "");
+      if (key.length < 4 || key.length > 40) return null;
+      if (!DE_TECHNICAL_NOUN.test(key)) return null;
+      if (DE_NOISE.test(value)) return null;
+      return { entity: "config", key, value };
+    }
+  },
+
+  // "Merke: X" / "Notiz: X" / "Wichtig: X"
+  { name: "de:annotation", re: /(?:merke|merk dir|notiz|hinweis|wichtig):\s*(.+?)(?:\.|$)/gimu,
+    extract: (m) => ({ entity: "note", key: "user_note", value: m[1].trim() }) },
+
+  // "Kevins Lieblingssprache ist TypeScript" — genitive -s
+  { name: "de:possessive", re: new RegExp(`${W}(\\p{Lu}\\p{Ll}+)s\\s+(\\p{L}+(?:\\s\\p{L}+)?)\\s+ist\\s+(\\p{Lu}[\\w./:@_-]+(?:\\s[\\w./:@_-]+){0,3})(?:\\.|,|$)`, "gmu"),
+    extract: (m) => {
+      const value = m[3].trim().replace(/\.$/, "");
+      if (DE_NOISE.test(value)) return null;
+      return { entity: m[1], key: m[2].trim().replace(/\s+/g, "_").toLowerCase(), value };
+    }
+  },
+];
+
+const DE_REJECT_WORDS = new Set([
+  "der", "die", "das", "ein", "eine", "und", "oder", "aber", "wenn", "nicht",
+  "ist", "sind", "war", "hat", "ich", "du", "er", "sie", "es", "wir", "ihr",
+  "hier", "dort", "jetzt", "schon", "noch", "sehr", "auch", "nur", "was",
+  "wie", "warum", "wo", "wann", "wer", "gut", "also", "dann", "ja", "nein",
+  "doch", "eigentlich", "wirklich", "hallo", "danke",
+]);
+
+const DE_STOP_WORDS = new Set([
+  "aber", "alle", "allem", "allen", "aller", "alles", "also", "andere",
+  "anderen", "auch", "auf", "aus", "bei", "bin", "bis", "dann", "das", "dass",
+  "dein", "dem", "den", "der", "des", "die", "dies", "diese", "dieser",
+  "dieses", "doch", "dort", "durch", "ein", "eine", "einem", "einen", "einer",
+  "eines", "einfach", "etwas", "für", "ganz", "gerade", "gibt", "habe",
+  "haben", "hat", "hatte", "heute", "hier", "ich", "ihr", "ihre", "immer",
+  "ist", "jetzt", "kann", "können", "machen", "mehr", "mein", "meine", "mit",
+  "muss", "müssen", "nach", "nicht", "nichts", "noch", "nur", "oder", "ohne",
+  "schon", "sehr", "sein", "seine", "sich", "sie", "sind", "soll", "über",
+  "und", "uns", "unser", "unter", "viel", "vom", "von", "vor", "wann", "war",
+  "waren", "warum", "was", "weil", "wenn", "werden", "wie", "wieder", "wird",
+  "wir", "wo", "wurde", "würde", "wäre", "zum", "zur", "zwischen",
+]);
+
+// ----------------------------------------------------------------------------
+// Registry
+// ----------------------------------------------------------------------------
+
+/**
+ * Language packs by ISO 639-1 code.
+ * - patterns: built-in fact patterns (FACT_PATTERNS shape)
+ * - noise: values that are conversational noise, not facts
+ * - technicalNoun: nouns accepted by the "the X is Y" pattern
+ * - rejectWords: words that look like entities but aren't
+ * - stopWords: function words left out of topic signatures
+ * - hints: characters that only occur in this language, for detection
+ *
+ * English reads the original constants lazily; they live in modules that
+ * import this one.
+ */
+export const LANGUAGE_PACKS = {
+  en: {
+    code: "en",
+    name: "English",
+    get patterns() { return FACT_PATTERNS; },
+    get noise() { return NOISE_VALUES; },
+    get technicalNoun() { return TECHNICAL_NOUN; },
+    get rejectWords() { return REJECT_WORDS; },
+    get stopWords() { return STOP_WORDS; },
+    hints: null,
+  },
+  es: {
+    code: "es",
+    name: "Spanish",
+    patterns: ES_PATTERNS,
+    noise: ES_NOISE,
+    technicalNoun: ES_TECHNICAL_NOUN,
+    rejectWords: ES_REJECT_WORDS,
+    stopWords: ES_STOP_WORDS,
+    hints: /[ñ¿¡]/i,
+  },
+  de: {
+    code: "de",
+    name: "German",
+    patterns: DE_PATTERNS,
+    noise: DE_NOISE,
+    technicalNoun: DE_TECHNICAL_NOUN,
+    rejectWords: DE_REJECT_WORDS,
+    stopWords: DE_STOP_WORDS,
+    hints: /[äöüß]/i,
+  },
+};
+
+/**
+ * Validate a languages config list. Unknown codes are dropped; an empty
+ * result falls back to DEFAULT_LANGUAGES.
+ * @param {string[]} [config]
+ * @returns {string[]}
+ */
+export function resolveLanguages(config) {
+  if (!Array.isArray(config)) return [...DEFAULT_LANGUAGES];
+  const codes = [...new Set(config.filter((c) => typeof c === "string").map((c) => c.toLowerCase()))]
+    .filter((c) => LANGUAGE_PACKS[c]);
+  return codes.length > 0 ? codes : [...DEFAULT_LANGUAGES];
+}
+
+/**
+ * Get a language pack, falling back to English.
+ * @param {string} code
+ * @returns {object}
+ */
+export function getLanguagePack(code) {
+  return LANGUAGE_PACKS[code] || LANGUAGE_PACKS.en;
+}
+
+/**
+ * Detect the language of a message among the enabled languages.
+ * Counts stop words and reject words per pack, with a bonus for characters
+ * unique to a language. Ties and messages without any signal go to the
+ * first enabled language.
+ *
+ * @param {string} text
+ * @param {string[]} [languages=DEFAULT_LANGUAGES] - Enabled codes, in preference order
+ * @returns {string} Language code
+ */
+export function detectLanguage(text, languages = DEFAULT_LANGUAGES) {
+  if (languages.length <= 1 || !text) return languages[0] || "en";
+  const words = text.toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+
+  let best = languages[0];
+  let bestScore = 0;
+  for (const code of languages) {
+    const pack = getLanguagePack(code);
+    let score = 0;
+    for (const w of words) if (pack.stopWords.has(w) || pack.rejectWords.has(w)) score++;
+    if (pack.hints?.test(text)) score += 2;
+    if (score > bestScore) { best = code; bestScore = score; }
+  }
+  return best;
+}
+
+/**
+ * Stop words of every enabled language, for topic signatures of
+ * mixed-language text.
+ * @param {string[]} [languages=DEFAULT_LANGUAGES]
+ * @returns {Set<string>}
+ */
+export function stopWordsFor(languages = DEFAULT_LANGUAGES) {
+  if (languages.length === 1) return getLanguagePack(languages[0]).stopWords;
+  const merged = new Set();
+  for (const code of languages) for (const w of getLanguagePack(code).stopWords) merged.add(w);
+  return merged;
+}
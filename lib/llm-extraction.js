@@ -0,0 +1,180 @@
+// ============================================================================
+// LLM fact extraction (local Ollama chat model with a strict JSON schema)
+// ============================================================================
+
+import { isValidEntity } from "./entities.js";
+import { isValidFactValue } from "./extraction.js";
+
+/** Extraction modes: regex only, LLM only (regex fallback), or both merged. */
+export const EXTRACTION_MODES = ["regex", "llm", "both"];
+
+/** Default Ollama chat model for extraction. */
+export const DEFAULT_EXTRACTION_MODEL = "llama3.2";
+
+/** Facts below this model confidence are dropped. */
+export const MIN_LLM_CONFIDENCE = 0.6;
+
+/** TTL hints the model may give. Permanent is never assigned by the model. */
+export const LLM_TTL_HINTS = ["session", "active", "stable"];
+
+/** JSON schema passed as Ollama's `format`, so the reply is always parseable. */
+export const FACT_SCHEMA = {
+  type: "object",
+  properties: {
+    facts: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          entity: { type: "string" },
+          key: { type: "string" },
+          value: { type: "string" },
+          confidence: { type: "number" },
+          ttl: { type: "string", enum: LLM_TTL_HINTS },
+        },
+        required: ["entity", "key", "value", "confidence", "ttl"],
+      },
+    },
+  },
+  required: ["facts"],
+};
+
+const SYSTEM_PROMPT = [
+  "You extract durable facts from one chat message for a long-term memory store.",
+  "Return JSON matching the schema. Each fact is about one entity (a person, project or system) and has:",
+  "- key: short snake_case attribute name (e.g. favorite_language, deploy_target)",
+  "- value: the fact itself as a short plain phrase, no markdown",
+  "- confidence: 0-1, how sure you are the message states this as true",
+  "- ttl: session (only relevant right now), active (true for days or weeks) or stable (true for months)",
+  "Only extract facts the message states. Skip questions, guesses, instructions and small talk.",
+  "Return {\"facts\": []} if there are none.",
+].join("\n");
+
+/**
+ * Normalize an attribute name to snake_case.
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizeKey(key) {
+  return String(key).trim().toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 40);
+}
+
+/**
+ * Validate a model reply against the schema and the same entity/value rules
+ * the regex extractor uses. Invalid facts are dropped individually.
+ *
+ * @param {string|object} reply - JSON string or parsed object
+ * @param {Set<string>} runtimeEntities - Set of known entities (lowercase)
+ * @param {number} [minConfidence=MIN_LLM_CONFIDENCE]
+ * @returns {Array<{entity: string, key: string, value: string, confidence: number, ttl: string}>}
+ */
+export function parseLlmFacts(reply, runtimeEntities, minConfidence = MIN_LLM_CONFIDENCE) {
+  let data = reply;
+  if (typeof reply === "string") {
+    try { data = JSON.parse(reply); } catch { return []; }
+  }
+  if (!data || !Array.isArray(data.facts)) return [];
+
+  const facts = [];
+  const seen = new Set();
+  for (const raw of data.facts) {
+    if (!raw || typeof raw !== "object") continue;
+    if (typeof raw.entity !== "string" || typeof raw.key !== "string" || typeof raw.value !== "string") continue;
+
+    const entity = raw.entity.trim();
+    const key = normalizeKey(raw.key);
+    const value = raw.value.trim();
+    const confidence = typeof raw.confidence === "number" ? raw.confidence : 0;
+    if (confidence < minConfidence) continue;
+    if (key.length < 2) continue;
+    if (!isValidEntity(entity, runtimeEntities)) continue;
+    if (!isValidFactValue(value)) continue;
+
+    const dedupe = `${entity}:${key}`.toLowerCase();
+    if (seen.has(dedupe)) continue;
+    seen.add(dedupe);
+    facts.push({ entity, key, value, confidence, ttl: LLM_TTL_HINTS.includes(raw.ttl) ? raw.ttl : "active" });
+  }
+  return facts;
+}
+
+/**
+ * Extract facts from one message with an Ollama chat model.
+ * Returns null when the model can't be reached or replies with an error,
+ * so callers can fall back to regex extraction.
+ *
+ * @param {string} ollamaUrl - Base URL e.g. "http://localhost:11434"
+ * @param {string} model - Chat model name
+ * @param {string} text - Message text
+ * @param {Set<string>} runtimeEntities - Set of known entities (lowercase)
+ * @param {object} [opts]
+ * @param {number} [opts.minConfidence=MIN_LLM_CONFIDENCE]
+ * @param {number} [opts.timeoutMs=20000]
+ * @returns {Promise<Array|null>}
+ */
+export async function extractFactsWithLlm(ollamaUrl, model, text, runtimeEntities, opts = {}) {
+  const { minConfidence = MIN_LLM_CONFIDENCE, timeoutMs = 20000 } = opts;
+  const known = [...runtimeEntities].slice(0, 50).join(", ");
+  try {
+    const res = await fetch(`${ollamaUrl}/api/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        model,
+        stream: false,
+        format: FACT_SCHEMA,
+        options: { temperature: 0 },
+        messages: [
+          { role: "system", content: `${SYSTEM_PROMPT}\nKnown entities: ${known}` },
+          { role: "user", content: text },
+        ],
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) return null;
+    const data = await res.json();
+    if (typeof data?.message?.content !== "string") return null;
+    return parseLlmFacts(data.message.content, runtimeEntities, minConfidence);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check that the extraction model is pulled in Ollama.
+ * @param {string} ollamaUrl
+ * @param {string} model
+ * @returns {Promise<{ available: boolean, reason?: string }>}
+ */
+export async function checkExtractionModel(ollamaUrl, model) {
+  try {
+    const res = await fetch(`${ollamaUrl}/api/tags`, { signal: AbortSignal.timeout(5000) });
+    if (!res.ok) return { available: false, reason: `HTTP ${res.status}` };
+    const data = await res.json();
+    const names = (data.models || []).map((m) => m.name);
+    const found = names.some((n) => n === model || n === `${model}:latest` || n.split(":")[0] === model);
+    return found ? { available: true } : { available: false, reason: `model ${model} not pulled` };
+  } catch (err) {
+    return { available: false, reason: String(err?.message || err) };
+  }
+}
+
+/**
+ * Merge regex and LLM facts. Regex facts win on the same entity.key, since
+ * they quote the message verbatim; the LLM adds what the patterns missed.
+ *
+ * @param {Array} regexFacts
+ * @param {Array} llmFacts
+ * @returns {Array}
+ */
+export function mergeFacts(regexFacts, llmFacts) {
+  const merged = [...regexFacts];
+  const seen = new Set(regexFacts.map((f) => `${f.entity}:${f.key}`.toLowerCase()));
+  for (const fact of llmFacts) {
+    const dedupe = `${fact.entity}:${fact.key}`.toLowerCase();
+    if (seen.has(dedupe)) continue;
+    seen.add(dedupe);
+    merged.push(fact);
+  }
+  return merged;
+}
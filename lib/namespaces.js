@@ -0,0 +1,107 @@
+// ============================================================================
+// Namespaces: keep each agent's (or workspace's) memories apart, with one
+// shared namespace that every agent reads
+// ============================================================================
+
+import path from "node:path";
+
+/** Namespace of memories written before namespaces existed, and of the default agent. */
+export const DEFAULT_NAMESPACE = "default";
+
+/** Namespace every agent reads in addition to its own. */
+export const DEFAULT_SHARED_NAMESPACE = "shared";
+
+/** OpenClaw's default agent id. It keeps using the default namespace. */
+export const DEFAULT_AGENT_ID = "main";
+
+/** What a caller's namespace is derived from; "off" puts everything in one namespace. */
+export const NAMESPACE_SOURCES = ["agent", "workspace", "off"];
+
+/**
+ * Normalize a namespace name: lowercase letters, digits, "-" and "_",
+ * at most 64 chars. Returns null when nothing usable is left.
+ * @param {string} name
+ * @returns {string|null}
+ */
+export function sanitizeNamespace(name) {
+  if (typeof name !== "string") return null;
+  const clean = name.trim().toLowerCase().replace(/[^a-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "").substring(0, 64);
+  return clean || null;
+}
+
+/**
+ * Resolve the namespaces config option. `false` turns namespaces off.
+ * `map` sends agent ids (or workspace paths or folder names) to a namespace.
+ * @param {boolean|object} [cfg]
+ * @returns {{ from: string, shared: string, map: Object<string, string> }}
+ */
+export function resolveNamespaceConfig(cfg) {
+  const opts = cfg && typeof cfg === "object" ? cfg : {};
+  const from = cfg === false || opts.enabled === false ? "off" : NAMESPACE_SOURCES.includes(opts.from) ? opts.from : "agent";
+  const map = {};
+  for (const [key, ns] of Object.entries(opts.map || {})) {
+    const clean = sanitizeNamespace(ns);
+    if (clean) map[key] = clean;
+  }
+  return { from, shared: sanitizeNamespace(opts.shared) || DEFAULT_SHARED_NAMESPACE, map };
+}
+
+/**
+ * Namespace for a caller, from the agent id or workspace directory OpenClaw
+ * passes to hooks and tool factories. Callers without one (and the default
+ * agent) use the default namespace.
+ * @param {ReturnType<typeof resolveNamespaceConfig>} config
+ * @param {{ agentId?: string, workspaceDir?: string }} [ctx]
+ * @returns {string}
+ */
+export function resolveNamespace(config, ctx = {}) {
+  if (config.from === "off") return DEFAULT_NAMESPACE;
+  if (config.from === "workspace") {
+    const dir = ctx?.workspaceDir;
+    if (!dir) return DEFAULT_NAMESPACE;
+    const base = path.basename(path.resolve(dir));
+    return config.map[dir] || config.map[base] || sanitizeNamespace(base) || DEFAULT_NAMESPACE;
+  }
+  const agentId = ctx?.agentId;
+  if (!agentId) return DEFAULT_NAMESPACE;
+  if (config.map[agentId]) return config.map[agentId];
+  if (agentId === DEFAULT_AGENT_ID) return DEFAULT_NAMESPACE;
+  return sanitizeNamespace(agentId) || DEFAULT_NAMESPACE;
+}
+
+/**
+ * What a caller may see and where it writes: its own namespace plus the
+ * shared one. With namespaces off, `namespaces` is null and reads are not
+ * filtered at all.
+ * @param {ReturnType<typeof resolveNamespaceConfig>} config
+ * @param {{ agentId?: string, workspaceDir?: string }} [ctx]
+ * @returns {{ namespace: string, namespaces: string[]|null, shared: string }}
+ */
+export function namespaceScope(config, ctx = {}) {
+  const namespace = resolveNamespace(config, ctx);
+  if (config.from === "off") return { namespace, namespaces: null, shared: config.shared };
+  return { namespace, namespaces: [...new Set([namespace, config.shared])], shared: config.shared };
+}
+
+/**
+ * Whether a caller may run operations that act on the whole database
+ * (restore, key rotation, doctor repairs): the default namespace's agent,
+ * or anyone when namespaces are off.
+ * @param {ReturnType<typeof namespaceScope>} scope
+ * @returns {boolean}
+ */
+export function isAdminScope(scope) {
+  return !scope?.namespaces || scope.namespace === DEFAULT_NAMESPACE;
+}
+
+/**
+ * SQL condition limiting a column to the given namespaces. No namespaces
+ * means no limit.
+ * @param {string[]|null|undefined} namespaces
+ * @param {string} [column="namespace"]
+ * @returns {{ sql: string, params: string[] }}
+ */
+export function namespaceFilter(namespaces, column = "namespace") {
+  if (!namespaces || namespaces.length === 0) return { sql: "1 = 1", params: [] };
+  return { sql: `${column} IN (${namespaces.map(() => "?").join(", ")})`, params: [...namespaces] };
+}
@@ -0,0 +1,238 @@
+// ============================================================================
+// Extraction pattern registry: built-in FACT_PATTERNS plus user-defined
+// patterns from config, validated before use
+// ============================================================================
+
+import { FACT_PATTERNS } from "./extraction.js";
+import { LANGUAGE_PACKS, DEFAULT_LANGUAGES } from "./languages.js";
+
+/** Longest regex source accepted from config. */
+export const MAX_PATTERN_LENGTH = 300;
+
+/** TTL classes a pattern may assign. Permanent is reserved for memory_store. */
+export const PATTERN_TTLS = ["session", "active", "stable"];
+
+/** Flags a pattern may set; "g" is always added. */
+const ALLOWED_FLAGS = /^[imsu]*$/;
+
+/** Atoms that match (almost) any character, for the alternation overlap check. */
+const WILDCARD_ATOMS = new Set([".", "\\w", "\\W", "\\s", "\\S", "\\d", "\\D", "["]);
+
+/** Bounded repeats this large ({10}, {2,10}) blow up polynomially; treated as unbounded. */
+const LARGE_REPEAT = 10;
+
+/** Group prefixes that are not quantifiers: (?: (?= (?! (?<= (?<! (?<name> */
+const GROUP_PREFIX = /^\(\?(?::|=|!|<=|<!|<[a-zA-Z]\w*>)/;
+
+/**
+ * Read a quantifier at position i. Returns its length, whether it is
+ * unbounded (*, +, {n,}, or a LARGE_REPEAT bound) and whether it is variable
+ * (anything but {n}), or null if there is none.
+ */
+function readQuantifier(src, i) {
+  const c = src[i];
+  const lazy = (at) => (src[at] === "?" ? 1 : 0);
+  if (c === "*" || c === "+") return { length: 1 + lazy(i + 1), unbounded: true, variable: true };
+  if (c === "?") return { length: 1 + lazy(i + 1), unbounded: false, variable: true };
+  if (c === "{") {
+    const m = /^\{(\d+)(,?)(\d*)\}\??/.exec(src.slice(i));
+    if (!m) return null;
+    const open = m[2] === "," && m[3] === "";
+    const max = m[2] === "," ? Number(m[3]) : Number(m[1]);
+    return { length: m[0].length, unbounded: open || max >= LARGE_REPEAT, variable: open || (m[2] === "," && Number(m[3]) > Number(m[1])) };
+  }
+  return null;
+}
+
+/** First atom of a regex fragment (".", "\\w", "[", or a literal char). */
+function firstAtom(fragment) {
+  const f = fragment.replace(GROUP_PREFIX, "").replace(/^\(/, "");
+  if (f.startsWith("\\")) return f.slice(0, 2);
+  return f[0] ?? "";
+}
+
+/**
+ * Check a regex source for constructs that can backtrack catastrophically:
+ * - an unbounded quantifier applied to a group containing a variable one, e.g. (a+)+, (a{1,3})* or (.*a){12}
+ * - an unbounded quantifier on an alternation whose branches can start alike, e.g. (a|ab)*
+ * Large bounded repeats count as unbounded (see LARGE_REPEAT).
+ *
+ * This is a conservative static check; it may reject some safe patterns.
+ *
+ * @param {string} source - Regex source
+ * @returns {string|null} Description of the risk, or null
+ */
+export function findBacktrackingRisk(source) {
+  const stack = [{ quantified: false, branches: [""], start: 0 }];
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    const top = stack[stack.length - 1];
+
+    if (c === "\\") {
+      top.branches[top.branches.length - 1] += source.slice(i, i + 2);
+      i++;
+      continue;
+    }
+    if (inClass) {
+      if (c === "]") inClass = false;
+      top.branches[top.branches.length - 1] += c;
+      continue;
+    }
+    if (c === "[") {
+      inClass = true;
+      top.branches[top.branches.length - 1] += c;
+      continue;
+    }
+    if (c === "(") {
+      stack.push({ quantified: false, branches: [""], start: i });
+      // The "?" of (?: (?= (?<name> etc. is part of the group, not a quantifier
+      const prefix = GROUP_PREFIX.exec(source.slice(i));
+      if (prefix) i += prefix[0].length - 1;
+      continue;
+    }
+    if (c === "|") {
+      top.branches.push("");
+      continue;
+    }
+    if (c === ")") {
+      if (stack.length === 1) return null; // Unbalanced; the RegExp constructor reports it
+      const group = stack.pop();
+      const parent = stack[stack.length - 1];
+      const q = readQuantifier(source, i + 1);
+      if (q?.unbounded) {
+        if (group.quantified) return `nested quantifier at ${source.slice(group.start, i + 1 + q.length)}`;
+        if (group.branches.length > 1) {
+          const atoms = group.branches.map(firstAtom);
+          const lower = atoms.map((a) => a.toLowerCase());
+          if (atoms.some((a) => WILDCARD_ATOMS.has(a) || a === "") || new Set(lower).size < lower.length) {
+            return `overlapping alternation under a quantifier at ${source.slice(group.start, i + 1 + q.length)}`;
+          }
+        }
+      }
+      parent.quantified = parent.quantified || group.quantified || !!q?.variable;
+      parent.branches[parent.branches.length - 1] += source.slice(group.start, i + 1);
+      if (q) { parent.branches[parent.branches.length - 1] += source.slice(i + 1, i + 1 + q.length); i += q.length; }
+      continue;
+    }
+    const q = readQuantifier(source, i);
+    if (q && i > 0) {
+      if (q.variable) top.quantified = true;
+      top.branches[top.branches.length - 1] += source.slice(i, i + q.length);
+      i += q.length - 1;
+      continue;
+    }
+    top.branches[top.branches.length - 1] += c;
+  }
+  return null;
+}
+
+/**
+ * Fill $1..$9 (and $0 for the whole match) from a regex match.
+ * @param {string} template
+ * @param {Array} match
+ * @returns {string}
+ */
+export function fillTemplate(template, match) {
+  return template.replace(/\$(\d)/g, (_, n) => (match[Number(n)] ?? "").trim());
+}
+
+/**
+ * Validate and compile one user-defined pattern.
+ *
+ * Spec fields:
+ * - name: unique pattern name
+ * - regex: JavaScript regex source; flags: any of "imsu" ("g" is implied)
+ * - entity: entity name or template ("$1")
+ * - key: key template, normalized to snake_case ("$2_preference")
+ * - value: value template (default "$1")
+ * - ttl: session | active | stable (optional)
+ * - importance: 0..1 (optional)
+ *
+ * @param {object} spec
+ * @returns {{ pattern?: object, error?: string }}
+ */
+export function compilePattern(spec) {
+  if (!spec || typeof spec !== "object") return { error: "pattern must be an object" };
+  const { name, regex, flags = "", entity, key, value = "$1", ttl, importance } = spec;
+  if (!name || typeof name !== "string") return { error: "name is required" };
+  if (!regex || typeof regex !== "string") return { error: "regex is required" };
+  if (regex.length > MAX_PATTERN_LENGTH) return { error: `regex longer than ${MAX_PATTERN_LENGTH} chars` };
+  if (typeof flags !== "string" || !ALLOWED_FLAGS.test(flags)) return { error: `flags may only contain i, m, s, u` };
+  if (!entity || typeof entity !== "string") return { error: "entity is required" };
+  if (!key || typeof key !== "string") return { error: "key is required" };
+  if (typeof value !== "string") return { error: "value must be a string template" };
+  if (ttl !== undefined && !PATTERN_TTLS.includes(ttl)) return { error: `ttl must be one of ${PATTERN_TTLS.join(", ")}` };
+  if (importance !== undefined && (typeof importance !== "number" || importance < 0 || importance > 1)) {
+    return { error: "importance must be a number from 0 to 1" };
+  }
+
+  let re;
+  try {
+    re = new RegExp(regex, `g${flags}`);
+  } catch (e) {
+    return { error: `invalid regex: ${e.message}` };
+  }
+  const risk = findBacktrackingRisk(regex);
+  if (risk) return { error: `catastrophic backtracking risk: ${risk}` };
+  if (new RegExp(regex, flags).test("")) return { error: "regex matches the empty string" };
+
+  const groups = new RegExp(`${regex}|`, flags).exec("").length - 1;
+  for (const template of [entity, key, value]) {
+    for (const [, n] of template.matchAll(/\$(\d)/g)) {
+      if (Number(n) > groups) return { error: `template refers to $${n} but the regex has ${groups} group(s)` };
+    }
+  }
+
+  return {
+    pattern: {
+      name,
+      re,
+      user: true,
+      extract: (m) => {
+        const fact = {
+          entity: fillTemplate(entity, m),
+          key: fillTemplate(key, m).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, ""),
+          value: fillTemplate(value, m),
+        };
+        if (!fact.entity || !fact.key) return null;
+        if (ttl) fact.ttl = ttl;
+        if (importance !== undefined) fact.importance = importance;
+        return fact;
+      },
+    },
+  };
+}
+
+/**
+ * Build the pattern registry: each language pack's built-in patterns
+ * followed by every valid user-defined pattern. User patterns apply to all
+ * languages. Invalid patterns are skipped and reported.
+ *
+ * @param {Array<object>} [specs] - extractionPatterns from config
+ * @param {string[]} [languages=DEFAULT_LANGUAGES] - Enabled language codes
+ * @returns {{ patterns: Array, byLanguage: Object<string, Array>, errors: Array<{ name: string, error: string }> }}
+ *   patterns is the English set (FACT_PATTERNS plus user patterns)
+ */
+export function buildPatternRegistry(specs = [], languages = DEFAULT_LANGUAGES) {
+  const userPatterns = [];
+  const errors = [];
+  const names = new Set(Object.values(LANGUAGE_PACKS).flatMap((pack) => pack.patterns.map((p) => p.name)));
+
+  for (const spec of Array.isArray(specs) ? specs : []) {
+    const label = spec?.name || "(unnamed)";
+    if (names.has(spec?.name)) { errors.push({ name: label, error: "duplicate pattern name" }); continue; }
+    const { pattern, error } = compilePattern(spec);
+    if (error) { errors.push({ name: label, error }); continue; }
+    names.add(pattern.name);
+    userPatterns.push(pattern);
+  }
+
+  const byLanguage = {};
+  for (const code of languages) {
+    if (LANGUAGE_PACKS[code]) byLanguage[code] = [...LANGUAGE_PACKS[code].patterns, ...userPatterns];
+  }
+
+  return { patterns: [...FACT_PATTERNS, ...userPatterns], byLanguage, errors };
+}
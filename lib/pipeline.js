@@ -4,6 +4,9 @@
 
 import { randomUUID } from "node:crypto";
 import { sqliteQuery, sqliteExec, sanitizeValue } from "./sqlite.js";
+import { DEFAULT_NAMESPACE, namespaceFilter } from "./namespaces.js";
+import { resolveRedactionConfig, redactText, redactAndLog } from "./redaction.js";
+import { sealField } from "./encryption.js";
 import { buildDAG, validateDAG, loadDAG, readySteps, skippableSteps, checkPipelineComplete } from "./graph.js";
 
 /** Max chars for artifact storage inline in SQLite. */
@@ -17,9 +20,10 @@ const ARTIFACT_MAX_CHARS = 65536;
  * Create a pipeline from structured input.
  * @param {string} dbPath
  * @param {object} input - { name, trigger_message, steps: [...], config }
+ * @param {string} [namespace="default"] - Namespace the pipeline belongs to
  * @returns {{ success: boolean, pipelineId?: string, error?: string }}
  */
-export function createPipeline(dbPath, input) {
+export function createPipeline(dbPath, input, namespace = DEFAULT_NAMESPACE) {
   const { name, trigger_message, steps: stepDefs, config } = input;
 
   if (!name || !stepDefs || !Array.isArray(stepDefs) || stepDefs.length === 0) {
@@ -87,9 +91,9 @@ export function createPipeline(dbPath, input) {
 
   // Insert pipeline
   const ok = sqliteExec(dbPath,
-    `INSERT INTO pipelines (id, name, status, created_at, updated_at, created_by, trigger_message, config)
-     VALUES (?, ?, 'pending', ?, ?, 'user', ?, ?)`,
-    [pipelineId, sanitizeValue(name), now, now, sanitizeValue(trigger_message || ""), config ? JSON.stringify(config) : null]
+    `INSERT INTO pipelines (id, name, status, created_at, updated_at, created_by, trigger_message, config, namespace)
+     VALUES (?, ?, 'pending', ?, ?, 'user', ?, ?, ?)`,
+    [pipelineId, sanitizeValue(name), now, now, sanitizeValue(trigger_message || ""), config ? JSON.stringify(config) : null, namespace]
   );
   if (!ok) return { success: false, error: "Failed to insert pipeline" };
 
@@ -114,14 +118,40 @@ export function createPipeline(dbPath, input) {
   return { success: true, pipelineId };
 }
 
+/**
+ * Find a pipeline by id, if it is in one of the namespaces.
+ * @returns {object|null}
+ */
+function findPipeline(dbPath, pipelineId, namespaces) {
+  const scope = namespaceFilter(namespaces);
+  return sqliteQuery(dbPath, `SELECT * FROM pipelines WHERE id = ? AND ${scope.sql}`, [pipelineId, ...scope.params])[0] || null;
+}
+
+/**
+ * Whether a step belongs to a pipeline in one of the namespaces.
+ * @param {string} dbPath
+ * @param {string} stepId
+ * @param {string[]|null} [namespaces] - Default: any namespace
+ * @returns {boolean}
+ */
+export function stepInScope(dbPath, stepId, namespaces = null) {
+  const scope = namespaceFilter(namespaces, "p.namespace");
+  return sqliteQuery(dbPath,
+    `SELECT 1 FROM pipeline_steps s JOIN pipelines p ON p.id = s.pipeline_id WHERE s.id = ? AND ${scope.sql}`,
+    [stepId, ...scope.params]
+  ).length > 0;
+}
+
 /**
  * Start a pipeline (mark as running, root steps become ready).
  * @param {string} dbPath
  * @param {string} pipelineId
+ * @param {string[]|null} [namespaces] - Namespaces the caller may act in (default: all)
  * @returns {{ success: boolean, error?: string }}
  */
-export function startPipeline(dbPath, pipelineId) {
-  const pipeline = sqliteQuery(dbPath, `SELECT status FROM pipelines WHERE id = ?`, [pipelineId]);
+export function startPipeline(dbPath, pipelineId, namespaces = null) {
+  const found = findPipeline(dbPath, pipelineId, namespaces);
+  const pipeline = found ? [found] : [];
   if (!pipeline.length) return { success: false, error: "Pipeline not found" };
   if (pipeline[0].status !== "pending") return { success: false, error: `Pipeline is ${pipeline[0].status}, not pending` };
 
@@ -137,12 +167,14 @@ export function startPipeline(dbPath, pipelineId) {
  * Get pipeline status with DAG visualization.
  * @param {string} dbPath
  * @param {string} [pipelineId] - specific pipeline, or null for all active
+ * @param {string[]|null} [namespaces] - Only pipelines in these namespaces (default: all)
  * @returns {object}
  */
-export function getPipelineStatus(dbPath, pipelineId) {
+export function getPipelineStatus(dbPath, pipelineId, namespaces = null) {
   if (pipelineId) {
-    const pipeline = sqliteQuery(dbPath, `SELECT * FROM pipelines WHERE id = ?`, [pipelineId]);
-    if (!pipeline.length) return { found: false };
+    const found = findPipeline(dbPath, pipelineId, namespaces);
+    if (!found) return { found: false };
+    const pipeline = [found];
 
     const graph = loadDAG(dbPath, pipelineId);
     const completion = checkPipelineComplete(graph);
@@ -158,8 +190,10 @@ export function getPipelineStatus(dbPath, pipelineId) {
   }
 
   // All active pipelines
+  const scope = namespaceFilter(namespaces);
   const pipelines = sqliteQuery(dbPath,
-    `SELECT * FROM pipelines WHERE status IN ('pending', 'running', 'paused') ORDER BY created_at DESC`
+    `SELECT * FROM pipelines WHERE status IN ('pending', 'running', 'paused') AND ${scope.sql} ORDER BY created_at DESC`,
+    scope.params
   );
 
   const results = pipelines.map(p => {
@@ -174,28 +208,56 @@ export function getPipelineStatus(dbPath, pipelineId) {
 /**
  * Advance a pipeline after a step completes.
  * Stores output, evaluates conditions, activates children, checks completion.
+ * Output and errors are redacted first; output the reject policy refuses
+ * fails the step instead of being stored.
  * @param {string} dbPath
  * @param {string} stepId
- * @param {{ output: string, success: boolean, error?: string }} result
+ * @param {{ output: string, success: boolean, error?: string, summary?: string }} result
+ * @param {object} [opts]
+ * @param {object} [opts.redaction] - From resolveRedactionConfig (defaults to masking every detector)
  * @returns {{ advanced: boolean, pipelineComplete: boolean, pipelineStatus?: string, readySteps?: string[], skipped?: string[], error?: string }}
  */
-export function advanceStep(dbPath, stepId, result) {
+export function advanceStep(dbPath, stepId, result, opts = {}) {
   const step = sqliteQuery(dbPath, `SELECT * FROM pipeline_steps WHERE id = ?`, [stepId]);
   if (!step.length) return { advanced: false, pipelineComplete: false, error: "Step not found" };
 
   const pipelineId = step[0].pipeline_id;
   const now = Date.now();
+  const redaction = opts.redaction || resolveRedactionConfig();
+  const namespace = sqliteQuery(dbPath, `SELECT namespace FROM pipelines WHERE id = ?`, [pipelineId])[0]?.namespace;
+  const source = { sourceRole: "pipeline", entity: "pipeline", key: step[0].name, snippet: `pipeline ${pipelineId} step ${stepId}`, namespace };
 
-  // Truncate output if too large
   let output = result.output || "";
+  let success = result.success;
+  let error = result.error;
+  let rejected = false;
+  if (success) {
+    const redacted = redactAndLog(dbPath, output, redaction, source);
+    if (redacted.rejected) {
+      rejected = true;
+      success = false;
+      output = "";
+      error = `output rejected by redaction (${[...new Set(redacted.findings)].join(", ")})`;
+    } else {
+      output = redacted.text;
+    }
+  }
+  if (error) {
+    // A failure is recorded either way, so the reject policy masks errors instead
+    const redacted = redactAndLog(dbPath, error, redaction, source);
+    error = redacted.rejected ? redacted.masked : redacted.text;
+  }
+
+  // Truncate output if too large
   if (output.length > ARTIFACT_MAX_CHARS) {
     output = output.substring(0, ARTIFACT_MAX_CHARS - 50) + "\n\n...(truncated to 64KB)";
   }
 
-  if (result.success) {
+  if (success) {
+    const summary = result.summary ? redactText(result.summary, redaction).text : output;
     sqliteExec(dbPath,
       `UPDATE pipeline_steps SET status = 'complete', output_artifact = ?, result_summary = ?, completed_at = ? WHERE id = ?`,
-      [output, (result.summary || output).substring(0, 500), now, stepId]
+      [sealField(dbPath, output), sealField(dbPath, summary.substring(0, 500)), now, stepId]
     );
   } else {
     // Check retry count
@@ -204,15 +266,15 @@ export function advanceStep(dbPath, stepId, result) {
       // Retry: reset to pending
       sqliteExec(dbPath,
         `UPDATE pipeline_steps SET status = 'pending', retry_count = ?, error = ? WHERE id = ?`,
-        [retryCount, sanitizeValue(result.error || "Unknown error"), stepId]
+        [retryCount, sanitizeValue(error || "Unknown error"), stepId]
       );
-      return { advanced: false, pipelineComplete: false, retrying: true, retryCount };
+      return { advanced: false, pipelineComplete: false, retrying: true, retryCount, ...(rejected && { rejected, error }) };
     }
 
     // Max retries exceeded: mark as failed
     sqliteExec(dbPath,
       `UPDATE pipeline_steps SET status = 'failed', error = ?, completed_at = ? WHERE id = ?`,
-      [sanitizeValue(result.error || "Unknown error"), now, stepId]
+      [sanitizeValue(error || "Unknown error"), now, stepId]
     );
   }
 
@@ -249,6 +311,7 @@ export function advanceStep(dbPath, stepId, result) {
     pipelineStatus: completion.status,
     readySteps: newReady.map(id => updatedGraph.steps[id]?.name || id),
     skipped: toSkip.map(id => graph.steps[id]?.name || id),
+    ...(rejected && { rejected, error }),
   };
 }
 
@@ -256,10 +319,12 @@ export function advanceStep(dbPath, stepId, result) {
  * Cancel a pipeline and all its pending/running steps.
  * @param {string} dbPath
  * @param {string} pipelineId
+ * @param {string[]|null} [namespaces] - Namespaces the caller may act in (default: all)
  * @returns {{ success: boolean, error?: string }}
  */
-export function cancelPipeline(dbPath, pipelineId) {
-  const pipeline = sqliteQuery(dbPath, `SELECT status FROM pipelines WHERE id = ?`, [pipelineId]);
+export function cancelPipeline(dbPath, pipelineId, namespaces = null) {
+  const found = findPipeline(dbPath, pipelineId, namespaces);
+  const pipeline = found ? [found] : [];
   if (!pipeline.length) return { success: false, error: "Pipeline not found" };
   if (pipeline[0].status === "complete" || pipeline[0].status === "cancelled") {
     return { success: false, error: `Pipeline is already ${pipeline[0].status}` };
@@ -288,13 +353,13 @@ export function cancelPipeline(dbPath, pipelineId) {
  * Create or update a recurring trigger for a pipeline.
  * @param {string} dbPath
  * @param {object} input - { pipeline_id, schedule, timezone, enabled }
+ * @param {string[]|null} [namespaces] - Namespaces the caller may act in (default: all)
  * @returns {{ success: boolean, triggerId?: string, error?: string }}
  */
-export function schedulePipeline(dbPath, input) {
+export function schedulePipeline(dbPath, input, namespaces = null) {
   const { pipeline_id, schedule, timezone, enabled } = input;
 
-  const pipeline = sqliteQuery(dbPath, `SELECT id FROM pipelines WHERE id = ?`, [pipeline_id]);
-  if (!pipeline.length) return { success: false, error: "Pipeline not found" };
+  if (!findPipeline(dbPath, pipeline_id, namespaces)) return { success: false, error: "Pipeline not found" };
 
   // Validate cron expression (basic check)
   if (!schedule || typeof schedule !== "string") {
@@ -321,11 +386,14 @@ export function schedulePipeline(dbPath, input) {
  * Pipeline tick — find all ready work across running pipelines.
  * Called by Lily when woken by cron to check for pipeline work.
  * @param {string} dbPath
+ * @param {string[]|null} [namespaces] - Only pipelines in these namespaces (default: all)
  * @returns {{ work: object[], paused: object[], pipelineCount: number }}
  */
-export function pipelineTick(dbPath) {
+export function pipelineTick(dbPath, namespaces = null) {
+  const scope = namespaceFilter(namespaces, "p.namespace");
   const pipelines = sqliteQuery(dbPath,
-    `SELECT * FROM pipelines WHERE status = 'running' ORDER BY created_at`
+    `SELECT * FROM pipelines p WHERE status = 'running' AND ${scope.sql} ORDER BY created_at`,
+    scope.params
   );
 
   const work = [];
@@ -365,7 +433,8 @@ export function pipelineTick(dbPath) {
             s.id as step_id, s.name as step_name, s.output_artifact
      FROM pipelines p
      JOIN pipeline_steps s ON s.pipeline_id = p.id
-     WHERE p.status = 'paused' AND s.status = 'paused'`
+     WHERE p.status = 'paused' AND s.status = 'paused' AND ${scope.sql}`,
+    scope.params
   );
 
   return { work, paused, pipelineCount: pipelines.length };
@@ -374,32 +443,36 @@ export function pipelineTick(dbPath) {
 /**
  * Get "lily today" summary.
  * @param {string} dbPath
+ * @param {string[]|null} [namespaces] - Only pipelines and facts in these namespaces (default: all)
  * @returns {string} Formatted summary text
  */
-export function lilyToday(dbPath) {
+export function lilyToday(dbPath, namespaces = null) {
   const now = Date.now();
   const dayAgo = now - 86400000;
+  const scope = namespaceFilter(namespaces, "p.namespace");
 
   // Active pipelines
   const active = sqliteQuery(dbPath,
     `SELECT p.id, p.name, p.status, p.started_at FROM pipelines p
-     WHERE p.status IN ('running', 'paused') ORDER BY p.started_at DESC`
+     WHERE p.status IN ('running', 'paused') AND ${scope.sql} ORDER BY p.started_at DESC`,
+    scope.params
   );
 
   // Completed today
   const completed = sqliteQuery(dbPath,
     `SELECT p.id, p.name, p.status, p.completed_at FROM pipelines p
-     WHERE p.status IN ('complete', 'failed') AND p.completed_at > ?
+     WHERE p.status IN ('complete', 'failed') AND p.completed_at > ? AND ${scope.sql}
      ORDER BY p.completed_at DESC`,
-    [dayAgo]
+    [dayAgo, ...scope.params]
   );
 
   // Scheduled triggers
   const triggers = sqliteQuery(dbPath,
     `SELECT t.schedule, t.timezone, p.name FROM pipeline_triggers t
      JOIN pipelines p ON t.pipeline_id = p.id
-     WHERE t.enabled = 1
-     ORDER BY t.schedule`
+     WHERE t.enabled = 1 AND ${scope.sql}
+     ORDER BY t.schedule`,
+    scope.params
   );
 
   const lines = [];
@@ -445,8 +518,9 @@ export function lilyToday(dbPath) {
   }
 
   // Memory stats
+  const factScope = namespaceFilter(namespaces);
   const memCount = sqliteQuery(dbPath,
-    `SELECT COUNT(*) as cnt FROM decisions WHERE expires_at IS NULL OR expires_at > ?`, [now]
+    `SELECT COUNT(*) as cnt FROM decisions WHERE (expires_at IS NULL OR expires_at > ?) AND ${factScope.sql}`, [now, ...factScope.params]
   );
 
   lines.push(`Memory: ${memCount[0]?.cnt || 0} active facts`);
@@ -459,12 +533,16 @@ export function lilyToday(dbPath) {
 // ============================================================================
 
 /**
- * Register all pipeline tools with the OpenClaw API.
+ * Register all pipeline tools with the OpenClaw API. Each execute takes the
+ * caller's namespace scope ({ namespace, namespaces }) as a third argument;
+ * without one, tools see every pipeline.
  * @param {object} api - OpenClaw plugin API
  * @param {string} dbPath - Database path
  * @param {object} log - Logger
+ * @param {object} [opts]
+ * @param {object} [opts.redaction] - From resolveRedactionConfig; applied to step output in pipeline_advance
  */
-export function registerPipelineTools(api, dbPath, log) {
+export function registerPipelineTools(api, dbPath, log, opts = {}) {
 
   // --- Tool: pipeline_create ---
   api.registerTool({
@@ -487,8 +565,8 @@ This way you only wake up when there's actual work — no polling.`,
       config: { type: "object", description: "Pipeline config: { notify: boolean, max_retries: number }" },
       auto_start: { type: "boolean", description: "Start pipeline immediately after creation (default: true)" },
     }, required: ["name", "steps"] },
-    async execute(_id, params) {
-      const result = createPipeline(dbPath, params);
+    async execute(_id, params, scope = {}) {
+      const result = createPipeline(dbPath, params, scope.namespace);
       if (!result.success) {
         return { content: [{ type: "text", text: `Failed to create pipeline: ${result.error}` }] };
       }
@@ -525,13 +603,13 @@ This way you only wake up when there's actual work — no polling.`,
       pipeline_id: { type: "string", description: "Specific pipeline ID (optional, shows all active if omitted)" },
       format: { type: "string", description: "Output format: 'summary' (default) or 'today' for lily_today view" },
     } },
-    async execute(_id, params = {}) {
+    async execute(_id, params = {}, scope = {}) {
       if (params.format === "today") {
-        const summary = lilyToday(dbPath);
+        const summary = lilyToday(dbPath, scope.namespaces);
         return { content: [{ type: "text", text: summary }] };
       }
 
-      const status = getPipelineStatus(dbPath, params.pipeline_id);
+      const status = getPipelineStatus(dbPath, params.pipeline_id, scope.namespaces);
 
       if (params.pipeline_id) {
         if (!status.found) {
@@ -581,27 +659,30 @@ This way you only wake up when there's actual work — no polling.`,
       success: { type: "boolean", description: "Whether the step succeeded (default: true)" },
       error: { type: "string", description: "Error message if the step failed" },
     }, required: ["step_id"] },
-    async execute(_id, params) {
+    async execute(_id, params, scope = {}) {
+      if (!stepInScope(dbPath, params.step_id, scope.namespaces)) {
+        return { content: [{ type: "text", text: "Failed to advance: Step not found" }] };
+      }
       const result = advanceStep(dbPath, params.step_id, {
         output: params.output || "",
         success: params.success !== false,
         error: params.error,
         summary: params.output ? params.output.substring(0, 500) : "",
-      });
+      }, { redaction: opts.redaction });
 
       if (!result.advanced && result.retrying) {
-        return { content: [{ type: "text", text: `Step failed, retrying (attempt ${result.retryCount}).` }], details: result };
+        return { content: [{ type: "text", text: `Step failed${result.rejected ? ` (${result.error})` : ""}, retrying (attempt ${result.retryCount}).` }], details: result };
       }
 
       if (!result.advanced) {
         return { content: [{ type: "text", text: `Failed to advance: ${result.error}` }] };
       }
 
-      let text = "";
+      let text = result.rejected ? `Step failed: ${result.error}. ` : "";
       if (result.pipelineComplete) {
-        text = `Pipeline ${result.pipelineStatus}. All steps finished.`;
+        text += `Pipeline ${result.pipelineStatus}. All steps finished.`;
       } else {
-        text = `Step advanced. Ready: ${result.readySteps?.join(", ") || "none"}.`;
+        text += `Step advanced. Ready: ${result.readySteps?.join(", ") || "none"}.`;
       }
       if (result.skipped?.length > 0) {
         text += ` Skipped: ${result.skipped.join(", ")}.`;
@@ -620,8 +701,8 @@ This way you only wake up when there's actual work — no polling.`,
     parameters: { type: "object", properties: {
       pipeline_id: { type: "string", description: "Pipeline ID to cancel" },
     }, required: ["pipeline_id"] },
-    async execute(_id, { pipeline_id }) {
-      const result = cancelPipeline(dbPath, pipeline_id);
+    async execute(_id, { pipeline_id }, scope = {}) {
+      const result = cancelPipeline(dbPath, pipeline_id, scope.namespaces);
       if (!result.success) {
         return { content: [{ type: "text", text: `Cancel failed: ${result.error}` }] };
       }
@@ -643,8 +724,8 @@ Cron examples: '0 5 * * *' (daily 5AM), '0 8-20 * * 1-5' (hourly 8AM-8PM weekday
       timezone: { type: "string", description: "IANA timezone (default: America/New_York)" },
       enabled: { type: "boolean", description: "Enable trigger (default: true)" },
     }, required: ["pipeline_id", "schedule"] },
-    async execute(_id, params) {
-      const result = schedulePipeline(dbPath, params);
+    async execute(_id, params, scope = {}) {
+      const result = schedulePipeline(dbPath, params, scope.namespaces);
       if (!result.success) {
         return { content: [{ type: "text", text: `Schedule failed: ${result.error}` }] };
       }
@@ -673,15 +754,15 @@ Cron examples: '0 5 * * *' (daily 5AM), '0 8-20 * * 1-5' (hourly 8AM-8PM weekday
       request_type: { type: "string", description: "Type: 'input' (need data), 'approval' (need human OK), 'resource' (need external resource)" },
       message: { type: "string", description: "What is needed" },
     }, required: ["step_id", "message"] },
-    async execute(_id, params) {
+    async execute(_id, params, scope = {}) {
       const step = sqliteQuery(dbPath, `SELECT * FROM pipeline_steps WHERE id = ?`, [params.step_id]);
-      if (!step.length) {
+      if (!step.length || !stepInScope(dbPath, params.step_id, scope.namespaces)) {
         return { content: [{ type: "text", text: "Step not found." }] };
       }
 
       sqliteExec(dbPath,
         `UPDATE pipeline_steps SET status = 'paused', output_artifact = ? WHERE id = ?`,
-        [JSON.stringify({ request_type: params.request_type || "input", message: params.message }), params.step_id]
+        [sealField(dbPath, JSON.stringify({ request_type: params.request_type || "input", message: params.message })), params.step_id]
       );
 
       sqliteExec(dbPath,
@@ -700,8 +781,8 @@ Cron examples: '0 5 * * *' (daily 5AM), '0 8-20 * * 1-5' (hourly 8AM-8PM weekday
     label: "Pipeline Tick",
     description: `Check all running pipelines for ready work. Returns steps you need to execute, with their prompts and parent context. Workflow: call pipeline_tick → execute each step using your tools → call pipeline_advance for each → repeat until no work remains. Also shows paused steps awaiting input.`,
     parameters: { type: "object", properties: {} },
-    async execute() {
-      const tick = pipelineTick(dbPath);
+    async execute(_id, _params, scope = {}) {
+      const tick = pipelineTick(dbPath, scope.namespaces);
 
       if (tick.work.length === 0 && tick.paused.length === 0) {
         return { content: [{ type: "text", text: `No pipeline work pending. (${tick.pipelineCount} running pipelines checked)` }] };
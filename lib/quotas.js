@@ -0,0 +1,229 @@
+// ============================================================================
+// Quotas: per-ttl-class and per-entity limits, evicting into a cold archive
+// ============================================================================
+
+import { randomUUID } from "node:crypto";
+import { sqliteQuery, sqliteExec } from "./sqlite.js";
+import { namespaceFilter } from "./namespaces.js";
+import { sensitivityFilter } from "./access.js";
+import { sealField, searchQuery } from "./encryption.js";
+import { deleteVectors } from "./embeddings.js";
+
+/**
+ * Default quotas. ttl limits apply to live rows of that class; a class
+ * missing from `ttl` (or set to 0) is unlimited. perEntity applies to every
+ * entity without its own entry in `entities`; 0 means unlimited.
+ * Permanent facts and facts stored with memory_store are never evicted.
+ */
+export const DEFAULT_QUOTAS = {
+  ttl: { active: 50, stable: 30 },
+  perEntity: 0,
+  entities: {},
+};
+
+/** Rows quotas count and evict: not permanent, not stored explicitly with memory_store. */
+const EVICTABLE = "ttl_class != 'permanent' AND session_id IS NOT 'tool'";
+
+/** Max eviction log rows returned per call. */
+export const MAX_EVICTION_LOG_ROWS = 100;
+
+/**
+ * Merge a quotas config over the defaults. Entity names are lowercased.
+ * @param {object} [config]
+ * @returns {{ ttl: object, perEntity: number, entities: object }}
+ */
+export function resolveQuotas(config = {}) {
+  const ttl = { ...DEFAULT_QUOTAS.ttl };
+  for (const [cls, limit] of Object.entries(config?.ttl || {})) {
+    if (cls !== "permanent" && typeof limit === "number" && limit >= 0) ttl[cls] = limit;
+  }
+  const entities = {};
+  for (const [name, limit] of Object.entries(config?.entities || {})) {
+    if (typeof limit === "number" && limit >= 0) entities[name.toLowerCase()] = limit;
+  }
+  const perEntity = typeof config?.perEntity === "number" && config.perEntity >= 0 ? config.perEntity : DEFAULT_QUOTAS.perEntity;
+  return { ttl, perEntity, entities };
+}
+
+/**
+ * Quota for one entity (0 = unlimited).
+ * @param {object} quotas - From resolveQuotas
+ * @param {string} entity
+ * @returns {number}
+ */
+export function entityQuota(quotas, entity) {
+  if (!entity) return 0;
+  const own = quotas.entities[entity.toLowerCase()];
+  return typeof own === "number" ? own : quotas.perEntity;
+}
+
+/**
+ * Move a decision into decisions_archive and remove it (and its vectors)
+ * from the live tables. Columns are copied by name, so columns added to
+ * decisions later carry over when the archive has them too.
+ *
+ * @param {string} dbPath
+ * @param {string} decisionId
+ * @param {string} reason
+ * @param {number} [nowMs]
+ * @returns {boolean}
+ */
+export function archiveDecision(dbPath, decisionId, reason, nowMs = Date.now()) {
+  const cols = sqliteQuery(dbPath, `PRAGMA table_info(decisions_archive)`).map((c) => c.name);
+  const live = new Set(sqliteQuery(dbPath, `PRAGMA table_info(decisions)`).map((c) => c.name));
+  const shared = cols.filter((c) => live.has(c));
+  if (shared.length === 0) return false;
+
+  sqliteExec(dbPath, `DELETE FROM decisions_archive WHERE id = ?`, [decisionId]);
+  const copied = sqliteExec(dbPath,
+    `INSERT INTO decisions_archive (${shared.join(", ")}, archived_at, archive_reason)
+     SELECT ${shared.join(", ")}, ?, ? FROM decisions WHERE id = ?`,
+    [nowMs, reason, decisionId]
+  );
+  const archived = copied && sqliteQuery(dbPath, `SELECT 1 FROM decisions_archive WHERE id = ?`, [decisionId]).length > 0;
+  if (!archived) return false;
+
+  // The decisions_ad trigger removes the FTS entry
+  sqliteExec(dbPath, `DELETE FROM decisions WHERE id = ?`, [decisionId]);
+  deleteVectors(dbPath, `decision_id = ?`, [decisionId]);
+  return true;
+}
+
+/**
+ * Evict the lowest-value rows of a scope until it has `keep` rows or fewer.
+ * @returns {Array} Evicted rows
+ */
+function evictDown(dbPath, scope, keep, quota, limit, source, nowMs) {
+  const count = sqliteQuery(dbPath,
+    `SELECT COUNT(*) AS cnt FROM decisions WHERE ${scope.where} AND ${EVICTABLE} AND (expires_at IS NULL OR expires_at > ?)`,
+    [...scope.params, nowMs]
+  )[0]?.cnt || 0;
+  if (count <= keep) return [];
+
+  const victims = sqliteQuery(dbPath, `
+    SELECT id, entity, fact_key, fact_value, description, ttl_class, importance, namespace, sensitivity
+    FROM decisions
+    WHERE ${scope.where} AND ${EVICTABLE} AND (expires_at IS NULL OR expires_at > ?)
+    ORDER BY importance ASC, COALESCE(last_accessed_at, timestamp) ASC
+    LIMIT ?
+  `, [...scope.params, nowMs, count - keep]);
+
+  const evicted = [];
+  for (const v of victims) {
+    if (!archiveDecision(dbPath, v.id, `quota ${quota}`, nowMs)) continue;
+    // The log is listed by memory_evictions without a flag, so it never holds a secret value
+    const secret = v.sensitivity === "secret";
+    sqliteExec(dbPath,
+      `INSERT INTO eviction_log (id, decision_id, entity, fact_key, fact_value, description, ttl_class, importance, quota, quota_limit, source, evicted_at, namespace)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [randomUUID(), v.id, v.entity, v.fact_key, sealField(dbPath, secret ? "[secret]" : v.fact_value), sealField(dbPath, secret ? `${v.entity}.${v.fact_key} = [secret]` : v.description), v.ttl_class, v.importance, quota, limit, source, nowMs, v.namespace]
+    );
+    evicted.push({ ...v, quota });
+  }
+  return evicted;
+}
+
+/** Narrow an eviction scope to one namespace when given. */
+function inNamespace(scope, namespace) {
+  return namespace ? { where: `${scope.where} AND namespace = ?`, params: [...scope.params, namespace] } : scope;
+}
+
+/**
+ * Make room for one new row of a ttl class (and entity), archiving the
+ * lowest-importance, least recently used rows that are over quota. With a
+ * namespace, quotas count that namespace's rows only, so one agent never
+ * evicts another's memories.
+ *
+ * @param {string} dbPath
+ * @param {{ ttlClass: string, entity?: string, namespace?: string }} incoming
+ * @param {object} quotas - From resolveQuotas
+ * @param {string} [source="capture"] - What triggered the eviction, for the log
+ * @returns {Array} Evicted rows, each with the `quota` it was evicted under
+ */
+export function makeRoom(dbPath, incoming, quotas, source = "capture") {
+  // Permanent rows don't count against any quota
+  if (incoming.ttlClass === "permanent") return [];
+  const nowMs = Date.now();
+  const evicted = [];
+
+  const ttlLimit = quotas.ttl[incoming.ttlClass];
+  if (ttlLimit > 0) {
+    evicted.push(...evictDown(dbPath, inNamespace({ where: "ttl_class = ?", params: [incoming.ttlClass] }, incoming.namespace),
+      ttlLimit - 1, `ttl:${incoming.ttlClass}`, ttlLimit, source, nowMs));
+  }
+
+  const entLimit = entityQuota(quotas, incoming.entity);
+  if (entLimit > 0) {
+    evicted.push(...evictDown(dbPath, inNamespace({ where: "lower(entity) = lower(?)", params: [incoming.entity] }, incoming.namespace),
+      entLimit - 1, `entity:${incoming.entity.toLowerCase()}`, entLimit, source, nowMs));
+  }
+
+  return evicted;
+}
+
+/**
+ * Bring every ttl class and entity back within quota (e.g. after a limit
+ * was lowered), in each namespace. Runs at startup.
+ *
+ * @param {string} dbPath
+ * @param {object} quotas - From resolveQuotas
+ * @returns {Array} Evicted rows
+ */
+export function enforceQuotas(dbPath, quotas) {
+  const nowMs = Date.now();
+  const evicted = [];
+
+  for (const { namespace } of sqliteQuery(dbPath, `SELECT DISTINCT namespace FROM decisions`)) {
+    for (const [cls, limit] of Object.entries(quotas.ttl)) {
+      if (limit > 0) evicted.push(...evictDown(dbPath, inNamespace({ where: "ttl_class = ?", params: [cls] }, namespace), limit, `ttl:${cls}`, limit, "startup", nowMs));
+    }
+
+    const entities = sqliteQuery(dbPath,
+      `SELECT DISTINCT lower(entity) AS entity FROM decisions WHERE entity IS NOT NULL AND ${EVICTABLE} AND namespace = ?`,
+      [namespace]
+    );
+    for (const { entity } of entities) {
+      const limit = entityQuota(quotas, entity);
+      if (limit > 0) evicted.push(...evictDown(dbPath, inNamespace({ where: "lower(entity) = ?", params: [entity] }, namespace), limit, `entity:${entity}`, limit, "startup", nowMs));
+    }
+  }
+
+  return evicted;
+}
+
+/**
+ * Full-text search over archived decisions.
+ * @param {string} dbPath
+ * @param {string} query - FTS5 query
+ * @param {number} [limit=10]
+ * @param {string[]|null} [namespaces] - Only rows in these namespaces (default: all)
+ * @param {boolean} [includeSecret=false] - Also return rows labelled secret
+ * @returns {Array}
+ */
+export function searchArchive(dbPath, query, limit = 10, namespaces = null, includeSecret = false) {
+  const ns = namespaceFilter(namespaces, "a.namespace");
+  const open = sensitivityFilter(includeSecret, "a.sensitivity");
+  return sqliteQuery(dbPath, `
+    SELECT a.id, a.entity, a.fact_key, a.fact_value, a.description, a.category, a.importance, a.ttl_class, a.archived_at, a.archive_reason, a.sensitivity
+    FROM decisions_archive a
+    JOIN decisions_archive_fts fts ON a.rowid = fts.rowid
+    WHERE decisions_archive_fts MATCH ? AND ${ns.sql} AND ${open.sql}
+    ORDER BY rank
+    LIMIT ?
+  `, [searchQuery(dbPath, query), ...ns.params, ...open.params, limit]);
+}
+
+/**
+ * List recent evictions, newest first.
+ * @param {string} dbPath
+ * @param {number} [limit=20]
+ * @param {string[]|null} [namespaces] - Only evictions from these namespaces (default: all)
+ * @returns {Array}
+ */
+export function getEvictionLog(dbPath, limit = 20, namespaces = null) {
+  const scope = namespaceFilter(namespaces);
+  return sqliteQuery(dbPath,
+    `SELECT * FROM eviction_log WHERE ${scope.sql} ORDER BY evicted_at DESC, rowid DESC LIMIT ?`,
+    [...scope.params, Math.max(1, Math.min(MAX_EVICTION_LOG_ROWS, limit))]
+  );
+}
@@ -0,0 +1,180 @@
+// ============================================================================
+// Hybrid ranking: reciprocal rank fusion over FTS5, vectors, importance,
+// recency and TTL class
+// ============================================================================
+
+import { sqliteQuery } from "./sqlite.js";
+import { namespaceFilter } from "./namespaces.js";
+import { sensitivityFilter } from "./access.js";
+import { searchQuery } from "./encryption.js";
+
+/** RRF damping constant. Higher values flatten the gap between top ranks. */
+export const RRF_K = 60;
+
+/** Default weight per ranking signal. Set a weight to 0 to ignore that signal. */
+export const DEFAULT_RANK_WEIGHTS = {
+  fts: 1.0,         // FTS5 bm25 rank
+  vector: 1.0,      // cosine similarity
+  importance: 0.5,  // stored importance
+  recency: 0.3,     // last_accessed_at (falls back to timestamp)
+  ttl: 0.3,         // durability of the TTL class
+};
+
+/** How much each TTL class counts toward the ttl signal. */
+export const TTL_CLASS_SCORE = {
+  permanent: 1.0,
+  stable: 0.75,
+  active: 0.5,
+  session: 0.25,
+};
+
+/** Columns every candidate row carries. */
+const CANDIDATE_COLUMNS = "d.id, d.entity, d.fact_key, d.fact_value, d.description, d.category, d.importance, d.ttl_class, d.timestamp, d.last_accessed_at, d.sensitivity";
+
+/**
+ * Turn free text into an FTS5 OR-query of its significant words.
+ * @param {string} text
+ * @param {number} [maxWords=8]
+ * @returns {string} Empty string when no usable words
+ */
+export function buildKeywordQuery(text, maxWords = 8) {
+  if (!text) return "";
+  return text
+    .replace(/[^\w\s]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w.length >= 3)
+    .slice(0, maxWords)
+    .join(" OR ");
+}
+
+/**
+ * Rank items by a numeric value, highest first. Ties share the best rank.
+ * Items whose value is null/undefined are left unranked.
+ *
+ * @param {Array<{id: string}>} items
+ * @param {Function} valueOf - item => number|null
+ * @returns {Map<string, number>} id -> 1-based rank
+ */
+export function rankPositions(items, valueOf) {
+  const valued = items
+    .map((item) => ({ id: item.id, v: valueOf(item) }))
+    .filter((x) => typeof x.v === "number" && !Number.isNaN(x.v))
+    .sort((a, b) => b.v - a.v);
+
+  const ranks = new Map();
+  let rank = 0;
+  let prev;
+  valued.forEach((x, i) => {
+    if (i === 0 || x.v !== prev) rank = i + 1;
+    prev = x.v;
+    ranks.set(x.id, rank);
+  });
+  return ranks;
+}
+
+/**
+ * Fuse per-signal rankings with weighted reciprocal rank fusion:
+ * score = sum over signals of weight / (k + rank).
+ *
+ * Candidates carry `ftsRank` (1-based position in FTS results, or null) and
+ * `similarity` (cosine, or null); the other signals are ranked across the pool.
+ *
+ * @param {Array<object>} candidates
+ * @param {object} [weights] - Partial weights, merged over DEFAULT_RANK_WEIGHTS
+ * @param {number} [k=RRF_K]
+ * @returns {Array<object>} Candidates with `score` and per-signal `signals`, best first
+ */
+export function fuseRankings(candidates, weights = {}, k = RRF_K) {
+  const w = { ...DEFAULT_RANK_WEIGHTS, ...weights };
+  const ranks = {
+    fts: new Map(candidates.filter((c) => c.ftsRank).map((c) => [c.id, c.ftsRank])),
+    vector: rankPositions(candidates, (c) => c.similarity),
+    importance: rankPositions(candidates, (c) => c.importance),
+    recency: rankPositions(candidates, (c) => c.last_accessed_at ?? c.timestamp),
+    ttl: rankPositions(candidates, (c) => TTL_CLASS_SCORE[c.ttl_class]),
+  };
+
+  const scored = candidates.map((c) => {
+    const signals = {};
+    let score = 0;
+    for (const [signal, positions] of Object.entries(ranks)) {
+      const rank = positions.get(c.id);
+      if (!rank || !w[signal]) continue;
+      signals[signal] = w[signal] / (k + rank);
+      score += signals[signal];
+    }
+    return { ...c, score, signals };
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored;
+}
+
+/**
+ * Gather candidates from every source and rank them with one scorer.
+ *
+ * @param {string} dbPath
+ * @param {object} opts
+ * @param {string} [opts.ftsQuery] - FTS5 MATCH expression
+ * @param {Array} [opts.vectorResults] - Rows from vectorSearch ({ decision_id, similarity })
+ * @param {number} [opts.ftsLimit=20] - Max FTS hits to consider
+ * @param {boolean} [opts.includeBackground=false] - Also consider permanent and recent important facts that didn't match the query
+ * @param {object} [opts.weights] - Signal weights
+ * @param {number} [opts.limit] - Max results
+ * @param {string[]|null} [opts.namespaces] - Only rank facts from these namespaces (default: all)
+ * @param {boolean} [opts.includeSecret=false] - Also rank facts labelled secret
+ * @returns {Array<object>} Ranked decision rows with `score` and `signals`
+ */
+export function hybridRank(dbPath, opts = {}) {
+  const nowMs = Date.now();
+  const ns = namespaceFilter(opts.namespaces, "d.namespace");
+  const open = sensitivityFilter(opts.includeSecret, "d.sensitivity");
+  const scope = { sql: `${ns.sql} AND ${open.sql}`, params: [...ns.params, ...open.params] };
+  const pool = new Map();
+
+  if (opts.ftsQuery) {
+    const hits = sqliteQuery(dbPath, `
+      SELECT ${CANDIDATE_COLUMNS}
+      FROM decisions d
+      JOIN decisions_fts fts ON d.rowid = fts.rowid
+      WHERE decisions_fts MATCH ?
+        AND (d.expires_at IS NULL OR d.expires_at > ?)
+        AND ${scope.sql}
+      ORDER BY rank
+      LIMIT ?
+    `, [searchQuery(dbPath, opts.ftsQuery), nowMs, ...scope.params, opts.ftsLimit || 20]);
+    hits.forEach((row, i) => pool.set(row.id, { ...row, ftsRank: i + 1, similarity: null }));
+  }
+
+  const vectorResults = opts.vectorResults || [];
+  const missing = vectorResults.map((v) => v.decision_id).filter((id) => !pool.has(id));
+  const vecRows = missing.length > 0
+    ? sqliteQuery(dbPath, `SELECT ${CANDIDATE_COLUMNS} FROM decisions d WHERE d.id IN (${missing.map(() => "?").join(",")}) AND ${scope.sql}`, [...missing, ...scope.params])
+    : [];
+  for (const row of vecRows) pool.set(row.id, { ...row, ftsRank: null, similarity: null });
+  for (const v of vectorResults) {
+    const c = pool.get(v.decision_id);
+    if (c) c.similarity = Math.max(c.similarity ?? -1, v.similarity);
+  }
+
+  if (opts.includeBackground) {
+    const background = sqliteQuery(dbPath, `
+      SELECT ${CANDIDATE_COLUMNS} FROM decisions d
+      WHERE d.ttl_class = 'permanent' AND d.entity IS NOT NULL AND d.fact_key IS NOT NULL AND ${scope.sql}
+      UNION
+      SELECT * FROM (
+        SELECT ${CANDIDATE_COLUMNS} FROM decisions d
+        WHERE d.importance >= 0.7 AND d.ttl_class IN ('stable', 'active')
+          AND (d.expires_at IS NULL OR d.expires_at > ?) AND ${scope.sql}
+        ORDER BY d.timestamp DESC
+        LIMIT 5
+      )
+    `, [...scope.params, nowMs, ...scope.params]);
+    for (const row of background) {
+      if (!pool.has(row.id)) pool.set(row.id, { ...row, ftsRank: null, similarity: null });
+    }
+  }
+
+  const ranked = fuseRankings([...pool.values()], opts.weights);
+  return opts.limit ? ranked.slice(0, opts.limit) : ranked;
+}
@@ -1,44 +1,87 @@
 import { sqliteQuery } from "./sqlite.js";
-import { createBudget, formatFactLine, DEFAULT_BUDGET, MAX_ITEM_VALUE_LENGTH } from "./budget.js";
+import { namespaceFilter } from "./namespaces.js";
+import { sensitivityFilter } from "./access.js";
+import { searchQuery } from "./encryption.js";
+import { createBudget, formatFactLine, DEFAULT_BUDGET, MAX_ITEM_VALUE_LENGTH, MIN_SECTION_CHARS } from "./budget.js";
+import { formatConflictLines } from "./conflicts.js";
+import { buildKeywordQuery, hybridRank } from "./ranking.js";
+import { formatChunkLine } from "./documents.js";
 
 // ============================================================================
 // Memory recall / context building (budget-aware, FTS5 + vector dedup)
 // ============================================================================
 
+/**
+ * Append the pending-conflicts section, shared by both recall paths.
+ * @param {string[]} lines - Output lines, appended to
+ * @param {object} budget - Budget tracker; spends from its "conflicts" section
+ * @param {Array} [conflicts] - Pending fact_conflicts rows
+ */
+function pushConflictSection(lines, budget, conflicts) {
+  if (!conflicts || conflicts.length === 0) return;
+  const section = [];
+  for (const line of formatConflictLines(conflicts)) {
+    if (!budget.tryAdd("conflicts", line)) break;
+    section.push(line);
+  }
+  if (section.length > 0) {
+    lines.push("## Unresolved Fact Conflicts (resolve with memory_conflicts)");
+    lines.push(...section);
+    lines.push("");
+  }
+  budget.close("conflicts");
+}
+
 /**
  * Build FTS-based memory context from the database, respecting a character budget.
- * Sections fill in priority order: permanent > FTS > recent.
- * Each fact value is truncated to MAX_ITEM_VALUE_LENGTH chars.
+ * Sections fill in priority order: permanent > conflicts > FTS > recent.
+ * Each weighted section is capped at its share of the budget; unused share
+ * rolls over to the next section, and what's left goes to vectors.
+ * Each fact value is truncated to MAX_ITEM_VALUE_LENGTH chars. Secret facts
+ * are never recalled.
  *
  * @param {string} dbPath - Path to database file
  * @param {string} prompt - User prompt to extract keywords from
  * @param {number} maxResults - Maximum FTS results to return
- * @param {number} budgetChars - Total character budget for this injection
- * @returns {{ lines: string[], ftsIds: Set<string>, budgetReport: object }}
+ * @param {number} budgetChars - Total budget for this injection (chars, or tokens with opts.estimator)
+ * @param {object} [opts]
+ * @param {Array} [opts.conflicts] - Pending fact_conflicts rows to surface
+ * @param {object} [opts.sectionWeights] - Budget share per section (defaults to SECTION_WEIGHTS)
+ * @param {object} [opts.estimator] - Token estimator; counts the budget in tokens
+ * @param {string[]|null} [opts.namespaces] - Only recall facts from these namespaces (default: all)
+ * @returns {{ lines: string[], ftsIds: Set<string>, injectedIds: Set<string>, budget: object, budgetReport: object }}
  */
-export function buildFtsContext(dbPath, prompt, maxResults, budgetChars = DEFAULT_BUDGET) {
+export function buildFtsContext(dbPath, prompt, maxResults, budgetChars = DEFAULT_BUDGET, opts = {}) {
   const nowMs = Date.now();
-  const budget = createBudget(budgetChars);
+  const scope = namespaceFilter(opts.namespaces);
+  const dScope = namespaceFilter(opts.namespaces, "d.namespace");
+  const open = sensitivityFilter(false);
+  const dOpen = sensitivityFilter(false, "d.sensitivity");
+  const budget = createBudget(budgetChars, opts.sectionWeights, opts.estimator);
   const lines = [];
   const ftsIds = new Set();
+  const injectedIds = new Set();
 
   // 1. Permanent facts (highest priority — identity + preferences)
   const permanent = sqliteQuery(dbPath, `
-    SELECT entity, fact_key, fact_value, importance
+    SELECT id, entity, fact_key, fact_value, importance
     FROM decisions
     WHERE ttl_class = 'permanent'
       AND entity IS NOT NULL
       AND fact_key IS NOT NULL
+      AND ${scope.sql}
+      AND ${open.sql}
     ORDER BY importance DESC
     LIMIT 15
-  `);
+  `, [...scope.params, ...open.params]);
 
   if (permanent.length > 0) {
     const section = [];
     for (const row of permanent) {
       const line = formatFactLine(row);
       if (!line) continue;
-      if (!budget.tryAdd("permanent", line.length + 1)) break;
+      if (!budget.tryAdd("permanent", line)) break;
+      injectedIds.add(row.id);
       section.push(line);
     }
     if (section.length > 0) {
@@ -47,15 +90,14 @@ export function buildFtsContext(dbPath, prompt, maxResults, budgetChars = DEFAUL
       lines.push("");
     }
   }
+  budget.close("permanent");
 
-  // 2. FTS5 search on the prompt (query-relevant recall)
-  if (prompt && prompt.length >= 5 && budget.remaining > 100) {
-    const keywords = prompt
-      .replace(/[^\w\s]/g, " ")
-      .split(/\s+/)
-      .filter((w) => w.length >= 3)
-      .slice(0, 8)
-      .join(" OR ");
+  // 2. Unresolved conflicts — the agent should ask which value is right
+  pushConflictSection(lines, budget, opts.conflicts);
+
+  // 3. FTS5 search on the prompt (query-relevant recall)
+  if (prompt && prompt.length >= 5 && budget.hasRoom("fts")) {
+    const keywords = buildKeywordQuery(prompt);
 
     if (keywords) {
       const ftsResults = sqliteQuery(dbPath, `
@@ -64,17 +106,20 @@ export function buildFtsContext(dbPath, prompt, maxResults, budgetChars = DEFAUL
         JOIN decisions_fts fts ON d.rowid = fts.rowid
         WHERE decisions_fts MATCH ?
           AND (d.expires_at IS NULL OR d.expires_at > ?)
+          AND ${dScope.sql}
+          AND ${dOpen.sql}
         ORDER BY rank
         LIMIT ?
-      `, [keywords, nowMs, Math.min(maxResults, 10)]);
+      `, [searchQuery(dbPath, keywords), nowMs, ...dScope.params, ...dOpen.params, Math.min(maxResults, 10)]);
 
       if (ftsResults.length > 0) {
         const section = [];
         for (const row of ftsResults) {
           const line = formatFactLine(row);
           if (!line) continue;
-          if (!budget.tryAdd("fts", line.length + 1)) break;
+          if (!budget.tryAdd("fts", line)) break;
           ftsIds.add(row.id);
+          injectedIds.add(row.id);
           section.push(line);
         }
         if (section.length > 0) {
@@ -85,25 +130,29 @@ export function buildFtsContext(dbPath, prompt, maxResults, budgetChars = DEFAUL
       }
     }
   }
+  budget.close("fts");
 
-  // 3. Recent high-importance active decisions (recency signal)
-  if (budget.remaining > 100) {
+  // 4. Recent high-importance active decisions (recency signal)
+  if (budget.hasRoom("recent")) {
     const recent = sqliteQuery(dbPath, `
-      SELECT description, category, importance
+      SELECT id, description, category, importance
       FROM decisions
       WHERE importance >= 0.7
         AND ttl_class IN ('stable', 'active')
         AND (expires_at IS NULL OR expires_at > ?)
+        AND ${scope.sql}
+        AND ${open.sql}
       ORDER BY timestamp DESC
       LIMIT 5
-    `, [nowMs]);
+    `, [nowMs, ...scope.params, ...open.params]);
 
     if (recent.length > 0) {
       const section = [];
       for (const row of recent) {
         const line = formatFactLine(row);
         if (!line) continue;
-        if (!budget.tryAdd("recent", line.length + 1)) break;
+        if (!budget.tryAdd("recent", line)) break;
+        injectedIds.add(row.id);
         section.push(line);
       }
       if (section.length > 0) {
@@ -113,29 +162,96 @@ export function buildFtsContext(dbPath, prompt, maxResults, budgetChars = DEFAUL
       }
     }
   }
+  budget.close("recent");
+
+  return { lines, ftsIds, injectedIds, budget, budgetReport: budget.report() };
+}
+
+/**
+ * Build memory context from a single hybrid ranking instead of fixed sections.
+ * FTS hits, vector hits, permanent facts and recent important facts are fused
+ * with reciprocal rank fusion and the budget is filled in that one order.
+ * Pending conflicts, if any, still come first. Secret facts are left out.
+ *
+ * @param {string} dbPath - Path to database file
+ * @param {string} prompt - User prompt to extract keywords from
+ * @param {Array|null} vectorResults - Results from vectorSearch (may be null/empty)
+ * @param {number} maxResults - Maximum ranked memories to include
+ * @param {number} budgetChars - Total budget for this injection (chars, or tokens with opts.estimator)
+ * @param {object} [opts]
+ * @param {Array} [opts.conflicts] - Pending fact_conflicts rows to surface
+ * @param {object} [opts.weights] - Ranking signal weights
+ * @param {object} [opts.estimator] - Token estimator; counts the budget in tokens
+ * @param {string[]|null} [opts.namespaces] - Only rank facts from these namespaces (default: all)
+ * @returns {{ lines: string[], ids: Set<string>, matchedIds: Set<string>, budget: object, budgetReport: object }}
+ *   matchedIds is the subset of ids that matched the prompt (FTS or vector), not background facts
+ */
+export function buildHybridContext(dbPath, prompt, vectorResults, maxResults, budgetChars = DEFAULT_BUDGET, opts = {}) {
+  // No section caps: the ranking alone decides what fits
+  const budget = createBudget(budgetChars, {}, opts.estimator);
+  const lines = [];
+  const ids = new Set();
+  const matchedIds = new Set();
+
+  pushConflictSection(lines, budget, opts.conflicts);
+
+  const ranked = hybridRank(dbPath, {
+    ftsQuery: prompt && prompt.length >= 5 ? buildKeywordQuery(prompt) : "",
+    vectorResults: vectorResults || [],
+    ftsLimit: Math.max(maxResults * 2, 10),
+    includeBackground: true,
+    weights: opts.weights,
+    namespaces: opts.namespaces,
+  });
+
+  const section = [];
+  for (const row of ranked) {
+    if (section.length >= maxResults) break;
+    const line = formatFactLine(row);
+    if (!line) continue;
+    if (!budget.tryAdd("ranked", line)) break;
+    ids.add(row.id);
+    if (row.ftsRank !== null || row.similarity !== null) matchedIds.add(row.id);
+    section.push(line);
+  }
+  if (section.length > 0) {
+    lines.push("## Relevant Memories");
+    lines.push(...section);
+    lines.push("");
+  }
 
-  return { lines, ftsIds, budgetReport: budget.report() };
+  return { lines, ids, matchedIds, budget, budgetReport: budget.report() };
 }
 
 /**
  * Combine FTS lines and vector results into a single XML context block.
  * Vector results are budget-capped and deduplicated against FTS results.
+ * Document chunks are cited last, from whatever budget the memory sections
+ * left (or their own share if injectionBudget weights a "documents" section).
  *
  * @param {string[]} ftsLines - Lines from buildFtsContext
  * @param {Set<string>} ftsIds - Decision IDs already present in FTS results
  * @param {Array|null} vectorResults - Results from vectorSearch (may be null/empty)
- * @param {number} vectorBudget - Remaining character budget for vector section
+ * @param {number|object} vectorBudget - Remaining character budget for vector section,
+ *   or the budget tracker from buildFtsContext (spends from its "vector" section)
+ * @param {object} [estimator] - Token estimator; a numeric vectorBudget is then in tokens
+ * @param {Set<string>} [injectedIds] - Receives the decision IDs of vector results that were included
+ * @param {Array} [documentChunks] - Results from searchDocumentChunks, best first
  * @returns {string|null} Formatted context string or null if nothing to include
  */
-export function buildRecallContext(ftsLines, ftsIds, vectorResults, vectorBudget = 800) {
+export function buildRecallContext(ftsLines, ftsIds, vectorResults, vectorBudget = 800, estimator = null, injectedIds = null, documentChunks = null) {
   const lines = [...ftsLines];
+  const budget = typeof vectorBudget === "object" && vectorBudget !== null ? vectorBudget : null;
+  const vectorChars = budget ? budget.available("vector") : vectorBudget;
+  const measure = (line) => (estimator ? estimator.count(line) + 1 : line.length + 1);
+  const minSpace = budget ? null : estimator ? estimator.fromChars(MIN_SECTION_CHARS) : MIN_SECTION_CHARS;
+  let used = 0;
 
   // Add vector search results (deduplicated against FTS results, budget-capped)
-  if (vectorResults && vectorResults.length > 0 && vectorBudget > 100) {
+  if (vectorResults && vectorResults.length > 0 && (budget ? budget.hasRoom("vector") : vectorChars > minSpace)) {
     const newResults = vectorResults.filter((r) => !ftsIds.has(r.decision_id));
     if (newResults.length > 0) {
       const section = [];
-      let used = 0;
       for (const row of newResults) {
         const sim = (row.similarity * 100).toFixed(0);
         let line;
@@ -151,8 +267,9 @@ export function buildRecallContext(ftsLines, ftsIds, vectorResults, vectorBudget
           line = `- [${row.category || "general"}] ${desc} _(${sim}% match)_`;
         }
         if (!line) continue;
-        if (used + line.length + 1 > vectorBudget) break;
-        used += line.length + 1;
+        if (budget ? !budget.tryAdd("vector", line) : used + measure(line) > vectorChars) break;
+        used += measure(line);
+        injectedIds?.add(row.decision_id);
         section.push(line);
       }
       if (section.length > 0) {
@@ -163,6 +280,25 @@ export function buildRecallContext(ftsLines, ftsIds, vectorResults, vectorBudget
     }
   }
 
+  // Document excerpts, cited by title and part
+  if (documentChunks && documentChunks.length > 0) {
+    budget?.close("vector");
+    if (budget ? budget.hasRoom("documents") : vectorChars - used > minSpace) {
+      const section = [];
+      for (const chunk of documentChunks) {
+        const line = formatChunkLine(chunk);
+        if (budget ? !budget.tryAdd("documents", line) : used + measure(line) > vectorChars) break;
+        used += measure(line);
+        section.push(line);
+      }
+      if (section.length > 0) {
+        lines.push("## From Documents (memory_ingest)");
+        lines.push(...section);
+        lines.push("");
+      }
+    }
+  }
+
   if (lines.length === 0) return null;
 
   return [
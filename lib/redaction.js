@@ -0,0 +1,171 @@
+// ============================================================================
+// Redaction: find API keys, tokens, emails, phone numbers and card numbers in
+// text before it is stored, and mask, hash or reject it
+// ============================================================================
+
+import { createHash } from "node:crypto";
+import { logSecurityEvent } from "./security.js";
+
+/** What happens to a finding: replaced by a marker, replaced by a short hash, or the whole write refused. */
+export const REDACTION_POLICIES = ["mask", "hash", "reject"];
+
+/** Min Shannon entropy (bits per char) for an unprefixed string to count as a secret. */
+export const DEFAULT_MIN_ENTROPY = 4;
+
+/**
+ * Shannon entropy of a string in bits per character.
+ * @param {string} text
+ * @returns {number}
+ */
+export function shannonEntropy(text) {
+  if (!text) return 0;
+  const counts = new Map();
+  for (const ch of text) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) {
+    const p = n / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+/** Luhn checksum, so a run of digits is only a card number when it could be one. */
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Detectors, run in order over the text. Each has a global regex, an optional
+ * capture group that holds the sensitive part (the rest of the match is kept),
+ * and an optional accept(value, config) check that rules out lookalikes.
+ */
+export const REDACTION_DETECTORS = [
+  // "password: hunter2", "api_key=..." — only the value is replaced
+  { name: "credential",
+    re: /\b((?:password|passwd|passphrase|secret|api[_-]?key|access[_-]?key|auth[_-]?token|token)\s*[:=]\s*)("[^"]+"|'[^']+'|[^\s,;]+)/gi,
+    group: 2,
+    accept: (value) => !/^\[(?:redacted|[a-z_]+):/.test(value) },
+
+  // Provider keys with a known prefix
+  { name: "api_key",
+    re: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|xox[abpors]-[A-Za-z0-9-]{10,}|glpat-[A-Za-z0-9_-]{20,})\b/g },
+
+  // JWTs and bearer tokens
+  { name: "token",
+    re: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}|\b[Bb]earer\s+[A-Za-z0-9._~+/-]{16,}=*/g },
+
+  { name: "card",
+    re: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+    accept: (value) => {
+      const digits = value.replace(/\D/g, "");
+      return digits.length >= 13 && digits.length <= 19 && luhnValid(digits);
+    } },
+
+  { name: "email",
+    re: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+
+  // Needs a leading + or a separator, so plain numbers and timestamps are left alone
+  { name: "phone",
+    re: /(?<![\w.+-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?)?\d{2,4}[\s.-]\d{3,4}(?:[\s.-]\d{2,4})?(?![\w.-])/g,
+    accept: (value) => {
+      const digits = value.replace(/\D/g, "").length;
+      return digits >= 7 && digits <= 15 && (value.startsWith("+") || value.startsWith("(") || /\d[\s.-]\d{3,4}[\s.-]\d/.test(value));
+    } },
+
+  // Long random-looking strings with no known prefix
+  { name: "high_entropy",
+    re: /(?<![\w+=-])[A-Za-z0-9+_=-]{24,}(?![\w+=-])/g,
+    accept: (value, config) => /[A-Za-z]/.test(value) && /\d/.test(value) && shannonEntropy(value) >= config.minEntropy },
+];
+
+export const DETECTOR_NAMES = REDACTION_DETECTORS.map((d) => d.name);
+
+export const DEFAULT_REDACTION_CONFIG = {
+  enabled: true,
+  policy: "mask",
+  detectors: DETECTOR_NAMES,
+  minEntropy: DEFAULT_MIN_ENTROPY,
+};
+
+/**
+ * Resolve the redaction config option. `false` turns redaction off.
+ * @param {boolean|object} [cfg]
+ * @returns {{ enabled: boolean, policy: string, detectors: string[], minEntropy: number }}
+ */
+export function resolveRedactionConfig(cfg) {
+  const opts = cfg && typeof cfg === "object" ? cfg : {};
+  const detectors = Array.isArray(opts.detectors) ? opts.detectors.filter((d) => DETECTOR_NAMES.includes(d)) : DEFAULT_REDACTION_CONFIG.detectors;
+  return {
+    enabled: cfg !== false && opts.enabled !== false,
+    policy: REDACTION_POLICIES.includes(opts.policy) ? opts.policy : DEFAULT_REDACTION_CONFIG.policy,
+    detectors,
+    minEntropy: typeof opts.minEntropy === "number" && opts.minEntropy > 0 ? opts.minEntropy : DEFAULT_REDACTION_CONFIG.minEntropy,
+  };
+}
+
+/**
+ * Find sensitive values in text and apply the policy.
+ * - mask: each value becomes `[redacted:<detector>]`
+ * - hash: each value becomes `[<detector>:<12 hex chars of its SHA-256>]`,
+ *   so the same value always gives the same marker
+ * - reject: the text is returned unchanged with `rejected: true`
+ *
+ * `masked` is always the masked text, for logs.
+ * @param {string} text
+ * @param {ReturnType<typeof resolveRedactionConfig>} config
+ * @returns {{ text: string, masked: string, findings: string[], rejected: boolean }}
+ */
+export function redactText(text, config) {
+  if (!config.enabled || typeof text !== "string" || !text) return { text, masked: text, findings: [], rejected: false };
+  const findings = [];
+  let out = text;
+  let masked = text;
+  for (const detector of REDACTION_DETECTORS) {
+    if (!config.detectors.includes(detector.name)) continue;
+    const replace = (source, marker) => source.replace(detector.re, (match, ...groups) => {
+      const value = detector.group ? groups[detector.group - 1] : match;
+      if (detector.accept && !detector.accept(value, config)) return match;
+      if (marker === null) findings.push(detector.name);
+      const replacement = marker ?? (config.policy === "hash"
+        ? `[${detector.name}:${createHash("sha256").update(value).digest("hex").substring(0, 12)}]`
+        : `[redacted:${detector.name}]`);
+      return detector.group ? groups.slice(0, detector.group - 1).join("") + replacement : replacement;
+    });
+    out = replace(out, null);
+    masked = replace(masked, `[redacted:${detector.name}]`);
+  }
+  if (config.policy === "reject" && findings.length > 0) return { text, masked, findings, rejected: true };
+  return { text: out, masked, findings, rejected: false };
+}
+
+/**
+ * Redact text and record one security event per finding. Events carry the
+ * masked text, never the original value.
+ * @param {string} dbPath
+ * @param {string} text
+ * @param {ReturnType<typeof resolveRedactionConfig>} config
+ * @param {{ sourceRole: string, entity?: string, key?: string, snippet?: string, namespace?: string }} source
+ * @returns {ReturnType<typeof redactText>}
+ */
+export function redactAndLog(dbPath, text, config, source) {
+  const result = redactText(text, config);
+  for (const detector of result.findings) {
+    logSecurityEvent(dbPath, {
+      eventType: result.rejected ? "redaction_rejected" : `redacted_${config.policy}`,
+      sourceRole: source.sourceRole,
+      entity: source.entity ?? null,
+      factKey: source.key ?? null,
+      factValue: result.masked,
+      matchedPattern: detector,
+      sourceSnippet: source.snippet ?? "",
+      namespace: source.namespace,
+    });
+  }
+  return result;
+}
@@ -0,0 +1,169 @@
+// ============================================================================
+// Re-embedding: move every memory onto the current embedding model in the
+// background, tracked in reembed_jobs so a restart resumes where it stopped
+// ============================================================================
+
+import { randomUUID } from "node:crypto";
+import { sqliteQuery, sqliteExec } from "./sqlite.js";
+import { storeEmbeddings, embeddingText, getVectorModels, deleteVectors } from "./embeddings.js";
+
+/** Decisions fetched per round of the job loop. */
+const REEMBED_BATCH = 50;
+
+/** Pause between embedding requests so a model server isn't hammered. */
+const REEMBED_DELAY_MS = 50;
+
+/** Live decisions with no vector from the given model. */
+const PENDING_WHERE = `
+  (d.expires_at IS NULL OR d.expires_at > ?)
+  AND NOT EXISTS (SELECT 1 FROM vectors v WHERE v.decision_id = d.id AND v.model = ?)
+`;
+
+/**
+ * Count live decisions that still need a vector from the model.
+ * @param {string} dbPath
+ * @param {string} model - Provider id
+ * @param {number} [nowMs]
+ * @returns {number}
+ */
+export function countPendingReembed(dbPath, model, nowMs = Date.now()) {
+  const rows = sqliteQuery(dbPath, `SELECT COUNT(*) AS cnt FROM decisions d WHERE ${PENDING_WHERE}`, [nowMs, model]);
+  return rows[0]?.cnt || 0;
+}
+
+/**
+ * Most recently started job, or a specific one.
+ * @param {string} dbPath
+ * @param {string} [jobId]
+ * @returns {object|null}
+ */
+export function getReembedJob(dbPath, jobId) {
+  const rows = jobId
+    ? sqliteQuery(dbPath, `SELECT * FROM reembed_jobs WHERE id = ?`, [jobId])
+    : sqliteQuery(dbPath, `SELECT * FROM reembed_jobs ORDER BY started_at DESC LIMIT 1`);
+  return rows[0] || null;
+}
+
+/**
+ * Start (or resume) a re-embed job onto the provider's model. A paused or
+ * running job for the same model is resumed; jobs for other models are
+ * marked superseded.
+ *
+ * Refuses when the model's stored vectors have a different size than the
+ * provider now returns, unless replaceMismatched is set, in which case
+ * those vectors are deleted and re-created.
+ *
+ * @param {string} dbPath
+ * @param {import("./embedding-providers.js").EmbeddingProvider} provider
+ * @param {{ replaceMismatched?: boolean }} [opts]
+ * @returns {Promise<{ job?: object, resumed?: boolean, replaced?: number, error?: string }>}
+ */
+export async function startReembed(dbPath, provider, opts = {}) {
+  const model = provider.id;
+  const health = await provider.health();
+  if (!health.available) return { error: `${model} is unavailable${health.reason ? ` (${health.reason})` : ""}` };
+
+  let replaced = 0;
+  const stored = getVectorModels(dbPath).filter((m) => m.model === model && m.dims !== health.dimensions);
+  if (stored.length > 0) {
+    if (!opts.replaceMismatched) {
+      return { error: `vectors stored as ${model} have ${stored[0].dims} dimensions but the provider now returns ${health.dimensions}; start with replace_mismatched to re-create them` };
+    }
+    replaced = deleteVectors(dbPath, `model = ?`, [model]) || 0;
+  }
+
+  const now = Date.now();
+  sqliteExec(dbPath,
+    `UPDATE reembed_jobs SET status = 'superseded', updated_at = ?, finished_at = ? WHERE status IN ('running', 'paused') AND target_model != ?`,
+    [now, now, model]
+  );
+
+  const open = sqliteQuery(dbPath,
+    `SELECT id FROM reembed_jobs WHERE status IN ('running', 'paused') AND target_model = ? ORDER BY started_at DESC LIMIT 1`,
+    [model]
+  );
+  if (open.length > 0) {
+    // Failures are retried on resume, so they are counted afresh
+    sqliteExec(dbPath, `UPDATE reembed_jobs SET status = 'running', failed = 0, updated_at = ? WHERE id = ?`, [now, open[0].id]);
+    return { job: getReembedJob(dbPath, open[0].id), resumed: true, replaced };
+  }
+
+  const id = randomUUID();
+  sqliteExec(dbPath,
+    `INSERT INTO reembed_jobs (id, target_model, status, total, started_at, updated_at) VALUES (?, ?, 'running', ?, ?, ?)`,
+    [id, model, countPendingReembed(dbPath, model, now), now, now]
+  );
+  return { job: getReembedJob(dbPath, id), resumed: false, replaced };
+}
+
+/**
+ * Pause running jobs. They keep their progress; startReembed resumes them.
+ * @param {string} dbPath
+ * @returns {boolean}
+ */
+export function pauseReembed(dbPath) {
+  return sqliteExec(dbPath, `UPDATE reembed_jobs SET status = 'paused', updated_at = ? WHERE status = 'running'`, [Date.now()]);
+}
+
+/**
+ * Run a job until every live decision has a vector from its model, or until
+ * it is paused or superseded. Memories are embedded in provider-sized
+ * batches and progress is written after each batch.
+ * Decisions whose embedding fails are counted and skipped for the rest of
+ * this run. On completion, other models' vectors are deleted for every
+ * decision that now has one from the target model. An aborted signal
+ * stops the run but leaves the job running, to be resumed on next start.
+ *
+ * @param {string} dbPath
+ * @param {import("./embedding-providers.js").EmbeddingProvider} provider
+ * @param {string} jobId
+ * @param {{ logger?: { info?: Function }, delayMs?: number, signal?: AbortSignal }} [opts]
+ * @returns {Promise<object|null>} The job row when the run ends
+ */
+export async function runReembedJob(dbPath, provider, jobId, opts = {}) {
+  const { logger = {}, delayMs = provider.name === "local" ? 0 : REEMBED_DELAY_MS, signal } = opts;
+  const model = provider.id;
+  const skipped = new Set();
+
+  for (;;) {
+    const job = getReembedJob(dbPath, jobId);
+    if (!job || job.status !== "running" || job.target_model !== model || signal?.aborted) return job;
+
+    const rows = sqliteQuery(dbPath, `
+      SELECT d.id, d.entity, d.fact_key, d.fact_value, d.description
+      FROM decisions d
+      WHERE ${PENDING_WHERE}
+      ORDER BY d.importance DESC
+      LIMIT ?
+    `, [Date.now(), model, REEMBED_BATCH + skipped.size]).filter((r) => !skipped.has(r.id)).slice(0, REEMBED_BATCH);
+
+    if (rows.length === 0) {
+      const pruned = deleteVectors(dbPath, `model != ? AND decision_id IN (SELECT decision_id FROM vectors WHERE model = ?)`, [model, model]) || 0;
+      const now = Date.now();
+      sqliteExec(dbPath,
+        `UPDATE reembed_jobs SET status = 'done', pruned = ?, updated_at = ?, finished_at = ? WHERE id = ?`,
+        [pruned, now, now, jobId]
+      );
+      const finished = getReembedJob(dbPath, jobId);
+      logger.info?.(`lily-memory: re-embed to ${model} done (${finished.done} embedded, ${finished.failed} failed, ${pruned} old vectors removed)`);
+      return finished;
+    }
+
+    const batchSize = Math.max(1, provider.batchSize || 1);
+    for (let i = 0; i < rows.length; i += batchSize) {
+      const status = sqliteQuery(dbPath, `SELECT status FROM reembed_jobs WHERE id = ?`, [jobId])[0]?.status;
+      if (status !== "running" || signal?.aborted) break;
+
+      const items = rows.slice(i, i + batchSize).map((row) => ({ id: row.id, text: embeddingText(row) }));
+      const embeddable = items.filter((item) => item.text.length >= 5);
+      const stored = await storeEmbeddings(dbPath, provider, embeddable);
+      const ok = new Set(embeddable.filter((_, j) => stored[j]).map((item) => item.id));
+      for (const item of items) if (!ok.has(item.id)) skipped.add(item.id);
+      sqliteExec(dbPath,
+        `UPDATE reembed_jobs SET done = done + ?, failed = failed + ?, updated_at = ? WHERE id = ?`,
+        [ok.size, items.length - ok.size, Date.now(), jobId]
+      );
+      if (delayMs > 0) await new Promise((r) => setTimeout(r, delayMs));
+    }
+  }
+}
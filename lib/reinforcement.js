@@ -0,0 +1,181 @@
+// ============================================================================
+// Access-driven reinforcement: recall hits raise importance, idle facts decay,
+// and frequently used facts move between ttl classes
+// ============================================================================
+
+import { randomUUID } from "node:crypto";
+import { sqliteQuery, sqliteExec } from "./sqlite.js";
+
+const DAY_MS = 86400000;
+
+/** TTL lifetimes used when a fact changes class. */
+const TTL_MS = { stable: 90 * DAY_MS, active: 14 * DAY_MS };
+
+/** Default reinforcement rules. All durations are in days. */
+export const DEFAULT_REINFORCEMENT_RULES = {
+  hitBoost: 0.02,          // importance gained per hit (diminishing: boost * log2(1 + hits))
+  maxImportance: 0.95,
+  decayHalfLifeDays: 30,   // idle importance halves every N days
+  decayGraceDays: 7,       // no decay until a fact has been idle this long
+  minImportance: 0.1,
+  promoteHits: 5,          // active -> stable after this many hits ...
+  promoteWindowDays: 14,   // ... within this window
+  demoteIdleDays: 45,      // stable -> active after this long without hits
+  intervalTurns: 25,       // periodic run frequency (agent_end turns)
+};
+
+/** Rules that must be at least this large; 0 would stop intervalTurns ever firing. */
+const RULE_MINIMUMS = { intervalTurns: 1 };
+
+/**
+ * Merge config rules over the defaults, ignoring non-numeric or out-of-range values.
+ * @param {object} [rules]
+ * @returns {object}
+ */
+export function resolveReinforcementRules(rules = {}) {
+  const merged = { ...DEFAULT_REINFORCEMENT_RULES };
+  for (const [key, value] of Object.entries(rules || {})) {
+    if (key in merged && typeof value === "number" && value >= (RULE_MINIMUMS[key] ?? 0)) merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Record that decisions were used (injected by recall, returned by a tool).
+ * Also refreshes their last_accessed_at.
+ *
+ * @param {string} dbPath
+ * @param {Iterable<string>} decisionIds
+ * @param {string} source - "recall" | "search" | "entity"
+ * @param {number} [nowMs]
+ * @returns {number} Hits recorded
+ */
+export function recordHits(dbPath, decisionIds, source, nowMs = Date.now()) {
+  let recorded = 0;
+  for (const id of new Set(decisionIds)) {
+    if (!id) continue;
+    if (sqliteExec(dbPath, `INSERT INTO decision_hits (decision_id, source, hit_at) VALUES (?, ?, ?)`, [id, source, nowMs])) {
+      sqliteExec(dbPath, `UPDATE decisions SET last_accessed_at = ? WHERE id = ?`, [nowMs, id]);
+      recorded++;
+    }
+  }
+  return recorded;
+}
+
+/**
+ * Get hit counts for a decision.
+ * @param {string} dbPath
+ * @param {string} decisionId
+ * @param {number} [sinceMs=0]
+ * @returns {{ hits: number, lastHitAt: number|null }}
+ */
+export function getHitStats(dbPath, decisionId, sinceMs = 0) {
+  const rows = sqliteQuery(dbPath,
+    `SELECT COUNT(*) AS hits, MAX(hit_at) AS last_hit_at FROM decision_hits WHERE decision_id = ? AND hit_at > ?`,
+    [decisionId, sinceMs]
+  );
+  return { hits: rows[0]?.hits || 0, lastHitAt: rows[0]?.last_hit_at ?? null };
+}
+
+/**
+ * Apply one reinforcement pass:
+ * 1. Boost importance of facts hit since the last pass
+ * 2. Decay importance of facts idle past the grace period
+ * 3. Promote busy active facts to stable, demote idle stable facts to active
+ * 4. Prune hits older than any rule looks back
+ *
+ * Permanent and session facts keep their class; permanent facts never decay.
+ * Decay is computed from the time since the last pass, so running more often
+ * doesn't decay faster.
+ *
+ * @param {string} dbPath
+ * @param {object} [rules] - Partial rules, merged over DEFAULT_REINFORCEMENT_RULES
+ * @param {number} [nowMs]
+ * @returns {{ boosted: number, decayed: number, promoted: number, demoted: number }}
+ */
+export function runReinforcement(dbPath, rules = {}, nowMs = Date.now()) {
+  const r = resolveReinforcementRules(rules);
+  const result = { boosted: 0, decayed: 0, promoted: 0, demoted: 0 };
+
+  const lastRun = sqliteQuery(dbPath, `SELECT MAX(ran_at) AS ran_at FROM reinforcement_runs`)[0]?.ran_at || 0;
+
+  // 1. Reinforce facts used since the last pass
+  const hit = sqliteQuery(dbPath, `
+    SELECT d.id, d.importance, COUNT(h.id) AS hits
+    FROM decision_hits h JOIN decisions d ON d.id = h.decision_id
+    WHERE h.hit_at > ? AND d.ttl_class != 'permanent'
+    GROUP BY d.id
+  `, [lastRun]);
+  for (const row of hit) {
+    const next = Math.min(r.maxImportance, row.importance + r.hitBoost * Math.log2(1 + row.hits));
+    if (next > row.importance && sqliteExec(dbPath, `UPDATE decisions SET importance = ? WHERE id = ?`, [next, row.id])) {
+      result.boosted++;
+    }
+  }
+
+  // 2. Decay idle facts
+  const graceMs = r.decayGraceDays * DAY_MS;
+  const halfLifeMs = r.decayHalfLifeDays * DAY_MS;
+  if (halfLifeMs > 0) {
+    const idle = sqliteQuery(dbPath, `
+      SELECT id, importance, COALESCE(last_accessed_at, timestamp) AS idle_since
+      FROM decisions
+      WHERE ttl_class IN ('stable', 'active')
+        AND importance > ?
+        AND COALESCE(last_accessed_at, timestamp) < ?
+        AND (expires_at IS NULL OR expires_at > ?)
+    `, [r.minImportance, nowMs - graceMs, nowMs]);
+    for (const row of idle) {
+      const decayFrom = Math.max(row.idle_since + graceMs, lastRun);
+      if (nowMs <= decayFrom) continue;
+      const next = Math.max(r.minImportance, row.importance * Math.pow(0.5, (nowMs - decayFrom) / halfLifeMs));
+      if (next < row.importance && sqliteExec(dbPath, `UPDATE decisions SET importance = ? WHERE id = ?`, [next, row.id])) {
+        result.decayed++;
+      }
+    }
+  }
+
+  // 3. Move facts between ttl classes by usage
+  if (r.promoteHits > 0) {
+    const busy = sqliteQuery(dbPath, `
+      SELECT d.id FROM decisions d JOIN decision_hits h ON d.id = h.decision_id
+      WHERE d.ttl_class = 'active' AND h.hit_at > ?
+        AND (d.expires_at IS NULL OR d.expires_at > ?)
+      GROUP BY d.id
+      HAVING COUNT(h.id) >= ?
+    `, [nowMs - r.promoteWindowDays * DAY_MS, nowMs, r.promoteHits]);
+    for (const row of busy) {
+      if (sqliteExec(dbPath, `UPDATE decisions SET ttl_class = 'stable', expires_at = ? WHERE id = ?`, [nowMs + TTL_MS.stable, row.id])) {
+        result.promoted++;
+      }
+    }
+  }
+
+  if (r.demoteIdleDays > 0) {
+    const idleCutoff = nowMs - r.demoteIdleDays * DAY_MS;
+    const stale = sqliteQuery(dbPath, `
+      SELECT id FROM decisions
+      WHERE ttl_class = 'stable'
+        AND COALESCE(last_accessed_at, timestamp) < ?
+        AND (expires_at IS NULL OR expires_at > ?)
+        AND id NOT IN (SELECT decision_id FROM decision_hits WHERE hit_at > ?)
+    `, [idleCutoff, nowMs, idleCutoff]);
+    for (const row of stale) {
+      if (sqliteExec(dbPath, `UPDATE decisions SET ttl_class = 'active', expires_at = ? WHERE id = ?`, [nowMs + TTL_MS.active, row.id])) {
+        result.demoted++;
+      }
+    }
+  }
+
+  // 4. Prune hits no rule looks at anymore, and hits for deleted facts
+  const keepMs = Math.max(r.promoteWindowDays, r.demoteIdleDays) * DAY_MS;
+  sqliteExec(dbPath, `DELETE FROM decision_hits WHERE hit_at < ? OR decision_id NOT IN (SELECT id FROM decisions)`, [nowMs - keepMs]);
+  sqliteExec(dbPath, `DELETE FROM reinforcement_runs WHERE ran_at < ?`, [nowMs - keepMs]);
+
+  sqliteExec(dbPath,
+    `INSERT INTO reinforcement_runs (id, ran_at, boosted, decayed, promoted, demoted) VALUES (?, ?, ?, ?, ?, ?)`,
+    [randomUUID(), nowMs, result.boosted, result.decayed, result.promoted, result.demoted]
+  );
+
+  return result;
+}
@@ -214,7 +214,7 @@ async function tick(dbPath, config) {
 
   // 1. Check triggers
   const triggers = sqliteQuery(dbPath,
-    `SELECT t.*, p.name as pipeline_name, p.id as source_pipeline_id
+    `SELECT t.*, p.name as pipeline_name, p.id as source_pipeline_id, p.namespace as pipeline_namespace
      FROM pipeline_triggers t
      JOIN pipelines p ON t.pipeline_id = p.id
      WHERE t.enabled = 1`
@@ -228,8 +228,8 @@ async function tick(dbPath, config) {
     // Check for already-running instance from same source
     const running = sqliteQuery(dbPath,
       `SELECT COUNT(*) as cnt FROM pipelines
-       WHERE name = ? AND status IN ('pending', 'running', 'paused')`,
-      [trigger.pipeline_name]
+       WHERE name = ? AND namespace = ? AND status IN ('pending', 'running', 'paused')`,
+      [trigger.pipeline_name, trigger.pipeline_namespace]
     );
 
     if (running[0]?.cnt > 0) {
@@ -258,9 +258,9 @@ async function tick(dbPath, config) {
       const stepIdMap = {};
 
       sqliteExec(dbPath,
-        `INSERT INTO pipelines (id, name, status, created_at, updated_at, created_by, trigger_message, config)
-         VALUES (?, ?, 'running', ?, ?, 'scheduler', ?, NULL)`,
-        [newPipelineId, trigger.pipeline_name, now.getTime(), now.getTime(), `Triggered by schedule: ${trigger.schedule}`]
+        `INSERT INTO pipelines (id, name, status, created_at, updated_at, created_by, trigger_message, config, namespace)
+         VALUES (?, ?, 'running', ?, ?, 'scheduler', ?, NULL, ?)`,
+        [newPipelineId, trigger.pipeline_name, now.getTime(), now.getTime(), `Triggered by schedule: ${trigger.schedule}`, trigger.pipeline_namespace]
       );
 
       for (const s of sourceSteps) {
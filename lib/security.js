@@ -3,6 +3,9 @@
 // ============================================================================
 
 import { sqliteExec, sqliteQuery } from "./sqlite.js";
+import { sealField } from "./encryption.js";
+import { shannonEntropy } from "./redaction.js";
+import { namespaceFilter } from "./namespaces.js";
 import { randomUUID } from "node:crypto";
 
 /**
@@ -22,27 +25,83 @@ export const DEFAULT_PROTECTED_ENTITIES = new Set([
  * would use to manipulate agent behavior through persistent memory.
  *
  * Single common words (always, never) are NOT flagged alone — only when
- * combined with action verbs that signal manipulation.
+ * combined with action verbs that signal manipulation. Each pattern adds its
+ * weight to the risk score once, whether it matches the value or the key.
+ * No weight is below the default quarantine threshold, so a match on its own
+ * is always held for review.
  */
 export const INJECTION_PATTERNS = [
   { pattern: /\b(?:always|never)\s+(?:ignore|skip|bypass|disable|override|disregard|forget)\b/i,
-    name: "instruction_override" },
+    name: "instruction_override", weight: 0.8 },
   { pattern: /\b(?:ignore|disregard|forget)\s+(?:previous|prior|above|all|existing|current|other)\b/i,
-    name: "context_override" },
+    name: "context_override", weight: 0.8 },
   { pattern: /\b(?:override|replace|change|modify)\s+(?:the|all|every|any)\s+(?:config|setting|default|instruction|rule|prompt|behavior)/i,
-    name: "config_manipulation" },
+    name: "config_manipulation", weight: 0.6 },
   { pattern: /\b(?:instead\s+of|rather\s+than)\s+(?:the|current|existing|default|configured)\b/i,
-    name: "substitution_attack" },
+    name: "substitution_attack", weight: 0.5 },
   { pattern: /\b(?:you\s+(?:must|should|shall|need\s+to|have\s+to)|from\s+now\s+on|going\s+forward|henceforth)\b/i,
-    name: "directive_language" },
+    name: "directive_language", weight: 0.5 },
   { pattern: /\b(?:system\s*prompt|base\s*prompt|initial\s*instruction|hidden\s*instruction)\b/i,
-    name: "meta_manipulation" },
+    name: "meta_manipulation", weight: 0.6 },
   { pattern: /\b(?:drop\s+table|delete\s+(?:all|every)|truncate\s+|rm\s+-rf|format\s+disk)\b/i,
-    name: "destructive_command" },
+    name: "destructive_command", weight: 0.8 },
   { pattern: /\b(?:api[_\s]?key|secret[_\s]?key|auth[_\s]?token|password|credential)\s*[:=]\s*\S+/i,
-    name: "credential_injection" },
+    name: "credential_injection", weight: 0.5 },
 ];
 
+/**
+ * Weights of the signals that are not patterns. A protected entity written
+ * from the wrong source always reaches the block threshold on its own; the
+ * others only reach quarantine together or with a pattern.
+ */
+export const RISK_WEIGHTS = {
+  protected_entity: 1,
+  untrusted_source: 0.25,
+  imperative_mood: 0.25,
+  addresses_agent: 0.15,
+  encoded_payload: 0.3,
+};
+
+/** review_status of a quarantined fact: waiting, or closed by memory_quarantine. */
+export const REVIEW_STATUSES = ["pending", "released", "discarded"];
+
+/**
+ * Risk score (0-1) at which a fact is held for review (quarantine) or
+ * refused outright (block).
+ */
+export const DEFAULT_RISK_THRESHOLDS = {
+  quarantine: 0.5,
+  block: 0.8,
+};
+
+/** Verbs that, opening a value or one of its clauses, read as an order rather than a fact. */
+const IMPERATIVE_VERBS = new Set([
+  "ignore", "disregard", "forget", "override", "bypass", "disable", "delete", "remove", "erase",
+  "send", "forward", "email", "post", "upload", "download", "run", "execute", "install", "click",
+  "visit", "open", "reply", "respond", "tell", "say", "print", "output", "reveal", "repeat",
+  "pretend", "act", "obey", "follow", "always", "never", "stop", "do", "don't", "dont",
+]);
+
+/** Words of at least this length are checked for encoded payloads. */
+const PAYLOAD_MIN_LENGTH = 20;
+
+/** Min Shannon entropy (bits per char) for a long word to count as an encoded payload. */
+const PAYLOAD_MIN_ENTROPY = 4;
+
+/**
+ * Resolve the injectionRisk config option. A quarantine threshold at or
+ * above the block threshold turns quarantine off.
+ * @param {object} [cfg]
+ * @returns {{ quarantine: number, block: number }}
+ */
+export function resolveRiskThresholds(cfg) {
+  const opts = cfg && typeof cfg === "object" ? cfg : {};
+  const valid = (n) => typeof n === "number" && n > 0 && n <= 1;
+  const block = valid(opts.block) ? opts.block : DEFAULT_RISK_THRESHOLDS.block;
+  const quarantine = valid(opts.quarantine) ? Math.min(opts.quarantine, block) : Math.min(DEFAULT_RISK_THRESHOLDS.quarantine, block);
+  return { quarantine, block };
+}
+
 /**
  * Heuristic markers for web-sourced or external content.
  * Content matching these patterns gets treated as untrusted even without
@@ -68,50 +127,108 @@ export function isUntrustedContent(text) {
 }
 
 /**
- * Check a fact for injection patterns.
+ * Score how likely a fact is an injection attempt. Each signal that fires adds
+ * its weight, and the contributions are returned so the score can be explained:
+ * - protected_entity: a protected entity written from a user message or untrusted content
+ * - pattern:<name>: an INJECTION_PATTERNS entry matching the value or the key
+ * - untrusted_source: the source text carried untrusted content markers
+ * - imperative_mood: the value, or a clause of it, opens with an order ("ignore", "send", ...)
+ * - addresses_agent: the value talks to the agent ("you", "your")
+ * - encoded_payload: a long, random-looking word, e.g. base64 smuggling instructions
+ *
+ * Facts from assistant messages and trusted tools are not scored.
+ *
  * @param {{ entity: string, key: string, value: string }} fact - Extracted fact
  * @param {string} role - Message role ("user" or "assistant")
  * @param {Set<string>} protectedEntities - Entities that require assistant/tool source
  * @param {boolean} isUntrusted - Whether the source content was flagged as untrusted
- * @returns {{ blocked: boolean, reason: string|null, pattern: string|null }}
+ * @returns {{ score: number, contributions: Array<{ signal: string, weight: number, detail: string }> }}
  */
-export function checkInjection(fact, role, protectedEntities, isUntrusted) {
-  // Check 1: Protected entity from user message or untrusted content
-  const entityLower = fact.entity.toLowerCase();
-  if (protectedEntities.has(entityLower) && (role === "user" || isUntrusted)) {
-    return {
-      blocked: true,
-      reason: "protected_entity",
-      pattern: `entity "${fact.entity}" is protected — only writable from assistant messages or memory_store tool`,
-    };
+export function scoreInjectionRisk(fact, role, protectedEntities, isUntrusted) {
+  const contributions = [];
+  if (role !== "user" && !isUntrusted) return { score: 0, contributions };
+  const value = String(fact.value ?? "");
+  const key = String(fact.key ?? "");
+
+  if (protectedEntities.has(String(fact.entity ?? "").toLowerCase())) {
+    contributions.push({ signal: "protected_entity", weight: RISK_WEIGHTS.protected_entity, detail: `entity "${fact.entity}" is only writable from assistant messages or memory_store` });
+  }
+
+  for (const { pattern, name, weight } of INJECTION_PATTERNS) {
+    const where = pattern.test(value) ? "value" : pattern.test(key) ? "key" : null;
+    if (where) contributions.push({ signal: `pattern:${name}`, weight, detail: `matched in the ${where}` });
+  }
+
+  if (isUntrusted) {
+    contributions.push({ signal: "untrusted_source", weight: RISK_WEIGHTS.untrusted_source, detail: "source text has untrusted content markers" });
+  }
+
+  const verb = value.split(/[.;:!?\n]+/)
+    .map((clause) => clause.trim().toLowerCase().match(/^[a-z']+/)?.[0])
+    .find((word) => word && IMPERATIVE_VERBS.has(word));
+  if (verb) contributions.push({ signal: "imperative_mood", weight: RISK_WEIGHTS.imperative_mood, detail: `a clause opens with "${verb}"` });
+
+  if (/\b(?:you|your|yourself)\b/i.test(value)) {
+    contributions.push({ signal: "addresses_agent", weight: RISK_WEIGHTS.addresses_agent, detail: "the value addresses the reader" });
   }
 
-  // Check 2: Injection patterns in the value (from any user message or untrusted source)
-  if (role === "user" || isUntrusted) {
-    for (const { pattern, name } of INJECTION_PATTERNS) {
-      if (pattern.test(fact.value)) {
-        return {
-          blocked: true,
-          reason: "injection_pattern",
-          pattern: name,
-        };
-      }
-      // Also check the key for injection language
-      if (pattern.test(fact.key)) {
-        return {
-          blocked: true,
-          reason: "injection_pattern_key",
-          pattern: name,
-        };
-      }
-    }
+  const payload = value.split(/\s+/)
+    .filter((word) => word.length >= PAYLOAD_MIN_LENGTH && !/^\[(?:redacted|[a-z_]+):/.test(word))
+    .map((word) => shannonEntropy(word))
+    .find((bits) => bits >= PAYLOAD_MIN_ENTROPY);
+  if (payload !== undefined) {
+    contributions.push({ signal: "encoded_payload", weight: RISK_WEIGHTS.encoded_payload, detail: `a ${PAYLOAD_MIN_LENGTH}+ char word with ${payload.toFixed(1)} bits/char entropy` });
+  }
+
+  const total = contributions.reduce((sum, c) => sum + c.weight, 0);
+  return { score: Math.round(Math.min(1, total) * 100) / 100, contributions };
+}
+
+/**
+ * Check a fact for injection: score it and compare the score to the thresholds.
+ * A blocked or quarantined fact is not written; quarantined ones are logged
+ * as pending security events that can be released after review.
+ *
+ * reason is "protected_entity", "injection_pattern" (or "injection_pattern_key"
+ * when only the key matched) or "injection_risk" for a block, and
+ * "quarantined" for a quarantine. pattern names the contributing signals.
+ *
+ * @param {{ entity: string, key: string, value: string }} fact - Extracted fact
+ * @param {string} role - Message role ("user" or "assistant")
+ * @param {Set<string>} protectedEntities - Entities that require assistant/tool source
+ * @param {boolean} isUntrusted - Whether the source content was flagged as untrusted
+ * @param {{ quarantine: number, block: number }} [thresholds=DEFAULT_RISK_THRESHOLDS]
+ * @returns {{ blocked: boolean, quarantined: boolean, reason: string|null, pattern: string|null, score: number, contributions: Array<object> }}
+ */
+export function checkInjection(fact, role, protectedEntities, isUntrusted, thresholds = DEFAULT_RISK_THRESHOLDS) {
+  const { score, contributions } = scoreInjectionRisk(fact, role, protectedEntities, isUntrusted);
+  const risk = { score, contributions };
+  const quarantined = score >= thresholds.quarantine && score < thresholds.block;
+  if (score < thresholds.block && !quarantined) return { blocked: false, quarantined: false, reason: null, pattern: null, ...risk };
+
+  const signals = contributions.map((c) => c.signal);
+  const patterns = contributions.filter((c) => c.signal.startsWith("pattern:"));
+  let reason = "quarantined";
+  if (!quarantined) {
+    if (signals.includes("protected_entity")) reason = "protected_entity";
+    else if (patterns.length > 0) reason = patterns.every((c) => c.detail.endsWith("key")) ? "injection_pattern_key" : "injection_pattern";
+    else reason = "injection_risk";
   }
+  return { blocked: true, quarantined, reason, pattern: signals.map((s) => s.replace(/^pattern:/, "")).join(", "), ...risk };
+}
 
-  return { blocked: false, reason: null, pattern: null };
+/**
+ * One line per contribution, e.g. "context_override +0.8 (matched in the value)".
+ * @param {Array<{ signal: string, weight: number, detail: string }>} contributions
+ * @returns {string[]}
+ */
+export function explainRisk(contributions) {
+  return contributions.map((c) => `${c.signal.replace(/^pattern:/, "")} +${c.weight} (${c.detail})`);
 }
 
 /**
- * Log a security event to the database.
+ * Log a security event to the database. A "quarantined" event starts out
+ * pending review.
  * @param {string} dbPath - Path to database
  * @param {object} event - Security event details
  * @param {string} event.eventType - Type of event
@@ -121,6 +238,9 @@ export function checkInjection(fact, role, protectedEntities, isUntrusted) {
  * @param {string} event.factValue - Target fact value
  * @param {string} event.matchedPattern - Pattern that triggered the block
  * @param {string} event.sourceSnippet - Source text snippet for context
+ * @param {{ score: number, contributions: Array<object> }} [event.risk] - Score breakdown from checkInjection
+ * @param {string} [event.namespace] - Namespace the fact was headed for
+ * @returns {string|null} Event id, or null if it could not be written
  */
 export function logSecurityEvent(dbPath, event) {
   const id = randomUUID();
@@ -129,12 +249,22 @@ export function logSecurityEvent(dbPath, event) {
     ? event.sourceSnippet.substring(0, 200)
     : "";
 
-  sqliteExec(dbPath,
-    `INSERT INTO security_events (id, timestamp, event_type, source_role, entity, fact_key, fact_value, matched_pattern, source_snippet)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  const ok = sqliteExec(dbPath,
+    `INSERT INTO security_events (id, timestamp, event_type, source_role, entity, fact_key, fact_value, matched_pattern, source_snippet, risk_score, risk_breakdown, namespace, review_status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [id, timestamp, event.eventType, event.sourceRole, event.entity,
-     event.factKey, event.factValue?.substring(0, 200), event.matchedPattern, snippet]
+     event.factKey, sealField(dbPath, event.factValue?.substring(0, 200)), event.matchedPattern, sealField(dbPath, snippet),
+     event.risk?.score ?? null, event.risk ? JSON.stringify(event.risk.contributions) : null,
+     event.namespace ?? null, event.eventType === "quarantined" ? "pending" : null]
   );
+  return ok ? id : null;
+}
+
+/** Parse risk_breakdown back into contributions. */
+function withBreakdown(row) {
+  let contributions = null;
+  try { contributions = row.risk_breakdown ? JSON.parse(row.risk_breakdown) : null; } catch { /* left null */ }
+  return { ...row, risk_breakdown: Array.isArray(contributions) ? contributions : null };
 }
 
 /**
@@ -142,15 +272,59 @@ export function logSecurityEvent(dbPath, event) {
  * @param {string} dbPath - Path to database
  * @param {number} sinceMs - Timestamp to look back from
  * @param {number} limit - Max events to return
- * @returns {Array} Security event rows
+ * @param {string[]|null} [namespaces] - Only events from these namespaces (default: all)
+ * @returns {Array} Security event rows, risk_breakdown parsed
  */
-export function getSecurityEvents(dbPath, sinceMs, limit = 10) {
+export function getSecurityEvents(dbPath, sinceMs, limit = 10, namespaces = null) {
+  const scope = namespaceFilter(namespaces, "COALESCE(namespace, 'default')");
   return sqliteQuery(dbPath,
-    `SELECT timestamp, event_type, source_role, entity, fact_key, fact_value, matched_pattern, source_snippet
+    `SELECT timestamp, event_type, source_role, entity, fact_key, fact_value, matched_pattern, source_snippet, risk_score, risk_breakdown, review_status
      FROM security_events
-     WHERE timestamp > ?
+     WHERE timestamp > ? AND ${scope.sql}
      ORDER BY timestamp DESC
      LIMIT ?`,
-    [sinceMs, limit]
-  );
+    [sinceMs, ...scope.params, limit]
+  ).map(withBreakdown);
+}
+
+/**
+ * Quarantined facts waiting for review, newest first.
+ * @param {string} dbPath
+ * @param {number} [limit=10]
+ * @param {string[]|null} [namespaces] - Only facts headed for these namespaces (default: all)
+ * @returns {Array} Security event rows, risk_breakdown parsed
+ */
+export function getQuarantine(dbPath, limit = 10, namespaces = null) {
+  const scope = namespaceFilter(namespaces, "COALESCE(namespace, 'default')");
+  return sqliteQuery(dbPath,
+    `SELECT id, timestamp, source_role, entity, fact_key, fact_value, matched_pattern, source_snippet, risk_score, risk_breakdown, namespace
+     FROM security_events
+     WHERE review_status = 'pending' AND ${scope.sql}
+     ORDER BY timestamp DESC
+     LIMIT ?`,
+    [...scope.params, limit]
+  ).map(withBreakdown);
+}
+
+/**
+ * Close the review of a quarantined fact. Releasing only marks the event;
+ * the caller writes the fact.
+ * @param {string} dbPath
+ * @param {string} id - Event id
+ * @param {"released"|"discarded"} status
+ * @param {string[]|null} [namespaces] - Only facts headed for these namespaces (default: all)
+ * @returns {{ event?: object, error?: string }}
+ */
+export function reviewQuarantine(dbPath, id, status, namespaces = null) {
+  if (status !== "released" && status !== "discarded") return { error: `unknown review status "${status}"` };
+  const scope = namespaceFilter(namespaces, "COALESCE(namespace, 'default')");
+  const event = sqliteQuery(dbPath,
+    `SELECT id, source_role, entity, fact_key, fact_value, risk_score, namespace FROM security_events
+     WHERE id = ? AND review_status = 'pending' AND ${scope.sql}`,
+    [id, ...scope.params]
+  )[0];
+  if (!event) return { error: "no pending quarantined fact with that id" };
+  if (status === "released" && !(event.entity && event.fact_key)) return { error: "only entity facts can be released; discard it instead" };
+  if (!sqliteExec(dbPath, `UPDATE security_events SET review_status = ? WHERE id = ?`, [status, id])) return { error: "updating the review status failed" };
+  return { event };
 }
@@ -1,8 +1,9 @@
 import fs from "node:fs";
 import path from "node:path";
 import os from "node:os";
+import { countMessageTokens } from "./tokens.js";
 
-const SESSIONS_FILE = path.join(os.homedir(), ".openclaw", "agents", "main", "sessions", "sessions.json");
+const AGENTS_DIR = path.join(os.homedir(), ".openclaw", "agents");
 const ALERT_FILE = path.join(os.homedir(), ".openclaw", "workspace", "memory", "context-alert.txt");
 
 // ============================================================================
@@ -22,91 +23,114 @@ export const PRESSURE_LEVELS = {
 // ============================================================================
 
 /**
- * Check session health and reset overflowing sessions.
+ * List the sessions.json of every agent, as { agentId, file }.
+ * @param {string} agentsDir
+ * @returns {Array<{ agentId: string, file: string }>}
+ */
+export function findSessionFiles(agentsDir = AGENTS_DIR) {
+  let names;
+  try { names = fs.readdirSync(agentsDir); } catch { return []; }
+  return names
+    .sort()
+    .map((agentId) => ({ agentId, file: path.join(agentsDir, agentId, "sessions", "sessions.json") }))
+    .filter(({ file }) => fs.existsSync(file));
+}
+
+/**
+ * Check session health and reset overflowing sessions, for every agent
+ * under the agents directory.
  * @param {object} opts
  * @param {number} [opts.threshold=0.8] - Reset when estimated tokens exceed this fraction of contextTokens
+ * @param {object} [opts.estimator] - Token estimator (from createTokenEstimator); defaults to 4 bytes/token
+ * @param {string} [opts.agentsDir] - Defaults to ~/.openclaw/agents
  * @param {Function} [opts.log] - Logger function
- * @returns {{ checked: number, reset: string[] }} - Sessions checked and reset
+ * @returns {{ checked: number, reset: string[] }} - Sessions checked and reset ("<agent>/<session key>")
  */
 export function checkSessionHealth(opts = {}) {
   const threshold = opts.threshold || 0.8;
   const log = opts.log || console.log;
+  const bytesToTokens = opts.estimator ? opts.estimator.fromChars : (n) => Math.floor(n / 4);
   const result = { checked: 0, reset: [] };
 
-  if (!fs.existsSync(SESSIONS_FILE)) {
-    log("session-guard: sessions.json not found, skipping");
-    return result;
-  }
-
-  let sessions;
-  try {
-    sessions = JSON.parse(fs.readFileSync(SESSIONS_FILE, "utf-8"));
-  } catch (e) {
-    log(`session-guard: failed to parse sessions.json: ${e.message}`);
+  const files = findSessionFiles(opts.agentsDir);
+  if (files.length === 0) {
+    log("session-guard: no agent sessions.json found, skipping");
     return result;
   }
 
-  let modified = false;
-
-  for (const [key, entry] of Object.entries(sessions)) {
-    if (!entry || typeof entry !== "object") continue;
-    if (!entry.sessionFile || !entry.contextTokens) continue;
-
-    result.checked++;
-    const sessionFile = entry.sessionFile;
-    const contextCap = entry.contextTokens;
-
-    if (!fs.existsSync(sessionFile)) continue;
-
-    let stat;
+  for (const { agentId, file } of files) {
+    let sessions;
     try {
-      stat = fs.statSync(sessionFile);
-    } catch {
+      sessions = JSON.parse(fs.readFileSync(file, "utf-8"));
+    } catch (e) {
+      log(`session-guard: failed to parse ${agentId} sessions.json: ${e.message}`);
       continue;
     }
 
-    const estTokens = Math.floor(stat.size / 4);
-    const maxTokens = Math.floor(contextCap * threshold);
+    let modified = false;
+    let resetHere = 0;
 
-    if (estTokens > maxTokens) {
-      log(`session-guard: ${key} overflow detected — ${estTokens} est tokens > ${maxTokens} max (file: ${(stat.size / 1024 / 1024).toFixed(1)} MB)`);
+    for (const [key, entry] of Object.entries(sessions)) {
+      if (!entry || typeof entry !== "object") continue;
+      if (!entry.sessionFile || !entry.contextTokens) continue;
 
-      // Back up the session file
-      const ts = new Date().toISOString().replace(/[:.]/g, "-");
-      const bakPath = sessionFile.replace(/\.jsonl$/, `.overflow-${ts}.bak`);
+      result.checked++;
+      const sessionFile = entry.sessionFile;
+      const contextCap = entry.contextTokens;
+
+      if (!fs.existsSync(sessionFile)) continue;
+
+      let stat;
       try {
-        fs.renameSync(sessionFile, bakPath);
-        log(`session-guard: backed up to ${path.basename(bakPath)}`);
-      } catch (e) {
-        log(`session-guard: backup failed: ${e.message}`);
+        stat = fs.statSync(sessionFile);
+      } catch {
         continue;
       }
 
-      // Reset session entry
-      delete entry.sessionId;
-      delete entry.sessionFile;
-      delete entry.inputTokens;
-      delete entry.outputTokens;
-      delete entry.totalTokens;
-      delete entry.systemSent;
-      modified = true;
-      result.reset.push(key);
-
-      // Write alert
-      try {
-        const alertDir = path.dirname(ALERT_FILE);
-        if (!fs.existsSync(alertDir)) fs.mkdirSync(alertDir, { recursive: true });
-        fs.writeFileSync(ALERT_FILE, `Session ${key} auto-reset at ${new Date().toISOString()} (${estTokens} est tokens > ${maxTokens} cap).\n`);
-      } catch {}
+      const estTokens = bytesToTokens(stat.size);
+      const maxTokens = Math.floor(contextCap * threshold);
+
+      if (estTokens > maxTokens) {
+        log(`session-guard: ${agentId}/${key} overflow detected — ${estTokens} est tokens > ${maxTokens} max (file: ${(stat.size / 1024 / 1024).toFixed(1)} MB)`);
+
+        // Back up the session file
+        const ts = new Date().toISOString().replace(/[:.]/g, "-");
+        const bakPath = sessionFile.replace(/\.jsonl$/, `.overflow-${ts}.bak`);
+        try {
+          fs.renameSync(sessionFile, bakPath);
+          log(`session-guard: backed up to ${path.basename(bakPath)}`);
+        } catch (e) {
+          log(`session-guard: backup failed: ${e.message}`);
+          continue;
+        }
+
+        // Reset session entry
+        delete entry.sessionId;
+        delete entry.sessionFile;
+        delete entry.inputTokens;
+        delete entry.outputTokens;
+        delete entry.totalTokens;
+        delete entry.systemSent;
+        modified = true;
+        resetHere++;
+        result.reset.push(`${agentId}/${key}`);
+
+        // Write alert
+        try {
+          const alertDir = path.dirname(ALERT_FILE);
+          if (!fs.existsSync(alertDir)) fs.mkdirSync(alertDir, { recursive: true });
+          fs.writeFileSync(ALERT_FILE, `Session ${agentId}/${key} auto-reset at ${new Date().toISOString()} (${estTokens} est tokens > ${maxTokens} cap).\n`);
+        } catch {}
+      }
     }
-  }
 
-  if (modified) {
-    try {
-      fs.writeFileSync(SESSIONS_FILE, JSON.stringify(sessions, null, 2));
-      log(`session-guard: sessions.json updated (${result.reset.length} sessions reset)`);
-    } catch (e) {
-      log(`session-guard: failed to write sessions.json: ${e.message}`);
+    if (modified) {
+      try {
+        fs.writeFileSync(file, JSON.stringify(sessions, null, 2));
+        log(`session-guard: ${agentId} sessions.json updated (${resetHere} sessions reset)`);
+      } catch (e) {
+        log(`session-guard: failed to write ${agentId} sessions.json: ${e.message}`);
+      }
     }
   }
 
@@ -118,13 +142,16 @@ export function checkSessionHealth(opts = {}) {
 // ============================================================================
 
 /**
- * Estimate current context pressure based on message count or byte estimate.
+ * Estimate current context pressure from the messages, a byte estimate or
+ * the message count (in that order of preference).
  * Returns a pressure level that the recall system uses to scale its budget.
  *
  * This is a lightweight check designed to run frequently (every 5-10 turns).
  * It does NOT read session files — it uses the event data available at runtime.
  *
  * @param {object} opts
+ * @param {Array} [opts.messages] - Session messages; token-counted when an estimator is given
+ * @param {object} [opts.estimator] - Token estimator (from createTokenEstimator)
  * @param {number} [opts.messageCount=0] - Number of messages in current session
  * @param {number} [opts.estimatedBytes=0] - Estimated session size in bytes (if available)
  * @param {number} [opts.contextCap=120000] - Context token cap for the model
@@ -132,11 +159,14 @@ export function checkSessionHealth(opts = {}) {
  * @returns {{ level: string, scale: number, pct: number }}
  */
 export function getContextPressure(opts = {}) {
-  const { messageCount = 0, estimatedBytes = 0, contextCap = 120000, log } = opts;
-
-  // If we have a direct byte estimate, use it
-  if (estimatedBytes > 0) {
-    const estTokens = Math.floor(estimatedBytes / 4);
+  const { messages, estimator, messageCount = 0, estimatedBytes = 0, contextCap = 120000, log } = opts;
+
+  // Best signal: count the tokens actually in the conversation
+  const msgTokens = estimator && Array.isArray(messages) ? countMessageTokens(messages, estimator) : 0;
+  if (msgTokens > 0 || estimatedBytes > 0) {
+    const estTokens = msgTokens > 0
+      ? msgTokens
+      : estimator ? estimator.fromChars(estimatedBytes) : Math.floor(estimatedBytes / 4);
     const pct = estTokens / contextCap;
 
     let level, scale;
@@ -155,7 +185,7 @@ export function getContextPressure(opts = {}) {
     }
 
     if (log && level !== "normal") {
-      log(`session-guard: context pressure ${level} (${(pct * 100).toFixed(0)}% of ${contextCap} cap)`);
+      log(`session-guard: context pressure ${level} (${(pct * 100).toFixed(0)}% of ${contextCap} cap, ~${estTokens} tokens)`);
     }
     return { level, scale, pct };
   }
@@ -12,6 +12,9 @@ const Database = require("better-sqlite3");
 /** Singleton connection pool keyed by resolved path. */
 const dbConnections = new Map();
 
+/** Field ciphers keyed by path (see encryption.js); sqliteQuery opens sealed values with them. */
+const fieldCiphers = new Map();
+
 /**
  * Get or create a database connection.
  * @param {string} dbPath - Absolute path to database file
@@ -62,8 +65,28 @@ export function sanitizeValue(value) {
   return str;
 }
 
+/**
+ * Set or clear (null) the field cipher of a database.
+ * @param {string} dbPath
+ * @param {{ openRow: function(object): object }|null} cipher
+ */
+export function setFieldCipher(dbPath, cipher) {
+  if (cipher) fieldCiphers.set(dbPath, cipher);
+  else fieldCiphers.delete(dbPath);
+}
+
+/**
+ * The field cipher of a database, or null when encryption is off.
+ * @param {string} dbPath
+ * @returns {object|null}
+ */
+export function getFieldCipher(dbPath) {
+  return fieldCiphers.get(dbPath) || null;
+}
+
 /**
  * Run a SQLite query with parameterized statements.
+ * Sealed values are opened when the database has a field cipher.
  * @param {string} dbPath - Path to database file
  * @param {string} sql - SQL query with ? placeholders
  * @param {Array} [params] - Query parameters (bound safely)
@@ -73,7 +96,9 @@ export function sqliteQuery(dbPath, sql, params = []) {
   try {
     const db = getDb(dbPath);
     const stmt = db.prepare(sql);
-    return stmt.all(...params);
+    const rows = stmt.all(...params);
+    const cipher = fieldCiphers.get(dbPath);
+    return cipher ? rows.map((row) => cipher.openRow(row)) : rows;
   } catch (err) {
     console.error(`[lily-memory] Query failed: ${err.message}`);
     return [];
@@ -103,6 +128,22 @@ export function sqliteExec(dbPath, sql, params = []) {
   }
 }
 
+/**
+ * Run fn inside a transaction; anything it throws rolls the transaction back.
+ * @param {string} dbPath
+ * @param {function(): void} fn
+ * @returns {boolean} true if committed
+ */
+export function sqliteTransaction(dbPath, fn) {
+  try {
+    getDb(dbPath).transaction(fn)();
+    return true;
+  } catch (err) {
+    console.error(`[lily-memory] Transaction failed: ${err.message}`);
+    return false;
+  }
+}
+
 /**
  * Ensure all required tables exist in the database.
  * @param {string} dbPath - Path to database file
@@ -128,7 +169,10 @@ CREATE TABLE IF NOT EXISTS decisions (
     last_accessed_at INTEGER,
     entity TEXT,
     fact_key TEXT,
-    fact_value TEXT
+    fact_value TEXT,
+    namespace TEXT NOT NULL DEFAULT 'default',
+    sensitivity TEXT NOT NULL DEFAULT 'internal',
+    search_tokens TEXT
 );
 
 CREATE INDEX IF NOT EXISTS idx_decisions_ttl ON decisions(ttl_class);
@@ -139,25 +183,25 @@ CREATE INDEX IF NOT EXISTS idx_decisions_importance ON decisions(importance DESC
 CREATE INDEX IF NOT EXISTS idx_decisions_timestamp ON decisions(timestamp);
 
 CREATE VIRTUAL TABLE IF NOT EXISTS decisions_fts USING fts5(
-    description, rationale, entity, fact_key, fact_value, tags,
+    description, rationale, entity, fact_key, fact_value, tags, search_tokens,
     content='decisions', content_rowid='rowid'
 );
 
 CREATE TRIGGER IF NOT EXISTS decisions_ai AFTER INSERT ON decisions BEGIN
-    INSERT INTO decisions_fts(rowid, description, rationale, entity, fact_key, fact_value, tags)
-    VALUES (new.rowid, new.description, new.rationale, new.entity, new.fact_key, new.fact_value, new.tags);
+    INSERT INTO decisions_fts(rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES (new.rowid, new.description, new.rationale, new.entity, new.fact_key, new.fact_value, new.tags, new.search_tokens);
 END;
 
 CREATE TRIGGER IF NOT EXISTS decisions_ad AFTER DELETE ON decisions BEGIN
-    INSERT INTO decisions_fts(decisions_fts, rowid, description, rationale, entity, fact_key, fact_value, tags)
-    VALUES ('delete', old.rowid, old.description, old.rationale, old.entity, old.fact_key, old.fact_value, old.tags);
+    INSERT INTO decisions_fts(decisions_fts, rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES ('delete', old.rowid, old.description, old.rationale, old.entity, old.fact_key, old.fact_value, old.tags, old.search_tokens);
 END;
 
 CREATE TRIGGER IF NOT EXISTS decisions_au AFTER UPDATE ON decisions BEGIN
-    INSERT INTO decisions_fts(decisions_fts, rowid, description, rationale, entity, fact_key, fact_value, tags)
-    VALUES ('delete', old.rowid, old.description, old.rationale, old.entity, old.fact_key, old.fact_value, old.tags);
-    INSERT INTO decisions_fts(rowid, description, rationale, entity, fact_key, fact_value, tags)
-    VALUES (new.rowid, new.description, new.rationale, new.entity, new.fact_key, new.fact_value, new.tags);
+    INSERT INTO decisions_fts(decisions_fts, rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES ('delete', old.rowid, old.description, old.rationale, old.entity, old.fact_key, old.fact_value, old.tags, old.search_tokens);
+    INSERT INTO decisions_fts(rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES (new.rowid, new.description, new.rationale, new.entity, new.fact_key, new.fact_value, new.tags, new.search_tokens);
 END;
 
 CREATE TABLE IF NOT EXISTS vectors (
@@ -166,14 +210,17 @@ CREATE TABLE IF NOT EXISTS vectors (
     text_content TEXT NOT NULL,
     embedding TEXT NOT NULL,
     model TEXT NOT NULL,
-    created_at INTEGER NOT NULL
+    created_at INTEGER NOT NULL,
+    namespace TEXT NOT NULL DEFAULT 'default'
 );
 
 CREATE TABLE IF NOT EXISTS entities (
-    name TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
     display_name TEXT NOT NULL,
     added_by TEXT NOT NULL DEFAULT 'runtime',
-    added_at INTEGER NOT NULL DEFAULT (CAST(strftime('%s','now') AS INTEGER) * 1000)
+    added_at INTEGER NOT NULL DEFAULT (CAST(strftime('%s','now') AS INTEGER) * 1000),
+    namespace TEXT NOT NULL DEFAULT 'default',
+    PRIMARY KEY (namespace, name)
 );
 
 CREATE TABLE IF NOT EXISTS security_events (
@@ -185,7 +232,11 @@ CREATE TABLE IF NOT EXISTS security_events (
     fact_key TEXT,
     fact_value TEXT,
     matched_pattern TEXT,
-    source_snippet TEXT
+    source_snippet TEXT,
+    risk_score REAL,
+    risk_breakdown TEXT,
+    namespace TEXT,
+    review_status TEXT
 );
 
 CREATE INDEX IF NOT EXISTS idx_security_events_timestamp ON security_events(timestamp);
@@ -225,6 +276,11 @@ export function getSchemaVersion(dbPath) {
   }
 }
 
+/** Whether a table has a column; new databases get some columns from ensureTables that migrations add to older ones. */
+function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === column);
+}
+
 /** All migrations in order. Each has a version and an up() function. */
 const MIGRATIONS = [
   {
@@ -299,6 +355,474 @@ CREATE INDEX IF NOT EXISTS idx_pipeline_triggers_enabled ON pipeline_triggers(en
       `.trim());
     },
   },
+  {
+    version: 2,
+    description: "Forgotten fact tombstones",
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS decision_tombstones (
+    id TEXT PRIMARY KEY,
+    batch_id TEXT NOT NULL,
+    decision_id TEXT NOT NULL,
+    entity TEXT,
+    fact_key TEXT,
+    fact_value TEXT,
+    row_data TEXT NOT NULL,
+    reason TEXT,
+    forgotten_at INTEGER NOT NULL,
+    undo_until INTEGER NOT NULL,
+    restored_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_tombstones_batch ON decision_tombstones(batch_id);
+CREATE INDEX IF NOT EXISTS idx_tombstones_fact ON decision_tombstones(entity, fact_key);
+      `.trim());
+    },
+  },
+  {
+    version: 3,
+    description: "Fact revision history",
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS decision_revisions (
+    id TEXT PRIMARY KEY,
+    decision_id TEXT NOT NULL,
+    entity TEXT,
+    fact_key TEXT,
+    fact_value TEXT,
+    source_role TEXT,
+    session_id TEXT,
+    created_at INTEGER NOT NULL,
+    superseded_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_revisions_decision ON decision_revisions(decision_id);
+CREATE INDEX IF NOT EXISTS idx_revisions_fact ON decision_revisions(entity, fact_key);
+      `.trim());
+    },
+  },
+  {
+    version: 4,
+    description: "Fact conflict queue",
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS fact_conflicts (
+    id TEXT PRIMARY KEY,
+    decision_id TEXT NOT NULL,
+    entity TEXT,
+    fact_key TEXT,
+    old_value TEXT,
+    old_source_role TEXT,
+    new_value TEXT NOT NULL,
+    new_source_role TEXT,
+    session_id TEXT,
+    lexical_distance REAL NOT NULL,
+    semantic_similarity REAL,
+    score REAL NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    detected_at INTEGER NOT NULL,
+    resolved_at INTEGER,
+    resolution_note TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_conflicts_status ON fact_conflicts(status);
+CREATE INDEX IF NOT EXISTS idx_conflicts_decision ON fact_conflicts(decision_id);
+      `.trim());
+    },
+  },
+  {
+    version: 5,
+    description: "Recall hit tracking and reinforcement runs",
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS decision_hits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    decision_id TEXT NOT NULL,
+    source TEXT NOT NULL,
+    hit_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_hits_decision ON decision_hits(decision_id, hit_at);
+CREATE INDEX IF NOT EXISTS idx_hits_time ON decision_hits(hit_at);
+
+CREATE TABLE IF NOT EXISTS reinforcement_runs (
+    id TEXT PRIMARY KEY,
+    ran_at INTEGER NOT NULL,
+    boosted INTEGER NOT NULL DEFAULT 0,
+    decayed INTEGER NOT NULL DEFAULT 0,
+    promoted INTEGER NOT NULL DEFAULT 0,
+    demoted INTEGER NOT NULL DEFAULT 0
+);
+      `.trim());
+    },
+  },
+  {
+    version: 6,
+    description: "Decision archive and eviction log",
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS decisions_archive (
+    id TEXT PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    category TEXT NOT NULL,
+    description TEXT NOT NULL,
+    rationale TEXT NOT NULL,
+    classification TEXT NOT NULL DEFAULT 'ARCHIVE',
+    importance REAL NOT NULL,
+    constraints TEXT,
+    affected_files TEXT,
+    tags TEXT,
+    created_at DATETIME,
+    ttl_class TEXT,
+    expires_at INTEGER,
+    last_accessed_at INTEGER,
+    entity TEXT,
+    fact_key TEXT,
+    fact_value TEXT,
+    archived_at INTEGER NOT NULL,
+    archive_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_archive_entity ON decisions_archive(entity, fact_key);
+CREATE INDEX IF NOT EXISTS idx_archive_time ON decisions_archive(archived_at);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS decisions_archive_fts USING fts5(
+    description, rationale, entity, fact_key, fact_value, tags,
+    content='decisions_archive', content_rowid='rowid'
+);
+
+CREATE TRIGGER IF NOT EXISTS decisions_archive_ai AFTER INSERT ON decisions_archive BEGIN
+    INSERT INTO decisions_archive_fts(rowid, description, rationale, entity, fact_key, fact_value, tags)
+    VALUES (new.rowid, new.description, new.rationale, new.entity, new.fact_key, new.fact_value, new.tags);
+END;
+
+CREATE TRIGGER IF NOT EXISTS decisions_archive_ad AFTER DELETE ON decisions_archive BEGIN
+    INSERT INTO decisions_archive_fts(decisions_archive_fts, rowid, description, rationale, entity, fact_key, fact_value, tags)
+    VALUES ('delete', old.rowid, old.description, old.rationale, old.entity, old.fact_key, old.fact_value, old.tags);
+END;
+
+CREATE TABLE IF NOT EXISTS eviction_log (
+    id TEXT PRIMARY KEY,
+    decision_id TEXT NOT NULL,
+    entity TEXT,
+    fact_key TEXT,
+    fact_value TEXT,
+    description TEXT,
+    ttl_class TEXT,
+    importance REAL,
+    quota TEXT NOT NULL,
+    quota_limit INTEGER NOT NULL,
+    source TEXT,
+    evicted_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_eviction_time ON eviction_log(evicted_at);
+      `.trim());
+    },
+  },
+  {
+    version: 7,
+    description: "Float32 BLOB embeddings",
+    up(db) {
+      // Convert JSON-array embeddings to little-endian Float32 BLOBs (4 bytes
+      // per dimension). SQLite keeps BLOBs as-is in the TEXT-declared column.
+      const update = db.prepare(`UPDATE vectors SET embedding = ? WHERE id = ?`);
+      const drop = db.prepare(`DELETE FROM vectors WHERE id = ?`);
+      for (const row of db.prepare(`SELECT id, embedding FROM vectors WHERE typeof(embedding) = 'text'`).all()) {
+        let values;
+        try { values = JSON.parse(row.embedding); } catch { values = null; }
+        // Unreadable rows are dropped; the embedding backfill recreates them
+        if (!Array.isArray(values) || values.length === 0) { drop.run(row.id); continue; }
+        update.run(Buffer.from(new Float32Array(values).buffer), row.id);
+      }
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_vectors_model ON vectors(model)`);
+    },
+  },
+  {
+    version: 8,
+    description: "Provider-qualified embedding model names",
+    up(db) {
+      // vectors.model is now "<provider>:<model>"; every earlier row came from Ollama
+      db.exec(`
+UPDATE vectors SET model = 'ollama:' || model
+WHERE model NOT LIKE 'ollama:%' AND model NOT LIKE 'openai:%' AND model NOT LIKE 'local:%';
+      `.trim());
+    },
+  },
+  {
+    version: 9,
+    description: "Re-embedding jobs",
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS reembed_jobs (
+    id TEXT PRIMARY KEY,
+    target_model TEXT NOT NULL,
+    status TEXT NOT NULL,
+    total INTEGER NOT NULL DEFAULT 0,
+    done INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    pruned INTEGER NOT NULL DEFAULT 0,
+    started_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    finished_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_reembed_started ON reembed_jobs(started_at);
+      `.trim());
+    },
+  },
+  {
+    version: 10,
+    description: "Embedding cache",
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS embedding_cache (
+    model TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    embedding BLOB NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_used_at INTEGER NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (model, content_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_embedding_cache_used ON embedding_cache(last_used_at);
+      `.trim());
+    },
+  },
+  {
+    version: 11,
+    description: "Long-form documents and chunks",
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS documents (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    source TEXT,
+    content_hash TEXT NOT NULL,
+    chars INTEGER NOT NULL,
+    chunk_count INTEGER NOT NULL,
+    tags TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_documents_source ON documents(source);
+CREATE INDEX IF NOT EXISTS idx_documents_title ON documents(title);
+
+CREATE TABLE IF NOT EXISTS document_chunks (
+    id TEXT PRIMARY KEY,
+    document_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    start_offset INTEGER NOT NULL,
+    end_offset INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_chunks_document ON document_chunks(document_id, seq);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS document_chunks_fts USING fts5(
+    chunk_id UNINDEXED, title, content
+);
+
+CREATE TABLE IF NOT EXISTS chunk_vectors (
+    chunk_id TEXT NOT NULL,
+    model TEXT NOT NULL,
+    embedding BLOB NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (chunk_id, model)
+);
+      `.trim());
+    },
+  },
+  {
+    version: 12,
+    description: "Vault sync state",
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS vault_files (
+    file TEXT PRIMARY KEY,
+    entity TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    fact_keys TEXT NOT NULL,
+    synced_at INTEGER NOT NULL
+);
+      `.trim());
+    },
+  },
+  {
+    version: 13,
+    description: "Memory namespaces",
+    up(db) {
+      // New databases get these columns from ensureTables; older ones gain them here
+      for (const table of ["decisions", "decisions_archive", "vectors", "decision_revisions", "eviction_log", "pipelines"]) {
+        if (!hasColumn(db, table, "namespace")) db.exec(`ALTER TABLE ${table} ADD COLUMN namespace TEXT NOT NULL DEFAULT 'default'`);
+      }
+      // The same entity name can be known in several namespaces
+      if (!hasColumn(db, "entities", "namespace")) {
+        db.exec(`
+CREATE TABLE entities_new (
+    name TEXT NOT NULL,
+    display_name TEXT NOT NULL,
+    added_by TEXT NOT NULL DEFAULT 'runtime',
+    added_at INTEGER NOT NULL DEFAULT (CAST(strftime('%s','now') AS INTEGER) * 1000),
+    namespace TEXT NOT NULL DEFAULT 'default',
+    PRIMARY KEY (namespace, name)
+);
+INSERT INTO entities_new (name, display_name, added_by, added_at) SELECT name, display_name, added_by, added_at FROM entities;
+DROP TABLE entities;
+ALTER TABLE entities_new RENAME TO entities;
+        `.trim());
+      }
+      db.exec(`
+CREATE INDEX IF NOT EXISTS idx_decisions_namespace ON decisions(namespace, entity, fact_key);
+CREATE INDEX IF NOT EXISTS idx_vectors_namespace ON vectors(namespace);
+CREATE INDEX IF NOT EXISTS idx_pipelines_namespace ON pipelines(namespace, status);
+
+-- Vectors follow their decision's namespace, whichever path writes them
+CREATE TRIGGER IF NOT EXISTS vectors_namespace AFTER INSERT ON vectors BEGIN
+    UPDATE vectors SET namespace = COALESCE((SELECT namespace FROM decisions WHERE id = new.decision_id), 'default')
+    WHERE id = new.id;
+END;
+      `.trim());
+    },
+  },
+  {
+    version: 14,
+    description: "Sensitivity labels and read audit",
+    up(db) {
+      for (const table of ["decisions", "decisions_archive"]) {
+        if (!hasColumn(db, table, "sensitivity")) db.exec(`ALTER TABLE ${table} ADD COLUMN sensitivity TEXT NOT NULL DEFAULT 'internal'`);
+      }
+      db.exec(`
+-- Credentials stored before labels existed stop being recalled; new facts are labelled as they are written
+UPDATE decisions SET sensitivity = 'secret'
+WHERE sensitivity = 'internal' AND fact_key IS NOT NULL
+  AND (lower(fact_key) LIKE '%password%' OR lower(fact_key) LIKE '%passwd%' OR lower(fact_key) LIKE '%api_key%'
+       OR lower(fact_key) LIKE '%apikey%' OR lower(fact_key) LIKE '%secret%' OR lower(fact_key) LIKE '%token%'
+       OR lower(fact_key) LIKE '%credential%' OR lower(fact_key) LIKE '%private_key%');
+
+CREATE TABLE IF NOT EXISTS read_audit (
+    id INTEGER PRIMARY KEY,
+    read_at INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    read_by TEXT,
+    decision_id TEXT NOT NULL,
+    entity TEXT,
+    fact_key TEXT,
+    sensitivity TEXT NOT NULL,
+    namespace TEXT,
+    query TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_read_audit_time ON read_audit(read_at);
+CREATE INDEX IF NOT EXISTS idx_read_audit_decision ON read_audit(decision_id);
+      `.trim());
+    },
+  },
+  {
+    version: 15,
+    description: "Field encryption state and search_tokens FTS column",
+    up(db) {
+      for (const table of ["decisions", "decisions_archive"]) {
+        if (!hasColumn(db, table, "search_tokens")) db.exec(`ALTER TABLE ${table} ADD COLUMN search_tokens TEXT`);
+      }
+      // Both FTS tables gain search_tokens; the archive also gains an update trigger for re-sealing
+      db.exec(`
+DROP TRIGGER IF EXISTS decisions_ai;
+DROP TRIGGER IF EXISTS decisions_ad;
+DROP TRIGGER IF EXISTS decisions_au;
+DROP TABLE IF EXISTS decisions_fts;
+
+CREATE VIRTUAL TABLE decisions_fts USING fts5(
+    description, rationale, entity, fact_key, fact_value, tags, search_tokens,
+    content='decisions', content_rowid='rowid'
+);
+
+CREATE TRIGGER decisions_ai AFTER INSERT ON decisions BEGIN
+    INSERT INTO decisions_fts(rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES (new.rowid, new.description, new.rationale, new.entity, new.fact_key, new.fact_value, new.tags, new.search_tokens);
+END;
+
+CREATE TRIGGER decisions_ad AFTER DELETE ON decisions BEGIN
+    INSERT INTO decisions_fts(decisions_fts, rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES ('delete', old.rowid, old.description, old.rationale, old.entity, old.fact_key, old.fact_value, old.tags, old.search_tokens);
+END;
+
+CREATE TRIGGER decisions_au AFTER UPDATE ON decisions BEGIN
+    INSERT INTO decisions_fts(decisions_fts, rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES ('delete', old.rowid, old.description, old.rationale, old.entity, old.fact_key, old.fact_value, old.tags, old.search_tokens);
+    INSERT INTO decisions_fts(rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES (new.rowid, new.description, new.rationale, new.entity, new.fact_key, new.fact_value, new.tags, new.search_tokens);
+END;
+
+INSERT INTO decisions_fts(decisions_fts) VALUES ('rebuild');
+
+DROP TRIGGER IF EXISTS decisions_archive_ai;
+DROP TRIGGER IF EXISTS decisions_archive_ad;
+DROP TRIGGER IF EXISTS decisions_archive_au;
+DROP TABLE IF EXISTS decisions_archive_fts;
+
+CREATE VIRTUAL TABLE decisions_archive_fts USING fts5(
+    description, rationale, entity, fact_key, fact_value, tags, search_tokens,
+    content='decisions_archive', content_rowid='rowid'
+);
+
+CREATE TRIGGER decisions_archive_ai AFTER INSERT ON decisions_archive BEGIN
+    INSERT INTO decisions_archive_fts(rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES (new.rowid, new.description, new.rationale, new.entity, new.fact_key, new.fact_value, new.tags, new.search_tokens);
+END;
+
+CREATE TRIGGER decisions_archive_ad AFTER DELETE ON decisions_archive BEGIN
+    INSERT INTO decisions_archive_fts(decisions_archive_fts, rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES ('delete', old.rowid, old.description, old.rationale, old.entity, old.fact_key, old.fact_value, old.tags, old.search_tokens);
+END;
+
+CREATE TRIGGER decisions_archive_au AFTER UPDATE ON decisions_archive BEGIN
+    INSERT INTO decisions_archive_fts(decisions_archive_fts, rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES ('delete', old.rowid, old.description, old.rationale, old.entity, old.fact_key, old.fact_value, old.tags, old.search_tokens);
+    INSERT INTO decisions_archive_fts(rowid, description, rationale, entity, fact_key, fact_value, tags, search_tokens)
+    VALUES (new.rowid, new.description, new.rationale, new.entity, new.fact_key, new.fact_value, new.tags, new.search_tokens);
+END;
+
+INSERT INTO decisions_archive_fts(decisions_archive_fts) VALUES ('rebuild');
+
+-- Key id and search mode the encrypted columns were last sealed with
+CREATE TABLE IF NOT EXISTS encryption_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    key_id TEXT NOT NULL,
+    search TEXT NOT NULL,
+    sealed_at INTEGER NOT NULL
+);
+      `.trim());
+    },
+  },
+  {
+    version: 16,
+    description: "Injection risk scores and the quarantine queue",
+    up(db) {
+      const columns = { risk_score: "REAL", risk_breakdown: "TEXT", namespace: "TEXT", review_status: "TEXT" };
+      for (const [column, type] of Object.entries(columns)) {
+        if (!hasColumn(db, "security_events", column)) db.exec(`ALTER TABLE security_events ADD COLUMN ${column} ${type}`);
+      }
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_security_events_review ON security_events(review_status)`);
+    },
+  },
+  {
+    version: 17,
+    description: "Document namespaces",
+    up(db) {
+      // Documents from before this migration were cited to every agent; they stay with the default one
+      for (const table of ["documents", "document_chunks"]) {
+        if (!hasColumn(db, table, "namespace")) db.exec(`ALTER TABLE ${table} ADD COLUMN namespace TEXT NOT NULL DEFAULT 'default'`);
+      }
+      db.exec(`
+CREATE INDEX IF NOT EXISTS idx_documents_namespace ON documents(namespace, source);
+CREATE INDEX IF NOT EXISTS idx_chunks_namespace ON document_chunks(namespace);
+      `.trim());
+    },
+  },
 ];
 
 /**
@@ -350,3 +874,61 @@ export function closeAllConnections() {
   }
   dbConnections.clear();
 }
+
+/**
+ * Copy a live database to a file with SQLite's online backup API. Readers
+ * and writers keep working while pages are copied. The copy is switched to
+ * a rollback journal so it is one self-contained file (no -wal/-shm).
+ * @param {string} dbPath
+ * @param {string} destination - File to create (overwritten if present)
+ * @returns {Promise<{ totalPages: number, remainingPages: number }>}
+ */
+export async function backupDatabase(dbPath, destination) {
+  const progress = await getDb(dbPath).backup(destination);
+  const copy = new Database(destination);
+  try {
+    copy.pragma("journal_mode = DELETE");
+  } finally {
+    copy.close();
+  }
+  return progress;
+}
+
+/**
+ * Run FTS5's integrity-check on an external-content table. With rank = 1 it
+ * also compares the index with the content table, so drift fails the check.
+ * Failure is an expected answer here, so it isn't logged.
+ * @param {string} dbPath
+ * @param {string} table - FTS5 table name (internal, not user input)
+ * @returns {{ ok: boolean, error?: string }}
+ */
+export function checkFtsIndex(dbPath, table) {
+  try {
+    getDb(dbPath).prepare(`INSERT INTO ${table}(${table}, rank) VALUES ('integrity-check', 1)`).run();
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+/**
+ * Open a database file read-only, outside the connection pool, and verify it.
+ * @param {string} file
+ * @returns {{ ok: boolean, error?: string, schemaVersion?: number, decisions?: number }}
+ */
+export function inspectDatabaseFile(file) {
+  let db;
+  try {
+    db = new Database(file, { readonly: true, fileMustExist: true });
+    const integrity = db.pragma("integrity_check", { simple: true });
+    if (integrity !== "ok") return { ok: false, error: `integrity check failed: ${integrity}` };
+    const hasVersions = db.prepare(`SELECT 1 FROM sqlite_master WHERE type='table' AND name='schema_version'`).get();
+    const schemaVersion = hasVersions ? db.prepare(`SELECT MAX(version) AS v FROM schema_version`).get()?.v || 0 : 0;
+    const decisions = db.prepare(`SELECT COUNT(*) AS cnt FROM decisions`).get().cnt;
+    return { ok: true, schemaVersion, decisions };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  } finally {
+    try { db?.close(); } catch {}
+  }
+}
@@ -1,4 +1,5 @@
 import { sqliteQuery } from "./sqlite.js";
+import { stopWordsFor } from "./languages.js";
 import fs from "node:fs";
 import path from "node:path";
 
@@ -22,17 +23,21 @@ export const STOP_WORDS = new Set([
 
 /**
  * Extract a topic signature from text — top 5 significant words.
+ * Stop words of every enabled language pack are left out, so replies that
+ * mix languages don't turn function words into topics.
  * @param {string} text
+ * @param {string[]} [languages=["en"]] - Enabled language codes
  * @returns {string|null}
  */
-export function extractTopicSignature(text) {
+export function extractTopicSignature(text, languages = ["en"]) {
   if (!text || text.length < 30) return null;
+  const stopWords = stopWordsFor(languages);
 
   const words = text
     .toLowerCase()
-    .replace(/[^\w\s]/g, " ")
+    .replace(/[^\p{L}\p{N}_\s]/gu, " ")
     .split(/\s+/)
-    .filter(w => w.length > 3 && !STOP_WORDS.has(w));
+    .filter(w => w.length > 3 && !stopWords.has(w));
 
   const freq = {};
   for (const w of words) {
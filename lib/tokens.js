@@ -0,0 +1,143 @@
+// ============================================================================
+// Offline token estimation (BPE-style approximation, per-model profiles)
+// ============================================================================
+
+/**
+ * Per-model tokenizer profiles.
+ * - charsPerToken: ASCII letters per token within a word (long words split)
+ * - digitsPerToken: digits per token (1 for tokenizers that split every digit)
+ * - nonAsciiPerToken: non-ASCII letters per token (CJK, accented text)
+ * - contextWindow: model context size in tokens
+ */
+export const MODEL_PROFILES = {
+  default: { charsPerToken: 4.0, digitsPerToken: 3, nonAsciiPerToken: 1.0, contextWindow: 120000 },
+  gpt: { charsPerToken: 4.2, digitsPerToken: 3, nonAsciiPerToken: 1.2, contextWindow: 128000 },
+  claude: { charsPerToken: 3.8, digitsPerToken: 3, nonAsciiPerToken: 1.0, contextWindow: 200000 },
+  llama: { charsPerToken: 4.0, digitsPerToken: 1, nonAsciiPerToken: 1.0, contextWindow: 128000 },
+  gemini: { charsPerToken: 4.0, digitsPerToken: 1, nonAsciiPerToken: 1.5, contextWindow: 1000000 },
+  mistral: { charsPerToken: 3.6, digitsPerToken: 1, nonAsciiPerToken: 1.0, contextWindow: 128000 },
+  qwen: { charsPerToken: 4.0, digitsPerToken: 1, nonAsciiPerToken: 1.4, contextWindow: 128000 },
+};
+
+/** Pre-tokenizer: letter runs, digit runs, whitespace runs, single symbols. */
+const PIECE_PATTERN = /\p{L}+|\p{N}+|\s+|[^\s\p{L}\p{N}]/gu;
+
+/** Profile families matched against model ids like "anthropic/claude-sonnet-4". */
+const FAMILY_PATTERNS = [
+  [/gpt|openai|\bo[134]\b/i, "gpt"],
+  [/claude|anthropic/i, "claude"],
+  [/llama/i, "llama"],
+  [/gemini|gemma/i, "gemini"],
+  [/mistral|mixtral/i, "mistral"],
+  [/qwen/i, "qwen"],
+];
+
+/**
+ * Find the profile for a model id. Unknown models get the default profile.
+ * @param {string} [model]
+ * @returns {{ name: string, profile: object }}
+ */
+export function resolveModelProfile(model) {
+  if (model && MODEL_PROFILES[model]) return { name: model, profile: MODEL_PROFILES[model] };
+  for (const [pattern, name] of FAMILY_PATTERNS) {
+    if (model && pattern.test(model)) return { name, profile: MODEL_PROFILES[name] };
+  }
+  return { name: "default", profile: MODEL_PROFILES.default };
+}
+
+/**
+ * Estimate the token count of a string with a profile.
+ * Mirrors how BPE tokenizers split text: a single space joins the following
+ * word, common short words are one token, long words and numbers split into
+ * pieces, and each symbol is a token of its own.
+ *
+ * @param {string} text
+ * @param {object} [profile=MODEL_PROFILES.default]
+ * @returns {number}
+ */
+export function estimateTokens(text, profile = MODEL_PROFILES.default) {
+  if (!text || typeof text !== "string") return 0;
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PIECE_PATTERN)) {
+    const c = piece.charCodeAt(0);
+    if (/\s/.test(piece[0])) {
+      // A lone space is absorbed by the next word; runs and newlines cost extra
+      if (piece.length > 1 || c === 10) tokens += Math.ceil(piece.length / 4);
+    } else if (/\p{N}/u.test(piece[0])) {
+      tokens += Math.ceil(piece.length / profile.digitsPerToken);
+    } else if (/\p{L}/u.test(piece[0])) {
+      let ascii = 0;
+      for (let i = 0; i < piece.length; i++) if (piece.charCodeAt(i) < 128) ascii++;
+      const nonAscii = piece.length - ascii;
+      tokens += Math.max(1, Math.ceil(ascii / profile.charsPerToken + nonAscii / profile.nonAsciiPerToken));
+    } else {
+      tokens += c < 128 ? 1 : Math.ceil(1 / profile.nonAsciiPerToken);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Create a token estimator.
+ * Accepts a model id, a profile object (merged over the default profile) or
+ * a custom estimator with its own count(text) function.
+ *
+ * @param {string|object} [spec]
+ * @returns {{ model: string, contextWindow: number, count: Function, fromChars: Function }}
+ */
+export function createTokenEstimator(spec) {
+  if (spec && typeof spec === "object" && typeof spec.count === "function") {
+    return {
+      model: spec.model || "custom",
+      contextWindow: spec.contextWindow || MODEL_PROFILES.default.contextWindow,
+      count: spec.count,
+      fromChars: spec.fromChars || ((n) => Math.ceil(n / MODEL_PROFILES.default.charsPerToken)),
+    };
+  }
+
+  let name, profile;
+  if (spec && typeof spec === "object") {
+    const base = resolveModelProfile(spec.model);
+    name = spec.model || base.name;
+    profile = { ...base.profile, ...spec };
+  } else {
+    ({ name, profile } = resolveModelProfile(spec));
+    if (spec) name = spec;
+  }
+
+  return {
+    model: name,
+    contextWindow: profile.contextWindow,
+    /** @param {string} text */
+    count: (text) => estimateTokens(text, profile),
+    /** Rough token count for a length in chars when the text itself isn't available. */
+    fromChars: (n) => Math.ceil(n / profile.charsPerToken),
+  };
+}
+
+/**
+ * Estimate the tokens held by a list of chat messages.
+ * Handles string content and arrays of { type: "text", text } blocks,
+ * plus a small per-message overhead for role and framing.
+ *
+ * @param {Array} messages
+ * @param {object} estimator - From createTokenEstimator
+ * @returns {number}
+ */
+export function countMessageTokens(messages, estimator) {
+  if (!Array.isArray(messages)) return 0;
+  let tokens = 0;
+  for (const msg of messages) {
+    if (!msg) continue;
+    tokens += 4;
+    const content = msg.content;
+    if (typeof content === "string") {
+      tokens += estimator.count(content);
+    } else if (Array.isArray(content)) {
+      for (const block of content) {
+        if (block?.type === "text" && typeof block.text === "string") tokens += estimator.count(block.text);
+      }
+    }
+  }
+  return tokens;
+}
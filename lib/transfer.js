@@ -0,0 +1,468 @@
+// ============================================================================
+// Export/import: a versioned JSON Lines format for decisions, entities,
+// vectors and security events, with merge strategies on import
+// ============================================================================
+
+import { randomUUID } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { sqliteQuery, sqliteExec, sanitizeValue } from "./sqlite.js";
+import { checkInjection, logSecurityEvent, REVIEW_STATUSES } from "./security.js";
+import { commitRevision } from "./history.js";
+import { supersedeConflicts } from "./conflicts.js";
+import { isTombstoned } from "./forget.js";
+import { makeRoom, resolveQuotas } from "./quotas.js";
+import { addEntityToDb } from "./entities.js";
+import { DEFAULT_NAMESPACE, sanitizeNamespace, namespaceFilter } from "./namespaces.js";
+import { SENSITIVITY_LEVELS, resolveAccessConfig, classifySensitivity, sensitivityFilter } from "./access.js";
+import { encodeEmbedding, decodeEmbedding, insertEmbedding, embeddingText, deleteVectors } from "./embeddings.js";
+import { resolveDocumentPath, isProtectedPath } from "./documents.js";
+import { sealField, sealDecision } from "./encryption.js";
+
+/** `format` field of the header line. */
+export const EXPORT_FORMAT = "lily-memory-export";
+
+/** Current format version. Imports refuse files from a newer version. */
+export const EXPORT_FORMAT_VERSION = 1;
+
+/** Directory under the memory directory that exports default to. */
+export const DEFAULT_EXPORT_DIR = "exports";
+
+/** How an imported decision is merged with a matching one. */
+export const MERGE_STRATEGIES = ["skip", "overwrite", "newest-wins", "keep-both"];
+
+const TTL_CLASSES = new Set(["permanent", "stable", "active", "session"]);
+
+/** Decision columns carried in an export, in table order. */
+const DECISION_COLUMNS = [
+  "id", "session_id", "timestamp", "category", "description", "rationale", "classification",
+  "importance", "constraints", "affected_files", "tags", "ttl_class", "expires_at",
+  "last_accessed_at", "entity", "fact_key", "fact_value", "namespace", "sensitivity",
+];
+
+/**
+ * Parse a date filter: epoch milliseconds or anything Date.parse accepts.
+ * @param {number|string|undefined} value
+ * @returns {number|null|undefined} null when unset, undefined when invalid
+ */
+export function parseDateFilter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+  const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(ms) ? undefined : ms;
+}
+
+/**
+ * Resolve where an export is written: relative paths are taken from the
+ * memory directory, and the result must stay inside it (symlinked parent
+ * directories included). Parent directories are created.
+ * @param {string} memoryDir
+ * @param {string} [filePath] - Default: exports/lily-memory-<timestamp>.jsonl
+ * @param {number} [nowMs]
+ * @param {string[]} [protectedPaths] - Files and directories an export may not overwrite
+ * @returns {{ path: string }|{ error: string }}
+ */
+export function resolveExportPath(memoryDir, filePath, nowMs = Date.now(), protectedPaths = []) {
+  const stamp = new Date(nowMs).toISOString().replace(/[-:]/g, "").replace(/\..*$/, "");
+  const target = path.resolve(memoryDir, filePath || path.join(DEFAULT_EXPORT_DIR, `lily-memory-${stamp}.jsonl`));
+  const inside = (p, root) => {
+    const rel = path.relative(root, p);
+    return rel !== "" && !rel.startsWith("..") && !path.isAbsolute(rel);
+  };
+  if (!inside(target, path.resolve(memoryDir))) return { error: `path must be inside the memory directory (${memoryDir})` };
+  try {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const realParent = fs.realpathSync(path.dirname(target));
+    const realRoot = fs.realpathSync(memoryDir);
+    if (realParent !== realRoot && !inside(realParent, realRoot)) return { error: `path must be inside the memory directory (${memoryDir})` };
+    if (fs.existsSync(target) && fs.lstatSync(target).isSymbolicLink()) return { error: "path is a symlink" };
+    if (isProtectedPath(path.join(realParent, path.basename(target)), protectedPaths)) return { error: `${filePath} is the memory database, its key or a backup` };
+  } catch (err) {
+    return { error: err.message };
+  }
+  return { path: target };
+}
+
+/**
+ * Read an export file from inside the memory directory.
+ * @param {string} memoryDir
+ * @param {string} filePath - Relative to or inside memoryDir
+ * @param {string[]} [protectedPaths] - Files and directories that are refused
+ * @returns {{ text?: string, path?: string, error?: string }}
+ */
+export function readExportFile(memoryDir, filePath, protectedPaths = []) {
+  const resolved = resolveDocumentPath(memoryDir, filePath, protectedPaths);
+  if (resolved.error) return resolved;
+  if (!fs.statSync(resolved.path).isFile()) return { error: `${filePath} is not a file` };
+  return { text: fs.readFileSync(resolved.path, "utf-8"), path: resolved.path };
+}
+
+/**
+ * Write live decisions, runtime entities, their vectors and security events
+ * to a JSONL file. The first line is a header with the format version,
+ * filters and per-type counts; every other line is one record with a `type`.
+ *
+ * @param {string} dbPath
+ * @param {string} filePath - Destination (see resolveExportPath)
+ * @param {object} [filters]
+ * @param {string} [filters.entity] - Only this entity's facts (case-insensitive)
+ * @param {string} [filters.ttl] - Only this ttl class
+ * @param {number} [filters.since] - Only decisions/events at or after this time (ms)
+ * @param {number} [filters.until] - Only decisions/events before this time (ms)
+ * @param {boolean} [filters.vectors=true] - Include embeddings
+ * @param {string[]|null} [filters.namespaces] - Only decisions, entities and security events in these namespaces (default: all)
+ * @param {boolean} [filters.includeSecret=false] - Also write facts labelled secret
+ * @param {number} [filters.nowMs]
+ * @returns {{ path: string, counts: { decisions: number, entities: number, vectors: number, security_events: number }, decisionIds: string[] }}
+ */
+export function exportMemories(dbPath, filePath, filters = {}) {
+  const nowMs = filters.nowMs ?? Date.now();
+  const where = ["(expires_at IS NULL OR expires_at > ?)"];
+  const params = [nowMs];
+  if (filters.entity) { where.push("lower(entity) = lower(?)"); params.push(filters.entity); }
+  if (filters.ttl) { where.push("ttl_class = ?"); params.push(filters.ttl); }
+  if (filters.since != null) { where.push("timestamp >= ?"); params.push(filters.since); }
+  if (filters.until != null) { where.push("timestamp < ?"); params.push(filters.until); }
+  const scope = namespaceFilter(filters.namespaces);
+  where.push(scope.sql);
+  params.push(...scope.params);
+  const sec = sensitivityFilter(filters.includeSecret);
+  where.push(sec.sql);
+  params.push(...sec.params);
+
+  const decisions = sqliteQuery(dbPath,
+    `SELECT ${DECISION_COLUMNS.join(", ")} FROM decisions WHERE ${where.join(" AND ")} ORDER BY timestamp, id`,
+    params
+  );
+
+  const entities = filters.entity
+    ? sqliteQuery(dbPath, `SELECT name, display_name, added_by, added_at, namespace FROM entities WHERE lower(name) = lower(?) AND ${scope.sql}`, [filters.entity, ...scope.params])
+    : sqliteQuery(dbPath, `SELECT name, display_name, added_by, added_at, namespace FROM entities WHERE ${scope.sql} ORDER BY namespace, name`, scope.params);
+
+  const vectors = [];
+  if (filters.vectors !== false) {
+    const ids = new Set(decisions.map((d) => d.id));
+    for (const row of sqliteQuery(dbPath, `SELECT decision_id, model, text_content, embedding, created_at FROM vectors ORDER BY decision_id, model`)) {
+      if (!ids.has(row.decision_id)) continue;
+      const embedding = decodeEmbedding(row.embedding);
+      if (!embedding) continue;
+      vectors.push({
+        decision_id: row.decision_id,
+        model: row.model,
+        text_content: row.text_content,
+        dims: embedding.length,
+        embedding: encodeEmbedding(embedding).toString("base64"),
+        created_at: row.created_at,
+      });
+    }
+  }
+
+  const eventWhere = ["1 = 1"];
+  const eventParams = [];
+  if (filters.entity) { eventWhere.push("lower(entity) = lower(?)"); eventParams.push(filters.entity); }
+  if (filters.since != null) { eventWhere.push("timestamp >= ?"); eventParams.push(filters.since); }
+  if (filters.until != null) { eventWhere.push("timestamp < ?"); eventParams.push(filters.until); }
+  const eventScope = namespaceFilter(filters.namespaces, "COALESCE(namespace, 'default')");
+  eventWhere.push(eventScope.sql);
+  eventParams.push(...eventScope.params);
+  // The ttl filter selects facts; events have no ttl class and are left out
+  const events = filters.ttl ? [] : sqliteQuery(dbPath,
+    `SELECT id, timestamp, event_type, source_role, entity, fact_key, fact_value, matched_pattern, source_snippet, risk_score, risk_breakdown, namespace, review_status
+     FROM security_events WHERE ${eventWhere.join(" AND ")} ORDER BY timestamp, id`,
+    eventParams
+  );
+
+  const counts = { decisions: decisions.length, entities: entities.length, vectors: vectors.length, security_events: events.length };
+  const header = {
+    type: "header",
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    exported_at: new Date(nowMs).toISOString(),
+    filters: {
+      entity: filters.entity || null,
+      ttl: filters.ttl || null,
+      since: filters.since ?? null,
+      until: filters.until ?? null,
+      vectors: filters.vectors !== false,
+      namespaces: filters.namespaces || null,
+      include_secret: !!filters.includeSecret,
+    },
+    counts,
+  };
+
+  const lines = [JSON.stringify(header)];
+  for (const d of decisions) lines.push(JSON.stringify({ type: "decision", ...d }));
+  for (const e of entities) lines.push(JSON.stringify({ type: "entity", ...e }));
+  for (const v of vectors) lines.push(JSON.stringify({ type: "vector", ...v }));
+  for (const ev of events) lines.push(JSON.stringify({ type: "security_event", ...ev }));
+
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, lines.join("\n") + "\n");
+  fs.renameSync(tmp, filePath);
+  return { path: filePath, counts, decisionIds: decisions.map((d) => d.id) };
+}
+
+/**
+ * Whether a text is a memory_export file, going by its header line.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isExportText(text) {
+  try { return JSON.parse(text.split("\n", 1)[0])?.format === EXPORT_FORMAT; } catch { return false; }
+}
+
+/**
+ * Validate and normalize an imported decision record.
+ * @returns {object|null} Column values, or null when unusable
+ */
+function normalizeDecision(rec, nowMs) {
+  const text = (v) => (v === null || v === undefined ? null : sanitizeValue(v));
+  const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+  const row = {
+    id: typeof rec.id === "string" && rec.id ? sanitizeValue(rec.id) : randomUUID(),
+    session_id: text(rec.session_id) || "import",
+    timestamp: num(rec.timestamp) ?? nowMs,
+    category: text(rec.category) || "manual",
+    description: text(rec.description),
+    rationale: text(rec.rationale) || "Imported",
+    classification: text(rec.classification) || "ARCHIVE",
+    importance: Math.max(0, Math.min(1, num(rec.importance) ?? 0.5)),
+    constraints: text(rec.constraints),
+    affected_files: text(rec.affected_files),
+    tags: text(rec.tags),
+    ttl_class: TTL_CLASSES.has(rec.ttl_class) ? rec.ttl_class : "active",
+    expires_at: num(rec.expires_at),
+    last_accessed_at: num(rec.last_accessed_at),
+    entity: text(rec.entity) || null,
+    fact_key: text(rec.fact_key) || null,
+    fact_value: text(rec.fact_value),
+    namespace: sanitizeNamespace(rec.namespace) || DEFAULT_NAMESPACE,
+    sensitivity: SENSITIVITY_LEVELS.includes(rec.sensitivity) ? rec.sensitivity : null,
+  };
+  if (row.ttl_class === "permanent") row.expires_at = null;
+  if (row.entity && row.fact_key) {
+    if (row.fact_value === null) return null;
+    row.description = row.description || `${row.entity}.${row.fact_key} = ${row.fact_value}`;
+  } else {
+    row.entity = row.fact_key = null;
+  }
+  return row.description ? row : null;
+}
+
+/**
+ * Validate an imported event's risk_breakdown: a JSON array of contributions.
+ * @returns {string|null} JSON to store, or null when unusable
+ */
+function importBreakdown(text) {
+  let contributions;
+  try { contributions = typeof text === "string" ? JSON.parse(text) : null; } catch { return null; }
+  if (!Array.isArray(contributions)) return null;
+  return JSON.stringify(contributions
+    .filter((c) => c && typeof c.signal === "string" && typeof c.weight === "number")
+    .map((c) => ({ signal: sanitizeValue(c.signal), weight: c.weight, detail: sanitizeValue(c.detail) })));
+}
+
+/**
+ * Import a JSONL export.
+ *
+ * Decisions are matched to live facts by entity+key within their namespace,
+ * and other decisions by id. Records keep the namespace they were exported
+ * from unless `namespace` puts them all in one. A match is merged by strategy: `skip` keeps the existing row,
+ * `overwrite` replaces it (keeping its id), `newest-wins` replaces it only
+ * when the imported row has a later timestamp, and `keep-both` inserts the
+ * imported row next to it. Unmatched decisions are inserted; expired ones
+ * and forgotten (tombstoned) facts are skipped.
+ *
+ * Every decision is checked with checkInjection as untrusted, user-sourced
+ * content, so protected entities and injection patterns are refused; blocked
+ * records are logged as security events with source role "import", and
+ * quarantined ones wait in memory_quarantine for review.
+ * Vectors are imported only for decisions written by this import, unless
+ * `reembed` is set (the caller then embeds `changed` itself). Security
+ * events are appended by id; entities are added when missing.
+ *
+ * @param {string} dbPath
+ * @param {string} text - File contents
+ * @param {object} [opts]
+ * @param {string} [opts.strategy="skip"] - One of MERGE_STRATEGIES
+ * @param {boolean} [opts.reembed=false] - Ignore the file's vectors
+ * @param {string} [opts.model] - Current embedding model; decisions that get a vector for it are left out of `changed`
+ * @param {object} [opts.quotas] - From resolveQuotas
+ * @param {string} [opts.namespace] - Write every record into this namespace
+ * @param {object} [opts.access] - From resolveAccessConfig; labels records exported without one
+ * @param {{ quarantine: number, block: number }} [opts.riskThresholds] - From resolveRiskThresholds
+ * @param {number} [opts.nowMs]
+ * @returns {{ error?: string, version?: number, inserted: number, updated: number, unchanged: number, skipped: number, blocked: Array<object>, invalid: number, entities: number, vectors: number, security_events: number, changed: Array<{ id: string, text: string }> }}
+ */
+export function importMemories(dbPath, text, opts = {}) {
+  const nowMs = opts.nowMs ?? Date.now();
+  const strategy = opts.strategy || "skip";
+  const quotas = opts.quotas || resolveQuotas();
+  const access = opts.access || resolveAccessConfig();
+  const report = { inserted: 0, updated: 0, unchanged: 0, skipped: 0, blocked: [], invalid: 0, entities: 0, vectors: 0, security_events: 0, changed: [] };
+
+  if (!MERGE_STRATEGIES.includes(strategy)) return { ...report, error: `unknown strategy "${strategy}" (use ${MERGE_STRATEGIES.join(", ")})` };
+
+  const records = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      if (rec && typeof rec === "object" && !Array.isArray(rec)) records.push(rec);
+      else report.invalid++;
+    } catch {
+      report.invalid++;
+    }
+  }
+
+  const header = records[0];
+  if (!header || header.type !== "header" || header.format !== EXPORT_FORMAT) return { ...report, error: "not a lily-memory export (missing header line)" };
+  if (!Number.isInteger(header.version) || header.version > EXPORT_FORMAT_VERSION) {
+    return { ...report, error: `export format version ${header.version} is newer than supported (${EXPORT_FORMAT_VERSION})` };
+  }
+  report.version = header.version;
+
+  // Imported decision id -> id it was written under
+  const written = new Map();
+  const vectorsFor = new Set();
+
+  for (const rec of records.slice(1)) {
+    if (rec.type === "decision") importDecision(rec);
+    else if (rec.type === "entity") {
+      if (typeof rec.name !== "string") { report.invalid++; continue; }
+      const namespace = opts.namespace || sanitizeNamespace(rec.namespace) || DEFAULT_NAMESPACE;
+      if (sqliteQuery(dbPath, `SELECT 1 FROM entities WHERE name = ? AND namespace = ?`, [rec.name, namespace]).length > 0) continue;
+      if (addEntityToDb(dbPath, rec.name, sanitizeValue(rec.added_by || "import"), namespace)) report.entities++;
+    } else if (rec.type === "security_event") {
+      if (typeof rec.id !== "string" || typeof rec.timestamp !== "number" || typeof rec.event_type !== "string") { report.invalid++; continue; }
+      // Only a quarantined fact has a review status, and only a known one
+      const reviewStatus = rec.review_status ?? null;
+      if (reviewStatus !== null && (rec.event_type !== "quarantined" || !REVIEW_STATUSES.includes(reviewStatus))) { report.invalid++; continue; }
+      if (sqliteQuery(dbPath, `SELECT 1 FROM security_events WHERE id = ?`, [rec.id]).length > 0) continue;
+      const namespace = opts.namespace || sanitizeNamespace(rec.namespace) || DEFAULT_NAMESPACE;
+      const ok = sqliteExec(dbPath,
+        `INSERT INTO security_events (id, timestamp, event_type, source_role, entity, fact_key, fact_value, matched_pattern, source_snippet, risk_score, risk_breakdown, namespace, review_status)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [rec.id, rec.timestamp, sanitizeValue(rec.event_type),
+         ...["source_role", "entity", "fact_key", "fact_value", "matched_pattern", "source_snippet"].map((k) => {
+           if (rec[k] == null) return null;
+           const value = sanitizeValue(rec[k]).substring(0, 200);
+           return k === "fact_value" || k === "source_snippet" ? sealField(dbPath, value) : value;
+         }),
+         typeof rec.risk_score === "number" ? rec.risk_score : null, importBreakdown(rec.risk_breakdown), namespace, reviewStatus]
+      );
+      if (ok) report.security_events++;
+    } else if (rec.type === "vector") {
+      if (opts.reembed) continue;
+      const id = written.get(rec.decision_id);
+      if (!id || typeof rec.model !== "string" || typeof rec.embedding !== "string") continue;
+      const embedding = decodeEmbedding(Buffer.from(rec.embedding, "base64"));
+      if (!embedding || (rec.dims && embedding.length !== rec.dims)) { report.invalid++; continue; }
+      const row = sqliteQuery(dbPath, `SELECT entity, fact_key, fact_value, description FROM decisions WHERE id = ?`, [id])[0];
+      // The vector must describe the row as stored, not whatever the file says
+      if (!row || embeddingText(row) !== rec.text_content) continue;
+      if (insertEmbedding(dbPath, sanitizeValue(rec.model), id, rec.text_content, embedding)) {
+        report.vectors++;
+        if (rec.model === opts.model) vectorsFor.add(id);
+      }
+    } else {
+      report.invalid++;
+    }
+  }
+
+  report.changed = report.changed.filter((c) => !vectorsFor.has(c.id));
+  return report;
+
+  function importDecision(rec) {
+    const row = normalizeDecision(rec, nowMs);
+    if (!row) { report.invalid++; return; }
+    if (opts.namespace) row.namespace = opts.namespace;
+    // Exports from before labels existed are labelled like newly captured facts
+    row.sensitivity = classifySensitivity(access, { entity: row.entity, key: row.fact_key, sensitivity: row.sensitivity });
+    if (row.expires_at !== null && row.expires_at <= nowMs) { report.skipped++; return; }
+
+    // Importing is an explicit tool call, like memory_store, so protected
+    // entities may be written; the record text is still scored as untrusted
+    const check = checkInjection(
+      { entity: row.entity || "", key: row.fact_key || "", value: row.fact_value ?? row.description },
+      "user", new Set(), true, opts.riskThresholds
+    );
+    if (check.blocked) {
+      logSecurityEvent(dbPath, {
+        eventType: check.reason,
+        sourceRole: "import",
+        entity: row.entity,
+        factKey: row.fact_key,
+        factValue: row.fact_value ?? row.description,
+        matchedPattern: check.pattern,
+        sourceSnippet: `import of decision ${row.id}`,
+        risk: check,
+        namespace: row.namespace,
+      });
+      report.blocked.push({ id: row.id, entity: row.entity, key: row.fact_key, reason: check.reason, pattern: check.pattern });
+      return;
+    }
+
+    const isFact = !!(row.entity && row.fact_key);
+    if (isFact && isTombstoned(dbPath, row.entity, row.fact_key, row.fact_value, row.namespace)) { report.skipped++; return; }
+
+    const existing = isFact
+      ? sqliteQuery(dbPath,
+          `SELECT * FROM decisions WHERE lower(entity) = lower(?) AND fact_key = ? AND namespace = ? AND (expires_at IS NULL OR expires_at > ?) ORDER BY timestamp DESC LIMIT 1`,
+          [row.entity, row.fact_key, row.namespace, nowMs])[0]
+      : sqliteQuery(dbPath, `SELECT * FROM decisions WHERE id = ? AND namespace = ?`, [row.id, row.namespace])[0];
+
+    if (existing) {
+      const same = isFact ? existing.fact_value === row.fact_value : existing.description === row.description;
+      if (same) { report.unchanged++; return; }
+      if (strategy === "skip" || (strategy === "newest-wins" && row.timestamp <= existing.timestamp)) { report.skipped++; return; }
+      if (strategy !== "keep-both") {
+        if (isFact) row.description = `${existing.entity}.${row.fact_key} = ${row.fact_value}`;
+        const columns = [...DECISION_COLUMNS.filter((c) => c !== "id" && c !== "entity"), "search_tokens"];
+        const sealed = sealDecision(dbPath, row);
+        const update = () => sqliteExec(dbPath,
+          `UPDATE decisions SET ${columns.map((c) => `${c} = ?`).join(", ")} WHERE id = ?`,
+          [...columns.map((c) => sealed[c]), existing.id]
+        );
+        const ok = isFact
+          ? commitRevision(dbPath, existing.id, { entity: existing.entity, key: row.fact_key, value: row.fact_value, sourceRole: "import", sessionId: row.session_id, timestamp: nowMs }, update)
+          : update();
+        if (!ok) { report.invalid++; return; }
+        if (isFact) supersedeConflicts(dbPath, existing.id);
+        // Vectors of the old text no longer describe the row
+        deleteVectors(dbPath, `decision_id = ?`, [existing.id]);
+        written.set(rec.id, existing.id);
+        report.updated++;
+        report.changed.push({ id: existing.id, text: embeddingText({ ...row, entity: existing.entity }) });
+        return;
+      }
+    }
+
+    // Insert: a new row, or the second copy for keep-both
+    const taken = sqliteQuery(dbPath, `SELECT 1 FROM decisions WHERE id = ?`, [row.id]).length > 0;
+    if (taken) row.id = randomUUID();
+    makeRoom(dbPath, { ttlClass: row.ttl_class, entity: row.entity, namespace: row.namespace }, quotas, "import");
+    const columns = [...DECISION_COLUMNS, "search_tokens"];
+    const sealed = sealDecision(dbPath, row);
+    const insert = () => sqliteExec(dbPath,
+      `INSERT INTO decisions (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+      columns.map((c) => sealed[c])
+    );
+    const ok = isFact
+      ? commitRevision(dbPath, row.id, { entity: row.entity, key: row.fact_key, value: row.fact_value, sourceRole: "import", sessionId: row.session_id, timestamp: nowMs, namespace: row.namespace }, insert)
+      : insert();
+    if (!ok) { report.invalid++; return; }
+    written.set(rec.id, row.id);
+    report.inserted++;
+    report.changed.push({ id: row.id, text: embeddingText(row) });
+  }
+}
+
+/**
+ * One-line summary of an import report.
+ * @param {ReturnType<typeof importMemories>} report
+ * @returns {string}
+ */
+export function formatImportReport(report) {
+  return `${report.inserted} inserted, ${report.updated} updated, ${report.unchanged} unchanged, ${report.skipped} skipped, ${report.blocked.length} blocked, ${report.invalid} invalid; ${report.entities} entities, ${report.vectors} vectors, ${report.security_events} security events`;
+}
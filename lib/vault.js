@@ -0,0 +1,406 @@
+// ============================================================================
+// Vault sync: two-way sync between entity facts and a directory of Markdown
+// files (one per entity, Obsidian-friendly) with YAML frontmatter metadata
+// ============================================================================
+
+import { randomUUID, createHash } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import os from "node:os";
+import { sqliteQuery, sqliteExec, sanitizeValue } from "./sqlite.js";
+import { checkInjection, logSecurityEvent, DEFAULT_PROTECTED_ENTITIES } from "./security.js";
+import { commitRevision } from "./history.js";
+import { supersedeConflicts } from "./conflicts.js";
+import { forgetFacts, isTombstoned } from "./forget.js";
+import { makeRoom, resolveQuotas } from "./quotas.js";
+import { DEFAULT_NAMESPACE } from "./namespaces.js";
+import { resolveAccessConfig, classifySensitivity } from "./access.js";
+import { MAX_VALUE_LENGTH } from "./extraction.js";
+import { sealDecision } from "./encryption.js";
+
+/** Vault directory name under the memory directory when no path is configured. */
+export const DEFAULT_VAULT_DIR = "vault";
+
+/** TTL per class, matching memory_store. */
+const TTL_MS = { permanent: null, stable: 90 * 86400000, active: 14 * 86400000, session: 86400000 };
+
+/** Importance for facts added in a file without one in the frontmatter. */
+const DEFAULT_VAULT_IMPORTANCE = 0.7;
+
+/** One fact line in a file body: "- key: value", key optionally in bold. */
+const FACT_LINE = /^\s*[-*+]\s+(?:\*\*)?([A-Za-z0-9_.-]+)(?:\*\*)?\s*:\s*(.*?)\s*$/;
+
+/**
+ * Resolve the vault config option. `true` syncs to <memoryDir>/vault;
+ * an object may set `path` (~ is expanded) and `enabled`.
+ * @param {boolean|object} [cfg]
+ * @param {string} memoryDir
+ * @returns {{ path: string }|null} null when sync is off
+ */
+export function resolveVaultConfig(cfg, memoryDir) {
+  if (!cfg || cfg.enabled === false) return null;
+  const raw = typeof cfg.path === "string" && cfg.path ? cfg.path : path.join(memoryDir, DEFAULT_VAULT_DIR);
+  const expanded = raw.startsWith("~") ? path.join(os.homedir(), raw.slice(1)) : raw;
+  return { path: path.resolve(memoryDir, expanded) };
+}
+
+/**
+ * File name for an entity's facts.
+ * @param {string} entity
+ * @returns {string}
+ */
+export function entityFileName(entity) {
+  return `${entity.replace(/[^A-Za-z0-9_.-]/g, "_")}.md`;
+}
+
+// --- Frontmatter: the YAML subset the vault writes (block and flow maps of scalars) ---
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value === "" || value === "null" || value === "~") return null;
+  if (/^"(.*)"$/.test(value)) return value.slice(1, -1).replace(/\\"/g, '"').replace(/\\\\/g, "\\");
+  if (/^'(.*)'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  if (/^-?\d+(?:\.\d+)?$/.test(value)) return Number(value);
+  if (value === "true" || value === "false") return value === "true";
+  return value;
+}
+
+function formatScalar(value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  const str = String(value);
+  return /^[\w.@/-][\w .@/:+-]*$/.test(str) && !/:\s|\s$/.test(str) && parseScalar(str) === str
+    ? str
+    : `"${str.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function parseFlowMap(inner) {
+  const out = {};
+  for (const part of inner.split(",")) {
+    const idx = part.indexOf(":");
+    if (idx <= 0) continue;
+    out[part.slice(0, idx).trim()] = parseScalar(part.slice(idx + 1));
+  }
+  return out;
+}
+
+/**
+ * Split a Markdown file into frontmatter data and body. Nested maps may be
+ * written as indented blocks or as {flow, maps}.
+ * @param {string} text
+ * @returns {{ data: object, body: string }}
+ */
+export function parseFrontmatter(text) {
+  const m = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!m) return { data: {}, body: text };
+
+  const data = {};
+  const stack = [{ indent: -1, obj: data }];
+  for (const line of m[1].split(/\r?\n/)) {
+    if (!line.trim() || line.trim().startsWith("#")) continue;
+    const indent = line.length - line.trimStart().length;
+    const kv = line.trim().match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+    if (!kv) continue;
+    while (stack.length > 1 && indent <= stack.at(-1).indent) stack.pop();
+    const key = String(parseScalar(kv[1]));
+    const rest = (kv[2] || "").trim();
+    const parent = stack.at(-1).obj;
+    if (rest === "") {
+      parent[key] = {};
+      stack.push({ indent, obj: parent[key] });
+    } else if (rest.startsWith("{") && rest.endsWith("}")) {
+      parent[key] = parseFlowMap(rest.slice(1, -1));
+    } else {
+      parent[key] = parseScalar(rest);
+    }
+  }
+  return { data, body: text.slice(m[0].length) };
+}
+
+function parseExpiry(value) {
+  if (value === null || value === undefined || typeof value === "object") return null;
+  const ms = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : undefined;
+}
+
+/**
+ * Parse an entity file. Metadata per key comes from frontmatter `facts`;
+ * fields that are missing or invalid are left undefined.
+ * @param {string} text
+ * @returns {{ entity: string|null, facts: Map<string, { value: string, ttl_class?: string, importance?: number, expires_at?: number|null }> }}
+ */
+export function parseEntityFile(text) {
+  const { data, body } = parseFrontmatter(text);
+  const meta = data.facts && typeof data.facts === "object" ? data.facts : {};
+  const facts = new Map();
+  for (const line of body.split(/\r?\n/)) {
+    const m = line.match(FACT_LINE);
+    if (!m || !m[2]) continue;
+    const fm = meta[m[1]] && typeof meta[m[1]] === "object" ? meta[m[1]] : {};
+    const fact = { value: m[2] };
+    if (TTL_MS[fm.ttl_class] !== undefined) fact.ttl_class = fm.ttl_class;
+    if (typeof fm.importance === "number" && fm.importance >= 0 && fm.importance <= 1) fact.importance = fm.importance;
+    if ("expires_at" in fm && parseExpiry(fm.expires_at) !== undefined) fact.expires_at = parseExpiry(fm.expires_at);
+    facts.set(m[1], fact);
+  }
+  return { entity: typeof data.entity === "string" && data.entity.trim() ? data.entity.trim() : null, facts };
+}
+
+/**
+ * Render an entity's facts as Markdown with frontmatter.
+ * @param {string} entity
+ * @param {Array<{ fact_key: string, fact_value: string, ttl_class: string, importance: number, expires_at: number|null }>} rows
+ * @returns {string}
+ */
+export function renderEntityFile(entity, rows) {
+  const sorted = [...rows].sort((a, b) => a.fact_key.localeCompare(b.fact_key));
+  const lines = ["---", `entity: ${formatScalar(entity)}`, "facts:"];
+  for (const row of sorted) {
+    const fields = [`ttl_class: ${row.ttl_class || "stable"}`, `importance: ${Math.round(row.importance * 1000) / 1000}`];
+    if (row.expires_at) fields.push(`expires_at: ${new Date(row.expires_at).toISOString()}`);
+    lines.push(`  ${row.fact_key}: {${fields.join(", ")}}`);
+  }
+  lines.push("---", `# ${entity}`, "");
+  for (const row of sorted) lines.push(`- ${row.fact_key}: ${String(row.fact_value).replace(/\s*\n\s*/g, " ")}`);
+  return lines.join("\n") + "\n";
+}
+
+function sameFact(row, fact) {
+  if (row.fact_value !== fact.value) return false;
+  if (fact.ttl_class !== undefined && fact.ttl_class !== row.ttl_class) return false;
+  if (fact.importance !== undefined && Math.abs(fact.importance - row.importance) >= 0.0005) return false;
+  if (fact.expires_at !== undefined && fact.expires_at !== row.expires_at) return false;
+  return true;
+}
+
+function hashText(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+function writeFileAtomic(file, content) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.tmp`);
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Sync entity facts with the vault directory.
+ *
+ * A file whose content changed since the last sync is read back: lines that
+ * differ from the DB win if the file was modified after the fact was last
+ * updated; new lines are imported; lines removed since the last sync forget
+ * the fact (undoable with memory_undo_forget) unless it was updated after
+ * the edit. A deleted file forgets the facts not updated since the last
+ * sync. Inbound values are sanitized and run through checkInjection as
+ * user-sourced content; blocked and quarantined edits are logged and
+ * reverted in the file.
+ * Every entity's file is then rewritten from the DB when it differs.
+ * Secret facts are never written to files, and so never read back either.
+ *
+ * Files without an `entity` in their frontmatter that the vault didn't
+ * write are left alone.
+ *
+ * @param {string} dbPath
+ * @param {string} vaultDir
+ * @param {object} [opts]
+ * @param {Set<string>} [opts.protectedEntities]
+ * @param {object} [opts.quotas] - From resolveQuotas
+ * @param {number} [opts.undoWindowMs] - Undo window for forgets
+ * @param {boolean} [opts.readBack=true] - false skips reading edits back and
+ *   only rewrites the files from the DB (e.g. after a restore), removing
+ *   entity files whose entity has no live facts
+ * @param {string} [opts.namespace="default"] - The one namespace the vault mirrors
+ * @param {object} [opts.access] - From resolveAccessConfig; labels facts added in files
+ * @param {{ quarantine: number, block: number }} [opts.riskThresholds] - From resolveRiskThresholds
+ * @param {number} [opts.nowMs]
+ * @returns {{ imported: number, updated: number, forgotten: number, written: number, removed: number, blocked: Array<object>, skipped: string[], changed: Array<{ id: string, text: string }> }}
+ */
+export function syncVault(dbPath, vaultDir, opts = {}) {
+  const nowMs = opts.nowMs ?? Date.now();
+  const namespace = opts.namespace || DEFAULT_NAMESPACE;
+  const protectedEntities = opts.protectedEntities || DEFAULT_PROTECTED_ENTITIES;
+  const quotas = opts.quotas || resolveQuotas();
+  const access = opts.access || resolveAccessConfig();
+  const report = { imported: 0, updated: 0, forgotten: 0, written: 0, removed: 0, blocked: [], skipped: [], changed: [] };
+  fs.mkdirSync(vaultDir, { recursive: true });
+
+  const state = new Map(sqliteQuery(dbPath, `SELECT * FROM vault_files`).map((r) => [r.file, r]));
+  const loadFacts = () => {
+    const byEntity = new Map();
+    const rows = sqliteQuery(dbPath, `
+      SELECT id, entity, fact_key, fact_value, ttl_class, importance, expires_at, timestamp
+      FROM decisions
+      WHERE entity IS NOT NULL AND fact_key IS NOT NULL AND namespace = ? AND sensitivity != 'secret'
+        AND (expires_at IS NULL OR expires_at > ?)
+      ORDER BY timestamp DESC
+    `, [namespace, nowMs]);
+    for (const row of rows) {
+      const lower = row.entity.toLowerCase();
+      if (!byEntity.has(lower)) byEntity.set(lower, { name: row.entity, facts: new Map() });
+      const facts = byEntity.get(lower).facts;
+      if (!facts.has(row.fact_key)) facts.set(row.fact_key, row);
+    }
+    return byEntity;
+  };
+  let db = loadFacts();
+
+  const forget = (row, reason) => {
+    const { forgotten } = forgetFacts(dbPath, { id: row.id }, { reason, undoWindowMs: opts.undoWindowMs });
+    report.forgotten += forgotten.length;
+  };
+
+  const blockedBy = (entity, key, value, file) => {
+    if (value.length > MAX_VALUE_LENGTH) return { reason: "value_too_long", pattern: `over ${MAX_VALUE_LENGTH} chars` };
+    const check = checkInjection({ entity, key, value }, "user", protectedEntities, false, opts.riskThresholds);
+    if (!check.blocked) return null;
+    logSecurityEvent(dbPath, {
+      eventType: check.reason,
+      sourceRole: "vault",
+      entity,
+      factKey: key,
+      factValue: value,
+      matchedPattern: check.pattern,
+      sourceSnippet: `vault file ${file}`,
+      risk: check,
+      namespace,
+    });
+    return check;
+  };
+
+  // Apply edits from one changed file
+  function readBack(file, entityName, parsed, mtimeMs, previousKeys) {
+    const entity = sanitizeValue(entityName);
+    const current = db.get(entity.toLowerCase())?.facts || new Map();
+
+    for (const [rawKey, fact] of parsed.facts) {
+      const key = sanitizeValue(rawKey);
+      const value = sanitizeValue(fact.value);
+      const row = current.get(key);
+      if (row && sameFact(row, { ...fact, value })) continue;
+      // The DB changed after the file did — keep the DB version
+      if (row && row.timestamp >= mtimeMs) continue;
+      // Gone from the DB since the last sync, or forgotten — stays gone
+      if (!row && (previousKeys.has(key) || isTombstoned(dbPath, entity, key, value, namespace))) continue;
+
+      const check = blockedBy(entity, key, value, file);
+      if (check) {
+        report.blocked.push({ file, entity, key, reason: check.reason, pattern: check.pattern });
+        continue;
+      }
+
+      const description = `${entity}.${key} = ${value}`;
+      if (row) {
+        const ttlClass = fact.ttl_class ?? row.ttl_class;
+        const expiresAt = TTL_MS[ttlClass] === null ? null
+          : fact.expires_at !== undefined ? fact.expires_at
+          : ttlClass !== row.ttl_class ? nowMs + TTL_MS[ttlClass] : row.expires_at;
+        const sealed = sealDecision(dbPath, { description: `${row.entity}.${key} = ${value}`, fact_value: value });
+        const update = () => sqliteExec(dbPath,
+          `UPDATE decisions SET fact_value = ?, description = ?, search_tokens = ?, timestamp = ?, last_accessed_at = ?, ttl_class = ?, importance = ?, expires_at = ? WHERE id = ?`,
+          [sealed.fact_value, sealed.description, sealed.search_tokens, nowMs, nowMs, ttlClass, fact.importance ?? row.importance, expiresAt, row.id]
+        );
+        if (value === row.fact_value) {
+          if (update()) report.updated++;
+        } else if (commitRevision(dbPath, row.id, { entity: row.entity, key, value, sourceRole: "vault", sessionId: "vault", timestamp: nowMs }, update)) {
+          supersedeConflicts(dbPath, row.id);
+          report.changed.push({ id: row.id, text: description });
+          report.updated++;
+        }
+      } else {
+        const ttlClass = fact.ttl_class ?? "stable";
+        const expiresAt = TTL_MS[ttlClass] === null ? null
+          : fact.expires_at !== undefined ? fact.expires_at : nowMs + TTL_MS[ttlClass];
+        makeRoom(dbPath, { ttlClass, entity, namespace }, quotas, "vault");
+        const id = randomUUID();
+        const sealed = sealDecision(dbPath, { description, fact_value: value });
+        const ok = commitRevision(dbPath, id, { entity, key, value, sourceRole: "vault", sessionId: "vault", timestamp: nowMs, namespace }, () => sqliteExec(dbPath,
+          `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, classification, importance, ttl_class, expires_at, last_accessed_at, entity, fact_key, fact_value, tags, namespace, sensitivity, search_tokens)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [id, "vault", nowMs, "manual", sealed.description, `Edited in vault file ${file}`, "ARCHIVE", fact.importance ?? DEFAULT_VAULT_IMPORTANCE, ttlClass, expiresAt, nowMs, entity, key, sealed.fact_value, '["vault"]', namespace, classifySensitivity(access, { entity, key }), sealed.search_tokens]
+        ));
+        if (ok) {
+          report.imported++;
+          report.changed.push({ id, text: description });
+        }
+      }
+    }
+
+    // Lines removed from the file since the last sync
+    for (const [key, row] of current) {
+      if (!parsed.facts.has(key) && previousKeys.has(key) && row.timestamp < mtimeMs) {
+        forget(row, `removed from vault file ${file}`);
+      }
+    }
+  }
+
+  // 1. Read back files that changed since the last sync
+  const claimed = new Map();
+  const files = fs.readdirSync(vaultDir).filter((f) => f.endsWith(".md") && !f.startsWith("."));
+  for (const file of files) {
+    const full = path.join(vaultDir, file);
+    const text = fs.readFileSync(full, "utf-8");
+    const prev = state.get(file);
+    const parsed = parseEntityFile(text);
+    const entity = parsed.entity || prev?.entity;
+    if (!entity) continue;
+    if (claimed.has(entity.toLowerCase())) {
+      report.skipped.push(`${file}: entity ${entity} is already synced from ${claimed.get(entity.toLowerCase())}`);
+      continue;
+    }
+    claimed.set(entity.toLowerCase(), file);
+    if (opts.readBack === false || (prev && prev.content_hash === hashText(text))) continue;
+    readBack(file, entity, parsed, fs.statSync(full).mtimeMs, new Set(prev ? JSON.parse(prev.fact_keys) : []));
+  }
+
+  // 2. Files deleted since the last sync (a renamed file is claimed by its new name)
+  for (const [file, prev] of state) {
+    if (files.includes(file)) continue;
+    sqliteExec(dbPath, `DELETE FROM vault_files WHERE file = ?`, [file]);
+    if (opts.readBack === false || claimed.has(prev.entity.toLowerCase())) continue;
+    for (const row of db.get(prev.entity.toLowerCase())?.facts.values() || []) {
+      if (JSON.parse(prev.fact_keys).includes(row.fact_key) && row.timestamp <= prev.synced_at) forget(row, `vault file ${file} deleted`);
+    }
+  }
+
+  // 3. Write every entity's file from the DB
+  db = loadFacts();
+  const existingFiles = new Set(fs.readdirSync(vaultDir));
+  for (const [lower, { name, facts }] of db) {
+    const file = claimed.get(lower) || entityFileName(name);
+    const full = path.join(vaultDir, file);
+    if (!claimed.has(lower) && existingFiles.has(file)) {
+      report.skipped.push(`${file}: exists and is not a vault file`);
+      continue;
+    }
+    const content = renderEntityFile(name, [...facts.values()]);
+    const onDisk = existingFiles.has(file) ? fs.readFileSync(full, "utf-8") : null;
+    if (onDisk !== content) {
+      writeFileAtomic(full, content);
+      report.written++;
+    }
+    sqliteExec(dbPath,
+      `INSERT OR REPLACE INTO vault_files (file, entity, content_hash, fact_keys, synced_at) VALUES (?, ?, ?, ?, ?)`,
+      [file, name, hashText(content), JSON.stringify([...facts.keys()]), nowMs]
+    );
+  }
+
+  // 4. Files the vault wrote for entities with no live facts left (any entity file when not reading back)
+  for (const [lower, file] of claimed) {
+    if (db.has(lower) || (opts.readBack !== false && !state.has(file))) continue;
+    fs.rmSync(path.join(vaultDir, file), { force: true });
+    sqliteExec(dbPath, `DELETE FROM vault_files WHERE file = ?`, [file]);
+    report.removed++;
+  }
+
+  return report;
+}
+
+/**
+ * One-line summary of a sync for logs and memory_sync.
+ * @param {object} report - From syncVault
+ * @returns {string}
+ */
+export function formatVaultReport(report) {
+  return `${report.imported} imported, ${report.updated} updated, ${report.forgotten} forgotten, ` +
+    `${report.written} files written, ${report.removed} removed, ${report.blocked.length} blocked`;
+}
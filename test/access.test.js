@@ -0,0 +1,162 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery, sqliteExec } from '../lib/sqlite.js';
+import {
+  resolveAccessConfig,
+  classifySensitivity,
+  sensitivityFilter,
+  setSensitivity,
+  recordReads,
+  getReadLog,
+  pruneReadLog,
+} from '../lib/access.js';
+import { captureFromMessages } from '../lib/capture.js';
+import { buildFtsContext } from '../lib/recall.js';
+import { hybridRank } from '../lib/ranking.js';
+import { storeEmbedding, vectorSearch } from '../lib/embeddings.js';
+import { createLocalProvider } from '../lib/embedding-providers.js';
+import { searchArchive } from '../lib/quotas.js';
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'access-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function withDb(fn) {
+  return async () => {
+    const ctx = makeDb();
+    try {
+      await fn(ctx);
+    } finally {
+      rmSync(ctx.dir, { recursive: true, force: true });
+    }
+  };
+}
+
+function insertFact(dbPath, key, value, sensitivity = 'internal', ttl = 'stable') {
+  sqliteExec(dbPath,
+    `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, ttl_class, entity, fact_key, fact_value, sensitivity)
+     VALUES (?, 'test', ?, 'manual', ?, 'test', 0.5, ?, 'Kevin', ?, ?, ?)`,
+    [`Kevin-${key}`, Date.now(), `Kevin.${key} = ${value}`, ttl, key, value, sensitivity]
+  );
+  return `Kevin-${key}`;
+}
+
+describe('classification', () => {
+  test('explicit label, then entity, then credential keys, then the default', () => {
+    const config = resolveAccessConfig({ entities: { Bank: 'secret', Blog: 'public', Bad: 'top' } });
+    assert.deepEqual(config.entities, { bank: 'secret', blog: 'public' });
+    assert.equal(classifySensitivity(config, { entity: 'Kevin', key: 'editor' }), 'internal');
+    assert.equal(classifySensitivity(config, { entity: 'Kevin', key: 'github_token' }), 'secret');
+    assert.equal(classifySensitivity(config, { entity: 'Kevin', key: 'api-key' }), 'secret');
+    assert.equal(classifySensitivity(config, { entity: 'Kevin', key: 'tokenizer' }), 'internal');
+    assert.equal(classifySensitivity(config, { entity: 'bank', key: 'branch' }), 'secret');
+    assert.equal(classifySensitivity(config, { entity: 'Blog', key: 'password' }), 'public', 'the entity label wins over the key');
+    assert.equal(classifySensitivity(config, { entity: 'Kevin', key: 'password', sensitivity: 'internal' }), 'internal');
+
+    const relaxed = resolveAccessConfig({ secretKeys: false, defaultSensitivity: 'public', auditRetentionDays: -1 });
+    assert.equal(classifySensitivity(relaxed, { entity: 'Kevin', key: 'password' }), 'public');
+    assert.equal(relaxed.auditRetentionDays, 90);
+    assert.deepEqual(sensitivityFilter(true), { sql: '1 = 1', params: [] });
+    assert.deepEqual(sensitivityFilter(false, 'd.sensitivity'), { sql: 'd.sensitivity != ?', params: ['secret'] });
+  });
+
+  test('capture labels facts as it writes them', withDb(({ dbPath }) => {
+    const messages = [
+      { role: 'user', content: 'Kevin prefers vim for all editing work on servers' },
+      { role: 'user', content: 'Kevin\'s wifi password is Hunter22-correct-horse-battery' },
+    ];
+    captureFromMessages(dbPath, messages, 10, new Set(['kevin']), () => {}, { access: resolveAccessConfig() });
+    const labels = Object.fromEntries(sqliteQuery(dbPath, `SELECT fact_key, sensitivity FROM decisions`).map((r) => [r.fact_key, r.sensitivity]));
+    assert.equal(labels.wifi_password, 'secret');
+    assert.ok(Object.entries(labels).some(([key, level]) => key !== 'wifi_password' && level === 'internal'));
+  }));
+});
+
+describe('secret facts stay out of recall', () => {
+  test('buildFtsContext leaves them out of every section', withDb(({ dbPath }) => {
+    insertFact(dbPath, 'editor', 'vim');
+    insertFact(dbPath, 'vault_password', 'hunter22', 'secret', 'permanent');
+    insertFact(dbPath, 'github_token', 'ghp_abc editor', 'secret');
+    const text = buildFtsContext(dbPath, 'Kevin editor password token', 10, 4000).lines.join('\n');
+    assert.match(text, /vim/);
+    assert.doesNotMatch(text, /hunter22|ghp_abc/);
+  }));
+
+  test('vector search and hybrid ranking need includeSecret', withDb(async ({ dbPath }) => {
+    const provider = createLocalProvider({ dimensions: 32 });
+    await storeEmbedding(dbPath, provider, insertFact(dbPath, 'editor', 'vim'), 'Kevin.editor = vim');
+    await storeEmbedding(dbPath, provider, insertFact(dbPath, 'editor_token', 'vim-secret', 'secret'), 'Kevin.editor_token = vim-secret');
+
+    const open = await vectorSearch(dbPath, provider, 'Kevin editor vim', 10, -1);
+    assert.deepEqual(open.map((r) => r.fact_key), ['editor']);
+    const all = await vectorSearch(dbPath, provider, 'Kevin editor vim', 10, -1, { includeSecret: true });
+    assert.equal(all.length, 2);
+    assert.ok(all.some((r) => r.sensitivity === 'secret'));
+
+    assert.deepEqual(hybridRank(dbPath, { ftsQuery: 'editor', limit: 10 }).map((r) => r.fact_key), ['editor']);
+    assert.equal(hybridRank(dbPath, { ftsQuery: 'editor', limit: 10, includeSecret: true }).length, 2);
+  }));
+
+  test('archived secret facts are only searchable with includeSecret', withDb(({ dbPath }) => {
+    sqliteExec(dbPath,
+      `INSERT INTO decisions_archive (id, session_id, timestamp, category, description, rationale, importance, ttl_class, entity, fact_key, fact_value, archived_at, archive_reason, sensitivity)
+       VALUES ('a1', 'test', 0, 'manual', 'Kevin.bank_pin = 1234', 'test', 0.5, 'active', 'Kevin', 'bank_pin', '1234', 0, 'quota', 'secret')`);
+    assert.equal(searchArchive(dbPath, 'bank_pin', 10).length, 0);
+    assert.equal(searchArchive(dbPath, 'bank_pin', 10, null, true).length, 1);
+  }));
+});
+
+describe('labels', () => {
+  test('the migration labels existing credential keys secret', withDb(({ dbPath }) => {
+    insertFact(dbPath, 'editor', 'vim');
+    insertFact(dbPath, 'db_password', 'hunter22');
+    sqliteExec(dbPath, `DROP TABLE read_audit`);
+    sqliteExec(dbPath, `DELETE FROM schema_version WHERE version >= 14`);
+    runMigrations(dbPath);
+    const labels = sqliteQuery(dbPath, `SELECT fact_key, sensitivity FROM decisions ORDER BY fact_key`).map((r) => [r.fact_key, r.sensitivity]);
+    assert.deepEqual(labels, [['db_password', 'secret'], ['editor', 'internal']]);
+  }));
+
+  test('setSensitivity relabels by id or entity and key', withDb(({ dbPath }) => {
+    const id = insertFact(dbPath, 'editor', 'vim');
+    assert.deepEqual(setSensitivity(dbPath, { entity: 'Kevin', key: 'editor' }, 'secret'), { updated: 1 });
+    assert.equal(sqliteQuery(dbPath, `SELECT sensitivity FROM decisions WHERE id = ?`, [id])[0].sensitivity, 'secret');
+    assert.equal(setSensitivity(dbPath, { id }, 'top').updated, 0);
+    assert.equal(setSensitivity(dbPath, { id, namespaces: ['work'] }, 'public').error, 'no matching fact');
+  }));
+});
+
+describe('read audit', () => {
+  test('records, filters and prunes reads', withDb(({ dbPath }) => {
+    const editor = insertFact(dbPath, 'editor', 'vim');
+    const secret = insertFact(dbPath, 'db_password', 'hunter22', 'secret');
+    const day = 86400000;
+    const now = Date.now();
+
+    assert.equal(recordReads(dbPath, [editor, secret, editor], { source: 'recall', readBy: 'default', query: 'x'.repeat(300), nowMs: now - 100 * day }), 2);
+    assert.equal(recordReads(dbPath, [secret], { source: 'memory_entity', readBy: 'work', nowMs: now }), 1);
+    assert.equal(recordReads(dbPath, [], { source: 'recall' }), 0);
+
+    const log = getReadLog(dbPath);
+    assert.equal(log.length, 3);
+    assert.deepEqual([log[0].source, log[0].read_by, log[0].fact_key], ['memory_entity', 'work', 'db_password']);
+    assert.equal(log[1].query.length, 200);
+    assert.equal(getReadLog(dbPath, { sensitivity: 'secret' }).length, 2);
+    assert.equal(getReadLog(dbPath, { entity: 'kevin', limit: 1 }).length, 1);
+    assert.equal(getReadLog(dbPath, { namespaces: ['work'] }).length, 0, 'filtered by the namespace of the fact');
+
+    // The audit keeps the label the fact had when it was read
+    setSensitivity(dbPath, { id: secret }, 'internal');
+    assert.equal(getReadLog(dbPath, { sensitivity: 'secret' }).length, 2);
+
+    assert.equal(pruneReadLog(dbPath, 90, now), 2);
+    assert.equal(getReadLog(dbPath).length, 1);
+  }));
+});
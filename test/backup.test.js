@@ -0,0 +1,159 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, existsSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery, sqliteExec, getSchemaVersion, inspectDatabaseFile } from '../lib/sqlite.js';
+import {
+  resolveBackupConfig,
+  listBackups,
+  isBackupDue,
+  createBackup,
+  pruneBackups,
+  findBackup,
+  restoreBackup,
+  formatSize,
+} from '../lib/backup.js';
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'backup-test-'));
+  const dbPath = join(dir, 'decisions.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir, backupDir: join(dir, 'backups') };
+}
+
+function withDb(fn) {
+  return async () => {
+    const ctx = makeDb();
+    try {
+      await fn(ctx);
+    } finally {
+      rmSync(ctx.dir, { recursive: true, force: true });
+    }
+  };
+}
+
+function insertFact(dbPath, key, value) {
+  sqliteExec(dbPath,
+    `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, entity, fact_key, fact_value)
+     VALUES (?, 'test', ?, 'manual', ?, 'test', 0.5, 'Kevin', ?, ?)`,
+    [`Kevin-${key}`, Date.now(), `Kevin.${key} = ${value}`, key, value]
+  );
+}
+
+function values(dbPath) {
+  return sqliteQuery(dbPath, `SELECT fact_value FROM decisions ORDER BY fact_key`).map((r) => r.fact_value);
+}
+
+/** Create empty files named like backups taken at the given times. */
+function fakeBackups(backupDir, times) {
+  rmSync(backupDir, { recursive: true, force: true });
+  mkdirSync(backupDir, { recursive: true });
+  for (const t of times) {
+    const stamp = new Date(t).toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    writeFileSync(join(backupDir, `decisions-${stamp}.db`), '');
+  }
+}
+
+describe('backup config', () => {
+  test('defaults and overrides', () => {
+    assert.deepEqual(resolveBackupConfig(undefined, '/m'), { enabled: true, intervalHours: 24, keepDaily: 7, keepWeekly: 4, dir: '/m/backups' });
+    assert.equal(resolveBackupConfig(false, '/m').enabled, false);
+    assert.deepEqual(resolveBackupConfig({ intervalHours: 6, keepDaily: 0, keepWeekly: -1, dir: 'snap' }, '/m'), { enabled: true, intervalHours: 6, keepDaily: 0, keepWeekly: 4, dir: '/m/snap' });
+    assert.equal(formatSize(2048), '2.0 KB');
+  });
+});
+
+describe('createBackup', () => {
+  test('takes a verified online copy while the database stays open', withDb(async ({ dbPath, backupDir }) => {
+    insertFact(dbPath, 'editor', 'vim');
+    const nowMs = Date.UTC(2026, 9, 19, 8, 0, 0);
+    const b = await createBackup(dbPath, backupDir, { nowMs });
+    assert.equal(b.name, 'decisions-20261019T080000Z.db');
+    assert.deepEqual([b.decisions, b.schemaVersion], [1, getSchemaVersion(dbPath)]);
+    assert.deepEqual(readdirSync(backupDir), [b.name], 'no temp file is left behind');
+
+    // The live connection keeps working
+    insertFact(dbPath, 'shell', 'fish');
+    assert.equal(values(dbPath).length, 2);
+    assert.equal(inspectDatabaseFile(b.file).decisions, 1);
+
+    const [listed] = listBackups(dbPath, backupDir);
+    assert.deepEqual([listed.name, listed.created_at, listed.label], [b.name, nowMs, null]);
+    assert.equal(isBackupDue([listed], 24, nowMs + 23 * HOUR), false);
+    assert.equal(isBackupDue([listed], 24, nowMs + 24 * HOUR), true);
+    assert.equal(isBackupDue([], 24), true);
+  }));
+
+  test('a damaged file fails verification', withDb(({ dir }) => {
+    const file = join(dir, 'broken.db');
+    writeFileSync(file, 'SQLite format 3\0 but not really');
+    assert.equal(inspectDatabaseFile(file).ok, false);
+    assert.equal(inspectDatabaseFile(join(dir, 'missing.db')).ok, false);
+  }));
+});
+
+describe('retention', () => {
+  test('keeps the newest per day and per week', withDb(({ dbPath, backupDir }) => {
+    const now = Date.UTC(2026, 9, 19, 12); // a Monday
+    const times = [];
+    for (let d = 0; d < 30; d++) times.push(now - d * DAY, now - d * DAY - 6 * HOUR);
+    fakeBackups(backupDir, times);
+    const removed = pruneBackups(dbPath, backupDir, { keepDaily: 3, keepWeekly: 4 });
+    const kept = listBackups(dbPath, backupDir).map((b) => new Date(b.created_at).toISOString().slice(0, 13));
+    // Three newest days, then the newest backup (a Sunday) of each earlier week; this week counts as one of the four
+    assert.deepEqual(kept, ['2026-10-19T12', '2026-10-18T12', '2026-10-17T12', '2026-10-11T12', '2026-10-04T12']);
+    assert.equal(removed.length, times.length - kept.length);
+  }));
+
+  test('always keeps the newest backup', withDb(({ dbPath, backupDir }) => {
+    fakeBackups(backupDir, [Date.UTC(2026, 0, 1), Date.UTC(2026, 0, 2)]);
+    pruneBackups(dbPath, backupDir, { keepDaily: 0, keepWeekly: 0 });
+    assert.deepEqual(listBackups(dbPath, backupDir).map((b) => b.name), ['decisions-20260102T000000Z.db']);
+  }));
+
+  test('finds a backup by name or point in time', () => {
+    const backups = [{ name: 'decisions-c.db', created_at: 300 }, { name: 'decisions-b.db', created_at: 200 }, { name: 'decisions-a.db', created_at: 100 }];
+    assert.equal(findBackup(backups, { name: 'decisions-b' }).name, 'decisions-b.db');
+    assert.equal(findBackup(backups, { at: 250 }).name, 'decisions-b.db');
+    assert.equal(findBackup(backups, { at: 50 }), null);
+    assert.equal(findBackup(backups, { name: 'nope.db' }), null);
+  });
+});
+
+describe('restoreBackup', () => {
+  test('swaps the database in and keeps the previous one as a pre-restore backup', withDb(async ({ dbPath, backupDir }) => {
+    insertFact(dbPath, 'editor', 'vim');
+    const b = await createBackup(dbPath, backupDir, { nowMs: Date.now() - HOUR });
+    sqliteExec(dbPath, `UPDATE decisions SET fact_value = 'helix'`);
+    insertFact(dbPath, 'shell', 'fish');
+    writeFileSync(`${dbPath}.hnsw.json`, '{}');
+
+    const result = await restoreBackup(dbPath, backupDir, b);
+    assert.equal(result.restored.name, b.name);
+    assert.equal(result.safety.name.endsWith('-pre-restore.db'), true);
+    assert.deepEqual(values(dbPath), ['vim'], 'pooled connections reopen on the restored file');
+    assert.equal(existsSync(`${dbPath}.hnsw.json`), false);
+
+    // Undo by restoring the safety backup
+    const safety = findBackup(listBackups(dbPath, backupDir), { name: result.safety.name });
+    await restoreBackup(dbPath, backupDir, safety);
+    assert.deepEqual(values(dbPath), ['helix', 'fish']);
+  }));
+
+  test('migrates an older backup forward and refuses a damaged one', withDb(async ({ dbPath, backupDir }) => {
+    const b = await createBackup(dbPath, backupDir);
+    sqliteExec(dbPath, `DELETE FROM schema_version WHERE version = (SELECT MAX(version) FROM schema_version)`);
+    const old = await createBackup(dbPath, backupDir, { nowMs: Date.now() + 1000, label: 'old' });
+    const result = await restoreBackup(dbPath, backupDir, old);
+    assert.equal(result.migrated, 1);
+    assert.equal(getSchemaVersion(dbPath), b.schemaVersion);
+
+    writeFileSync(b.file, 'garbage');
+    assert.match((await restoreBackup(dbPath, backupDir, b)).error, /failed verification/);
+  }));
+});
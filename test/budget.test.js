@@ -0,0 +1,99 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, sqliteExec } from '../lib/sqlite.js';
+import { createBudget, resolveBudgetConfig, formatBudgetReport, SECTION_WEIGHTS, DEFAULT_BUDGET } from '../lib/budget.js';
+import { buildFtsContext, buildRecallContext } from '../lib/recall.js';
+
+describe('resolveBudgetConfig', () => {
+  test('a number sets the total with default weights', () => {
+    assert.deepEqual(resolveBudgetConfig(2000), { total: 2000, unit: 'chars', weights: SECTION_WEIGHTS });
+    assert.equal(resolveBudgetConfig(undefined).total, DEFAULT_BUDGET);
+  });
+
+  test('partial weights are merged and normalized', () => {
+    const { total, weights } = resolveBudgetConfig({ total: 1000, weights: { permanent: 0.8 } });
+    assert.equal(total, 1000);
+    const sum = Object.values(weights).reduce((a, b) => a + b, 0);
+    assert.ok(Math.abs(sum - 1) < 1e-9);
+    assert.ok(weights.permanent > weights.fts);
+  });
+});
+
+describe('createBudget', () => {
+  test('caps a weighted section at its share', () => {
+    const budget = createBudget(1000, { permanent: 0.3, fts: 0.7 });
+    assert.equal(budget.tryAdd('permanent', 300), true);
+    assert.equal(budget.tryAdd('permanent', 1), false);
+    assert.equal(budget.remaining, 700);
+  });
+
+  test('rolls unused share over to the next section', () => {
+    const budget = createBudget(1000, { permanent: 0.5, fts: 0.3, recent: 0.2 });
+    budget.tryAdd('permanent', 100);
+    budget.close('permanent');
+    assert.equal(budget.available('fts'), 700);
+    budget.tryAdd('fts', 700);
+    budget.close('fts');
+    assert.equal(budget.available('recent'), 200);
+  });
+
+  test('unweighted sections draw on what is left', () => {
+    const budget = createBudget(1000, { permanent: 0.5 });
+    assert.equal(budget.tryAdd('conflicts', 900), true);
+    assert.equal(budget.available('permanent'), 100);
+  });
+
+  test('closed sections cannot spend', () => {
+    const budget = createBudget(1000);
+    budget.close('fts');
+    assert.equal(budget.tryAdd('fts', 10), false);
+  });
+
+  test('report shows allocation against use per section', () => {
+    const budget = createBudget(1000, { permanent: 0.5, fts: 0.5 });
+    budget.tryAdd('permanent', 200);
+    budget.close('permanent');
+    budget.tryAdd('fts', 50);
+    const report = budget.report();
+    assert.deepEqual(report.sections.permanent, { allocated: 500, used: 200 });
+    assert.deepEqual(report.sections.fts, { allocated: 800, used: 50 });
+    assert.equal(report.used, 250);
+    assert.equal(formatBudgetReport(report), 'permanent 200/500, fts 50/800');
+  });
+});
+
+describe('buildFtsContext section caps', () => {
+  test('permanent facts cannot starve keyword results', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'budget-test-'));
+    const dbPath = join(dir, 'test.db');
+    try {
+      ensureTables(dbPath);
+      for (let i = 0; i < 15; i++) {
+        sqliteExec(dbPath,
+          `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, ttl_class, entity, fact_key, fact_value)
+           VALUES (?, 'test', ?, 'manual', 'x', 'x', 0.9, 'permanent', 'Kevin', ?, ?)`,
+          [`p${i}`, Date.now(), `fact${i}`, 'a fairly long permanent value that takes up room in the budget'.repeat(2)]
+        );
+      }
+      sqliteExec(dbPath,
+        `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, ttl_class)
+         VALUES ('m1', 'test', ?, 'engineering', 'database migration completed successfully', 'x', 0.5, 'active')`,
+        [Date.now()]
+      );
+
+      const { ftsIds, budget, budgetReport } = buildFtsContext(dbPath, 'database migration', 10, 1000);
+      assert.ok(ftsIds.has('m1'), 'keyword result should still fit');
+      assert.ok(budgetReport.sections.permanent.used <= 300);
+
+      const vectorResults = [{ decision_id: 'v1', entity: 'Kevin', fact_key: 'shell', fact_value: 'zsh', similarity: 0.9 }];
+      const ctx = buildRecallContext([], ftsIds, vectorResults, budget);
+      assert.ok(ctx.includes('Semantically Related'));
+      assert.ok(budget.report().sections.vector.used > 0);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -3,7 +3,7 @@ import assert from 'node:assert/strict';
 import { mkdtempSync, rmSync } from 'node:fs';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
-import { ensureTables, sqliteQuery } from '../lib/sqlite.js';
+import { ensureTables, runMigrations, sqliteQuery } from '../lib/sqlite.js';
 import { captureFromMessages } from '../lib/capture.js';
 
 const runtimeEntities = new Set(['kevin', 'config', 'system', 'note', 'project']);
@@ -12,6 +12,7 @@ function makeDb() {
   const dir = mkdtempSync(join(tmpdir(), 'capture-test-'));
   const dbPath = join(dir, 'test.db');
   ensureTables(dbPath);
+  runMigrations(dbPath);
   return { dbPath, dir };
 }
 
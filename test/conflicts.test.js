@@ -0,0 +1,222 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery } from '../lib/sqlite.js';
+import { captureFromMessages } from '../lib/capture.js';
+import {
+  levenshtein,
+  lexicalDistance,
+  scoreConflict,
+  isMoreTrusted,
+  getConflicts,
+  resolveConflict,
+  refineConflict,
+  supersedeConflicts,
+  formatConflictLines,
+  DEFAULT_SOURCE_TRUST,
+} from '../lib/conflicts.js';
+import { buildFtsContext, buildHybridContext } from '../lib/recall.js';
+
+const runtimeEntities = new Set(['kevin', 'config', 'system', 'note', 'project']);
+const conflicts = { threshold: 0.3, sourceTrust: DEFAULT_SOURCE_TRUST };
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'conflicts-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function capture(dbPath, role, content) {
+  return captureFromMessages(dbPath, [{ role, content }], 10, runtimeEntities, () => {}, { conflicts });
+}
+
+function currentValue(dbPath) {
+  return sqliteQuery(dbPath, `SELECT fact_value FROM decisions WHERE entity = 'Kevin' AND fact_key = 'preference'`)[0]?.fact_value;
+}
+
+describe('scoring', () => {
+  test('levenshtein counts edits', () => {
+    assert.equal(levenshtein('kitten', 'sitting'), 3);
+    assert.equal(levenshtein('', 'abc'), 3);
+    assert.equal(levenshtein('same', 'same'), 0);
+  });
+
+  test('lexicalDistance is normalized and case-insensitive', () => {
+    assert.equal(lexicalDistance('Redis', 'redis'), 0);
+    assert.equal(lexicalDistance('abc', 'xyz'), 1);
+  });
+
+  test('scoreConflict averages in semantic distance when similarity is given', () => {
+    const lexOnly = scoreConflict('abc', 'xyz');
+    assert.equal(lexOnly.score, 1);
+    assert.equal(lexOnly.semantic, null);
+    const withSim = scoreConflict('abc', 'xyz', 0.9);
+    assert.ok(Math.abs(withSim.score - 0.55) < 1e-9);
+  });
+
+  test('isMoreTrusted is strict and holds unknown sources for review', () => {
+    assert.equal(isMoreTrusted('assistant', 'user'), true);
+    assert.equal(isMoreTrusted('user', 'assistant'), false);
+    assert.equal(isMoreTrusted('user', 'user'), false);
+    assert.equal(isMoreTrusted('user', null), false);
+    assert.equal(isMoreTrusted('tool', 'legacy'), false);
+    assert.equal(isMoreTrusted('legacy', 'user'), false);
+  });
+
+  test('reverts, imports and vault edits are trusted like the assistant', () => {
+    for (const role of ['revert', 'import', 'vault']) {
+      assert.equal(isMoreTrusted('user', role), false);
+      assert.equal(isMoreTrusted(role, 'user'), true);
+      assert.equal(isMoreTrusted('tool', role), true);
+    }
+  });
+});
+
+describe('captureFromMessages with conflict detection', () => {
+  test('queues a user contradiction of an assistant fact and keeps the old value', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      capture(dbPath, 'assistant', 'Kevin prefers TypeScript for all new backend projects');
+      const result = capture(dbPath, 'user', 'Kevin prefers Haskell exclusively, no exceptions');
+      assert.equal(result.conflicts.length, 1);
+      assert.equal(currentValue(dbPath), 'TypeScript for all new backend projects');
+
+      const pending = getConflicts(dbPath);
+      assert.equal(pending.length, 1);
+      assert.equal(pending[0].old_source_role, 'assistant');
+      assert.equal(pending[0].new_source_role, 'user');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('does not queue the same contradiction twice', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      capture(dbPath, 'assistant', 'Kevin prefers TypeScript for all new backend projects');
+      capture(dbPath, 'user', 'Kevin prefers Haskell exclusively, no exceptions');
+      capture(dbPath, 'user', 'Kevin prefers Haskell exclusively, no exceptions');
+      assert.equal(getConflicts(dbPath).length, 1);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('applies a contradiction from a more trusted source and records it', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      capture(dbPath, 'user', 'Kevin prefers TypeScript for all new backend projects');
+      const result = capture(dbPath, 'assistant', 'Kevin prefers Haskell exclusively, no exceptions');
+      assert.equal(result.conflicts.length, 0);
+      assert.equal(currentValue(dbPath), 'Haskell exclusively, no exceptions');
+      assert.equal(getConflicts(dbPath, 'auto_accepted').length, 1);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('applies small rewordings without a conflict', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      capture(dbPath, 'assistant', 'Kevin prefers TypeScript for all new backend projects');
+      const result = capture(dbPath, 'user', 'Kevin prefers TypeScript for all new backend project');
+      assert.equal(result.conflicts.length, 0);
+      assert.equal(currentValue(dbPath), 'TypeScript for all new backend project');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('without conflict options updates overwrite as before', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      captureFromMessages(dbPath, [{ role: 'assistant', content: 'Kevin prefers TypeScript for all new backend projects' }], 10, runtimeEntities, () => {});
+      captureFromMessages(dbPath, [{ role: 'user', content: 'Kevin prefers Haskell exclusively, no exceptions' }], 10, runtimeEntities, () => {});
+      assert.equal(currentValue(dbPath), 'Haskell exclusively, no exceptions');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('resolving conflicts', () => {
+  test('accept writes the new value, reject keeps the old one', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      capture(dbPath, 'assistant', 'Kevin prefers TypeScript for all new backend projects');
+      capture(dbPath, 'user', 'Kevin prefers Haskell exclusively, no exceptions');
+      const [c] = getConflicts(dbPath);
+
+      assert.equal(resolveConflict(dbPath, c.id, 'reject').success, true);
+      assert.equal(currentValue(dbPath), 'TypeScript for all new backend projects');
+      assert.equal(resolveConflict(dbPath, c.id, 'accept').success, false, 'already resolved');
+
+      capture(dbPath, 'user', 'Kevin prefers Haskell exclusively, no exceptions');
+      const [again] = getConflicts(dbPath);
+      assert.equal(resolveConflict(dbPath, again.id, 'accept').success, true);
+      assert.equal(currentValue(dbPath), 'Haskell exclusively, no exceptions');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('refineConflict accepts semantically equivalent values', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      capture(dbPath, 'assistant', 'Kevin prefers TypeScript for all new backend projects');
+      capture(dbPath, 'user', 'Kevin prefers Haskell exclusively, no exceptions');
+      const [c] = getConflicts(dbPath);
+
+      assert.equal(refineConflict(dbPath, c.id, 0.1).resolved, false);
+      assert.equal(getConflicts(dbPath).length, 1);
+      // Perfect similarity halves the lexical score (~0.82 -> ~0.41)
+      const refined = refineConflict(dbPath, c.id, 1.0, 0.5);
+      assert.equal(refined.resolved, true);
+      assert.equal(currentValue(dbPath), 'Haskell exclusively, no exceptions');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('supersedeConflicts closes pending conflicts for a decision', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      capture(dbPath, 'assistant', 'Kevin prefers TypeScript for all new backend projects');
+      capture(dbPath, 'user', 'Kevin prefers Haskell exclusively, no exceptions');
+      const [c] = getConflicts(dbPath);
+      supersedeConflicts(dbPath, c.decision_id);
+      assert.equal(getConflicts(dbPath).length, 0);
+      assert.equal(getConflicts(dbPath, 'superseded').length, 1);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('recall surfacing', () => {
+  test('pending conflicts get their own section in the FTS context', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      capture(dbPath, 'assistant', 'Kevin prefers TypeScript for all new backend projects');
+      capture(dbPath, 'user', 'Kevin prefers Haskell exclusively, no exceptions');
+      const pending = getConflicts(dbPath);
+      assert.equal(formatConflictLines(pending).length, 1);
+
+      const { lines, budgetReport } = buildFtsContext(dbPath, '', 10, 4000, { conflicts: pending });
+      const text = lines.join('\n');
+      assert.ok(text.includes('## Unresolved Fact Conflicts'));
+      assert.ok(text.includes('Haskell exclusively'));
+      assert.ok(budgetReport.allocations.conflicts > 0);
+
+      const hybrid = buildHybridContext(dbPath, '', [], 10, 4000, { conflicts: pending });
+      const section = (all) => all.slice(0, all.indexOf('') + 1);
+      assert.deepEqual(section(hybrid.lines), section(lines.slice(lines.indexOf('## Unresolved Fact Conflicts (resolve with memory_conflicts)'))));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
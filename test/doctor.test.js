@@ -0,0 +1,132 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery, sqliteExec } from '../lib/sqlite.js';
+import { storeEmbedding } from '../lib/embeddings.js';
+import { createLocalProvider } from '../lib/embedding-providers.js';
+import { ingestDocument } from '../lib/documents.js';
+import { runDoctor, repairDatabase, formatDoctorReport, summarizeDoctorReport } from '../lib/doctor.js';
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'doctor-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function withDb(fn) {
+  return async () => {
+    const ctx = makeDb();
+    try {
+      await fn(ctx);
+    } finally {
+      rmSync(ctx.dir, { recursive: true, force: true });
+    }
+  };
+}
+
+function insertFact(dbPath, key, value, expiresAt = null) {
+  sqliteExec(dbPath,
+    `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, expires_at, entity, fact_key, fact_value)
+     VALUES (?, 'test', ?, 'manual', ?, 'test', 0.5, ?, 'Kevin', ?, ?)`,
+    [`Kevin-${key}`, Date.now(), `Kevin.${key} = ${value}`, expiresAt, key, value]
+  );
+  return `Kevin-${key}`;
+}
+
+function statuses(report) {
+  return Object.fromEntries(report.checks.map((c) => [c.name, c.status]));
+}
+
+function ftsHits(dbPath, term) {
+  return sqliteQuery(dbPath, `SELECT COUNT(*) AS cnt FROM decisions_fts WHERE decisions_fts MATCH ?`, [term])[0].cnt;
+}
+
+describe('runDoctor', () => {
+  test('a healthy database passes the structural checks', withDb(({ dbPath }) => {
+    insertFact(dbPath, 'editor', 'vim');
+    const report = runDoctor(dbPath, { model: 'local', dims: 32 });
+    assert.equal(report.status, 'warn', 'the one fact has no vector yet');
+    assert.deepEqual(statuses(report), {
+      integrity: 'ok', fts_triggers: 'ok', fts_index: 'ok', chunk_fts: 'ok',
+      orphan_vectors: 'ok', vector_dims: 'ok', expired_rows: 'ok', missing_vectors: 'warn',
+    });
+    assert.equal(report.checks.find((c) => c.name === 'missing_vectors').repair, 'reembed_missing');
+    assert.equal(runDoctor(dbPath).checks.some((c) => c.name === 'missing_vectors'), false, 'skipped without a model');
+  }));
+
+  test('finds orphans, mixed dimensions and expired rows', withDb(async ({ dbPath }) => {
+    const id = insertFact(dbPath, 'editor', 'vim');
+    const small = createLocalProvider({ dimensions: 16 });
+    await storeEmbedding(dbPath, small, id, 'Kevin.editor = vim');
+    sqliteExec(dbPath,
+      `INSERT INTO vectors (id, decision_id, text_content, embedding, model, created_at) VALUES ('v-gone', 'gone', 'x', ?, ?, 0)`,
+      [Buffer.alloc(32 * 4), small.id]
+    );
+    insertFact(dbPath, 'old', 'x', Date.now() - 1000);
+
+    const report = runDoctor(dbPath, { model: small.id, dims: 16 });
+    assert.equal(report.status, 'error');
+    const byName = Object.fromEntries(report.checks.map((c) => [c.name, c]));
+    assert.deepEqual([byName.orphan_vectors.count, byName.orphan_vectors.repair], [1, 'purge_orphans']);
+    assert.match(byName.vector_dims.detail, /replace_mismatched/);
+    assert.equal(byName.expired_rows.count, 1);
+    assert.match(summarizeDoctorReport(report), /^\d+ ok, \d+ warn \(.*orphan_vectors.*\), 1 error \(vector_dims\)$/);
+    assert.ok(formatDoctorReport(report).includes('- [warn] orphan_vectors: 1 vectors without a decision, 0 chunk vectors without a chunk (repair: purge_orphans)'));
+
+    assert.deepEqual(repairDatabase(dbPath, ['purge_orphans']).map((r) => r.ok), [true]);
+    assert.equal(statuses(runDoctor(dbPath)).orphan_vectors, 'ok');
+  }));
+
+  test('a provider size change is flagged against the current model', withDb(async ({ dbPath }) => {
+    const provider = createLocalProvider({ dimensions: 16 });
+    await storeEmbedding(dbPath, provider, insertFact(dbPath, 'editor', 'vim'), 'Kevin.editor = vim');
+    const check = runDoctor(dbPath, { model: provider.id, dims: 32 }).checks.find((c) => c.name === 'vector_dims');
+    assert.equal(check.status, 'warn');
+    assert.match(check.detail, /have 16 dims, the provider returns 32/);
+  }));
+});
+
+describe('repairDatabase', () => {
+  test('rebuild_fts restores a dropped trigger and re-syncs the index', withDb(({ dbPath }) => {
+    insertFact(dbPath, 'editor', 'vim');
+    sqliteExec(dbPath, `DROP TRIGGER decisions_ai`);
+    insertFact(dbPath, 'shell', 'fish');
+    assert.equal(ftsHits(dbPath, 'fish'), 0);
+
+    const before = runDoctor(dbPath);
+    assert.deepEqual([statuses(before).fts_triggers, statuses(before).fts_index], ['error', 'error']);
+
+    const [result] = repairDatabase(dbPath, ['rebuild_fts']);
+    assert.equal(result.ok, true);
+    assert.equal(ftsHits(dbPath, 'fish'), 1);
+    insertFact(dbPath, 'os', 'linux');
+    assert.equal(ftsHits(dbPath, 'linux'), 1, 'the trigger follows writes again');
+    assert.equal(runDoctor(dbPath).status, 'ok');
+  }));
+
+  test('an edit the index missed is caught even when the counts match', withDb(({ dbPath }) => {
+    insertFact(dbPath, 'editor', 'vim');
+    sqliteExec(dbPath, `DROP TRIGGER decisions_au`);
+    sqliteExec(dbPath, `UPDATE decisions SET fact_value = 'helix'`);
+    sqliteExec(dbPath, `CREATE TRIGGER decisions_au AFTER UPDATE ON decisions BEGIN SELECT 1; END`);
+    assert.equal(statuses(runDoctor(dbPath)).fts_index, 'error');
+    repairDatabase(dbPath, ['rebuild_fts']);
+    assert.equal(ftsHits(dbPath, 'helix'), 1);
+  }));
+
+  test('rebuild_fts re-indexes document chunks', withDb(({ dbPath }) => {
+    ingestDocument(dbPath, { title: 'Runbook', source: 'runbook.md', text: 'Restart the ingest worker before rotating keys.' });
+    sqliteExec(dbPath, `DELETE FROM document_chunks_fts`);
+    sqliteExec(dbPath, `INSERT INTO document_chunks_fts (chunk_id, title, content) VALUES ('gone', 'Old', 'stale')`);
+    const check = runDoctor(dbPath).checks.find((c) => c.name === 'chunk_fts');
+    assert.deepEqual([check.status, check.count], ['warn', 2]);
+
+    repairDatabase(dbPath, ['rebuild_fts']);
+    assert.equal(statuses(runDoctor(dbPath)).chunk_fts, 'ok');
+    assert.equal(sqliteQuery(dbPath, `SELECT title FROM document_chunks_fts WHERE document_chunks_fts MATCH 'rotating'`)[0].title, 'Runbook');
+  }));
+});
@@ -0,0 +1,204 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, mkdirSync, symlinkSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery } from '../lib/sqlite.js';
+import { createLocalProvider } from '../lib/embedding-providers.js';
+import { createBudget } from '../lib/budget.js';
+import { buildRecallContext } from '../lib/recall.js';
+import { buildKeywordQuery } from '../lib/ranking.js';
+import {
+  chunkText,
+  resolveDocumentConfig,
+  resolveDocumentPath,
+  readDocumentFile,
+  ingestDocument,
+  removeDocument,
+  embedDocumentChunks,
+  searchDocumentChunks,
+  formatChunkLine,
+} from '../lib/documents.js';
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'documents-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function withDb(fn) {
+  return async () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      await fn(dbPath, dir);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+const RUNBOOK = [
+  '# Deploy runbook',
+  'Deploys go to the staging cluster first. Kevin approves every production release after the smoke tests pass.',
+  'Rollbacks use the previous image tag. Never delete the old tag until the new release has run for a day.',
+  'The database migration step runs before the web pods restart, and it must finish within ten minutes.',
+  'On-call rotates weekly; the pager schedule lives in the ops calendar.',
+].join('\n\n');
+
+describe('chunkText', () => {
+  test('splits on paragraph boundaries with overlap', () => {
+    const chunks = chunkText(RUNBOOK, { size: 200, overlap: 40 });
+    assert.ok(chunks.length >= 3);
+    chunks.forEach((c, i) => {
+      assert.equal(c.seq, i);
+      assert.ok(c.content.length <= 200, `chunk ${i} is ${c.content.length} chars`);
+    });
+    for (let i = 1; i < chunks.length; i++) {
+      assert.ok(chunks[i].start < chunks[i - 1].end, 'consecutive chunks overlap');
+      assert.ok(chunks[i].start > chunks[i - 1].start, 'the window moves forward');
+    }
+    assert.ok(chunks.at(-1).content.endsWith('ops calendar.'));
+  });
+
+  test('keeps short text whole and handles text without spaces', () => {
+    assert.deepEqual(chunkText('one short note', { size: 200 }).map((c) => c.content), ['one short note']);
+    const solid = chunkText('x'.repeat(450), { size: 200, overlap: 40 });
+    assert.deepEqual(solid.map((c) => c.content.length), [200, 200, 50]);
+    assert.deepEqual(chunkText('   \n  '), []);
+  });
+
+  test('config keeps the overlap under half a chunk', () => {
+    assert.deepEqual(resolveDocumentConfig(), { chunkSize: 1000, chunkOverlap: 150, maxRecallChunks: 3 });
+    assert.deepEqual(resolveDocumentConfig({ chunkSize: 400, chunkOverlap: 300, maxRecallChunks: 0 }), { chunkSize: 400, chunkOverlap: 200, maxRecallChunks: 0 });
+  });
+});
+
+describe('ingestDocument', () => {
+  test('stores chunks with an FTS row each, linked to the document', withDb((dbPath) => {
+    const { document, chunks, replaced } = ingestDocument(dbPath, { title: 'Deploy runbook', text: RUNBOOK }, { chunkSize: 200, chunkOverlap: 40 });
+    assert.equal(replaced, false);
+    assert.equal(document.chunk_count, chunks);
+    assert.equal(sqliteQuery(dbPath, 'SELECT COUNT(*) AS cnt FROM document_chunks WHERE document_id = ?', [document.id])[0].cnt, chunks);
+    assert.equal(sqliteQuery(dbPath, 'SELECT COUNT(*) AS cnt FROM document_chunks_fts')[0].cnt, chunks);
+    // Documents never become decisions
+    assert.equal(sqliteQuery(dbPath, 'SELECT COUNT(*) AS cnt FROM decisions')[0].cnt, 0);
+  }));
+
+  test('re-ingesting replaces in place, and unchanged text is skipped', withDb((dbPath) => {
+    const first = ingestDocument(dbPath, { title: 'Notes', text: RUNBOOK });
+    assert.equal(ingestDocument(dbPath, { title: 'Notes', text: RUNBOOK }).unchanged, true);
+    const second = ingestDocument(dbPath, { title: 'Notes', text: 'Completely different notes about the cafeteria menu.' });
+    assert.equal(second.replaced, true);
+    assert.equal(second.document.id, first.document.id);
+    assert.equal(sqliteQuery(dbPath, 'SELECT COUNT(*) AS cnt FROM documents')[0].cnt, 1);
+    assert.deepEqual(searchDocumentChunks(dbPath, { ftsQuery: 'staging' }), []);
+    assert.equal(searchDocumentChunks(dbPath, { ftsQuery: 'cafeteria' }).length, 1);
+  }));
+
+  test('rejects empty and oversized documents', withDb((dbPath) => {
+    assert.match(ingestDocument(dbPath, { title: 'x', text: '  ' }).error, /empty/);
+    assert.match(ingestDocument(dbPath, { title: 'x', text: 'a'.repeat(500001) }).error, /limit/);
+  }));
+
+  test('removeDocument drops chunks, FTS rows and vectors', withDb(async (dbPath) => {
+    const { document } = ingestDocument(dbPath, { title: 'Deploy runbook', text: RUNBOOK }, { chunkSize: 200, chunkOverlap: 40 });
+    await embedDocumentChunks(dbPath, createLocalProvider());
+    assert.equal(removeDocument(dbPath, document.id), true);
+    for (const table of ['documents', 'document_chunks', 'document_chunks_fts', 'chunk_vectors']) {
+      assert.equal(sqliteQuery(dbPath, `SELECT COUNT(*) AS cnt FROM ${table}`)[0].cnt, 0, table);
+    }
+  }));
+});
+
+describe('files under the memory directory', () => {
+  test('reads files inside and refuses paths that escape it', withDb((dbPath, dir) => {
+    const memoryDir = join(dir, 'memory');
+    mkdirSync(join(memoryDir, 'notes'), { recursive: true });
+    writeFileSync(join(memoryDir, 'notes', 'runbook.md'), RUNBOOK);
+    writeFileSync(join(dir, 'outside.md'), 'secret');
+    symlinkSync(join(dir, 'outside.md'), join(memoryDir, 'link.md'));
+
+    const file = readDocumentFile(memoryDir, 'notes/runbook.md');
+    assert.deepEqual([file.source, file.title, file.text], ['notes/runbook.md', 'runbook', RUNBOOK]);
+    assert.equal(readDocumentFile(memoryDir, join(memoryDir, 'notes/runbook.md')).source, 'notes/runbook.md');
+    assert.match(resolveDocumentPath(memoryDir, '../outside.md').error, /inside the memory directory/);
+    assert.match(resolveDocumentPath(memoryDir, 'link.md').error, /inside the memory directory/);
+    assert.match(resolveDocumentPath(memoryDir, 'missing.md').error, /not found/);
+    assert.match(readDocumentFile(memoryDir, 'notes').error, /not a file/);
+  }));
+
+  test('refuses the database, the key file and its siblings, and backups', withDb((dbPath, dir) => {
+    const memoryDir = join(dir, 'memory');
+    mkdirSync(join(memoryDir, 'backups'), { recursive: true });
+    const files = ['memory.key', 'memory.key.next', 'memory.key.3f2a.old', 'memory.db', 'memory.db-wal', 'backups/memory-20261019.db', 'notes.md'];
+    for (const name of files) writeFileSync(join(memoryDir, name), 'aGVsbG8gd29ybGQ=');
+    const protectedPaths = [join(memoryDir, 'memory.db'), join(memoryDir, 'memory.key'), join(memoryDir, 'backups')];
+
+    for (const name of files.slice(0, -1)) {
+      assert.match(readDocumentFile(memoryDir, name, protectedPaths).error, /database, its key or a backup/, name);
+    }
+    assert.equal(readDocumentFile(memoryDir, 'notes.md', protectedPaths).source, 'notes.md');
+  }));
+});
+
+describe('chunk retrieval', () => {
+  test('finds chunks by keyword with an excerpt around the match', withDb((dbPath) => {
+    ingestDocument(dbPath, { title: 'Deploy runbook', text: RUNBOOK }, { chunkSize: 200, chunkOverlap: 40 });
+    ingestDocument(dbPath, { title: 'Lunch', text: 'The cafeteria serves soup on Tuesdays.' });
+    const [hit] = searchDocumentChunks(dbPath, { ftsQuery: buildKeywordQuery('how long can the database migration take') });
+    assert.equal(hit.title, 'Deploy runbook');
+    assert.match(hit.excerpt, /migration/);
+    assert.match(formatChunkLine(hit), /^- \*\*Deploy runbook\*\* \(part \d\/\d\): .*migration/);
+  }));
+
+  test('returns one chunk per document, best first', withDb((dbPath) => {
+    ingestDocument(dbPath, { title: 'Deploy runbook', text: RUNBOOK }, { chunkSize: 200, chunkOverlap: 40 });
+    const hits = searchDocumentChunks(dbPath, { ftsQuery: 'release OR tag OR staging', limit: 5 });
+    assert.equal(hits.length, 1);
+  }));
+
+  test('finds chunks by similarity once embedded', withDb(async (dbPath) => {
+    const provider = createLocalProvider();
+    const { document } = ingestDocument(dbPath, { title: 'Deploy runbook', text: RUNBOOK }, { chunkSize: 200, chunkOverlap: 40 });
+    assert.equal(await embedDocumentChunks(dbPath, provider, { documentId: document.id }), document.chunk_count);
+    assert.equal(await embedDocumentChunks(dbPath, provider), 0, 'nothing left to embed');
+
+    const queryEmbedding = await provider.embed('pager schedule rotation');
+    const [hit] = searchDocumentChunks(dbPath, { queryEmbedding, model: provider.id, threshold: 0.1 });
+    assert.match(hit.excerpt, /pager schedule/);
+    assert.deepEqual(searchDocumentChunks(dbPath, { queryEmbedding, model: 'other:model', threshold: 0.1 }), []);
+  }));
+
+  test('a new model replaces the old chunk vectors', withDb(async (dbPath) => {
+    ingestDocument(dbPath, { title: 'Deploy runbook', text: RUNBOOK });
+    await embedDocumentChunks(dbPath, createLocalProvider({ dimensions: 64 }));
+    await embedDocumentChunks(dbPath, createLocalProvider({ dimensions: 128 }));
+    assert.deepEqual(sqliteQuery(dbPath, 'SELECT DISTINCT model FROM chunk_vectors'), [{ model: 'local:hash-128' }]);
+  }));
+});
+
+describe('document citations in recall', () => {
+  const chunk = { title: 'Deploy runbook', seq: 1, chunk_count: 4, excerpt: 'The database migration step runs before the web pods restart.' };
+
+  test('are cited after memories from what the budget has left', () => {
+    const budget = createBudget(1000);
+    const ctx = buildRecallContext(['## Permanent Knowledge', '- **Kevin**.editor = vim', ''], new Set(), [], budget, null, null, [chunk]);
+    assert.match(ctx, /## From Documents \(memory_ingest\)\n- \*\*Deploy runbook\*\* \(part 2\/4\): The database migration/);
+    assert.ok(budget.report().sections.documents.used > 0);
+  });
+
+  test('are dropped when the budget is spent', () => {
+    const budget = createBudget(1000);
+    budget.tryAdd('conflicts', 950);
+    assert.equal(buildRecallContext([], new Set(), [], budget, null, null, [chunk]), null);
+    assert.equal(buildRecallContext([], new Set(), [], 50, null, null, [chunk]), null);
+  });
+
+  test('long excerpts are truncated', () => {
+    const line = formatChunkLine({ ...chunk, excerpt: 'word '.repeat(200) });
+    assert.ok(line.length < 360);
+    assert.ok(line.endsWith('...'));
+  });
+});
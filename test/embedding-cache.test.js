@@ -0,0 +1,208 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery, sqliteExec } from '../lib/sqlite.js';
+import { storeEmbeddings } from '../lib/embeddings.js';
+import { createOllamaProvider, hashEmbedding } from '../lib/embedding-providers.js';
+import {
+  createCachedProvider,
+  resolveEmbeddingCacheConfig,
+  pruneEmbeddingCache,
+  formatEmbeddingStats,
+  hitRate,
+} from '../lib/embedding-cache.js';
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'embedding-cache-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function withDb(fn) {
+  return async () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      await fn(dbPath);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/** Local-style provider that records every batch it is asked for. */
+function countingProvider(batchSize = 4) {
+  const calls = [];
+  return {
+    calls,
+    name: 'test',
+    model: 'counting',
+    id: 'test:counting',
+    batchSize,
+    health: async () => ({ available: true, dimensions: 16 }),
+    embed: async (text) => { calls.push([text]); return hashEmbedding(text, 16); },
+    embedBatch: async (texts) => { calls.push(texts); return texts.map((t) => (t === 'fails' ? null : hashEmbedding(t, 16))); },
+  };
+}
+
+describe('resolveEmbeddingCacheConfig', () => {
+  test('fills defaults and ignores invalid sizes', () => {
+    assert.deepEqual(resolveEmbeddingCacheConfig(), { querySize: 256, maxEntries: 20000 });
+    assert.deepEqual(resolveEmbeddingCacheConfig({ querySize: 0, maxEntries: -1 }), { querySize: 0, maxEntries: 20000 });
+  });
+});
+
+describe('embedding cache table', () => {
+  test('serves repeated texts without calling the provider', withDb(async (dbPath) => {
+    const inner = countingProvider();
+    const cached = createCachedProvider(dbPath, inner);
+    const first = await cached.embed('Kevin likes tea');
+    const second = await cached.embed('Kevin likes tea');
+    assert.equal(inner.calls.length, 1);
+    assert.ok(Math.abs(first[0] - second[0]) < 1e-6);
+    assert.equal(sqliteQuery(dbPath, 'SELECT hits FROM embedding_cache')[0].hits, 1);
+
+    // A new wrapper (restart) still hits the table
+    const restarted = createCachedProvider(dbPath, inner);
+    await restarted.embed('Kevin likes tea');
+    assert.equal(inner.calls.length, 1);
+    assert.deepEqual([restarted.stats().cacheHits, restarted.stats().cacheMisses], [1, 0]);
+  }));
+
+  test('sends only distinct misses, batchSize texts per request', withDb(async (dbPath) => {
+    const inner = countingProvider(4);
+    const cached = createCachedProvider(dbPath, inner);
+    await cached.embed('t0');
+    const texts = ['t0', 't1', 't2', 't3', 't4', 't5', 't1', 'fails'];
+    const out = await cached.embedBatch(texts);
+    assert.equal(out.length, texts.length);
+    assert.equal(out[7], null);
+    assert.deepEqual(out[6], out[1]);
+    assert.deepEqual(inner.calls.slice(1), [['t1', 't2', 't3', 't4'], ['t5', 'fails']]);
+    const st = cached.stats();
+    assert.deepEqual([st.cacheHits, st.cacheMisses, st.requests, st.embedded, st.cacheEntries], [2, 7, 3, 7, 6]);
+  }));
+
+  test('keeps entries apart by model', withDb(async (dbPath) => {
+    const a = countingProvider();
+    const b = { ...countingProvider(), id: 'test:other' };
+    await createCachedProvider(dbPath, a).embed('same text');
+    await createCachedProvider(dbPath, b).embed('same text');
+    assert.equal(b.calls.length, 1);
+    assert.equal(sqliteQuery(dbPath, 'SELECT COUNT(*) AS cnt FROM embedding_cache')[0].cnt, 2);
+  }));
+
+  test('prunes least recently used rows', withDb(async (dbPath) => {
+    const cached = createCachedProvider(dbPath, countingProvider());
+    await cached.embedBatch(['a1', 'a2', 'a3']);
+    sqliteExec(dbPath, `UPDATE embedding_cache SET last_used_at = 1`);
+    await cached.embed('a2');
+    assert.equal(pruneEmbeddingCache(dbPath, 1), 2);
+    assert.equal(pruneEmbeddingCache(dbPath, 1), 0);
+    assert.equal(cached.stats().cacheEntries, 1);
+    await cached.embed('a2');
+    assert.equal(cached.stats().cacheMisses, 3);
+  }));
+
+  test('storeEmbeddings stores one vector per item in batches', withDb(async (dbPath) => {
+    const inner = countingProvider(2);
+    const cached = createCachedProvider(dbPath, inner);
+    for (const id of ['d1', 'd2', 'd3']) {
+      sqliteExec(dbPath,
+        `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance) VALUES (?, 'test', ?, 'manual', ?, 'test', 0.5)`,
+        [id, Date.now(), `fact ${id}`]
+      );
+    }
+    const stored = await storeEmbeddings(dbPath, cached, [
+      { id: 'd1', text: 'Kevin.tea = green' },
+      { id: 'd2', text: 'fails' },
+      { id: 'd3', text: 'Kevin.coffee = none' },
+    ]);
+    assert.deepEqual(stored, [true, false, true]);
+    assert.equal(inner.calls.length, 2);
+    assert.deepEqual(sqliteQuery(dbPath, 'SELECT decision_id, model FROM vectors ORDER BY decision_id'),
+      [{ decision_id: 'd1', model: 'test:counting' }, { decision_id: 'd3', model: 'test:counting' }]);
+  }));
+});
+
+describe('query LRU', () => {
+  test('repeats hit memory, never the table, and the oldest entry is evicted', withDb(async (dbPath) => {
+    const inner = countingProvider();
+    const cached = createCachedProvider(dbPath, inner, { querySize: 2 });
+    await cached.embedQuery('q1');
+    await cached.embedQuery('q2');
+    await cached.embedQuery('q1');
+    await cached.embedQuery('q3'); // evicts q2, the least recently used
+    await cached.embedQuery('q1');
+    await cached.embedQuery('q2');
+    assert.deepEqual(inner.calls, [['q1'], ['q2'], ['q3'], ['q2']]);
+    const st = cached.stats();
+    assert.deepEqual([st.queryHits, st.queryMisses, st.queryEntries, st.cacheEntries], [2, 4, 2, 0]);
+  }));
+
+  test('querySize 0 disables it', withDb(async (dbPath) => {
+    const inner = countingProvider();
+    const cached = createCachedProvider(dbPath, inner, { querySize: 0 });
+    await cached.embedQuery('q');
+    await cached.embedQuery('q');
+    assert.equal(inner.calls.length, 2);
+  }));
+});
+
+describe('stats formatting', () => {
+  test('reports hit rates', () => {
+    assert.equal(hitRate(0, 0), 'n/a');
+    assert.equal(hitRate(3, 1), '75%');
+    const line = formatEmbeddingStats({ queryHits: 1, queryMisses: 1, cacheHits: 0, cacheMisses: 4, requests: 2, embedded: 5 });
+    assert.equal(line, 'query LRU 50% of 2, cache 0% of 4, 2 requests for 5 texts');
+  });
+});
+
+describe('Ollama batch requests', () => {
+  let server, url, requests, batchEndpoint;
+
+  before(async () => {
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (c) => { body += c; });
+      req.on('end', () => {
+        const parsed = JSON.parse(body);
+        requests.push({ url: req.url, body: parsed });
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/api/embed' && batchEndpoint) {
+          res.end(JSON.stringify({ model: parsed.model, embeddings: parsed.input.map((t) => [t.length, 1]) }));
+        } else if (req.url === '/api/embeddings') {
+          res.end(JSON.stringify({ embedding: [parsed.prompt.length, 1] }));
+        } else {
+          res.statusCode = 404;
+          res.end('{"error":"not found"}');
+        }
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('posts an array to /api/embed', async () => {
+    requests = [];
+    batchEndpoint = true;
+    const provider = createOllamaProvider({ url, model: 'nomic-embed-text' });
+    assert.deepEqual(await provider.embedBatch(['ab', 'abc']), [[2, 1], [3, 1]]);
+    assert.deepEqual(requests, [{ url: '/api/embed', body: { model: 'nomic-embed-text', input: ['ab', 'abc'] } }]);
+  });
+
+  test('falls back to one request per text when /api/embed is missing', async () => {
+    requests = [];
+    batchEndpoint = false;
+    const provider = createOllamaProvider({ url, model: 'nomic-embed-text' });
+    assert.deepEqual(await provider.embedBatch(['ab', 'abc']), [[2, 1], [3, 1]]);
+    assert.deepEqual(await provider.embedBatch(['a']), [[1, 1]]);
+    assert.deepEqual(requests.map((r) => r.url), ['/api/embed', '/api/embeddings', '/api/embeddings', '/api/embeddings']);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery, sqliteExec } from '../lib/sqlite.js';
+import { cosineSimilarity, storeEmbedding, vectorSearch, backfillEmbeddings } from '../lib/embeddings.js';
+import {
+  createEmbeddingProvider,
+  createOpenAiProvider,
+  createLocalProvider,
+  hashEmbedding,
+} from '../lib/embedding-providers.js';
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'embedding-providers-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function insertDecision(dbPath, id, description) {
+  sqliteExec(dbPath,
+    `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance)
+     VALUES (?, 'test', ?, 'manual', ?, 'test', 0.5)`,
+    [id, Date.now(), description]
+  );
+}
+
+describe('createEmbeddingProvider', () => {
+  test('selects the provider from config and qualifies the model id', () => {
+    assert.equal(createEmbeddingProvider({}).id, 'ollama:nomic-embed-text');
+    assert.equal(createEmbeddingProvider({ embeddingProvider: 'openai', embeddingModel: 'bge-m3' }).id, 'openai:bge-m3');
+    assert.equal(createEmbeddingProvider({ embeddingProvider: 'local', embeddingDimensions: 64 }).id, 'local:hash-64');
+    assert.equal(createEmbeddingProvider({ embeddingProvider: 'nope' }).name, 'ollama');
+  });
+});
+
+describe('local hashing embedder', () => {
+  test('is deterministic, normalized and sized by config', async () => {
+    const a = hashEmbedding('Kevin deploys the API to the staging cluster', 64);
+    assert.equal(a.length, 64);
+    assert.deepEqual(a, hashEmbedding('Kevin deploys the API to the staging cluster', 64));
+    assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-9);
+    assert.deepEqual(await createLocalProvider({ dimensions: 64 }).health(), { available: true, dimensions: 64 });
+  });
+
+  test('ranks texts sharing words and word fragments higher', () => {
+    const q = hashEmbedding('deploying the staging cluster');
+    const near = cosineSimilarity(q, hashEmbedding('Kevin deploys to the staging cluster on Fridays'));
+    const far = cosineSimilarity(q, hashEmbedding('favorite color is blue'));
+    assert.ok(near > far + 0.2, `${near} vs ${far}`);
+  });
+
+  test('ignores stop words and returns a zero vector for empty text', () => {
+    assert.deepEqual(hashEmbedding('the staging cluster', 32), hashEmbedding('staging cluster', 32));
+    assert.ok(hashEmbedding('', 32).every((v) => v === 0));
+  });
+
+  test('stores provider-qualified rows and searches without a model server', async () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const provider = createLocalProvider();
+      insertDecision(dbPath, 'd1', 'Kevin deploys to the staging cluster on Fridays');
+      insertDecision(dbPath, 'd2', 'Favorite color is blue');
+      assert.equal(await backfillEmbeddings(dbPath, provider, {}), 2);
+      assert.deepEqual(sqliteQuery(dbPath, 'SELECT DISTINCT model FROM vectors'), [{ model: 'local:hash-256' }]);
+      const [top] = await vectorSearch(dbPath, provider, 'staging cluster deploy', 5, 0.1);
+      assert.equal(top.decision_id, 'd1');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('OpenAI-compatible provider', () => {
+  let server, url, requests;
+
+  before(async () => {
+    requests = [];
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', (c) => { body += c; });
+      req.on('end', () => {
+        requests.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body) });
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url !== '/v1/embeddings') { res.statusCode = 404; res.end('{}'); return; }
+        res.end(JSON.stringify({ object: 'list', data: [{ object: 'embedding', index: 0, embedding: [0.1, 0.2, 0.3] }] }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('posts model and input to /v1/embeddings with the API key', async () => {
+    const provider = createOpenAiProvider({ url, model: 'bge-m3', apiKey: 'secret' });
+    assert.deepEqual(await provider.embed('hello'), [0.1, 0.2, 0.3]);
+    assert.deepEqual(requests.at(-1), { url: '/v1/embeddings', auth: 'Bearer secret', body: { model: 'bge-m3', input: 'hello' } });
+  });
+
+  test('accepts a base URL that already ends in /v1', async () => {
+    const provider = createOpenAiProvider({ url: `${url}/v1/`, model: 'bge-m3' });
+    assert.deepEqual(await provider.health(), { available: true, dimensions: 3 });
+    assert.equal(requests.at(-1).auth, undefined);
+  });
+
+  test('reports unreachable or failing servers', async () => {
+    assert.equal(await createOpenAiProvider({ url: 'http://127.0.0.1:1' }).embed('x'), null);
+    assert.equal((await createOpenAiProvider({ url: 'http://127.0.0.1:1' }).health()).available, false);
+    assert.deepEqual(await createOpenAiProvider({ url: `${url}/other` }).health(), { available: false, reason: 'HTTP 404' });
+  });
+
+  test('storeEmbedding records the provider with the model', async () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertDecision(dbPath, 'd1', 'anything');
+      assert.equal(await storeEmbedding(dbPath, createOpenAiProvider({ url, model: 'bge-m3' }), 'd1', 'anything'), true);
+      assert.equal(sqliteQuery(dbPath, 'SELECT model FROM vectors')[0].model, 'openai:bge-m3');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('provider-qualified model migration', () => {
+  test('prefixes existing Ollama rows and leaves qualified ones alone', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'embedding-providers-test-'));
+    const dbPath = join(dir, 'test.db');
+    try {
+      ensureTables(dbPath);
+      for (const [id, model] of [['a', 'nomic-embed-text'], ['b', 'mxbai-embed-large:latest'], ['c', 'local:hash-256']]) {
+        sqliteExec(dbPath, `INSERT INTO vectors (id, decision_id, text_content, embedding, model, created_at) VALUES (?, 'd', 't', '[1]', ?, 0)`, [id, model]);
+      }
+      runMigrations(dbPath);
+      assert.deepEqual(sqliteQuery(dbPath, 'SELECT model FROM vectors ORDER BY id').map((r) => r.model),
+        ['ollama:nomic-embed-text', 'ollama:mxbai-embed-large:latest', 'local:hash-256']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
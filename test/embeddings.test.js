@@ -12,7 +12,9 @@ import {
   ensureVectorsTable,
   storeEmbedding,
   vectorSearch,
+  decodeEmbedding,
 } from "../lib/embeddings.js";
+import { createOllamaProvider } from "../lib/embedding-providers.js";
 
 import { ensureTables, sqliteQuery } from "../lib/sqlite.js";
 
@@ -113,8 +115,7 @@ test("vectorSearch: returns empty array for empty DB", async () => {
   // Use a bad URL so no network call succeeds — should still return []
   const results = await vectorSearch(
     dbPath,
-    "http://localhost:99999",
-    "any-model",
+    createOllamaProvider({ url: "http://localhost:99999", model: "any-model" }),
     "test query",
     10,
     0.5
@@ -152,8 +153,7 @@ test("storeEmbedding: stores and retrieves from temp DB", { skip: !ollamaAvailab
 
   const ok = await storeEmbedding(
     dbPath,
-    "http://localhost:11434",
-    ollamaModel,
+    createOllamaProvider({ url: "http://localhost:11434", model: ollamaModel }),
     decisionId,
     "test description"
   );
@@ -162,8 +162,9 @@ test("storeEmbedding: stores and retrieves from temp DB", { skip: !ollamaAvailab
   const rows = sqliteQuery(dbPath, `SELECT * FROM vectors WHERE decision_id = '${decisionId}'`);
   assert.equal(rows.length, 1, "should have one vector row");
   assert.equal(rows[0].decision_id, decisionId);
+  assert.equal(rows[0].model, `ollama:${ollamaModel}`);
 
-  // Parse stored embedding
-  const emb = JSON.parse(rows[0].embedding);
-  assert.ok(Array.isArray(emb) && emb.length > 0, "stored embedding should be a non-empty array");
+  // Decode stored Float32 BLOB
+  const emb = decodeEmbedding(rows[0].embedding);
+  assert.ok(emb instanceof Float32Array && emb.length > 0, "stored embedding should be a non-empty Float32 BLOB");
 });
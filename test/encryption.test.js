@@ -0,0 +1,258 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { randomBytes } from 'node:crypto';
+import { ensureTables, runMigrations, sqliteQuery, sqliteExec, setFieldCipher, getFieldCipher, closeAllConnections } from '../lib/sqlite.js';
+import {
+  resolveEncryptionConfig,
+  parseKey,
+  loadKey,
+  tokenize,
+  createFieldCipher,
+  sealDecision,
+  sealField,
+  encryptionStatus,
+  enableEncryption,
+  rotateKey,
+} from '../lib/encryption.js';
+import { captureFromMessages } from '../lib/capture.js';
+import { buildFtsContext } from '../lib/recall.js';
+import { hybridRank } from '../lib/ranking.js';
+import { forgetFacts, undoForget, isTombstoned } from '../lib/forget.js';
+import { archiveDecision, searchArchive } from '../lib/quotas.js';
+import { checkFactUpdate, getConflicts } from '../lib/conflicts.js';
+import { ingestDocument, searchDocumentChunks } from '../lib/documents.js';
+import { repairDatabase } from '../lib/doctor.js';
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'encryption-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function withDb(fn) {
+  return async () => {
+    const ctx = makeDb();
+    try {
+      await fn(ctx);
+    } finally {
+      setFieldCipher(ctx.dbPath, null);
+      rmSync(ctx.dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/** Turn encryption on with a fresh key file in the test directory. */
+function encrypt(dbPath, dir, opts = {}) {
+  const config = resolveEncryptionConfig({ keyFile: 'memory.key', ...opts }, dir);
+  if (!existsSync(config.keyFile)) writeFileSync(config.keyFile, randomBytes(32).toString('base64'));
+  const result = enableEncryption(dbPath, config, {});
+  assert.equal(result.error, undefined);
+  return { config, ...result };
+}
+
+/** Read a table without opening sealed values, as it is on disk. */
+function raw(dbPath, sql, params = []) {
+  const cipher = getFieldCipher(dbPath);
+  setFieldCipher(dbPath, null);
+  try {
+    return sqliteQuery(dbPath, sql, params);
+  } finally {
+    setFieldCipher(dbPath, cipher);
+  }
+}
+
+function insertFact(dbPath, key, value) {
+  const row = sealDecision(dbPath, { description: `Kevin.${key} = ${value}`, fact_value: value });
+  sqliteExec(dbPath,
+    `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, ttl_class, entity, fact_key, fact_value, search_tokens)
+     VALUES (?, 'test', ?, 'manual', ?, 'test', 0.5, 'stable', 'Kevin', ?, ?, ?)`,
+    [`Kevin-${key}`, Date.now(), row.description, key, row.fact_value, row.search_tokens]
+  );
+  return `Kevin-${key}`;
+}
+
+describe('keys and ciphers', () => {
+  test('config and key parsing', () => {
+    assert.equal(resolveEncryptionConfig(undefined, '/m').enabled, false);
+    assert.equal(resolveEncryptionConfig({ enabled: false }, '/m').enabled, false);
+    const config = resolveEncryptionConfig({ search: 'plaintext', keyFile: 'keys/k' }, '/m');
+    assert.deepEqual(config, { enabled: true, keyFile: '/m/keys/k', keyEnv: 'LILY_MEMORY_KEY', search: 'plaintext' });
+    assert.equal(resolveEncryptionConfig(true, '/m').keyFile, '/m/memory.key');
+    assert.equal(resolveEncryptionConfig({ search: 'fuzzy' }, '/m').search, 'blind');
+
+    const key = randomBytes(32);
+    assert.deepEqual(parseKey(key.toString('hex')), key);
+    assert.deepEqual(parseKey(`${key.toString('base64')}\n`), key);
+    assert.equal(parseKey('too short'), null);
+    assert.equal(parseKey(randomBytes(16).toString('base64')), null);
+
+    assert.deepEqual(loadKey(config, { LILY_MEMORY_KEY: key.toString('hex') }), { key, source: '$LILY_MEMORY_KEY' });
+    assert.match(loadKey(config, { LILY_MEMORY_KEY: 'nope' }).error, /not a 256-bit key/);
+    assert.match(loadKey(config, {}).error, /openssl rand -base64 32/);
+    assert.deepEqual(tokenize('Kevin prefers Café-au-lait, v2!'), ['kevin', 'prefers', 'cafe', 'au', 'lait', 'v2']);
+  });
+
+  test('seal and open', () => {
+    const cipher = createFieldCipher(randomBytes(32));
+    const sealed = cipher.seal('Kevin prefers vim');
+    assert.match(sealed, /^enc1:[0-9a-f]{8}:[0-9a-f]+$/);
+    assert.notEqual(cipher.seal('Kevin prefers vim'), sealed, 'a fresh IV per value');
+    assert.equal(cipher.seal(sealed), sealed);
+    assert.equal(cipher.open(sealed), 'Kevin prefers vim');
+    assert.deepEqual([cipher.seal(null), cipher.open('plain')], [null, 'plain']);
+
+    // A different key or a tampered value is left sealed
+    assert.equal(createFieldCipher(randomBytes(32)).open(sealed), sealed);
+    const tampered = sealed.slice(0, -2) + (sealed.endsWith('00') ? '11' : '00');
+    assert.equal(cipher.open(tampered), tampered);
+
+    assert.equal(cipher.searchTokens('Vim vim', 'VIM'), cipher.searchTokens('vim'));
+    assert.match(cipher.searchTokens('vim'), /^[0-9a-f]{16}$/);
+    assert.match(cipher.matchQuery('editor* OR vim'), /^\(editor\* OR vim\) OR "[0-9a-f]{16}" OR "[0-9a-f]{16}"$/);
+    const plain = createFieldCipher(randomBytes(32), 'plaintext');
+    assert.deepEqual([plain.searchTokens('Kevin.editor = vim'), plain.matchQuery('edi*')], ['kevin editor vim', 'edi*']);
+  });
+});
+
+describe('encrypted storage', () => {
+  test('capture writes sealed values that read back as plaintext', withDb(({ dbPath, dir }) => {
+    encrypt(dbPath, dir);
+    captureFromMessages(dbPath, [{ role: 'user', content: 'Kevin prefers neovim for all editing work on servers' }], 10, new Set(['kevin']), () => {});
+    const stored = raw(dbPath, `SELECT description, fact_value, search_tokens FROM decisions`);
+    assert.ok(stored.length > 0);
+    for (const row of stored) {
+      assert.match(row.fact_value, /^enc1:/);
+      assert.match(row.description, /^enc1:/);
+      assert.doesNotMatch(row.search_tokens, /neovim/);
+    }
+    assert.ok(sqliteQuery(dbPath, `SELECT fact_value FROM decisions`).some((r) => /neovim/.test(r.fact_value)));
+    assert.equal(encryptionStatus(dbPath).plaintext, 0);
+  }));
+
+  test('blind search matches whole words, plaintext search also prefixes', withDb(({ dbPath, dir }) => {
+    encrypt(dbPath, dir);
+    insertFact(dbPath, 'editor', 'neovim');
+    assert.equal(raw(dbPath, `SELECT rowid FROM decisions_fts WHERE decisions_fts MATCH 'neovim'`).length, 0, 'the word is not in the index');
+    assert.deepEqual(hybridRank(dbPath, { ftsQuery: 'neovim', limit: 10 }).map((r) => r.fact_value), ['neovim']);
+    assert.match(buildFtsContext(dbPath, 'what editor does Kevin use, neovim?', 10, 4000).lines.join('\n'), /\*\*Kevin\*\*\.editor = neovim/);
+    assert.equal(hybridRank(dbPath, { ftsQuery: 'neo*', limit: 10 }).length, 0);
+
+    // Switching the search mode rebuilds search_tokens
+    setFieldCipher(dbPath, null);
+    const plain = encrypt(dbPath, dir, { search: 'plaintext' });
+    assert.ok(plain.sealed > 0);
+    assert.equal(raw(dbPath, `SELECT search_tokens FROM decisions`)[0].search_tokens, 'kevin editor neovim');
+    assert.equal(hybridRank(dbPath, { ftsQuery: 'neo*', limit: 10 }).length, 1);
+  }));
+
+  test('forget, undo and tombstone checks work on sealed values', withDb(({ dbPath, dir }) => {
+    encrypt(dbPath, dir);
+    insertFact(dbPath, 'editor', 'neovim');
+    const { batchId, forgotten } = forgetFacts(dbPath, { query: 'neovim' });
+    assert.equal(forgotten[0].fact_value, 'neovim');
+    assert.doesNotMatch(raw(dbPath, `SELECT row_data FROM decision_tombstones`)[0].row_data, /neovim/);
+    assert.equal(isTombstoned(dbPath, 'kevin', 'editor', 'NeoVim '), true);
+    assert.equal(isTombstoned(dbPath, 'kevin', 'editor', 'vim'), false);
+
+    assert.equal(undoForget(dbPath, batchId).restored.length, 1);
+    assert.match(raw(dbPath, `SELECT fact_value FROM decisions`)[0].fact_value, /^enc1:/);
+    assert.equal(hybridRank(dbPath, { ftsQuery: 'neovim', limit: 10 })[0].fact_value, 'neovim');
+  }));
+
+  test('archived facts stay searchable', withDb(({ dbPath, dir }) => {
+    encrypt(dbPath, dir);
+    archiveDecision(dbPath, insertFact(dbPath, 'editor', 'neovim'), 'quota');
+    assert.match(raw(dbPath, `SELECT fact_value FROM decisions_archive`)[0].fact_value, /^enc1:/);
+    assert.deepEqual(searchArchive(dbPath, 'neovim', 10).map((r) => r.fact_value), ['neovim']);
+  }));
+});
+
+describe('conflicts and documents', () => {
+  const DOC = 'The staging cluster runs under the codename quartzlight until the spring migration.';
+  const conflict = (dbPath, id) => checkFactUpdate(dbPath, id, 'neovim', { entity: 'Kevin', key: 'editor', value: 'emacsclient', sourceRole: 'external', sessionId: 's' });
+
+  test('conflict values and chunk text never reach the database file in plaintext', withDb(({ dbPath, dir }) => {
+    encrypt(dbPath, dir);
+    const id = insertFact(dbPath, 'editor', 'neovim');
+    const queued = conflict(dbPath, id);
+    assert.equal(queued.action, 'queue');
+    assert.equal(conflict(dbPath, id).conflictId, queued.conflictId, 'the same contradiction is queued once');
+    ingestDocument(dbPath, { title: 'Ops notes', text: DOC });
+
+    assert.deepEqual(getConflicts(dbPath).map((c) => [c.old_value, c.new_value]), [['neovim', 'emacsclient']]);
+    const [hit] = searchDocumentChunks(dbPath, { ftsQuery: 'quartzlight' });
+    assert.equal(hit.excerpt, DOC);
+
+    closeAllConnections();
+    const files = [dbPath, `${dbPath}-wal`].filter((f) => existsSync(f));
+    const bytes = Buffer.concat(files.map((f) => readFileSync(f)));
+    for (const word of ['neovim', 'emacsclient', 'quartzlight']) assert.equal(bytes.includes(word), false, word);
+  }));
+
+  test('existing chunks and conflicts are sealed, and stay searchable through rotation and repair', withDb(({ dbPath, dir }) => {
+    conflict(dbPath, insertFact(dbPath, 'editor', 'neovim'));
+    ingestDocument(dbPath, { title: 'Ops notes', text: DOC });
+    const { config } = encrypt(dbPath, dir);
+    assert.equal(encryptionStatus(dbPath).plaintext, 0);
+    assert.match(raw(dbPath, `SELECT new_value FROM fact_conflicts`)[0].new_value, /^enc1:/);
+    assert.doesNotMatch(raw(dbPath, `SELECT content FROM document_chunks_fts`)[0].content, /quartzlight/);
+    assert.equal(searchDocumentChunks(dbPath, { ftsQuery: 'quartzlight' }).length, 1);
+
+    assert.equal(rotateKey(dbPath, config, { env: {} }).ok, true);
+    assert.equal(searchDocumentChunks(dbPath, { ftsQuery: 'quartzlight' }).length, 1);
+    assert.equal(getConflicts(dbPath)[0].new_value, 'emacsclient');
+    assert.equal(repairDatabase(dbPath, ['rebuild_fts'])[0].ok, true);
+    assert.equal(searchDocumentChunks(dbPath, { ftsQuery: 'quartzlight' }).length, 1);
+  }));
+});
+
+describe('turning encryption on and rotating keys', () => {
+  test('existing plaintext is sealed, a different key is refused', withDb(({ dbPath, dir }) => {
+    insertFact(dbPath, 'editor', 'neovim');
+    sqliteExec(dbPath, `INSERT INTO security_events (id, timestamp, event_type, source_role, fact_value, matched_pattern, source_snippet) VALUES ('e1', 0, 'blocked', 'user', 'x', 'p', 'neovim snippet')`);
+    const { sealed, keyId } = encrypt(dbPath, dir);
+    assert.ok(sealed >= 2);
+    assert.deepEqual(encryptionStatus(dbPath).keyIds, [keyId]);
+    assert.match(raw(dbPath, `SELECT source_snippet FROM security_events`)[0].source_snippet, /^enc1:/);
+    assert.equal(hybridRank(dbPath, { ftsQuery: 'neovim', limit: 10 }).length, 1);
+
+    // Loading again with the same key does nothing
+    assert.equal(encrypt(dbPath, dir).sealed, 0);
+
+    const other = resolveEncryptionConfig({ keyFile: 'other.key' }, dir);
+    writeFileSync(other.keyFile, randomBytes(32).toString('hex'));
+    const refused = enableEncryption(dbPath, other, {});
+    assert.match(refused.error, new RegExp(`sealed with key ${keyId}`));
+    assert.throws(() => sealField(dbPath, 'neovim'), /encryption is on but/);
+    assert.match(sqliteQuery(dbPath, `SELECT fact_value FROM decisions`)[0].fact_value, /^enc1:/, 'values stay sealed');
+  }));
+
+  test('rotation re-seals everything and keeps the old key file', withDb(({ dbPath, dir }) => {
+    const { config, keyId } = encrypt(dbPath, dir);
+    insertFact(dbPath, 'editor', 'neovim');
+    const oldKey = readFileSync(config.keyFile, 'utf-8');
+
+    const rotated = rotateKey(dbPath, config, { env: {} });
+    assert.equal(rotated.ok, true);
+    assert.equal(rotated.oldKeyId, keyId);
+    assert.equal(rotated.unreadable, 0);
+    assert.equal(readFileSync(rotated.oldKeyFile, 'utf-8'), oldKey);
+    assert.notEqual(readFileSync(config.keyFile, 'utf-8').trim(), oldKey.trim());
+    assert.deepEqual(encryptionStatus(dbPath).keyIds, [rotated.keyId]);
+    assert.equal(hybridRank(dbPath, { ftsQuery: 'neovim', limit: 10 })[0].fact_value, 'neovim');
+
+    // The next start loads the new key from the same file
+    setFieldCipher(dbPath, null);
+    assert.equal(encrypt(dbPath, dir).keyId, rotated.keyId);
+
+    assert.match(rotateKey(dbPath, config, { env: { LILY_MEMORY_KEY: 'x' } }).error, /new_key_file/);
+    const same = join(dir, 'same.key');
+    writeFileSync(same, readFileSync(config.keyFile));
+    assert.match(rotateKey(dbPath, config, { newKeyFile: same, env: {} }).error, /is the current key/);
+  }));
+});
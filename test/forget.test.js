@@ -0,0 +1,214 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteExec, sqliteQuery } from '../lib/sqlite.js';
+import { forgetFacts, undoForget, isTombstoned, clearTombstones } from '../lib/forget.js';
+import { captureFromMessages } from '../lib/capture.js';
+
+const runtimeEntities = new Set(['kevin', 'config', 'system', 'note', 'project']);
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'forget-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function insertFact(dbPath, id, entity, key, value) {
+  sqliteExec(dbPath,
+    `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, classification, importance, ttl_class, entity, fact_key, fact_value)
+     VALUES (?, 'test', ?, 'manual', ?, 'test', 'ARCHIVE', 0.6, 'active', ?, ?, ?)`,
+    [id, Date.now(), `${entity}.${key} = ${value}`, entity, key, value]
+  );
+  sqliteExec(dbPath,
+    `INSERT INTO vectors (id, decision_id, text_content, embedding, model, created_at) VALUES (?, ?, 'text', '[1,0]', 'test', ?)`,
+    [`vec-${id}`, id, Date.now()]
+  );
+}
+
+describe('forgetFacts', () => {
+  test('forgets by id and removes decision, vectors and FTS entry', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'f1', 'Kevin', 'editor', 'neovim with lazy plugins');
+      const result = forgetFacts(dbPath, { id: 'f1' }, { reason: 'wrong' });
+      assert.equal(result.forgotten.length, 1);
+      assert.ok(result.batchId);
+      assert.equal(sqliteQuery(dbPath, `SELECT id FROM decisions WHERE id = 'f1'`).length, 0);
+      assert.equal(sqliteQuery(dbPath, `SELECT id FROM vectors WHERE decision_id = 'f1'`).length, 0);
+      assert.equal(sqliteQuery(dbPath, `SELECT rowid FROM decisions_fts WHERE decisions_fts MATCH 'neovim'`).length, 0);
+      const tomb = sqliteQuery(dbPath, `SELECT reason FROM decision_tombstones WHERE decision_id = 'f1'`);
+      assert.equal(tomb[0].reason, 'wrong');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('forgets by entity+key case-insensitively on entity', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'f1', 'Kevin', 'editor', 'neovim with lazy plugins');
+      insertFact(dbPath, 'f2', 'Kevin', 'shell', 'zsh with starship prompt');
+      const result = forgetFacts(dbPath, { entity: 'kevin', key: 'editor' });
+      assert.deepEqual(result.forgotten.map(f => f.id), ['f1']);
+      assert.equal(sqliteQuery(dbPath, `SELECT id FROM decisions`).length, 1);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('forgets by FTS query up to limit', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'f1', 'config', 'db_host', 'postgres primary replica');
+      insertFact(dbPath, 'f2', 'config', 'db_backup', 'postgres nightly dump');
+      insertFact(dbPath, 'f3', 'config', 'cache', 'redis cluster');
+      const result = forgetFacts(dbPath, { query: 'postgres', limit: 1 });
+      assert.equal(result.forgotten.length, 1);
+      assert.equal(sqliteQuery(dbPath, `SELECT id FROM decisions`).length, 2);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('returns empty result when nothing matches', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const result = forgetFacts(dbPath, { id: 'missing' });
+      assert.equal(result.batchId, null);
+      assert.equal(result.forgotten.length, 0);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rolls the tombstone back when the fact cannot be deleted', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'f1', 'Kevin', 'editor', 'neovim with lazy plugins');
+      insertFact(dbPath, 'f2', 'Kevin', 'shell', 'zsh with starship prompt');
+      sqliteExec(dbPath, `CREATE TRIGGER keep_f1 BEFORE DELETE ON decisions WHEN old.id = 'f1' BEGIN SELECT RAISE(ABORT, 'kept'); END`);
+      const result = forgetFacts(dbPath, { entity: 'Kevin', key: 'editor' });
+      assert.equal(result.batchId, null);
+      assert.deepEqual(sqliteQuery(dbPath, `SELECT id FROM decisions ORDER BY id`).map((r) => r.id), ['f1', 'f2']);
+      assert.equal(sqliteQuery(dbPath, `SELECT id FROM decision_tombstones`).length, 0);
+      assert.equal(isTombstoned(dbPath, 'Kevin', 'editor', 'neovim with lazy plugins'), false);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('undoForget', () => {
+  test('restores the most recent batch with original fields', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'f1', 'Kevin', 'editor', 'neovim with lazy plugins');
+      forgetFacts(dbPath, { id: 'f1' });
+      const result = undoForget(dbPath);
+      assert.equal(result.restored.length, 1);
+      const rows = sqliteQuery(dbPath, `SELECT fact_value, importance FROM decisions WHERE id = 'f1'`);
+      assert.equal(rows[0].fact_value, 'neovim with lazy plugins');
+      assert.equal(rows[0].importance, 0.6);
+      assert.equal(sqliteQuery(dbPath, `SELECT rowid FROM decisions_fts WHERE decisions_fts MATCH 'neovim'`).length, 1);
+      assert.equal(isTombstoned(dbPath, 'Kevin', 'editor', 'neovim with lazy plugins'), false);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('refuses to restore after the undo window', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'f1', 'Kevin', 'editor', 'neovim with lazy plugins');
+      const { batchId } = forgetFacts(dbPath, { id: 'f1' }, { undoWindowMs: -1 });
+      const result = undoForget(dbPath, batchId);
+      assert.equal(result.restored.length, 0);
+      assert.equal(result.skipped[0].reason, 'undo window expired');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('skips facts superseded by a newer value', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'f1', 'Kevin', 'editor', 'neovim with lazy plugins');
+      const { batchId } = forgetFacts(dbPath, { id: 'f1' });
+      insertFact(dbPath, 'f2', 'Kevin', 'editor', 'helix with default config');
+      const result = undoForget(dbPath, batchId);
+      assert.equal(result.restored.length, 0);
+      assert.equal(result.skipped[0].reason, 'superseded by a newer fact');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('tombstones and auto-capture', () => {
+  test('auto-capture does not write a forgotten fact back', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const messages = [{ role: 'user', content: 'Kevin prefers TypeScript for all new backend projects' }];
+      captureFromMessages(dbPath, messages, 10, runtimeEntities, () => {});
+      forgetFacts(dbPath, { entity: 'Kevin', key: 'preference' });
+
+      const result = captureFromMessages(dbPath, messages, 10, runtimeEntities, () => {});
+      assert.equal(result.stored, 0);
+      assert.equal(sqliteQuery(dbPath, `SELECT id FROM decisions WHERE entity = 'Kevin'`).length, 0);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('a different value for the same key is still captured', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      captureFromMessages(dbPath, [{ role: 'user', content: 'Kevin prefers TypeScript for all new backend projects' }], 10, runtimeEntities, () => {});
+      forgetFacts(dbPath, { entity: 'Kevin', key: 'preference' });
+
+      const result = captureFromMessages(dbPath, [{ role: 'user', content: 'Kevin prefers Go for all new backend services and systems' }], 10, runtimeEntities, () => {});
+      assert.equal(result.stored, 1);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('clearTombstones lifts the capture block', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'f1', 'Kevin', 'editor', 'neovim with lazy plugins');
+      forgetFacts(dbPath, { id: 'f1' });
+      assert.equal(isTombstoned(dbPath, 'kevin', 'editor', 'NEOVIM with lazy plugins'), true);
+      clearTombstones(dbPath, 'Kevin', 'editor', 'neovim with lazy plugins');
+      assert.equal(isTombstoned(dbPath, 'Kevin', 'editor', 'neovim with lazy plugins'), false);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('tombstones only block and clear in their own namespace', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const messages = [{ role: 'user', content: 'Kevin prefers TypeScript for all new backend projects' }];
+      captureFromMessages(dbPath, messages, 10, runtimeEntities, () => {}, { namespace: 'work' });
+      forgetFacts(dbPath, { entity: 'Kevin', key: 'preference' });
+      const value = 'TypeScript for all new backend projects';
+      assert.equal(isTombstoned(dbPath, 'Kevin', 'preference', value, 'work'), true);
+      assert.equal(isTombstoned(dbPath, 'Kevin', 'preference', value), false);
+
+      const result = captureFromMessages(dbPath, messages, 10, runtimeEntities, () => {});
+      assert.equal(result.stored, 1, 'a forget in another namespace does not block capture');
+
+      clearTombstones(dbPath, 'Kevin', 'preference', value);
+      assert.equal(isTombstoned(dbPath, 'Kevin', 'preference', value, 'work'), true);
+      clearTombstones(dbPath, 'Kevin', 'preference', value, 'work');
+      assert.equal(isTombstoned(dbPath, 'Kevin', 'preference', value, 'work'), false);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteExec, sqliteQuery } from '../lib/sqlite.js';
+import { recordRevision, commitRevision, getFactHistory, revertToRevision } from '../lib/history.js';
+import { captureFromMessages } from '../lib/capture.js';
+
+const runtimeEntities = new Set(['kevin', 'config', 'system', 'note', 'project']);
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'history-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+describe('recordRevision', () => {
+  test('backfills a baseline revision for rows that predate tracking', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      sqliteExec(dbPath,
+        `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, entity, fact_key, fact_value)
+         VALUES ('d1', 'tool', 1000, 'manual', 'x', 'x', 0.9, 'Kevin', 'editor', 'vim')`
+      );
+      recordRevision(dbPath, 'd1', { entity: 'Kevin', key: 'editor', value: 'neovim', sourceRole: 'user', sessionId: 'plugin-auto', timestamp: 2000 });
+
+      const history = getFactHistory(dbPath, 'Kevin', 'editor');
+      assert.equal(history.length, 2);
+      assert.equal(history[0].fact_value, 'vim');
+      assert.equal(history[0].source_role, 'tool');
+      assert.equal(history[0].superseded_at, 2000);
+      assert.equal(history[1].fact_value, 'neovim');
+      assert.equal(history[1].superseded_at, null);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('does not record a revision when the value is unchanged', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      assert.equal(recordRevision(dbPath, 'd1', { entity: 'Kevin', key: 'editor', value: 'vim', sourceRole: 'tool' }), true);
+      assert.equal(recordRevision(dbPath, 'd1', { entity: 'Kevin', key: 'editor', value: 'vim', sourceRole: 'tool' }), false);
+      assert.equal(getFactHistory(dbPath, 'Kevin', 'editor').length, 1);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('commitRevision', () => {
+  test('rolls the revision back when the decision write fails', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const next = { entity: 'Kevin', key: 'editor', value: 'vim', sourceRole: 'tool', namespace: 'default' };
+      assert.equal(commitRevision(dbPath, 'd1', next, () => false), false);
+      assert.equal(getFactHistory(dbPath, 'Kevin', 'editor').length, 0);
+
+      const ok = commitRevision(dbPath, 'd1', next, () => sqliteExec(dbPath,
+        `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, entity, fact_key, fact_value)
+         VALUES ('d1', 'tool', 1000, 'manual', 'x', 'x', 0.9, 'Kevin', 'editor', 'vim')`
+      ));
+      assert.equal(ok, true);
+      assert.equal(commitRevision(dbPath, 'd1', { ...next, value: 'emacs' }, () => sqliteExec(dbPath, `UPDATE no_such_table SET x = 1`)), false);
+      assert.deepEqual(getFactHistory(dbPath, 'Kevin', 'editor').map((r) => [r.fact_value, r.superseded_at]), [['vim', null]]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('rolls the decision write back when the revision cannot be recorded', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      sqliteExec(dbPath,
+        `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, entity, fact_key, fact_value)
+         VALUES ('d1', 'tool', 1000, 'manual', 'x', 'x', 0.9, 'Kevin', 'editor', 'vim')`
+      );
+      sqliteExec(dbPath, `CREATE TRIGGER no_revisions BEFORE INSERT ON decision_revisions BEGIN SELECT RAISE(ABORT, 'no revisions'); END`);
+      let wrote = false;
+      const ok = commitRevision(dbPath, 'd1', { entity: 'Kevin', key: 'editor', value: 'emacs', sourceRole: 'tool' }, () => {
+        wrote = true;
+        return sqliteExec(dbPath, `UPDATE decisions SET fact_value = 'emacs' WHERE id = 'd1'`);
+      });
+      assert.equal(ok, false);
+      assert.equal(wrote, false);
+      assert.equal(sqliteQuery(dbPath, `SELECT fact_value FROM decisions WHERE id = 'd1'`)[0].fact_value, 'vim');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('captureFromMessages history', () => {
+  test('keeps prior values with source role when a fact is updated', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      captureFromMessages(dbPath, [{ role: 'user', content: 'Kevin prefers TypeScript for all new backend projects' }], 10, runtimeEntities, () => {});
+      captureFromMessages(dbPath, [{ role: 'assistant', content: 'Kevin prefers Go for all new backend services and systems' }], 10, runtimeEntities, () => {});
+
+      const history = getFactHistory(dbPath, 'kevin', 'preference');
+      assert.equal(history.length, 2);
+      assert.equal(history[0].fact_value, 'TypeScript for all new backend projects');
+      assert.equal(history[0].source_role, 'user');
+      assert.equal(history[0].session_id, 'plugin-auto');
+      assert.ok(history[0].superseded_at);
+      assert.equal(history[1].source_role, 'assistant');
+      assert.equal(history[1].superseded_at, null);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('revertToRevision', () => {
+  test('restores an earlier value and records the revert', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      captureFromMessages(dbPath, [{ role: 'user', content: 'Kevin prefers TypeScript for all new backend projects' }], 10, runtimeEntities, () => {});
+      captureFromMessages(dbPath, [{ role: 'user', content: 'Kevin prefers Go for all new backend services and systems' }], 10, runtimeEntities, () => {});
+      const [first] = getFactHistory(dbPath, 'Kevin', 'preference');
+
+      const result = revertToRevision(dbPath, first.id);
+      assert.equal(result.success, true);
+      const rows = sqliteQuery(dbPath, `SELECT fact_value, description FROM decisions WHERE entity = 'Kevin' AND fact_key = 'preference'`);
+      assert.equal(rows[0].fact_value, 'TypeScript for all new backend projects');
+      assert.equal(rows[0].description, 'Kevin.preference = TypeScript for all new backend projects');
+
+      const history = getFactHistory(dbPath, 'Kevin', 'preference');
+      assert.equal(history.length, 3);
+      assert.equal(history[2].source_role, 'revert');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('fails for unknown revision or missing fact', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      assert.equal(revertToRevision(dbPath, 'nope').success, false);
+      recordRevision(dbPath, 'gone', { entity: 'Kevin', key: 'editor', value: 'vim', sourceRole: 'tool' });
+      const [rev] = getFactHistory(dbPath, 'Kevin', 'editor');
+      const result = revertToRevision(dbPath, rev.id);
+      assert.equal(result.success, false);
+      assert.match(result.error, /no longer exists/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery } from '../lib/sqlite.js';
+import { captureFromMessages } from '../lib/capture.js';
+import { extractFacts, FACT_PATTERNS } from '../lib/extraction.js';
+import { extractTopicSignature } from '../lib/stuck-detection.js';
+import { findBacktrackingRisk } from '../lib/patterns.js';
+import {
+  LANGUAGE_PACKS,
+  resolveLanguages,
+  detectLanguage,
+  getLanguagePack,
+  stopWordsFor,
+} from '../lib/languages.js';
+
+const runtimeEntities = new Set(['kevin', 'config', 'note']);
+const all = ['en', 'es', 'de'];
+
+function facts(text, code) {
+  const pack = getLanguagePack(code);
+  return extractFacts(text, runtimeEntities, pack.patterns, pack);
+}
+
+describe('resolveLanguages', () => {
+  test('keeps known codes in order and falls back to English', () => {
+    assert.deepEqual(resolveLanguages(['ES', 'de', 'xx', 'es']), ['es', 'de']);
+    assert.deepEqual(resolveLanguages(['xx']), ['en']);
+    assert.deepEqual(resolveLanguages(undefined), ['en']);
+  });
+});
+
+describe('detectLanguage', () => {
+  test('picks the pack with the most stop words', () => {
+    assert.equal(detectLanguage('We should move the deploy to the new cluster before Friday', all), 'en');
+    assert.equal(detectLanguage('Tenemos que mover el despliegue al nuevo clúster antes del viernes', all), 'es');
+    assert.equal(detectLanguage('Wir sollten das Deployment vor Freitag auf den neuen Cluster verschieben', all), 'de');
+  });
+
+  test('only considers enabled languages and falls back to the first', () => {
+    assert.equal(detectLanguage('Tenemos que mover el despliegue', ['en']), 'en');
+    assert.equal(detectLanguage('kubectl apply', ['de', 'en']), 'de');
+  });
+
+  test('uses language-specific characters as a hint', () => {
+    assert.equal(detectLanguage('¿Señal lista?', ['en', 'es', 'de']), 'es');
+    assert.equal(detectLanguage('Größe prüfen', ['en', 'es', 'de']), 'de');
+  });
+});
+
+describe('language pack patterns', () => {
+  test('English pack is the original FACT_PATTERNS', () => {
+    assert.equal(LANGUAGE_PACKS.en.patterns, FACT_PATTERNS);
+  });
+
+  test('Spanish patterns', () => {
+    assert.deepEqual(facts('Kevin prefiere TypeScript para todos los proyectos nuevos.', 'es'),
+      [{ entity: 'Kevin', key: 'preference', value: 'TypeScript para todos los proyectos nuevos' }]);
+    assert.deepEqual(facts('El lenguaje favorito de Kevin es TypeScript con Deno.', 'es'),
+      [{ entity: 'Kevin', key: 'lenguaje_favorito', value: 'TypeScript con Deno' }]);
+    assert.deepEqual(facts('El modelo principal es gemini-2.5-pro-preview.', 'es'),
+      [{ entity: 'config', key: 'modelo_principal', value: 'gemini-2.5-pro-preview' }]);
+    assert.deepEqual(facts('Nota: revisar los logs de producción cada lunes.', 'es'),
+      [{ entity: 'note', key: 'user_note', value: 'revisar los logs de producción cada lunes' }]);
+  });
+
+  test('German patterns', () => {
+    assert.deepEqual(facts('Kevin bevorzugt TypeScript für alle neuen Projekte.', 'de'),
+      [{ entity: 'Kevin', key: 'preference', value: 'TypeScript für alle neuen Projekte' }]);
+    assert.deepEqual(facts('Kevins Lieblingssprache ist TypeScript mit Deno.', 'de'),
+      [{ entity: 'Kevin', key: 'lieblingssprache', value: 'TypeScript mit Deno' }]);
+    assert.deepEqual(facts('Das Standardmodell ist gemini-2.5-pro-preview.', 'de'),
+      [{ entity: 'config', key: 'standardmodell', value: 'gemini-2.5-pro-preview' }]);
+    assert.deepEqual(facts('Der Zeitlimit ist auf dreißig Sekunden pro Anfrage gesetzt.', 'de'),
+      [{ entity: 'config', key: 'zeitlimit', value: 'dreißig Sekunden pro Anfrage' }]);
+  });
+
+  test('noise values and reject words are per language', () => {
+    assert.equal(facts('Kevin prefiere esto, aunque no sé por qué.', 'es').length, 0);
+    assert.equal(facts('Kevin bevorzugt das, wenn es geht und so weiter.', 'de').length, 0);
+    assert.equal(getLanguagePack('es').rejectWords.has('entonces'), true);
+  });
+
+  test('no pack pattern risks catastrophic backtracking', () => {
+    for (const pack of Object.values(LANGUAGE_PACKS)) {
+      for (const p of pack.patterns) assert.equal(findBacktrackingRisk(p.re.source), null, p.name);
+    }
+  });
+});
+
+describe('extractTopicSignature with language packs', () => {
+  test('drops stop words of every enabled language', () => {
+    const text = 'Wir müssen das Deployment für den Cluster prüfen, weil das Deployment wieder hängt und der Cluster nicht antwortet';
+    const english = extractTopicSignature(text).split(',');
+    const german = extractTopicSignature(text, ['en', 'de']).split(',');
+    assert.ok(english.includes('wieder') || english.includes('weil') || english.includes('nicht'));
+    assert.ok(german.includes('deployment') && german.includes('cluster'));
+    for (const w of german) assert.ok(!stopWordsFor(['en', 'de']).has(w), w);
+  });
+
+  test('keeps accented letters inside words', () => {
+    const sig = extractTopicSignature('La migración de la base de datos falló otra vez por la migración del esquema', ['es']);
+    assert.ok(sig.split(',').includes('migración'));
+  });
+});
+
+describe('captureFromMessages with languages', () => {
+  test('captures Spanish and German facts when enabled', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'languages-test-'));
+    const dbPath = join(dir, 'test.db');
+    ensureTables(dbPath);
+    runMigrations(dbPath);
+    try {
+      const messages = [
+        { role: 'user', content: 'Kevin prefiere TypeScript para todos los proyectos nuevos.' },
+        { role: 'user', content: 'Kevins Lieblingssprache ist TypeScript mit Deno, das weiß ich.' },
+      ];
+      captureFromMessages(dbPath, messages, 10, runtimeEntities, () => {}, { languages: ['en'] });
+      assert.equal(sqliteQuery(dbPath, 'SELECT id FROM decisions').length, 0);
+
+      captureFromMessages(dbPath, messages, 10, runtimeEntities, () => {}, { languages: all });
+      const keys = sqliteQuery(dbPath, "SELECT fact_key FROM decisions WHERE entity = 'Kevin' ORDER BY fact_key").map((r) => r.fact_key);
+      assert.deepEqual(keys, ['lieblingssprache', 'preference']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery, sqliteExec } from '../lib/sqlite.js';
+import {
+  resolveNamespaceConfig,
+  resolveNamespace,
+  namespaceScope,
+  namespaceFilter,
+  sanitizeNamespace,
+  isAdminScope,
+} from '../lib/namespaces.js';
+import { captureFromMessages } from '../lib/capture.js';
+import { buildFtsContext } from '../lib/recall.js';
+import { forgetFacts, undoForget } from '../lib/forget.js';
+import { getFactHistory } from '../lib/history.js';
+import { loadEntitiesFromDb, addEntityToDb } from '../lib/entities.js';
+import { resolveQuotas, makeRoom } from '../lib/quotas.js';
+import { createPipeline, getPipelineStatus, cancelPipeline } from '../lib/pipeline.js';
+import { ingestDocument, searchDocumentChunks, listDocuments, removeDocument } from '../lib/documents.js';
+
+const entities = new Set(['kevin']);
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'namespaces-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function withDb(fn) {
+  return async () => {
+    const ctx = makeDb();
+    try {
+      await fn(ctx);
+    } finally {
+      rmSync(ctx.dir, { recursive: true, force: true });
+    }
+  };
+}
+
+function capture(dbPath, text, namespace) {
+  const messages = [{ role: 'assistant', content: text }];
+  return captureFromMessages(dbPath, messages, 10, entities, () => {}, { namespace });
+}
+
+function insertFact(dbPath, key, value, namespace) {
+  sqliteExec(dbPath,
+    `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, ttl_class, entity, fact_key, fact_value, namespace)
+     VALUES (?, 'test', ?, 'manual', ?, 'test', 0.5, 'active', 'Kevin', ?, ?, ?)`,
+    [`${namespace}-${key}`, Date.now(), `Kevin.${key} = ${value}`, key, value, namespace]
+  );
+}
+
+describe('namespace config', () => {
+  test('derives the namespace from the agent id, with main on default', () => {
+    const config = resolveNamespaceConfig(undefined);
+    assert.equal(config.from, 'agent');
+    assert.equal(resolveNamespace(config, { agentId: 'main' }), 'default');
+    assert.equal(resolveNamespace(config, { agentId: 'Research Bot' }), 'research-bot');
+    assert.equal(resolveNamespace(config), 'default');
+    assert.deepEqual(namespaceScope(config, { agentId: 'work' }), { namespace: 'work', namespaces: ['work', 'shared'], shared: 'shared' });
+  });
+
+  test('workspace mode, maps and off', () => {
+    const config = resolveNamespaceConfig({ from: 'workspace', shared: 'Team', map: { '/srv/a': 'alpha', docs: 'Alpha' } });
+    assert.equal(resolveNamespace(config, { workspaceDir: '/srv/a' }), 'alpha');
+    assert.equal(resolveNamespace(config, { workspaceDir: '/home/me/docs' }), 'alpha');
+    assert.equal(resolveNamespace(config, { workspaceDir: '/home/me/Blog' }), 'blog');
+    assert.equal(namespaceScope(config, { workspaceDir: '/x/team' }).namespaces.join(), 'team', 'own and shared are deduped');
+
+    assert.equal(namespaceScope(resolveNamespaceConfig(false), { agentId: 'work' }).namespaces, null);
+    assert.equal(resolveNamespaceConfig({ enabled: false }).from, 'off');
+    assert.deepEqual(namespaceFilter(null), { sql: '1 = 1', params: [] });
+    assert.deepEqual(namespaceFilter(['a', 'b'], 'd.namespace'), { sql: 'd.namespace IN (?, ?)', params: ['a', 'b'] });
+    assert.equal(sanitizeNamespace('  ../etc  '), 'etc');
+    assert.equal(sanitizeNamespace('!!!'), null);
+  });
+
+  test('only the default namespace, or no namespaces at all, is admin', () => {
+    const config = resolveNamespaceConfig(undefined);
+    assert.equal(isAdminScope(namespaceScope(config, { agentId: 'main' })), true);
+    assert.equal(isAdminScope(namespaceScope(config, { agentId: 'work' })), false);
+    assert.equal(isAdminScope(namespaceScope(resolveNamespaceConfig(false), { agentId: 'work' })), true);
+  });
+});
+
+describe('migration', () => {
+  test('moves existing rows into the default namespace', withDb(({ dbPath }) => {
+    sqliteExec(dbPath,
+      `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, entity, fact_key, fact_value)
+       VALUES ('old', 'test', 0, 'manual', 'Kevin.editor = vim', 'test', 0.5, 'Kevin', 'editor', 'vim')`);
+    // Rebuild the pre-namespace shape of decisions and entities
+    sqliteExec(dbPath, `DROP INDEX idx_decisions_namespace`);
+    sqliteExec(dbPath, `ALTER TABLE decisions DROP COLUMN namespace`);
+    sqliteExec(dbPath, `DROP TABLE entities`);
+    sqliteExec(dbPath, `CREATE TABLE entities (name TEXT PRIMARY KEY, display_name TEXT NOT NULL, added_by TEXT NOT NULL DEFAULT 'runtime', added_at INTEGER NOT NULL DEFAULT 0)`);
+    sqliteExec(dbPath, `INSERT INTO entities (name, display_name) VALUES ('kevin', 'Kevin')`);
+    sqliteExec(dbPath, `DELETE FROM schema_version WHERE version >= 13`);
+
+    runMigrations(dbPath);
+    assert.equal(sqliteQuery(dbPath, `SELECT namespace FROM decisions WHERE id = 'old'`)[0].namespace, 'default');
+    assert.deepEqual([...loadEntitiesFromDb(dbPath, ['default'])], ['kevin']);
+    assert.equal(addEntityToDb(dbPath, 'Kevin', 'tool', 'work'), true, 'the same name can be added in another namespace');
+  }));
+});
+
+describe('isolation', () => {
+  test('capture writes to its own namespace and recall reads own plus shared', withDb(({ dbPath }) => {
+    capture(dbPath, 'Kevin prefers vim for editing.', 'default');
+    capture(dbPath, 'Kevin prefers emacs for editing.', 'work');
+    insertFact(dbPath, 'standup', '9am', 'shared');
+
+    const rows = sqliteQuery(dbPath, `SELECT namespace, fact_value FROM decisions WHERE fact_key != 'standup' ORDER BY namespace`);
+    assert.deepEqual(rows.map((r) => [r.namespace, r.fact_value.split(' ')[0]]), [['default', 'vim'], ['work', 'emacs']]);
+
+    const work = buildFtsContext(dbPath, 'Kevin editing standup', 10, 4000, { namespaces: ['work', 'shared'] }).lines.join('\n');
+    assert.match(work, /emacs/);
+    assert.match(work, /9am/);
+    assert.doesNotMatch(work, /vim/);
+    const all = buildFtsContext(dbPath, 'Kevin editing', 10, 4000).lines.join('\n');
+    assert.match(all, /vim/);
+    assert.match(all, /emacs/);
+  }));
+
+  test('forget, undo and history stay inside the caller\'s namespaces', withDb(({ dbPath }) => {
+    insertFact(dbPath, 'editor', 'vim', 'default');
+    insertFact(dbPath, 'editor', 'emacs', 'work');
+
+    assert.equal(forgetFacts(dbPath, { entity: 'Kevin', key: 'editor', namespaces: ['other', 'shared'] }).forgotten.length, 0);
+    const { batchId, forgotten } = forgetFacts(dbPath, { entity: 'Kevin', key: 'editor', namespaces: ['work', 'shared'] });
+    assert.deepEqual(forgotten.map((f) => f.fact_value), ['emacs']);
+    assert.equal(sqliteQuery(dbPath, `SELECT COUNT(*) AS cnt FROM decisions`)[0].cnt, 1, 'the default fact is untouched');
+
+    assert.ok(undoForget(dbPath, batchId, ['default', 'shared']).error, 'another agent cannot undo it');
+    assert.equal(undoForget(dbPath, batchId, ['work', 'shared']).restored.length, 1);
+    assert.equal(sqliteQuery(dbPath, `SELECT namespace FROM decisions WHERE fact_value = 'emacs'`)[0].namespace, 'work');
+
+    sqliteExec(dbPath, `INSERT INTO decision_revisions (id, decision_id, entity, fact_key, fact_value, source_role, created_at, namespace)
+      VALUES ('r1', 'work-editor', 'Kevin', 'editor', 'emacs', 'tool', 1, 'work')`);
+    assert.equal(getFactHistory(dbPath, 'Kevin', 'editor', 10, ['default', 'shared']).length, 0);
+    assert.equal(getFactHistory(dbPath, 'Kevin', 'editor', 10, ['work', 'shared'])[0].namespace, 'work');
+  }));
+
+  test('quotas are counted per namespace', withDb(({ dbPath }) => {
+    insertFact(dbPath, 'a', '1', 'default');
+    insertFact(dbPath, 'b', '2', 'default');
+    insertFact(dbPath, 'c', '3', 'work');
+    const quotas = resolveQuotas({ ttl: { active: 1 } });
+    makeRoom(dbPath, { entity: 'Kevin', ttlClass: 'active', namespace: 'work' }, quotas);
+    assert.deepEqual(sqliteQuery(dbPath, `SELECT namespace FROM decisions ORDER BY id`).map((r) => r.namespace), ['default', 'default']);
+  }));
+
+  test('pipelines are only visible to their namespace', withDb(({ dbPath }) => {
+    const { pipelineId } = createPipeline(dbPath, { name: 'deploy', steps: [{ name: 'build' }] }, 'work');
+    assert.equal(getPipelineStatus(dbPath, pipelineId, ['default', 'shared']).found, false);
+    assert.equal(getPipelineStatus(dbPath, pipelineId, ['work', 'shared']).found, true);
+    assert.equal(getPipelineStatus(dbPath, null, ['default', 'shared']).pipelines.length, 0);
+    assert.equal(cancelPipeline(dbPath, pipelineId, ['default']).success, false);
+  }));
+
+  test('documents are cited and listed only within their namespace', withDb(({ dbPath }) => {
+    const text = 'The staging cluster is rebuilt every Friday night.';
+    ingestDocument(dbPath, { title: 'Ops notes', text, namespace: 'work' });
+    ingestDocument(dbPath, { title: 'Ops notes', text, namespace: 'default' });
+    assert.equal(sqliteQuery(dbPath, 'SELECT COUNT(*) AS cnt FROM documents')[0].cnt, 2, 'same title in another namespace is a separate document');
+
+    const hits = searchDocumentChunks(dbPath, { ftsQuery: 'staging', namespaces: ['work', 'shared'] });
+    assert.equal(hits.length, 1);
+    assert.equal(listDocuments(dbPath, 20, ['work', 'shared'])[0].namespace, 'work');
+    assert.deepEqual(searchDocumentChunks(dbPath, { ftsQuery: 'staging', namespaces: ['other', 'shared'] }), []);
+    assert.equal(searchDocumentChunks(dbPath, { ftsQuery: 'staging' }).length, 2);
+    assert.equal(removeDocument(dbPath, hits[0].document_id, ['other']), false);
+  }));
+});
@@ -0,0 +1,129 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery } from '../lib/sqlite.js';
+import { captureFromMessages } from '../lib/capture.js';
+import { extractFacts, matchPatterns, FACT_PATTERNS } from '../lib/extraction.js';
+import { buildPatternRegistry, compilePattern, findBacktrackingRisk, fillTemplate } from '../lib/patterns.js';
+
+const runtimeEntities = new Set(['kevin', 'config', 'note']);
+
+const deploys = {
+  name: 'deploys_to',
+  regex: '\\b([A-Z][a-z]+) deploys to ([\\w.-]+ on [\\w.-]+)',
+  entity: '$1',
+  key: 'deploy target',
+  value: '$2',
+  ttl: 'stable',
+  importance: 0.7,
+};
+
+describe('findBacktrackingRisk', () => {
+  test('flags nested variable quantifiers', () => {
+    assert.match(findBacktrackingRisk('(a+)+'), /nested quantifier/);
+    assert.match(findBacktrackingRisk('(\\w+\\s?)+$'), /nested quantifier/);
+    assert.match(findBacktrackingRisk('(?:x{1,3})*'), /nested quantifier/);
+    assert.match(findBacktrackingRisk('((a)+b)*'), /nested quantifier/);
+    assert.match(findBacktrackingRisk('(?<w>\\w+)+'), /nested quantifier/);
+  });
+
+  test('treats large bounded repeats of a quantified group as unbounded', () => {
+    assert.match(findBacktrackingRisk('(.*a){12}'), /nested quantifier/);
+    assert.match(findBacktrackingRisk('(a+){2,20}'), /nested quantifier/);
+    assert.equal(findBacktrackingRisk('(.*a){2}'), null);
+  });
+
+  test('flags repeated alternations whose branches start alike', () => {
+    assert.match(findBacktrackingRisk('(a|ab)*'), /overlapping alternation/);
+    assert.match(findBacktrackingRisk('(.|x)+'), /overlapping alternation/);
+  });
+
+  test('accepts ordinary patterns, including the built-ins', () => {
+    for (const src of ['(foo|bar)+', '([A-Z][a-z]+) uses (.+?)$', '\\d+', '[(]+(a)+', '(ab){3}', '(?:ab)+', '(?<n>ab)+', '(?:foo|bar)*', '(?=a)b+', '(?<!x)(?:y)*', '(ab){12}']) {
+      assert.equal(findBacktrackingRisk(src), null, src);
+    }
+    for (const p of FACT_PATTERNS) assert.equal(findBacktrackingRisk(p.re.source), null, p.name);
+  });
+});
+
+describe('compilePattern', () => {
+  test('compiles a valid pattern into the FACT_PATTERNS shape', () => {
+    const { pattern, error } = compilePattern(deploys);
+    assert.equal(error, undefined);
+    assert.equal(pattern.name, 'deploys_to');
+    assert.ok(pattern.re.global);
+    const fact = pattern.extract(pattern.re.exec('Kevin deploys to api.example.com on fridays'));
+    assert.deepEqual(fact, { entity: 'Kevin', key: 'deploy_target', value: 'api.example.com on fridays', ttl: 'stable', importance: 0.7 });
+  });
+
+  test('rejects invalid specs with a reason', () => {
+    const cases = [
+      [{ ...deploys, regex: '([a-z' }, /invalid regex/],
+      [{ ...deploys, regex: '(\\w+\\s?)+ deploys' }, /catastrophic backtracking/],
+      [{ ...deploys, regex: '(x*)' }, /empty string/],
+      [{ ...deploys, value: '$3' }, /\$3/],
+      [{ ...deploys, ttl: 'permanent' }, /ttl must be/],
+      [{ ...deploys, importance: 2 }, /importance/],
+      [{ ...deploys, flags: 'gy' }, /flags/],
+      [{ ...deploys, regex: 'x'.repeat(400) }, /longer than/],
+      [{ ...deploys, entity: undefined }, /entity is required/],
+    ];
+    for (const [spec, reason] of cases) assert.match(compilePattern(spec).error, reason);
+  });
+
+  test('fillTemplate substitutes groups and the whole match', () => {
+    assert.equal(fillTemplate('$1_$2 ($0)', ['a b', 'a ', ' b']), 'a_b (a b)');
+  });
+});
+
+describe('buildPatternRegistry', () => {
+  test('appends valid config patterns after the built-ins and reports bad ones', () => {
+    const { patterns, errors } = buildPatternRegistry([deploys, { ...deploys, name: 'preference' }, { name: 'bad', regex: '(a+)+', entity: 'x', key: 'y' }]);
+    assert.equal(patterns.length, FACT_PATTERNS.length + 1);
+    assert.equal(patterns.at(-1).name, 'deploys_to');
+    assert.deepEqual(errors.map((e) => e.name), ['preference', 'bad']);
+    assert.match(errors[0].error, /duplicate/);
+  });
+
+  test('tolerates a missing or malformed config', () => {
+    assert.equal(buildPatternRegistry().patterns.length, FACT_PATTERNS.length);
+    assert.equal(buildPatternRegistry('nope').errors.length, 0);
+  });
+});
+
+describe('matchPatterns', () => {
+  test('reports accepted and skipped matches per pattern', () => {
+    const { patterns } = buildPatternRegistry([deploys]);
+    const text = 'Kevin deploys to api.example.com on fridays. Zork deploys to x.example.com on mondays.';
+    const matches = matchPatterns(text, runtimeEntities, patterns).filter((m) => m.pattern === 'deploys_to');
+    assert.deepEqual(matches.map((m) => [m.accepted, m.reason]), [[true, undefined], [false, 'unknown entity']]);
+    assert.equal(extractFacts(text, runtimeEntities, patterns).length, 1);
+  });
+});
+
+describe('captureFromMessages with config patterns', () => {
+  const text = 'Kevin deploys to api.example.com on fridays after the standup.';
+
+  function capture(role) {
+    const dir = mkdtempSync(join(tmpdir(), 'patterns-test-'));
+    const dbPath = join(dir, 'test.db');
+    ensureTables(dbPath);
+    runMigrations(dbPath);
+    try {
+      captureFromMessages(dbPath, [{ role, content: text }], 10, runtimeEntities, () => {}, { patternsByLanguage: buildPatternRegistry([deploys]).byLanguage });
+      return sqliteQuery(dbPath, "SELECT fact_key, ttl_class, importance FROM decisions WHERE entity = 'Kevin'");
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  test('applies pattern ttl and importance to assistant messages', () => {
+    assert.deepEqual(capture('assistant'), [{ fact_key: 'deploy_target', ttl_class: 'stable', importance: 0.7 }]);
+  });
+
+  test('keeps user messages capped at active and 0.5 importance', () => {
+    assert.deepEqual(capture('user'), [{ fact_key: 'deploy_target', ttl_class: 'active', importance: 0.5 }]);
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteExec, sqliteQuery } from '../lib/sqlite.js';
+import {
+  resolveQuotas,
+  entityQuota,
+  archiveDecision,
+  makeRoom,
+  enforceQuotas,
+  searchArchive,
+  getEvictionLog,
+} from '../lib/quotas.js';
+import { captureFromMessages } from '../lib/capture.js';
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'quotas-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function insertFact(dbPath, id, entity, key, value, { importance = 0.5, ttl = 'active', timestamp = Date.now(), session = 'test' } = {}) {
+  sqliteExec(dbPath,
+    `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, ttl_class, entity, fact_key, fact_value)
+     VALUES (?, ?, ?, 'manual', ?, 'test', ?, ?, ?, ?, ?)`,
+    [id, session, timestamp, `${entity}.${key} = ${value}`, importance, ttl, entity, key, value]
+  );
+}
+
+function liveIds(dbPath) {
+  return sqliteQuery(dbPath, 'SELECT id FROM decisions ORDER BY id').map((r) => r.id);
+}
+
+describe('resolveQuotas', () => {
+  test('merges over defaults and lowercases entity names', () => {
+    const q = resolveQuotas({ ttl: { active: 10, permanent: 5 }, perEntity: 4, entities: { Kevin: 20 } });
+    assert.deepEqual(q.ttl, { active: 10, stable: 30 });
+    assert.equal(entityQuota(q, 'kevin'), 20);
+    assert.equal(entityQuota(q, 'alice'), 4);
+    assert.equal(entityQuota(resolveQuotas(), 'alice'), 0);
+  });
+});
+
+describe('makeRoom', () => {
+  test('archives the lowest-importance row of a full ttl class and logs it', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'a', 'Kevin', 'k1', 'first fact value here', { importance: 0.8 });
+      insertFact(dbPath, 'b', 'Kevin', 'k2', 'second fact value here', { importance: 0.3 });
+      const evicted = makeRoom(dbPath, { ttlClass: 'active', entity: 'Kevin' }, resolveQuotas({ ttl: { active: 2 } }));
+      assert.deepEqual(evicted.map((e) => e.id), ['b']);
+      assert.deepEqual(liveIds(dbPath), ['a']);
+
+      const archived = sqliteQuery(dbPath, "SELECT * FROM decisions_archive WHERE id = 'b'");
+      assert.equal(archived[0].fact_value, 'second fact value here');
+      assert.equal(archived[0].archive_reason, 'quota ttl:active');
+
+      const [entry] = getEvictionLog(dbPath);
+      assert.equal(entry.decision_id, 'b');
+      assert.equal(entry.quota, 'ttl:active');
+      assert.equal(entry.quota_limit, 2);
+      assert.equal(entry.source, 'capture');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('enforces entity quotas independently of ttl class', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'k1', 'Kevin', 'a', 'kevin fact number one', { ttl: 'stable', importance: 0.4 });
+      insertFact(dbPath, 'k2', 'Kevin', 'b', 'kevin fact number two', { ttl: 'active', importance: 0.6 });
+      insertFact(dbPath, 'x1', 'Alice', 'a', 'alice fact number one', { importance: 0.1 });
+      const quotas = resolveQuotas({ entities: { kevin: 2 } });
+      const evicted = makeRoom(dbPath, { ttlClass: 'active', entity: 'kevin' }, quotas, 'memory_store');
+      assert.deepEqual(evicted.map((e) => e.id), ['k1']);
+      assert.equal(evicted[0].quota, 'entity:kevin');
+      assert.deepEqual(liveIds(dbPath), ['k2', 'x1']);
+      assert.equal(getEvictionLog(dbPath)[0].source, 'memory_store');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('never evicts permanent facts', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'p1', 'Kevin', 'name', 'Kevin the plugin author', { ttl: 'permanent', importance: 0.1 });
+      insertFact(dbPath, 'p2', 'Kevin', 'born', 'somewhere far away', { ttl: 'permanent', importance: 0.1 });
+      const evicted = makeRoom(dbPath, { ttlClass: 'active', entity: 'Kevin' }, resolveQuotas({ perEntity: 1 }));
+      assert.equal(evicted.length, 0);
+      assert.deepEqual(liveIds(dbPath), ['p1', 'p2']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('facts stored with memory_store neither count nor get evicted', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 't1', 'Kevin', 'k1', 'stored on purpose', { importance: 0.1, session: 'tool' });
+      insertFact(dbPath, 't2', 'Kevin', 'k2', 'also stored on purpose', { importance: 0.1, session: 'tool' });
+      insertFact(dbPath, 'c1', 'Kevin', 'k3', 'captured along the way', { importance: 0.9 });
+      const quotas = resolveQuotas({ ttl: { active: 2 }, perEntity: 2 });
+      assert.deepEqual(makeRoom(dbPath, { ttlClass: 'active', entity: 'Kevin' }, quotas), []);
+      assert.deepEqual(makeRoom(dbPath, { ttlClass: 'active', entity: 'Kevin' }, resolveQuotas({ ttl: { active: 1 } })).map((e) => e.id), ['c1']);
+      assert.deepEqual(liveIds(dbPath), ['t1', 't2']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('enforceQuotas', () => {
+  test('brings every class back within a lowered limit', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      for (let i = 0; i < 5; i++) insertFact(dbPath, `s${i}`, 'Kevin', `k${i}`, `stable fact number ${i}`, { ttl: 'stable', importance: 0.1 * (i + 1) });
+      const evicted = enforceQuotas(dbPath, resolveQuotas({ ttl: { stable: 3 } }));
+      assert.deepEqual(evicted.map((e) => e.id).sort(), ['s0', 's1']);
+      assert.deepEqual(liveIds(dbPath), ['s2', 's3', 's4']);
+      assert.ok(getEvictionLog(dbPath).every((e) => e.source === 'startup'));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('leaves facts stored with memory_store alone', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      for (let i = 0; i < 5; i++) insertFact(dbPath, `t${i}`, 'Kevin', `k${i}`, `stored fact number ${i}`, { session: 'tool' });
+      assert.deepEqual(enforceQuotas(dbPath, resolveQuotas({ ttl: { active: 3 }, perEntity: 2 })), []);
+      assert.equal(liveIds(dbPath).length, 5);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('archive', () => {
+  test('archived facts stay searchable and leave live search', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'a', 'Kevin', 'editor', 'neovim with lazy plugin manager');
+      assert.ok(sqliteExec(dbPath, "INSERT INTO vectors (id, decision_id, text_content, embedding, model, created_at) VALUES ('v1', 'a', 'x', '[]', 'test', 0)"));
+      assert.equal(archiveDecision(dbPath, 'a', 'test'), true);
+      assert.equal(sqliteQuery(dbPath, "SELECT * FROM decisions_fts WHERE decisions_fts MATCH 'neovim'").length, 0);
+      assert.equal(sqliteQuery(dbPath, "SELECT * FROM vectors WHERE decision_id = 'a'").length, 0);
+      const hits = searchArchive(dbPath, 'neovim');
+      assert.equal(hits.length, 1);
+      assert.equal(hits[0].entity, 'Kevin');
+      assert.equal(archiveDecision(dbPath, 'missing', 'test'), false);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('capture with quotas', () => {
+  test('auto-capture archives over-quota facts instead of deleting them', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'old', 'Kevin', 'old_pref', 'an old preference nobody uses', { importance: 0.2 });
+      const messages = [{ role: 'user', content: 'Kevin prefers TypeScript for all new backend projects' }];
+      captureFromMessages(dbPath, messages, 10, new Set(['kevin']), () => {}, { quotas: resolveQuotas({ ttl: { stable: 1, active: 1 } }) });
+      assert.equal(sqliteQuery(dbPath, "SELECT id FROM decisions WHERE id = 'old'").length, 0);
+      assert.equal(sqliteQuery(dbPath, "SELECT id FROM decisions_archive WHERE id = 'old'").length, 1);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, sqliteExec } from '../lib/sqlite.js';
+import {
+  buildKeywordQuery,
+  rankPositions,
+  fuseRankings,
+  hybridRank,
+  RRF_K,
+} from '../lib/ranking.js';
+import { buildHybridContext } from '../lib/recall.js';
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'ranking-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  return { dbPath, dir };
+}
+
+function insertFact(dbPath, id, entity, key, value, { importance = 0.5, ttl = 'stable', timestamp = Date.now(), lastAccessed = null } = {}) {
+  sqliteExec(dbPath,
+    `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, ttl_class, entity, fact_key, fact_value, last_accessed_at)
+     VALUES (?, 'test', ?, 'manual', ?, 'test', ?, ?, ?, ?, ?, ?)`,
+    [id, timestamp, `${entity}.${key} = ${value}`, importance, ttl, entity, key, value, lastAccessed]
+  );
+}
+
+describe('buildKeywordQuery', () => {
+  test('joins significant words with OR', () => {
+    assert.equal(buildKeywordQuery("What's Kevin's editor?"), 'What OR Kevin OR editor');
+    assert.equal(buildKeywordQuery('a b c'), '');
+    assert.equal(buildKeywordQuery(''), '');
+  });
+
+  test('caps the number of words', () => {
+    assert.equal(buildKeywordQuery('one two three four', 2), 'one OR two');
+  });
+});
+
+describe('rankPositions', () => {
+  test('ranks highest first and shares ranks on ties', () => {
+    const ranks = rankPositions(
+      [{ id: 'a', v: 0.2 }, { id: 'b', v: 0.9 }, { id: 'c', v: 0.9 }, { id: 'd', v: null }],
+      (x) => x.v
+    );
+    assert.equal(ranks.get('b'), 1);
+    assert.equal(ranks.get('c'), 1);
+    assert.equal(ranks.get('a'), 3);
+    assert.equal(ranks.has('d'), false);
+  });
+});
+
+describe('fuseRankings', () => {
+  test('sums weighted reciprocal ranks per signal', () => {
+    const [top] = fuseRankings([{ id: 'a', ftsRank: 1, similarity: 0.8, importance: 0.5, timestamp: 1, ttl_class: 'stable' }]);
+    const expected = (1.0 + 1.0 + 0.5 + 0.3 + 0.3) / (RRF_K + 1);
+    assert.ok(Math.abs(top.score - expected) < 1e-12);
+    assert.deepEqual(Object.keys(top.signals).sort(), ['fts', 'importance', 'recency', 'ttl', 'vector']);
+  });
+
+  test('a zero weight drops the signal', () => {
+    const [top] = fuseRankings([{ id: 'a', ftsRank: 1, importance: 0.5, ttl_class: 'stable' }], { importance: 0 });
+    assert.equal(top.signals.importance, undefined);
+  });
+
+  test('a candidate matched by both FTS and vectors outranks single-source matches', () => {
+    const ranked = fuseRankings([
+      { id: 'fts-only', ftsRank: 1, similarity: null, importance: 0.5, timestamp: 1, ttl_class: 'stable' },
+      { id: 'both', ftsRank: 2, similarity: 0.7, importance: 0.5, timestamp: 1, ttl_class: 'stable' },
+      { id: 'vec-only', ftsRank: null, similarity: 0.9, importance: 0.5, timestamp: 1, ttl_class: 'stable' },
+    ]);
+    assert.equal(ranked[0].id, 'both');
+  });
+});
+
+describe('hybridRank', () => {
+  test('fuses FTS hits with vector hits that FTS missed', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'd1', 'Kevin', 'editor', 'neovim with lazy plugin manager');
+      insertFact(dbPath, 'd2', 'Kevin', 'shell', 'zsh with starship prompt everywhere');
+      const ranked = hybridRank(dbPath, {
+        ftsQuery: buildKeywordQuery('neovim plugins'),
+        vectorResults: [{ decision_id: 'd2', similarity: 0.8 }],
+      });
+      assert.deepEqual(ranked.map((r) => r.id).sort(), ['d1', 'd2']);
+      assert.equal(ranked.find((r) => r.id === 'd1').ftsRank, 1);
+      assert.equal(ranked.find((r) => r.id === 'd2').similarity, 0.8);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('recency and TTL class break ties between otherwise equal matches', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const now = Date.now();
+      insertFact(dbPath, 'old', 'Kevin', 'a', 'deploy target staging cluster', { ttl: 'active', timestamp: now - 86400000 });
+      insertFact(dbPath, 'new', 'Kevin', 'b', 'deploy target staging cluster', { ttl: 'permanent', timestamp: now, lastAccessed: now });
+      const ranked = hybridRank(dbPath, { ftsQuery: 'deploy', weights: { fts: 0 } });
+      assert.equal(ranked[0].id, 'new');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('background facts are only included on request', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'p1', 'Kevin', 'name', 'Kevin the plugin author', { ttl: 'permanent', importance: 0.9 });
+      assert.equal(hybridRank(dbPath, { ftsQuery: 'unrelated' }).length, 0);
+      assert.equal(hybridRank(dbPath, { ftsQuery: 'unrelated', includeBackground: true })[0].id, 'p1');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('buildHybridContext', () => {
+  test('fills the budget in one ranked section', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'p1', 'Kevin', 'name', 'Kevin the plugin author', { ttl: 'permanent', importance: 0.9 });
+      insertFact(dbPath, 'd1', 'Kevin', 'editor', 'neovim with lazy plugin manager');
+      const { lines, ids, budgetReport } = buildHybridContext(dbPath, 'which editor does he use', [], 10, 4000);
+      assert.equal(lines[0], '## Relevant Memories');
+      assert.equal(ids.size, 2);
+      assert.ok(budgetReport.allocations.ranked > 0);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('stops at maxResults and respects the budget', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      for (let i = 0; i < 5; i++) insertFact(dbPath, `d${i}`, 'Kevin', `k${i}`, `release checklist item number ${i}`);
+      assert.equal(buildHybridContext(dbPath, 'release checklist', [], 3, 4000).ids.size, 3);
+      const tight = buildHybridContext(dbPath, 'release checklist', [], 10, 100);
+      assert.ok(tight.budgetReport.used <= 100);
+      assert.ok(tight.ids.size < 5);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
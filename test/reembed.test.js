@@ -0,0 +1,150 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery, sqliteExec } from '../lib/sqlite.js';
+import { storeEmbedding, bruteForceSearch, getVectorModels, encodeEmbedding } from '../lib/embeddings.js';
+import { createLocalProvider, hashEmbedding } from '../lib/embedding-providers.js';
+import {
+  startReembed,
+  pauseReembed,
+  runReembedJob,
+  getReembedJob,
+  countPendingReembed,
+} from '../lib/reembed.js';
+
+const oldModel = createLocalProvider({ dimensions: 64 });
+const newModel = createLocalProvider({ dimensions: 128 });
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'reembed-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+async function seed(dbPath, count) {
+  for (let i = 0; i < count; i++) {
+    sqliteExec(dbPath,
+      `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, entity, fact_key, fact_value)
+       VALUES (?, 'test', ?, 'manual', ?, 'test', 0.5, 'Kevin', ?, ?)`,
+      [`d${i}`, Date.now(), `fact ${i}`, `key_${i}`, `value number ${i}`]
+    );
+    await storeEmbedding(dbPath, oldModel, `d${i}`, `Kevin.key_${i} = value number ${i}`);
+  }
+}
+
+function withDb(fn) {
+  return async () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      await fn(dbPath);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+describe('model-aware search', () => {
+  test('only compares vectors from the query model', withDb(async (dbPath) => {
+    await seed(dbPath, 3);
+    const query = await oldModel.embed('Kevin key 1');
+    assert.equal(bruteForceSearch(dbPath, oldModel.id, query, 5, -1).length, 3);
+    assert.equal(bruteForceSearch(dbPath, newModel.id, query, 5, -1).length, 0);
+  }));
+
+  test('storeEmbedding refuses a different size under the same model id', withDb(async (dbPath) => {
+    await seed(dbPath, 1);
+    const impostor = { ...newModel, id: oldModel.id };
+    assert.equal(await storeEmbedding(dbPath, impostor, 'd0', 'Kevin.key_0 = value number 0'), false);
+    assert.deepEqual(getVectorModels(dbPath), [{ model: oldModel.id, dims: 64, count: 1 }]);
+  }));
+});
+
+describe('re-embed job', () => {
+  test('moves every memory to the new model and prunes the old vectors', withDb(async (dbPath) => {
+    await seed(dbPath, 5);
+    assert.equal(countPendingReembed(dbPath, newModel.id), 5);
+
+    const { job, resumed } = await startReembed(dbPath, newModel);
+    assert.equal(resumed, false);
+    assert.equal(job.total, 5);
+    const finished = await runReembedJob(dbPath, newModel, job.id);
+    assert.equal(finished.status, 'done');
+    assert.equal(finished.done, 5);
+    assert.equal(finished.pruned, 5);
+    assert.deepEqual(getVectorModels(dbPath), [{ model: newModel.id, dims: 128, count: 5 }]);
+    assert.equal(countPendingReembed(dbPath, newModel.id), 0);
+  }));
+
+  test('pauses, keeps progress and resumes', withDb(async (dbPath) => {
+    await seed(dbPath, 4);
+    const { job } = await startReembed(dbPath, newModel);
+
+    // Pause from inside the loop during the first batch of two
+    const pausing = { ...newModel, batchSize: 2, embedBatch: async (texts) => { pauseReembed(dbPath); return newModel.embedBatch(texts); } };
+    const paused = await runReembedJob(dbPath, pausing, job.id);
+    assert.equal(paused.status, 'paused');
+    assert.equal(paused.done, 2);
+
+    const again = await startReembed(dbPath, newModel);
+    assert.equal(again.resumed, true);
+    assert.equal(again.job.id, job.id);
+    const finished = await runReembedJob(dbPath, newModel, job.id);
+    assert.equal(finished.status, 'done');
+    assert.equal(finished.done, 4);
+  }));
+
+  test('an aborted run leaves the job running for the next start', withDb(async (dbPath) => {
+    await seed(dbPath, 2);
+    const { job } = await startReembed(dbPath, newModel);
+    const controller = new AbortController();
+    controller.abort();
+    const stopped = await runReembedJob(dbPath, newModel, job.id, { signal: controller.signal });
+    assert.equal(stopped.status, 'running');
+    assert.equal(stopped.done, 0);
+  }));
+
+  test('counts failures and still finishes', withDb(async (dbPath) => {
+    await seed(dbPath, 3);
+    const flaky = { ...newModel, embedBatch: async (texts) => texts.map((text) => (text.includes('key_1 ') ? null : hashEmbedding(text, 128))) };
+    const { job } = await startReembed(dbPath, flaky);
+    const finished = await runReembedJob(dbPath, flaky, job.id);
+    assert.equal(finished.status, 'done');
+    assert.deepEqual([finished.done, finished.failed, finished.pruned], [2, 1, 2]);
+    // The failed memory keeps its old vector
+    assert.equal(sqliteQuery(dbPath, `SELECT model FROM vectors WHERE decision_id = 'd1'`)[0].model, oldModel.id);
+  }));
+
+  test('starting for another model supersedes the open job', withDb(async (dbPath) => {
+    await seed(dbPath, 2);
+    const first = await startReembed(dbPath, newModel);
+    const other = createLocalProvider({ dimensions: 32 });
+    const second = await startReembed(dbPath, other);
+    assert.notEqual(second.job.id, first.job.id);
+    assert.equal(getReembedJob(dbPath, first.job.id).status, 'superseded');
+    assert.equal((await runReembedJob(dbPath, newModel, first.job.id)).done, 0);
+  }));
+
+  test('refuses mismatched dimensions unless told to replace them', withDb(async (dbPath) => {
+    await seed(dbPath, 2);
+    // Vectors stored under the new id with a stale size
+    sqliteExec(dbPath,
+      `INSERT INTO vectors (id, decision_id, text_content, embedding, model, created_at) VALUES ('stale', 'd0', 't', ?, ?, 0)`,
+      [encodeEmbedding(new Array(16).fill(0.1)), newModel.id]
+    );
+    const refused = await startReembed(dbPath, newModel);
+    assert.match(refused.error, /16 dimensions but the provider now returns 128/);
+
+    const { job, replaced } = await startReembed(dbPath, newModel, { replaceMismatched: true });
+    assert.equal(replaced, 1);
+    assert.equal((await runReembedJob(dbPath, newModel, job.id)).done, 2);
+  }));
+
+  test('reports an unavailable provider', withDb(async (dbPath) => {
+    const down = { ...newModel, health: async () => ({ available: false, reason: 'HTTP 500' }) };
+    assert.match((await startReembed(dbPath, down)).error, /unavailable \(HTTP 500\)/);
+  }));
+});
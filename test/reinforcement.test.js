@@ -0,0 +1,193 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteExec, sqliteQuery } from '../lib/sqlite.js';
+import { recordHits, getHitStats, runReinforcement, resolveReinforcementRules, DEFAULT_REINFORCEMENT_RULES } from '../lib/reinforcement.js';
+import { buildFtsContext, buildHybridContext } from '../lib/recall.js';
+
+const DAY = 86400000;
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'reinforcement-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function insertFact(dbPath, id, { importance = 0.5, ttl = 'active', timestamp = Date.now(), lastAccessed = null, expiresAt = null } = {}) {
+  sqliteExec(dbPath,
+    `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, ttl_class, expires_at, last_accessed_at, entity, fact_key, fact_value)
+     VALUES (?, 'test', ?, 'fact', ?, 'test', ?, ?, ?, ?, 'Kevin', ?, 'a value long enough to matter')`,
+    [id, timestamp, `Kevin.${id} = a value`, importance, ttl, expiresAt, lastAccessed, id]
+  );
+}
+
+function fact(dbPath, id) {
+  return sqliteQuery(dbPath, `SELECT importance, ttl_class, expires_at, last_accessed_at FROM decisions WHERE id = ?`, [id])[0];
+}
+
+describe('resolveReinforcementRules', () => {
+  test('merges numeric overrides and ignores junk', () => {
+    const rules = resolveReinforcementRules({ hitBoost: 0.1, promoteHits: 'many', unknown: 3 });
+    assert.equal(rules.hitBoost, 0.1);
+    assert.equal(rules.promoteHits, DEFAULT_REINFORCEMENT_RULES.promoteHits);
+    assert.equal(rules.unknown, undefined);
+  });
+
+  test('keeps the default interval for values below one turn', () => {
+    assert.equal(resolveReinforcementRules({ intervalTurns: 0 }).intervalTurns, DEFAULT_REINFORCEMENT_RULES.intervalTurns);
+    assert.equal(resolveReinforcementRules({ intervalTurns: 1 }).intervalTurns, 1);
+  });
+});
+
+describe('recordHits', () => {
+  test('records one hit per decision and refreshes last_accessed_at', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'd1');
+      assert.equal(recordHits(dbPath, ['d1', 'd1', null], 'recall', 5000), 1);
+      assert.deepEqual(getHitStats(dbPath, 'd1'), { hits: 1, lastHitAt: 5000 });
+      assert.equal(fact(dbPath, 'd1').last_accessed_at, 5000);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('runReinforcement', () => {
+  test('boosts importance of facts hit since the last pass, with a cap', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const now = Date.now();
+      insertFact(dbPath, 'd1', { importance: 0.5 });
+      insertFact(dbPath, 'd2', { importance: 0.94 });
+      recordHits(dbPath, ['d1', 'd2'], 'recall', now - 1000);
+      const result = runReinforcement(dbPath, {}, now);
+      assert.equal(result.boosted, 2);
+      assert.ok(Math.abs(fact(dbPath, 'd1').importance - 0.52) < 1e-9);
+      assert.equal(fact(dbPath, 'd2').importance, 0.95);
+
+      // Same hits are not counted twice
+      assert.equal(runReinforcement(dbPath, {}, now + 1000).boosted, 0);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('decays idle facts by half-life and never below the floor', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const now = Date.now();
+      insertFact(dbPath, 'idle', { importance: 0.8, ttl: 'stable', timestamp: now - 37 * DAY });
+      insertFact(dbPath, 'fresh', { importance: 0.8, ttl: 'stable', timestamp: now - DAY });
+      insertFact(dbPath, 'perm', { importance: 0.8, ttl: 'permanent', timestamp: now - 365 * DAY });
+      insertFact(dbPath, 'ancient', { importance: 0.5, ttl: 'active', timestamp: now - 1000 * DAY });
+
+      const result = runReinforcement(dbPath, { demoteIdleDays: 0 }, now);
+      assert.equal(result.decayed, 2);
+      // 37 days idle - 7 grace = one 30-day half-life
+      assert.ok(Math.abs(fact(dbPath, 'idle').importance - 0.4) < 1e-6);
+      assert.equal(fact(dbPath, 'fresh').importance, 0.8);
+      assert.equal(fact(dbPath, 'perm').importance, 0.8);
+      assert.equal(fact(dbPath, 'ancient').importance, DEFAULT_REINFORCEMENT_RULES.minImportance);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('running more often does not decay faster', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const now = Date.now();
+      insertFact(dbPath, 'idle', { importance: 0.8, ttl: 'stable', timestamp: now - 37 * DAY });
+      runReinforcement(dbPath, { demoteIdleDays: 0 }, now - 15 * DAY);
+      runReinforcement(dbPath, { demoteIdleDays: 0 }, now);
+      assert.ok(Math.abs(fact(dbPath, 'idle').importance - 0.4) < 1e-6);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('promotes busy active facts to stable', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const now = Date.now();
+      insertFact(dbPath, 'busy', { expiresAt: now + DAY });
+      insertFact(dbPath, 'quiet', { expiresAt: now + DAY });
+      for (let i = 0; i < 5; i++) recordHits(dbPath, ['busy'], 'recall', now - i * DAY);
+      recordHits(dbPath, ['quiet'], 'recall', now);
+
+      const result = runReinforcement(dbPath, {}, now);
+      assert.equal(result.promoted, 1);
+      assert.equal(fact(dbPath, 'busy').ttl_class, 'stable');
+      assert.equal(fact(dbPath, 'busy').expires_at, now + 90 * DAY);
+      assert.equal(fact(dbPath, 'quiet').ttl_class, 'active');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('demotes stable facts unused past the idle window', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const now = Date.now();
+      insertFact(dbPath, 'stale', { ttl: 'stable', timestamp: now - 60 * DAY });
+      insertFact(dbPath, 'used', { ttl: 'stable', timestamp: now - 60 * DAY, lastAccessed: now - DAY });
+
+      const result = runReinforcement(dbPath, {}, now);
+      assert.equal(result.demoted, 1);
+      assert.equal(fact(dbPath, 'stale').ttl_class, 'active');
+      assert.equal(fact(dbPath, 'stale').expires_at, now + 14 * DAY);
+      assert.equal(fact(dbPath, 'used').ttl_class, 'stable');
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('prunes hits for deleted facts', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      recordHits(dbPath, ['gone'], 'search');
+      runReinforcement(dbPath);
+      assert.equal(getHitStats(dbPath, 'gone').hits, 0);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('buildFtsContext injectedIds', () => {
+  test('reports every decision placed in the context', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'perm', { ttl: 'permanent', importance: 0.9 });
+      insertFact(dbPath, 'recent', { ttl: 'stable', importance: 0.8 });
+      const { injectedIds } = buildFtsContext(dbPath, '', 10, 4000);
+      assert.deepEqual([...injectedIds].sort(), ['perm', 'recent']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('buildHybridContext matchedIds', () => {
+  test('leaves out background facts that did not match the prompt', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      insertFact(dbPath, 'perm', { ttl: 'permanent', importance: 0.9 });
+      sqliteExec(dbPath,
+        `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, ttl_class, entity, fact_key, fact_value)
+         VALUES ('db', 'test', ?, 'fact', 'Kevin.database = postgres', 'test', 0.5, 'active', 'Kevin', 'database', 'postgres')`,
+        [Date.now()]
+      );
+      const { ids, matchedIds } = buildHybridContext(dbPath, 'which database engine is in use', [], 10, 4000);
+      assert.deepEqual([...ids].sort(), ['db', 'perm']);
+      assert.deepEqual([...matchedIds], ['db']);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
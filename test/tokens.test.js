@@ -0,0 +1,113 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  estimateTokens,
+  createTokenEstimator,
+  resolveModelProfile,
+  countMessageTokens,
+  MODEL_PROFILES,
+} from '../lib/tokens.js';
+import { createBudget } from '../lib/budget.js';
+import { buildRecallContext } from '../lib/recall.js';
+import { getContextPressure } from '../lib/session-guard.js';
+
+describe('estimateTokens', () => {
+  test('short common words are one token each', () => {
+    assert.equal(estimateTokens('the cat sat on the mat'), 6);
+  });
+
+  test('long words, numbers and symbols split into pieces', () => {
+    assert.ok(estimateTokens('internationalization') >= 4);
+    assert.equal(estimateTokens('123456', MODEL_PROFILES.gpt), 2);
+    assert.equal(estimateTokens('123456', MODEL_PROFILES.llama), 6);
+    assert.equal(estimateTokens('a.b'), 3);
+  });
+
+  test('non-ASCII text costs more than its char count suggests', () => {
+    const cjk = '今日は良い天気です';
+    assert.ok(estimateTokens(cjk) >= cjk.length);
+  });
+
+  test('empty or non-string input is zero', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens(null), 0);
+  });
+
+  test('stays close to chars/4 for ordinary English prose', () => {
+    const text = 'Kevin prefers TypeScript for all new backend projects and deploys them to a small Kubernetes cluster every Friday afternoon.';
+    const tokens = estimateTokens(text);
+    assert.ok(tokens > text.length / 6 && tokens < text.length / 3, `got ${tokens}`);
+  });
+});
+
+describe('resolveModelProfile', () => {
+  test('matches model ids by family', () => {
+    assert.equal(resolveModelProfile('anthropic/claude-sonnet-4').name, 'claude');
+    assert.equal(resolveModelProfile('gpt-4o-mini').name, 'gpt');
+    assert.equal(resolveModelProfile('llama3.1:8b').name, 'llama');
+    assert.equal(resolveModelProfile('something-else').name, 'default');
+  });
+});
+
+describe('createTokenEstimator', () => {
+  test('uses the profile context window', () => {
+    assert.equal(createTokenEstimator('claude-opus').contextWindow, 200000);
+    assert.equal(createTokenEstimator().contextWindow, MODEL_PROFILES.default.contextWindow);
+  });
+
+  test('profile overrides merge over the model profile', () => {
+    const est = createTokenEstimator({ model: 'claude', contextWindow: 50000 });
+    assert.equal(est.contextWindow, 50000);
+    assert.equal(est.fromChars(38), 10);
+  });
+
+  test('accepts a custom estimator', () => {
+    const est = createTokenEstimator({ count: (t) => t.length, contextWindow: 1000 });
+    assert.equal(est.count('abcd'), 4);
+    assert.equal(est.model, 'custom');
+  });
+});
+
+describe('countMessageTokens', () => {
+  test('counts string and block content with per-message overhead', () => {
+    const est = createTokenEstimator({ count: (t) => t.length });
+    const tokens = countMessageTokens([
+      { role: 'user', content: 'abc' },
+      { role: 'assistant', content: [{ type: 'text', text: 'de' }, { type: 'image' }] },
+    ], est);
+    assert.equal(tokens, 4 + 3 + 4 + 2);
+  });
+});
+
+describe('token budgets', () => {
+  test('createBudget counts lines in tokens with an estimator', () => {
+    const est = createTokenEstimator({ count: () => 9 });
+    const budget = createBudget(20, { fts: 1 }, est);
+    assert.equal(budget.unit, 'tokens');
+    assert.equal(budget.tryAdd('fts', 'any line at all'), true);
+    assert.equal(budget.tryAdd('fts', 'another line'), true);
+    assert.equal(budget.tryAdd('fts', 'one too many'), false);
+    assert.equal(budget.report().used, 20);
+  });
+
+  test('buildRecallContext caps vector results in tokens', () => {
+    const est = createTokenEstimator({ count: () => 30 });
+    const vectorResults = [1, 2, 3].map((i) => ({ decision_id: `v${i}`, entity: 'Kevin', fact_key: `k${i}`, fact_value: 'x', similarity: 0.9 }));
+    const ctx = buildRecallContext([], new Set(), vectorResults, 70, est);
+    assert.equal(ctx.split('\n').filter((l) => l.startsWith('- ')).length, 2);
+  });
+});
+
+describe('getContextPressure with an estimator', () => {
+  test('uses the token count of the messages', () => {
+    const est = createTokenEstimator({ count: (t) => t.length });
+    const messages = [{ role: 'user', content: 'x'.repeat(850) }];
+    const pressure = getContextPressure({ messages, estimator: est, messageCount: 1, contextCap: 1000 });
+    assert.equal(pressure.level, 'high');
+  });
+
+  test('falls back to message count without an estimator', () => {
+    const pressure = getContextPressure({ messages: [{ role: 'user', content: 'hi' }], messageCount: 1, contextCap: 100000 });
+    assert.equal(pressure.pct, 0.02);
+  });
+});
@@ -0,0 +1,267 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { ensureTables, runMigrations, sqliteQuery, sqliteExec } from '../lib/sqlite.js';
+import { createHnswIndex, restoreHnswIndex } from '../lib/hnsw.js';
+import {
+  encodeEmbedding,
+  decodeEmbedding,
+  cosineSimilarity,
+  loadVectorIndex,
+  saveVectorIndex,
+  closeVectorIndexes,
+  vectorIndexPath,
+  searchEmbeddings,
+  bruteForceSearch,
+  deleteVectors,
+  removeFromVectorIndex,
+  ANN_MIN_VECTORS,
+} from '../lib/embeddings.js';
+
+const DIMS = 32;
+
+/** Deterministic PRNG so recall numbers are stable across runs. */
+function prng(seed) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+}
+
+function randomVectors(count, random) {
+  return Array.from({ length: count }, () => Array.from({ length: DIMS }, () => random() * 2 - 1));
+}
+
+function exactTopK(vectors, query, k) {
+  return vectors
+    .map((v, i) => ({ id: `v${i}`, sim: cosineSimilarity(query, v) }))
+    .sort((a, b) => b.sim - a.sim)
+    .slice(0, k)
+    .map((x) => x.id);
+}
+
+function makeDb() {
+  const dir = mkdtempSync(join(tmpdir(), 'vector-index-test-'));
+  const dbPath = join(dir, 'test.db');
+  ensureTables(dbPath);
+  runMigrations(dbPath);
+  return { dbPath, dir };
+}
+
+function insertVector(dbPath, id, vector, { model = 'test-model', expiresAt = null } = {}) {
+  sqliteExec(dbPath,
+    `INSERT INTO decisions (id, session_id, timestamp, category, description, rationale, importance, ttl_class, expires_at)
+     VALUES (?, 'test', ?, 'manual', ?, 'test', 0.5, 'active', ?)`,
+    [`d-${id}`, Date.now(), `fact ${id}`, expiresAt]
+  );
+  sqliteExec(dbPath,
+    `INSERT INTO vectors (id, decision_id, text_content, embedding, model, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+    [id, `d-${id}`, `fact ${id}`, encodeEmbedding(vector), model, Date.now()]
+  );
+}
+
+describe('embedding encoding', () => {
+  test('round-trips through a Float32 BLOB', () => {
+    const blob = encodeEmbedding([0.5, -1.25, 3]);
+    assert.equal(blob.length, 12);
+    assert.deepEqual([...decodeEmbedding(blob)], [0.5, -1.25, 3]);
+  });
+
+  test('decodes unaligned BLOBs and legacy JSON, rejects junk', () => {
+    const padded = Buffer.concat([Buffer.from([0]), encodeEmbedding([1, 2])]).subarray(1);
+    assert.deepEqual([...decodeEmbedding(padded)], [1, 2]);
+    assert.deepEqual([...decodeEmbedding('[0.25, 4]')], [0.25, 4]);
+    assert.equal(decodeEmbedding('not json'), null);
+    assert.equal(decodeEmbedding(Buffer.from([1, 2, 3])), null);
+  });
+
+  test('migration converts JSON embeddings to BLOBs', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'vector-index-test-'));
+    const dbPath = join(dir, 'test.db');
+    try {
+      ensureTables(dbPath);
+      sqliteExec(dbPath, `INSERT INTO vectors (id, decision_id, text_content, embedding, model, created_at) VALUES ('a', 'd', 't', '[1, 0.5]', 'm', 0)`);
+      sqliteExec(dbPath, `INSERT INTO vectors (id, decision_id, text_content, embedding, model, created_at) VALUES ('b', 'd', 't', 'garbage', 'm', 0)`);
+      runMigrations(dbPath);
+      const rows = sqliteQuery(dbPath, `SELECT id, typeof(embedding) AS type, embedding FROM vectors`);
+      assert.equal(rows.length, 1);
+      assert.equal(rows[0].type, 'blob');
+      assert.deepEqual([...decodeEmbedding(rows[0].embedding)], [1, 0.5]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('HNSW index', () => {
+  const random = prng(42);
+  const vectors = randomVectors(1500, random);
+  const index = createHnswIndex({ dims: DIMS, random });
+  vectors.forEach((v, i) => index.add(`v${i}`, v));
+  const queries = randomVectors(50, random);
+
+  function recallAt10(idx, skip = new Set()) {
+    let hits = 0, total = 0;
+    for (const q of queries) {
+      const exact = exactTopK(vectors, q, 10 + skip.size).filter((id) => !skip.has(id)).slice(0, 10);
+      const got = new Set(idx.search(q, 10).map((h) => h.id));
+      for (const id of exact) { total++; if (got.has(id)) hits++; }
+    }
+    return hits / total;
+  }
+
+  test('agrees with brute force on recall@10', () => {
+    assert.equal(index.size, 1500);
+    assert.ok(recallAt10(index) >= 0.9, `recall ${recallAt10(index)}`);
+  });
+
+  test('similarities match exact cosine', () => {
+    const [hit] = index.search(queries[0], 1);
+    const exact = cosineSimilarity(queries[0], vectors[Number(hit.id.slice(1))]);
+    assert.ok(Math.abs(hit.similarity - exact) < 1e-5);
+  });
+
+  test('rejects vectors of the wrong size', () => {
+    assert.equal(index.add('bad', [1, 2, 3]), false);
+    assert.deepEqual(index.search([1, 2, 3], 5), []);
+  });
+
+  test('soft-deleted ids are never returned', () => {
+    const copy = restoreHnswIndex(index.toJSON(), new Map(vectors.map((v, i) => [`v${i}`, v])));
+    const removed = new Set(exactTopK(vectors, queries[0], 3));
+    for (const id of removed) copy.remove(id);
+    assert.equal(copy.size, 1497);
+    for (const q of queries) for (const h of copy.search(q, 10)) assert.ok(!removed.has(h.id));
+    assert.ok(recallAt10(copy, removed) >= 0.9);
+  });
+
+  test('restores from its serialized graph, dropping nodes without vectors', () => {
+    const data = JSON.parse(JSON.stringify(index));
+    const available = new Map(vectors.map((v, i) => [`v${i}`, v]));
+    available.delete('v0');
+    const restored = restoreHnswIndex(data, available);
+    assert.equal(restored.size, 1499);
+    assert.equal(restored.has('v0'), false);
+    for (const q of queries) assert.ok(!restored.search(q, 10).some((h) => h.id === 'v0'));
+    assert.equal(restoreHnswIndex({ version: 0 }, available), null);
+  });
+});
+
+describe('vector index on a database', () => {
+  test('small stores use the exact scan until the index is big enough', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const random = prng(7);
+      const vectors = randomVectors(20, random);
+      vectors.forEach((v, i) => insertVector(dbPath, `v${i}`, v));
+      loadVectorIndex(dbPath, 'test-model');
+      assert.ok(20 < ANN_MIN_VECTORS);
+      const q = randomVectors(1, random)[0];
+      assert.deepEqual(searchEmbeddings(dbPath, 'test-model', q, 5, -1), bruteForceSearch(dbPath, 'test-model', q, 5, -1));
+    } finally {
+      closeVectorIndexes();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('index search matches the brute-force oracle and skips deleted and expired rows', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const random = prng(11);
+      const vectors = randomVectors(ANN_MIN_VECTORS + 100, random);
+      vectors.forEach((v, i) => insertVector(dbPath, `v${i}`, v));
+      const { size, restored } = loadVectorIndex(dbPath, 'test-model');
+      assert.equal(size, vectors.length);
+      assert.equal(restored, false);
+
+      const queries = randomVectors(20, random);
+      // Deleted after the graph was built — only the DB join can filter these
+      const gone = exactTopK(vectors, queries[0], 2);
+      sqliteExec(dbPath, `DELETE FROM vectors WHERE id = ?`, [gone[0]]);
+      sqliteExec(dbPath, `UPDATE decisions SET expires_at = 1 WHERE id = ?`, [`d-${gone[1]}`]);
+
+      let hits = 0, total = 0;
+      for (const q of queries) {
+        const exact = bruteForceSearch(dbPath, 'test-model', q, 10, -1).map((r) => r.decision_id);
+        const ann = searchEmbeddings(dbPath, 'test-model', q, 10, -1).map((r) => r.decision_id);
+        assert.ok(!ann.includes(`d-${gone[0]}`) && !ann.includes(`d-${gone[1]}`));
+        for (const id of exact) { total++; if (ann.includes(id)) hits++; }
+      }
+      assert.ok(hits / total >= 0.9, `recall ${hits / total}`);
+    } finally {
+      closeVectorIndexes();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('deleteVectors drops rows from the live index', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const vectors = randomVectors(ANN_MIN_VECTORS + 10, prng(5));
+      vectors.forEach((v, i) => insertVector(dbPath, `v${i}`, v));
+      loadVectorIndex(dbPath, 'test-model');
+
+      assert.equal(deleteVectors(dbPath, `decision_id IN (?, ?)`, ['d-v0', 'd-v1']), 2);
+      assert.equal(deleteVectors(dbPath, `decision_id = ?`, ['d-missing']), 0);
+      assert.equal(removeFromVectorIndex(dbPath, ['v0', 'v1']), 0, 'already removed');
+      assert.equal(removeFromVectorIndex(dbPath, ['v2']), 1);
+      const ann = searchEmbeddings(dbPath, 'test-model', vectors[0], 5, -1).map((r) => r.decision_id);
+      assert.equal(ann.length, 5);
+      assert.ok(!ann.includes('d-v0'));
+    } finally {
+      closeVectorIndexes();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('widens the search when the filter leaves too few of the nearest rows', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const random = prng(13);
+      const vectors = randomVectors(ANN_MIN_VECTORS + 100, random);
+      vectors.forEach((v, i) => insertVector(dbPath, `v${i}`, v));
+      const query = randomVectors(1, random)[0];
+      // The namespace holds the rows furthest from the query, so none of the first candidates
+      const far = exactTopK(vectors, query.map((x) => -x), 8);
+      sqliteExec(dbPath, `UPDATE vectors SET namespace = 'mine' WHERE id IN (${far.map(() => '?').join(', ')})`, far);
+      loadVectorIndex(dbPath, 'test-model');
+
+      const filter = { namespaces: ['mine'] };
+      const ann = searchEmbeddings(dbPath, 'test-model', query, 5, -1, filter).map((r) => r.decision_id);
+      assert.deepEqual(ann, bruteForceSearch(dbPath, 'test-model', query, 5, -1, filter).map((r) => r.decision_id));
+    } finally {
+      closeVectorIndexes();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('persists next to the database and catches up on reload', () => {
+    const { dbPath, dir } = makeDb();
+    try {
+      const random = prng(3);
+      const vectors = randomVectors(60, random);
+      vectors.slice(0, 50).forEach((v, i) => insertVector(dbPath, `v${i}`, v));
+      insertVector(dbPath, 'other', vectors[0], { model: 'other-model' });
+      loadVectorIndex(dbPath, 'test-model');
+      assert.equal(saveVectorIndex(dbPath), true);
+      assert.ok(existsSync(vectorIndexPath(dbPath)));
+      assert.equal(saveVectorIndex(dbPath), false, 'nothing to write when unchanged');
+      closeVectorIndexes();
+
+      // Rows added and removed while the index was not loaded
+      vectors.slice(50).forEach((v, i) => insertVector(dbPath, `v${50 + i}`, v));
+      sqliteExec(dbPath, `DELETE FROM vectors WHERE id = 'v1'`);
+      const reloaded = loadVectorIndex(dbPath, 'test-model');
+      assert.deepEqual(reloaded, { size: 59, added: 10, restored: true });
+
+      // A different model starts a fresh graph
+      closeVectorIndexes();
+      assert.deepEqual(loadVectorIndex(dbPath, 'other-model'), { size: 1, added: 1, restored: false });
+    } finally {
+      closeVectorIndexes();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});